@@ -1,14 +1,15 @@
 // src/agents/base.agent.js
-const { ChatOpenAI } = require('@langchain/openai');
-const { ChatAnthropic } = require('@langchain/anthropic');
 const { initializeAgentExecutorWithOptions } = require('langchain/agents');
 const { BufferMemory } = require('langchain/memory');
+const { createChatModel, resolveProvider, getModelName, supportsFunctions } = require('../providers');
 const logger = require('../utils/logger');
 
 class BaseAgent {
   constructor(config) {
     this.name = config.name || 'BaseAgent';
     this.description = config.description || '';
+    this.provider = resolveProvider(config.modelType);
+    this.modelName = config.modelName || getModelName(this.provider);
     this.model = this.initializeModel(config);
     this.memory = new BufferMemory({
       returnMessages: true,
@@ -22,30 +23,23 @@ class BaseAgent {
   }
 
   initializeModel(config) {
-    const modelType = config.modelType || 'openai';
-    const temperature = config.temperature || 0.7;
-    const maxTokens = config.maxTokens || 2000;
-
-    if (modelType === 'openai') {
-      return new ChatOpenAI({
-        modelName: config.modelName || process.env.OPENAI_MODEL,
-        temperature,
-        maxTokens,
-        streaming: config.streaming || false
-      });
-    } else if (modelType === 'anthropic') {
-      return new ChatAnthropic({
-        modelName: config.modelName || process.env.ANTHROPIC_MODEL,
-        temperature,
-        maxTokens,
-        streaming: config.streaming || false
-      });
-    }
-
-    throw new Error(`Unsupported model type: ${modelType}`);
+    return createChatModel({
+      provider: this.provider,
+      modelName: this.modelName,
+      temperature: config.temperature || 0.7,
+      maxTokens: config.maxTokens || 2000,
+      streaming: config.streaming || false
+    });
   }
 
   async initialize() {
+    // The tool-using executor needs function calling; other providers
+    // answer run() with a plain completion
+    if (!supportsFunctions(this.provider)) {
+      logger.info(`${this.name} using ${this.provider} without tools`);
+      return;
+    }
+
     this.executor = await initializeAgentExecutorWithOptions(
       this.tools,
       this.model,
@@ -62,6 +56,12 @@ class BaseAgent {
     try {
       logger.info(`${this.name} executing with input: ${input.substring(0, 100)}...`);
 
+      if (!this.executor) {
+        const output = await this.chat(input);
+        logger.info(`${this.name} completed successfully`);
+        return output;
+      }
+
       const result = await this.executor.call({
         input,
         ...context
@@ -1,6 +1,7 @@
 // src/agents/meeting-summarizer.agent.js
 const BaseAgent = require('./base.agent');
 const WhisperService = require('../whisper/transcription.service');
+const logger = require('../utils/logger');
 
 class MeetingSummarizerAgent extends BaseAgent {
   constructor() {
@@ -45,9 +46,10 @@ Format your summaries professionally and highlight critical information.`;
         summary,
         actionItems,
         metadata: {
+          title: meetingContext.title,
           duration: transcription.duration,
           participants: meetingContext.participants || [],
-          date: new Date().toISOString()
+          date: meetingContext.date || new Date().toISOString()
         }
       };
     } catch (error) {
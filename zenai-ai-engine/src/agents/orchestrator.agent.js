@@ -3,6 +3,11 @@ const ProductManagerAgent = require('./product-manager.agent');
 const TaskAnalyzerAgent = require('./task-analyzer.agent');
 const CodeReviewerAgent = require('./code-reviewer.agent');
 const MeetingSummarizerAgent = require('./meeting-summarizer.agent');
+const ProjectKnowledge = require('../memory/project-knowledge');
+const ResponseParser = require('../utils/response-parser');
+const logger = require('../utils/logger');
+
+const responseParser = new ResponseParser();
 
 class OrchestratorAgent extends BaseAgent {
   constructor() {
@@ -77,13 +82,17 @@ Available agents: productManager, taskAnalyzer, codeReviewer, meetingSummarizer`
       { role: 'user', content: routingPrompt }
     ]);
 
-    return JSON.parse(response.content);
+    return responseParser.parseJSON(response.content);
   }
 
   async execute(request, context = {}) {
     try {
       // Route the request
       const routing = await this.routeRequest(request, context);
+
+      // Agents and the synthesis both answer from the retrieved documents
+      const knowledge = ProjectKnowledge.format(context.relevantDocuments);
+      const input = knowledge ? `${knowledge}\n\n${request}` : request;
       
       const results = {};
 
@@ -92,7 +101,7 @@ Available agents: productManager, taskAnalyzer, codeReviewer, meetingSummarizer`
         for (const agentName of routing.agents) {
           const agent = this.agents[agentName];
           if (agent) {
-            results[agentName] = await agent.run(request, {
+            results[agentName] = await agent.run(input, {
               ...context,
               previousResults: results
             });
@@ -103,7 +112,7 @@ Available agents: productManager, taskAnalyzer, codeReviewer, meetingSummarizer`
         const promises = routing.agents.map(async (agentName) => {
           const agent = this.agents[agentName];
           if (agent) {
-            return { [agentName]: await agent.run(request, context) };
+            return { [agentName]: await agent.run(input, context) };
           }
         });
 
@@ -112,7 +121,7 @@ Available agents: productManager, taskAnalyzer, codeReviewer, meetingSummarizer`
       }
 
       // Synthesize results
-      const synthesis = await this.synthesizeResults(request, results, routing);
+      const synthesis = await this.synthesizeResults(request, results, routing, knowledge);
 
       return {
         routing,
@@ -125,15 +134,15 @@ Available agents: productManager, taskAnalyzer, codeReviewer, meetingSummarizer`
     }
   }
 
-  async synthesizeResults(request, results, routing) {
+  async synthesizeResults(request, results, routing, knowledge = '') {
     const synthesisPrompt = `Synthesize these agent results into a coherent response:
 
 Original Request: "${request}"
 
 Agent Results:
 ${JSON.stringify(results, null, 2)}
-
-Create a unified, helpful response that addresses the user's request.`;
+${knowledge ? `\n${knowledge}\n` : ''}
+Create a unified, helpful response that addresses the user's request.${knowledge ? ' Ground it in the project knowledge above where it applies.' : ''}`;
 
     const response = await this.model.call([
       { role: 'system', content: this.getSystemPrompt() },
@@ -188,7 +197,7 @@ Return JSON array:
       { role: 'user', content: prompt }
     ]);
 
-    return JSON.parse(response.content);
+    return responseParser.parseJSON(response.content);
   }
 
   async summarizeWorkflow(workflowResults) {
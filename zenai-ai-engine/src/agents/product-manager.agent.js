@@ -1,6 +1,10 @@
 // src/agents/product-manager.agent.js
 const BaseAgent = require('./base.agent');
 const { DynamicTool } = require('langchain/tools');
+const ResponseParser = require('../utils/response-parser');
+const logger = require('../utils/logger');
+
+const responseParser = new ResponseParser();
 
 class ProductManagerAgent extends BaseAgent {
   constructor() {
@@ -92,7 +96,7 @@ Return only valid JSON.`;
     ]);
 
     try {
-      return JSON.parse(response.content);
+      return responseParser.parseJSON(response.content);
     } catch (error) {
       logger.error('Failed to parse task JSON:', error);
       throw new Error('Invalid task structure generated');
@@ -124,7 +128,7 @@ Provide analysis in JSON format:
       { role: 'user', content: prompt }
     ]);
 
-    return JSON.parse(response.content);
+    return responseParser.parseJSON(response.content);
   }
 
   async suggestTaskBreakdown(epicTask) {
@@ -152,7 +156,7 @@ Return JSON array:
       { role: 'user', content: prompt }
     ]);
 
-    return JSON.parse(response.content);
+    return responseParser.parseJSON(response.content);
   }
 }
 
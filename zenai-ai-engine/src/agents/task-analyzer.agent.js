@@ -1,6 +1,9 @@
 // src/agents/task-analyzer.agent.js
 const BaseAgent = require('./base.agent');
 const { DynamicTool } = require('langchain/tools');
+const ResponseParser = require('../utils/response-parser');
+
+const responseParser = new ResponseParser();
 
 class TaskAnalyzerAgent extends BaseAgent {
   constructor() {
@@ -67,15 +70,15 @@ Provide comprehensive analysis:
       { role: 'user', content: prompt }
     ]);
 
-    return JSON.parse(response.content);
+    return responseParser.parseJSON(response.content);
   }
 
   async estimateEffort(tasks) {
-    const taskDescriptions = tasks.map(t => 
-      `- ${t.title}: ${t.description}`
+    const taskDescriptions = tasks.map((t, index) => 
+      `- [${t._id || index + 1}] ${t.title} (${t.priority || 'medium'} priority): ${t.description || ''}`
     ).join('\n');
 
-    const prompt = `Estimate effort for these tasks:
+    const prompt = `Estimate effort for these tasks. Use the id in brackets as taskId:
 
 ${taskDescriptions}
 
@@ -93,7 +96,7 @@ Return JSON:
       { role: 'user', content: prompt }
     ]);
 
-    return JSON.parse(response.content);
+    return responseParser.parseJSON(response.content);
   }
 }
 
@@ -1,11 +1,10 @@
 const { LLMChain } = require('langchain/chains');
-const { ChatOpenAI } = require('@langchain/openai');
 const { PromptTemplate } = require('langchain/prompts');
+const { createChatModel } = require('../providers');
 
 class MeetingSummaryChain {
   constructor() {
-    this.model = new ChatOpenAI({
-      modelName: process.env.OPENAI_MODEL || 'gpt-4',
+    this.model = createChatModel({
       temperature: 0.3
     });
 
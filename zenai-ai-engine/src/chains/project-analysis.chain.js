@@ -1,12 +1,11 @@
 const { LLMChain } = require('langchain/chains');
-const { ChatOpenAI } = require('@langchain/openai');
 const { PromptTemplate } = require('langchain/prompts');
 const { StructuredOutputParser } = require('langchain/output_parsers');
+const { createChatModel } = require('../providers');
 
 class ProjectAnalysisChain {
   constructor() {
-    this.model = new ChatOpenAI({
-      modelName: process.env.OPENAI_MODEL || 'gpt-4',
+    this.model = createChatModel({
       temperature: 0.3
     });
 
@@ -1,13 +1,12 @@
 // src/chains/task-creation.chain.js
 const { LLMChain } = require('langchain/chains');
-const { ChatOpenAI } = require('@langchain/openai');
 const { PromptTemplate } = require('langchain/prompts');
 const { StructuredOutputParser } = require('langchain/output_parsers');
+const { createChatModel } = require('../providers');
 
 class TaskCreationChain {
   constructor() {
-    this.model = new ChatOpenAI({
-      modelName: process.env.OPENAI_MODEL,
+    this.model = createChatModel({
       temperature: 0.7
     });
 
@@ -84,6 +84,104 @@ const AI_MODELS = {
   }
 };
 
+// Chat model backends. `adapter` picks how the model is built (see
+// src/providers); env names are read when a model is created, so .env
+// values loaded at startup apply. AI_PROVIDER overrides each agent's choice.
+const PROVIDERS = {
+  openai: {
+    adapter: 'openai',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresApiKey: true,
+    modelEnv: 'OPENAI_MODEL',
+    defaultModel: 'gpt-4',
+    functions: true
+  },
+  anthropic: {
+    adapter: 'anthropic',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    requiresApiKey: true,
+    modelEnv: 'ANTHROPIC_MODEL',
+    defaultModel: 'claude-3-sonnet-20240229',
+    functions: false
+  },
+  // OpenAI-compatible local servers
+  ollama: {
+    adapter: 'openai-compatible',
+    baseURLEnv: 'OLLAMA_BASE_URL',
+    defaultBaseURL: 'http://localhost:11434/v1',
+    modelEnv: 'OLLAMA_MODEL',
+    defaultModel: 'llama3.1',
+    functions: true
+  },
+  llamacpp: {
+    adapter: 'openai-compatible',
+    baseURLEnv: 'LLAMACPP_BASE_URL',
+    defaultBaseURL: 'http://localhost:8080/v1',
+    modelEnv: 'LLAMACPP_MODEL',
+    defaultModel: 'local-model',
+    functions: false
+  },
+  // Replays recorded responses; no network. defaultPath is relative to
+  // src/providers, AI_FIXTURE_PATH to the working directory.
+  fixture: {
+    adapter: 'fixture',
+    pathEnv: 'AI_FIXTURE_PATH',
+    defaultPath: 'fixtures/default.json',
+    defaultModel: 'fixture',
+    functions: false
+  }
+};
+
+// Embedding backends, chosen with EMBEDDING_PROVIDER. Defaults to openai
+// when OPENAI_API_KEY is set, hash otherwise. Vectors from different
+// models can't be mixed, so re-index after switching.
+const EMBEDDING_PROVIDERS = {
+  openai: {
+    adapter: 'openai',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    requiresApiKey: true,
+    modelEnv: 'EMBEDDING_MODEL',
+    defaultModel: 'text-embedding-3-small'
+  },
+  // OpenAI-compatible embeddings endpoint of a local Ollama server
+  ollama: {
+    adapter: 'openai-compatible',
+    baseURLEnv: 'OLLAMA_BASE_URL',
+    defaultBaseURL: 'http://localhost:11434/v1',
+    modelEnv: 'OLLAMA_EMBEDDING_MODEL',
+    defaultModel: 'nomic-embed-text'
+  },
+  // Feature hashing of words and word pairs; no model, no network. Matches
+  // on shared vocabulary rather than meaning, which is enough for tests
+  // and small on-prem installs.
+  hash: {
+    adapter: 'hash',
+    dimensionsEnv: 'EMBEDDING_DIMENSIONS',
+    defaultDimensions: 512,
+    defaultModel: 'hash',
+    metered: false
+  }
+};
+
+// Vector storage, chosen with VECTOR_STORE. Defaults to pinecone when
+// PINECONE_API_KEY is set, local otherwise. defaultPath is relative to the
+// working directory.
+const VECTOR_STORES = {
+  pinecone: {
+    adapter: 'pinecone',
+    apiKeyEnv: 'PINECONE_API_KEY',
+    requiresApiKey: true,
+    indexEnv: 'PINECONE_INDEX',
+    defaultIndex: 'zenai-embeddings'
+  },
+  // Flat cosine index, one JSON file per namespace
+  local: {
+    adapter: 'local',
+    pathEnv: 'VECTOR_STORE_PATH',
+    defaultPath: 'data/vectors'
+  }
+};
+
 const selectModel = (task, priority = 'balanced') => {
   const modelMap = {
     'code-review': {
@@ -125,4 +223,40 @@ const getModelConfig = (modelName) => {
   return null;
 };
 
-module.exports = { AI_MODELS, selectModel, getModelConfig };
\ No newline at end of file
+// Prices per 1K tokens ({ input, output }) or per audio minute ({ perMinute })
+// for a model id as the provider reports it, e.g. 'gpt-4-0613'. The longest
+// matching key or name wins; unknown models, such as local ones, get null.
+const getModelPricing = (modelName = '') => {
+  let best = null;
+  let bestLength = 0;
+
+  for (const [group, models] of Object.entries(AI_MODELS)) {
+    for (const [key, config] of Object.entries(models)) {
+      for (const id of [key, config.name]) {
+        const matches = modelName === id || modelName.startsWith(`${id}-`);
+        if (!matches || id.length <= bestLength) continue;
+
+        bestLength = id.length;
+        if (group === 'whisper') {
+          best = { perMinute: config.pricing };
+        } else if (group === 'embeddings') {
+          best = { input: config.pricing, output: 0 };
+        } else {
+          best = config.pricing;
+        }
+      }
+    }
+  }
+
+  return best;
+};
+
+module.exports = {
+  AI_MODELS,
+  PROVIDERS,
+  EMBEDDING_PROVIDERS,
+  VECTOR_STORES,
+  selectModel,
+  getModelConfig,
+  getModelPricing
+};
\ No newline at end of file
@@ -1,20 +1,13 @@
 // src/embeddings/document-processor.js
-const { OpenAIEmbeddings } = require('@langchain/openai');
-const { PineconeStore } = require('@langchain/pinecone');
-const { Pinecone } = require('@pinecone-database/pinecone');
 const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
-const { Document } = require('langchain/document');
+const VectorStore = require('../memory/vector-store');
+const HybridSearch = require('./hybrid-search');
 const logger = require('../utils/logger');
 
 class DocumentProcessor {
   constructor() {
-    this.embeddings = new OpenAIEmbeddings({
-      modelName: process.env.EMBEDDING_MODEL || 'text-embedding-3-small'
-    });
-
-    this.pinecone = new Pinecone({
-      apiKey: process.env.PINECONE_API_KEY
-    });
+    this.vectorStore = new VectorStore();
+    this.searcher = new HybridSearch(this.vectorStore);
 
     this.textSplitter = new RecursiveCharacterTextSplitter({
       chunkSize: 1000,
@@ -23,61 +16,74 @@ class DocumentProcessor {
   }
 
   async initialize() {
-    const indexName = process.env.PINECONE_INDEX || 'zenai-embeddings';
-    this.index = this.pinecone.Index(indexName);
-    
-    this.vectorStore = await PineconeStore.fromExistingIndex(
-      this.embeddings,
-      { pineconeIndex: this.index }
-    );
-
-    logger.info('Vector store initialized');
+    await this.vectorStore.initialize();
   }
 
-  async indexDocument(content, metadata = {}) {
+  // Chunks of a document get ids `<documentId>#<chunk>`, so re-indexing
+  // overwrites them and deleteDocument can find them on any backend.
+  // `chunkSize` and `chunkOverlap` override the default splitter.
+  async indexDocument(content, metadata = {}, options = {}) {
     try {
       // Split document into chunks
-      const chunks = await this.textSplitter.splitText(content);
+      const splitter = this.splitterFor(options);
+      const chunks = await splitter.splitText(content);
+      const timestamp = new Date().toISOString();
 
-      // Create documents
-      const documents = chunks.map((chunk, index) => new Document({
-        pageContent: chunk,
+      const documents = chunks.map((chunk, index) => ({
+        content: chunk,
         metadata: {
           ...metadata,
           chunkIndex: index,
           totalChunks: chunks.length,
-          timestamp: new Date().toISOString()
+          timestamp
         }
       }));
 
-      // Add to vector store
-      await this.vectorStore.addDocuments(documents);
+      if (metadata.documentId) {
+        await this.deleteDocument(metadata.documentId, options);
+      }
+
+      await this.vectorStore.addDocuments(documents, {
+        namespace: options.namespace,
+        ids: metadata.documentId
+          ? chunks.map((chunk, index) => `${metadata.documentId}#${index}`)
+          : undefined
+      });
 
       logger.info(`Indexed ${documents.length} document chunks`);
-      return { success: true, chunks: documents.length };
+      return {
+        success: true,
+        chunks: documents.length,
+        chunkSize: splitter.chunkSize,
+        chunkOverlap: splitter.chunkOverlap
+      };
     } catch (error) {
       logger.error('Document indexing error:', error);
       throw error;
     }
   }
 
+  splitterFor({ chunkSize, chunkOverlap } = {}) {
+    if (!chunkSize && chunkOverlap === undefined) return this.textSplitter;
+
+    return new RecursiveCharacterTextSplitter({
+      chunkSize: chunkSize || this.textSplitter.chunkSize,
+      chunkOverlap: chunkOverlap ?? this.textSplitter.chunkOverlap
+    });
+  }
+
   async similaritySearch(query, options = {}) {
     try {
-      const k = options.limit || 5;
-      const filter = options.filter || {};
-
-      const results = await this.vectorStore.similaritySearchWithScore(
-        query,
-        k,
-        filter
-      );
+      const results = await this.vectorStore.similaritySearch(query, {
+        k: options.limit || 5,
+        filter: options.filter || {},
+        namespace: options.namespace
+      });
 
       // Format results
-      const formattedResults = results.map(([doc, score]) => ({
-        content: doc.pageContent,
-        metadata: doc.metadata,
-        score,
-        relevance: this.calculateRelevance(score)
+      const formattedResults = results.map(result => ({
+        ...result,
+        relevance: this.calculateRelevance(result.score)
       }));
 
       logger.info(`Found ${formattedResults.length} relevant documents`);
@@ -88,18 +94,37 @@ class DocumentProcessor {
     }
   }
 
+  // `mode` is vector, keyword or hybrid; see HybridSearch for `weights`
+  // and `rerank`. Relevance is only known where `score` is a similarity.
+  async search(query, options = {}) {
+    try {
+      const { mode = 'hybrid', limit = 5, filter = {}, namespace, weights, rerank } = options;
+
+      const result = await this.searcher.search(query, { mode, k: limit, filter, namespace, weights, rerank });
+      result.results = result.results.map(doc => ({
+        ...doc,
+        relevance: mode === 'keyword' ? null : this.calculateRelevance(doc.score)
+      }));
+
+      logger.info(`Found ${result.results.length} documents (${mode}${result.reranked ? ', reranked' : ''})`);
+      return result;
+    } catch (error) {
+      logger.error('Document search error:', error);
+      throw error;
+    }
+  }
+
   calculateRelevance(score) {
-    // Convert similarity score to relevance percentage
-    // Lower scores are better in cosine similarity (0 = identical)
-    if (score < 0.3) return 'high';
-    if (score < 0.6) return 'medium';
+    // Scores are cosine similarity on every store: 1 = identical
+    if (score >= 0.7) return 'high';
+    if (score >= 0.4) return 'medium';
     return 'low';
   }
 
-  async deleteDocuments(filter) {
+  async deleteDocuments(filter, options = {}) {
     try {
       // Delete documents matching filter
-      await this.index.deleteMany({ filter });
+      await this.vectorStore.delete({ filter, namespace: options.namespace });
       
       logger.info('Documents deleted successfully');
       return { success: true };
@@ -109,17 +134,26 @@ class DocumentProcessor {
     }
   }
 
-  async updateDocument(documentId, content, metadata = {}) {
-    try {
-      // Delete old version
-      await this.deleteDocuments({ documentId });
+  async deleteDocument(documentId, options = {}) {
+    await this.vectorStore.delete({ prefix: `${documentId}#`, namespace: options.namespace });
+    return { success: true };
+  }
 
-      // Index new version
+  // Every record whose id starts with `prefix`, e.g. `task:<id>` removes
+  // the task and the documents filed under it (`task:<id>/comment:<id>`)
+  async deleteByPrefix(prefix, options = {}) {
+    await this.vectorStore.delete({ prefix, namespace: options.namespace });
+    return { success: true };
+  }
+
+  async updateDocument(documentId, content, metadata = {}, options = {}) {
+    try {
+      // indexDocument replaces the chunks of an existing documentId
       return await this.indexDocument(content, {
         ...metadata,
         documentId,
         version: (metadata.version || 0) + 1
-      });
+      }, options);
     } catch (error) {
       logger.error('Document update error:', error);
       throw error;
@@ -157,7 +191,7 @@ class DocumentProcessor {
       const results = [];
       
       for (const doc of documents) {
-        const result = await this.indexDocument(doc.content, doc.metadata);
+        const result = await this.indexDocument(doc.content, doc.metadata, { namespace: doc.namespace });
         results.push({
           documentId: doc.metadata.documentId,
           ...result
@@ -172,16 +206,16 @@ class DocumentProcessor {
     }
   }
 
-  async getDocumentStats(filter = {}) {
+  async getDocumentStats() {
     try {
-      // Query to get statistics
-      const stats = await this.index.describeIndexStats();
+      const stats = await this.vectorStore.stats();
 
       return {
+        store: stats.store,
+        embeddingModel: stats.embeddingModel,
         totalVectors: stats.totalRecordCount,
         dimension: stats.dimension,
-        namespaces: stats.namespaces,
-        indexFullness: stats.indexFullness
+        namespaces: stats.namespaces
       };
     } catch (error) {
       logger.error('Stats retrieval error:', error);
@@ -190,59 +224,8 @@ class DocumentProcessor {
   }
 
   async hybridSearch(query, options = {}) {
-    try {
-      // Combine vector search with keyword matching
-      const vectorResults = await this.similaritySearch(query, {
-        limit: options.limit || 10,
-        filter: options.filter
-      });
-
-      // Extract keywords from query
-      const keywords = this.extractKeywords(query);
-
-      // Re-rank results based on keyword presence
-      const rankedResults = vectorResults.map(result => {
-        const keywordScore = this.calculateKeywordScore(
-          result.content,
-          keywords
-        );
-        
-        return {
-          ...result,
-          keywordScore,
-          finalScore: result.score * 0.7 + keywordScore * 0.3
-        };
-      }).sort((a, b) => a.finalScore - b.finalScore);
-
-      return rankedResults.slice(0, options.limit || 5);
-    } catch (error) {
-      logger.error('Hybrid search error:', error);
-      throw error;
-    }
-  }
-
-  extractKeywords(text) {
-    // Simple keyword extraction (can be enhanced with NLP)
-    return text
-      .toLowerCase()
-      .split(/\s+/)
-      .filter(word => word.length > 3)
-      .filter(word => !this.isStopWord(word));
-  }
-
-  isStopWord(word) {
-    const stopWords = new Set([
-      'the', 'is', 'at', 'which', 'on', 'are', 'was', 'were',
-      'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will',
-      'would', 'could', 'should', 'may', 'might', 'must', 'can'
-    ]);
-    return stopWords.has(word);
-  }
-
-  calculateKeywordScore(content, keywords) {
-    const contentLower = content.toLowerCase();
-    const matches = keywords.filter(kw => contentLower.includes(kw)).length;
-    return matches / keywords.length;
+    const { results } = await this.search(query, { ...options, mode: 'hybrid' });
+    return results;
   }
 
   async semanticSearch(query, options = {}) {
@@ -267,11 +250,11 @@ class DocumentProcessor {
     
     const avgScore = sources.reduce((sum, s) => sum + s.score, 0) / sources.length;
     
-    // Convert score to confidence percentage
-    if (avgScore < 0.2) return 95;
-    if (avgScore < 0.4) return 85;
-    if (avgScore < 0.6) return 70;
-    if (avgScore < 0.8) return 50;
+    // Convert similarity to confidence percentage
+    if (avgScore >= 0.8) return 95;
+    if (avgScore >= 0.6) return 85;
+    if (avgScore >= 0.4) return 70;
+    if (avgScore >= 0.2) return 50;
     return 30;
   }
 
@@ -289,7 +272,7 @@ class DocumentProcessor {
 
   async clearNamespace(namespace) {
     try {
-      await this.index.deleteAll({ namespace });
+      await this.vectorStore.deleteNamespace(namespace);
       logger.info(`Cleared namespace: ${namespace}`);
       return { success: true };
     } catch (error) {
@@ -0,0 +1,114 @@
+// src/embeddings/hybrid-search.js
+const { cosine } = require('../vectorstores/local.adapter');
+const Reranker = require('./reranker');
+
+const MODES = ['vector', 'keyword', 'hybrid'];
+
+const DEFAULT_WEIGHTS = { vector: 1, keyword: 1 };
+
+// Reciprocal-rank fusion constant. Damps the head of each list so agreement
+// between the lists counts for more than one list's top hit.
+const RRF_K = 60;
+
+// Each list adds weight / (RRF_K + rank) to the fused score of its results.
+// Ranks rather than scores are fused because cosine and BM25 scores aren't
+// on comparable scales.
+const reciprocalRankFusion = (lists) => {
+  const fused = new Map();
+
+  for (const { results, weight } of lists) {
+    results.forEach((result, index) => {
+      const entry = fused.get(result.id) || { result, fusedScore: 0 };
+      entry.fusedScore += weight / (RRF_K + index + 1);
+      fused.set(result.id, entry);
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.fusedScore - a.fusedScore)
+    .map(({ result, fusedScore }) => ({ ...result, fusedScore }));
+};
+
+/**
+ * Vector, BM25 keyword or hybrid search over one VectorStore.
+ *
+ * Results keep the vector store's meaning of `score` where there is one:
+ * cosine similarity in vector and hybrid mode (hybrid results are ordered
+ * by `fusedScore`, or `rerankScore` when reranked), BM25 in keyword mode.
+ * Hybrid results also carry `keywordScore`, their BM25 score, or null when
+ * only the vector list found them.
+ */
+class HybridSearch {
+  constructor(vectorStore) {
+    this.vectorStore = vectorStore;
+    this.reranker = new Reranker();
+  }
+
+  // `weights` ({ vector, keyword }) scale each list in the fusion; 0 drops
+  // a list. `rerank` runs the model pass over the top `candidates`.
+  async search(query, { mode = 'hybrid', k = 5, filter = {}, namespace = '', weights = {}, rerank = false, candidates } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Search mode must be one of ${MODES.join(', ')}`);
+    }
+
+    const pool = rerank || mode === 'hybrid' ? Math.max(candidates || k * 4, k) : k;
+    const fusionWeights = { ...DEFAULT_WEIGHTS, ...weights };
+    let results;
+
+    if (mode === 'vector') {
+      results = await this.vectorStore.similaritySearch(query, { k: pool, filter, namespace });
+    } else if (mode === 'keyword') {
+      results = await this.vectorStore.keywordSearch(query, { k: pool, filter, namespace });
+    } else {
+      results = await this.hybrid(query, { pool, filter, namespace, weights: fusionWeights });
+    }
+
+    let reranked = false;
+    if (rerank) {
+      [results, reranked] = await this.reranker.rerank(query, results.slice(0, pool));
+    }
+
+    return {
+      results: results.slice(0, k),
+      mode,
+      weights: mode === 'hybrid' ? fusionWeights : undefined,
+      reranked
+    };
+  }
+
+  async hybrid(query, { pool, filter, namespace, weights }) {
+    const vector = await this.vectorStore.embedQuery(query);
+
+    const [vectorResults, keywordResults] = await Promise.all([
+      weights.vector > 0 ? this.vectorStore.searchByVector(vector, { k: pool, filter, namespace }) : [],
+      weights.keyword > 0 ? this.vectorStore.keywordSearch(query, { k: pool, filter, namespace }) : []
+    ]);
+
+    const vectorScores = new Map(vectorResults.map(result => [result.id, result.score]));
+    const keywordScores = new Map(keywordResults.map(result => [result.id, result.score]));
+
+    const fused = reciprocalRankFusion([
+      { results: vectorResults, weight: weights.vector },
+      { results: keywordResults, weight: weights.keyword }
+    ]).slice(0, pool);
+
+    // Keyword-only hits get their cosine similarity too, so `score` means
+    // the same for every result
+    const missing = fused.filter(result => !vectorScores.has(result.id)).map(result => result.id);
+    if (missing.length > 0) {
+      const records = await this.vectorStore.fetch(missing, { namespace });
+      records.forEach(record => vectorScores.set(record.id, cosine(vector, record.values)));
+    }
+
+    return fused.map(result => ({
+      ...result,
+      score: vectorScores.get(result.id) ?? 0,
+      keywordScore: keywordScores.get(result.id) ?? null
+    }));
+  }
+}
+
+HybridSearch.MODES = MODES;
+HybridSearch.reciprocalRankFusion = reciprocalRankFusion;
+
+module.exports = HybridSearch;
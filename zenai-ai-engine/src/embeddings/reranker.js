@@ -0,0 +1,78 @@
+// src/embeddings/reranker.js
+const { createChatModel, isProviderConfigured } = require('../providers');
+const ResponseParser = require('../utils/response-parser');
+const logger = require('../utils/logger');
+
+const responseParser = new ResponseParser();
+
+const PASSAGE_LENGTH = 600;
+
+/**
+ * Second-pass ordering of search candidates by the chat model, which reads
+ * the query and each passage together instead of comparing them through
+ * embeddings or shared words. Costs one model call per search, so it is
+ * opt-in. Best effort: without a configured provider, or when the reply
+ * can't be parsed, the candidates keep their order.
+ */
+class Reranker {
+  constructor() {
+    this.model = null;
+  }
+
+  isAvailable() {
+    return isProviderConfigured();
+  }
+
+  getModel() {
+    if (!this.model) {
+      this.model = createChatModel({ temperature: 0, maxTokens: 500 });
+    }
+    return this.model;
+  }
+
+  // Returns [results, reranked]. Reranked results carry `rerankScore`
+  // (0-1) and are sorted by it; unscored ones keep their order after them.
+  async rerank(query, results) {
+    if (results.length < 2 || !this.isAvailable()) return [results, false];
+
+    const passages = results.map((result, index) => {
+      const text = result.content.replace(/\s+/g, ' ').trim();
+      return `[${index + 1}] ${text.length > PASSAGE_LENGTH ? `${text.substring(0, PASSAGE_LENGTH)}...` : text}`;
+    });
+
+    try {
+      const response = await this.getModel().call([
+        {
+          role: 'system',
+          content: 'You rank search results. Score how well each passage answers the query, from 0 (unrelated) to 10 (answers it directly). Reply with JSON only.'
+        },
+        {
+          role: 'user',
+          content: `Query: "${query}"\n\nPassages:\n${passages.join('\n\n')}\n\nReturn JSON:\n{"scores": [{"passage": 1, "score": 7}]}`
+        }
+      ]);
+
+      const { scores = [] } = responseParser.parseJSON(response.content) || {};
+      const byPassage = new Map(scores
+        .filter(entry => Number.isInteger(entry?.passage) && typeof entry.score === 'number')
+        .map(entry => [entry.passage, Math.max(0, Math.min(10, entry.score)) / 10]));
+
+      if (byPassage.size === 0) {
+        throw new Error('No passage scores in the reply');
+      }
+
+      const reranked = results
+        .map((result, index) => ({ ...result, rerankScore: byPassage.get(index + 1) ?? null }))
+        .map((result, index) => ({ result, index }))
+        .sort((a, b) => (b.result.rerankScore ?? -1) - (a.result.rerankScore ?? -1) || a.index - b.index)
+        .map(({ result }) => result);
+
+      return [reranked, true];
+    } catch (error) {
+      logger.warn(`Reranking skipped: ${error.message}`);
+      return [results, false];
+    }
+  }
+}
+
+module.exports = Reranker;
@@ -1,34 +1,18 @@
 // src/embeddings/similarity-search.js
-const { OpenAIEmbeddings } = require('@langchain/openai');
-const { PineconeStore } = require('@langchain/pinecone');
-const { Pinecone } = require('@pinecone-database/pinecone');
+const VectorStore = require('../memory/vector-store');
+const HybridSearch = require('./hybrid-search');
 const logger = require('../utils/logger');
 
 class SimilaritySearchService {
   constructor() {
-    this.embeddings = new OpenAIEmbeddings({
-      modelName: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
-      openAIApiKey: process.env.OPENAI_API_KEY
-    });
-
-    this.pinecone = new Pinecone({
-      apiKey: process.env.PINECONE_API_KEY,
-      environment: process.env.PINECONE_ENVIRONMENT
-    });
-
-    this.vectorStore = null;
+    this.vectorStore = new VectorStore();
+    this.searcher = new HybridSearch(this.vectorStore);
     this.initialized = false;
   }
 
   async initialize() {
     try {
-      const indexName = process.env.PINECONE_INDEX || 'zenai-embeddings';
-      this.index = this.pinecone.Index(indexName);
-
-      this.vectorStore = await PineconeStore.fromExistingIndex(
-        this.embeddings,
-        { pineconeIndex: this.index }
-      );
+      await this.vectorStore.initialize();
 
       this.initialized = true;
       logger.info('Similarity search service initialized');
@@ -46,24 +30,18 @@ class SimilaritySearchService {
         k = 5,
         filter = {},
         scoreThreshold = 0.7,
-        namespace = 'default'
+        namespace = ''
       } = options;
 
       // Perform similarity search with scores
-      const results = await this.vectorStore.similaritySearchWithScore(
-        query,
-        k,
-        filter
-      );
+      const results = await this.vectorStore.similaritySearch(query, { k, filter, namespace });
 
       // Filter by score threshold
       const filteredResults = results
-        .filter(([doc, score]) => score >= scoreThreshold)
-        .map(([doc, score]) => ({
-          content: doc.pageContent,
-          metadata: doc.metadata,
-          score: score,
-          relevance: this.calculateRelevance(score)
+        .filter(result => result.score >= scoreThreshold)
+        .map(result => ({
+          ...result,
+          relevance: this.calculateRelevance(result.score)
         }));
 
       logger.info(`Similarity search returned ${filteredResults.length} results`);
@@ -72,7 +50,7 @@ class SimilaritySearchService {
         results: filteredResults,
         query,
         totalResults: filteredResults.length,
-        options: { k, scoreThreshold }
+        options: { k, scoreThreshold, namespace }
       };
     } catch (error) {
       logger.error('Similarity search error:', error);
@@ -84,20 +62,13 @@ class SimilaritySearchService {
     if (!this.initialized) await this.initialize();
 
     try {
-      const { k = 5, filter = {} } = options;
+      const { k = 5, filter = {}, namespace = '' } = options;
 
-      const results = await this.index.query({
-        vector,
-        topK: k,
-        filter,
-        includeMetadata: true
-      });
+      const results = await this.vectorStore.searchByVector(vector, { k, filter, namespace });
 
-      return results.matches.map(match => ({
-        id: match.id,
-        score: match.score,
-        metadata: match.metadata,
-        relevance: this.calculateRelevance(match.score)
+      return results.map(result => ({
+        ...result,
+        relevance: this.calculateRelevance(result.score)
       }));
     } catch (error) {
       logger.error('Vector search error:', error);
@@ -109,67 +80,61 @@ class SimilaritySearchService {
     if (!this.initialized) await this.initialize();
 
     try {
-      const { k = 5 } = options;
+      const { k = 5, namespace = '' } = options;
 
-      // Get the document's vector
-      const docVector = await this.index.fetch([documentId]);
+      // Get the record's vector
+      const [record] = await this.vectorStore.fetch([documentId], { namespace });
       
-      if (!docVector.vectors[documentId]) {
+      if (!record) {
         throw new Error('Document not found');
       }
 
-      const vector = docVector.vectors[documentId].values;
-
       // Search for similar documents
-      const results = await this.searchByVector(vector, {
+      const results = await this.searchByVector(record.values, {
         k: k + 1, // +1 to exclude the original document
-        filter: { documentId: { $ne: documentId } }
+        namespace
       });
 
-      return results.slice(0, k);
+      return results.filter(result => result.id !== documentId).slice(0, k);
     } catch (error) {
       logger.error('Related documents search error:', error);
       throw error;
     }
   }
 
+  // BM25 and vector results merged by reciprocal-rank fusion; see
+  // HybridSearch for `weights` and `rerank`
   async hybridSearch(query, options = {}) {
     if (!this.initialized) await this.initialize();
 
     try {
       const {
         k = 10,
-        semanticWeight = 0.7,
-        keywordWeight = 0.3,
-        filter = {}
+        semanticWeight = 1,
+        keywordWeight = 1,
+        filter = {},
+        namespace = '',
+        rerank = false
       } = options;
 
-      // Semantic search
-      const semanticResults = await this.search(query, { k, filter });
-
-      // Simple keyword matching (you can enhance this with BM25 or similar)
-      const keywords = query.toLowerCase().split(' ');
-      const keywordResults = semanticResults.results.map(result => {
-        const content = result.content.toLowerCase();
-        const keywordScore = keywords.reduce((score, keyword) => {
-          return score + (content.includes(keyword) ? 1 : 0);
-        }, 0) / keywords.length;
-
-        return {
-          ...result,
-          keywordScore,
-          hybridScore: (result.score * semanticWeight) + (keywordScore * keywordWeight)
-        };
+      const { results, weights, reranked } = await this.searcher.search(query, {
+        mode: 'hybrid',
+        k,
+        filter,
+        namespace,
+        weights: { vector: semanticWeight, keyword: keywordWeight },
+        rerank
       });
 
-      // Sort by hybrid score
-      keywordResults.sort((a, b) => b.hybridScore - a.hybridScore);
-
       return {
-        results: keywordResults.slice(0, k),
+        results: results.map(result => ({
+          ...result,
+          relevance: this.calculateRelevance(result.score)
+        })),
         query,
         method: 'hybrid',
-        weights: { semantic: semanticWeight, keyword: keywordWeight }
+        weights: { semantic: weights.vector, keyword: weights.keyword },
+        reranked
       };
     } catch (error) {
       logger.error('Hybrid search error:', error);
@@ -240,11 +205,13 @@ class SimilaritySearchService {
     return 'very_low';
   }
 
-  async getStats(namespace = 'default') {
+  async getStats() {
+    if (!this.initialized) await this.initialize();
+
     try {
-      const stats = await this.index.describeIndexStats();
+      const stats = await this.vectorStore.stats();
       return {
-        totalVectors: stats.totalVectorCount,
+        totalVectors: stats.totalRecordCount,
         dimension: stats.dimension,
         namespaces: stats.namespaces
       };
@@ -254,14 +221,11 @@ class SimilaritySearchService {
     }
   }
 
-  async deleteByMetadata(filter) {
+  async deleteByMetadata(filter, namespace = '') {
     if (!this.initialized) await this.initialize();
 
     try {
-      await this.index.delete1({
-        filter,
-        deleteAll: false
-      });
+      await this.vectorStore.delete({ filter, namespace });
 
       logger.info('Documents deleted by metadata filter');
       return { success: true };
@@ -0,0 +1,135 @@
+// src/embeddings/text-extractor.js
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+
+const FORMATS_BY_EXTENSION = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.csv': 'csv',
+  '.txt': 'text'
+};
+
+const FORMATS = [...new Set(Object.values(FORMATS_BY_EXTENSION))];
+
+const HTML_ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'"
+};
+
+const formatOf = (filename) => FORMATS_BY_EXTENSION[path.extname(filename || '').toLowerCase()] || null;
+
+// Block elements become line breaks so paragraphs survive for the splitter
+const htmlToText = (html) => html
+  .replace(/<(script|style|noscript|template)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|section|article|li|tr|h[1-6]|pre|blockquote|table)>/gi, '\n\n')
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+  .replace(/&[a-z]+;/gi, (entity) => HTML_ENTITIES[entity.toLowerCase()] ?? entity);
+
+// RFC 4180 rows: quoted fields may hold commas, doubled quotes and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// One line per row with its headers, so any chunk of it reads on its own
+const csvToText = (csv) => {
+  const [headers = [], ...rows] = parseCsv(csv);
+
+  return rows.map(cells => cells
+    .map((cell, index) => [headers[index]?.trim(), cell.trim()])
+    .filter(([, value]) => value)
+    .map(([header, value]) => (header ? `${header}: ${value}` : value))
+    .join(' | ')
+  ).join('\n');
+};
+
+const normalize = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Plain text of an uploaded file for indexing. `format` is one of FORMATS;
+ * formatOf() derives it from a file name.
+ */
+async function extractText(filePath, format) {
+  switch (format) {
+    case 'pdf': {
+      const { text } = await pdfParse(await fs.promises.readFile(filePath));
+      return normalize(text);
+    }
+    case 'docx': {
+      const { value } = await mammoth.extractRawText({ path: filePath });
+      return normalize(value);
+    }
+    case 'html':
+      return normalize(htmlToText(await fs.promises.readFile(filePath, 'utf8')));
+    case 'csv':
+      return normalize(csvToText(await fs.promises.readFile(filePath, 'utf8')));
+    case 'markdown':
+    case 'text':
+      return normalize(await fs.promises.readFile(filePath, 'utf8'));
+    default:
+      throw new Error(`Unsupported document format: ${format}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  formatOf,
+  extractText,
+  htmlToText,
+  csvToText
+};
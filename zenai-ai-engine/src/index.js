@@ -1,9 +1,20 @@
 // src/index.js
-import express from 'express';
-import dotenv from 'dotenv';
-import cors from 'cors';
-import helmet from 'helmet';
-import winston from 'winston';
+const express = require('express');
+const dotenv = require('dotenv');
+const cors = require('cors');
+const helmet = require('helmet');
+const winston = require('winston');
+const multer = require('multer');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const AgentPool = require('./services/agent-pool');
+const ProjectKnowledge = require('./memory/project-knowledge');
+const ContextManager = require('./memory/context.manager');
+const { FORMATS, formatOf, extractText } = require('./embeddings/text-extractor');
+const HybridSearch = require('./embeddings/hybrid-search');
+const { resolveProvider } = require('./providers');
+const { TEMPLATES } = require('./prompts/templates');
 
 dotenv.config();
 
@@ -30,100 +41,231 @@ app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
+// Meeting recordings and documents; the extension is kept so Whisper and
+// the text extractor can tell the format
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: os.tmpdir(),
+    filename: (req, file, cb) => {
+      cb(null, `zenai-${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(file.originalname)}`);
+    }
+  })
+});
+
 // Request logging
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`);
   next();
 });
 
+// Agents run live when a provider is configured (see AI_ENGINE_MODE and
+// AI_PROVIDER) and fall back to mock answers per request
+const agentPool = new AgentPool();
+
+// Documents the streaming chat answers from; the orchestrator retrieves its own
+const projectKnowledge = new ProjectKnowledge();
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     service: 'zenai-ai-engine',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    ...agentPool.health()
   });
 });
 
-// Mock AI Orchestrator (since real one isn't connected yet)
-class MockOrchestrator {
-  async initialize() {
-    logger.info('Mock Orchestrator initialized');
-    return true;
-  }
+// Answers 503 when an agent without a mock isn't running
+const requireAgent = (name, res) => {
+  if (agentPool.isAvailable(name)) return true;
 
-  async processRequest(message, context = {}) {
-    logger.info(`Processing request: ${message.substring(0, 50)}...`);
+  res.status(503).json({ 
+    success: false,
+    error: `${name} agent is unavailable: ${agentPool.status[name]?.reason || 'not initialized'}` 
+  });
+  return false;
+};
+
+async function initializeOrchestrator() {
+  await agentPool.initialize();
+  logger.info(`✓ AI agents initialized (${agentPool.health().mode})`);
+}
+
+// AI Routes
+app.post('/api/v1/ai/chat', async (req, res) => {
+  try {
+    const { message, context, userId, conversationId } = req.body;
     
-    // Mock response based on context type
-    if (context.type === 'task-analysis') {
-      return {
-        response: `Task analysis for: "${message}"`,
-        analysis: {
-          complexityScore: 5,
-          estimatedHours: 8,
-          skillsRequired: ['JavaScript', 'Node.js'],
-          recommendations: ['Break down into smaller tasks', 'Add unit tests']
-        }
-      };
+    if (!message) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Message is required' 
+      });
     }
 
-    if (context.type === 'task-creation') {
-      return {
-        response: 'Task created successfully',
-        task: {
-          title: message.substring(0, 50),
-          description: message,
-          priority: 'medium',
-          estimatedTime: 8,
-          tags: ['ai-generated']
+    const response = await agentPool.run(
+      'orchestrator',
+      async (orchestrator) => {
+        const result = await orchestrator.processRequest(message, {
+          userId,
+          conversationId,
+          context
+        });
+        return {
+          ...result,
+          metadata: { ...result.metadata, agents: result.routing?.agents }
+        };
+      },
+      (mock) => mock.processRequest(message, context, { userId, conversationId })
+    );
+    
+    res.json({ 
+      success: true,
+      data: response 
+    });
+  } catch (error) {
+    logger.error('Chat error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Server-Sent Events: `token` chunks, then a single `done` (or `error`) event
+app.post('/api/v1/ai/chat/stream', async (req, res) => {
+  const { message, context = {}, userId, conversationId } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Message is required' 
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const send = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  let streamed = false;
+  const onToken = (content) => {
+    streamed = true;
+    send({ type: 'token', content });
+  };
+
+  try {
+    const startTime = Date.now();
+
+    // Once tokens have gone out, a failure can't be papered over with mock text
+    const result = await agentPool.run(
+      'chat',
+      async (generator) => {
+        // The thread's memory is shared with /chat, so either route sees
+        // the turns the other one answered
+        const contextManager = conversationId && new ContextManager({ userId, conversationId });
+        let conversationHistory = [];
+
+        if (contextManager) {
+          await contextManager.initialize();
+          ({ conversationHistory } = await contextManager.buildContext(message, { includeDocuments: false }));
         }
-      };
-    }
 
-    if (context.type === 'project-analysis') {
-      return {
-        response: 'Project analysis completed',
-        health: {
-          score: 75,
-          status: 'healthy',
-          insights: ['Project on track', 'Good velocity'],
-          recommendations: ['Continue current pace']
+        const relevantDocuments = await projectKnowledge.retrieve(message, {
+          projectId: context.projectId,
+          userId
+        });
+
+        const response = await generator.generateResponse(message, {
+          ...context,
+          relevantDocuments,
+          conversationHistory
+        }, {
+          stream: true,
+          onToken,
+          signal: controller.signal
+        });
+
+        await contextManager?.saveInteraction(message, response);
+
+        return {
+          response,
+          sources: ProjectKnowledge.sources(relevantDocuments),
+          confidence: projectKnowledge.confidence(relevantDocuments)
+        };
+      },
+      async (mock) => ({
+        response: await mock.streamRequest(message, context, onToken, controller.signal, {
+          userId,
+          conversationId
+        })
+      }),
+      { canFallBack: () => !streamed && !controller.signal.aborted }
+    );
+
+    if (!controller.signal.aborted) {
+      send({
+        type: 'done',
+        response: result.response,
+        sources: result.sources || [],
+        confidence: result.confidence ?? null,
+        metadata: {
+          ...result.metadata,
+          responseTime: Date.now() - startTime,
+          timestamp: new Date().toISOString()
         }
-      };
+      });
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info('Chat stream cancelled by client');
+    } else {
+      logger.error('Chat stream error:', error);
+      send({ type: 'error', error: error.message });
     }
-
-    // Default response
-    return {
-      response: `I received your message: "${message}". AI engine is running in mock mode. Connect OpenAI for full functionality.`,
-      metadata: {
-        timestamp: new Date().toISOString(),
-        mode: 'mock'
-      }
-    };
   }
-}
 
-// Initialize orchestrator
-let orchestrator;
+  res.end();
+});
 
-async function initializeOrchestrator() {
+// Usage of a call the client cut short: a cancelled stream never gets its
+// `done` event, so the backend asks for an estimate to bill instead
+app.post('/api/v1/ai/usage/estimate', async (req, res) => {
   try {
-    orchestrator = new MockOrchestrator();
-    await orchestrator.initialize();
-    logger.info('✓ AI Orchestrator initialized successfully');
+    const { agent = 'chat', prompt = '', completion = '' } = req.body;
+
+    if (!agentPool.status[agent]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown agent: ${agent}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { metadata: await agentPool.estimate(agent, prompt, completion) }
+    });
   } catch (error) {
-    logger.error('Failed to initialize orchestrator:', error);
-    // Continue without AI features
+    logger.error('Usage estimate error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-}
+});
 
-// AI Routes
-app.post('/api/v1/ai/chat', async (req, res) => {
+app.post('/api/v1/ai/conversation-title', async (req, res) => {
   try {
-    const { message, context } = req.body;
-    
+    const { message, reply } = req.body;
+
     if (!message) {
       return res.status(400).json({ 
         success: false,
@@ -131,21 +273,50 @@ app.post('/api/v1/ai/chat', async (req, res) => {
       });
     }
 
-    if (!orchestrator) {
-      return res.status(503).json({ 
-        success: false,
-        error: 'AI service not initialized' 
-      });
+    const result = await agentPool.run(
+      'chat',
+      async (generator) => ({
+        title: await generator.generateResponse(
+          `Write a title of at most six words for a conversation that starts with:\n\nUser: ${message}\nAssistant: ${reply || ''}\n\nReturn only the title, without quotes.`
+        )
+      }),
+      async () => ({ title: message.trim().split('\n')[0] })
+    );
+
+    let title = result.title.trim().replace(/^["']|["']$/g, '');
+    if (title.length > 60) {
+      title = `${title.substring(0, 57)}...`;
     }
 
-    const response = await orchestrator.processRequest(message, context);
-    
     res.json({ 
       success: true,
-      data: response 
+      data: { title, metadata: result.metadata } 
     });
   } catch (error) {
-    logger.error('Chat error:', error);
+    logger.error('Conversation title error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+app.delete('/api/v1/ai/conversations/:conversationId', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { userId } = req.query;
+
+    await agentPool.get('orchestrator')?.clearContext(userId, conversationId);
+    // Streamed turns are stored even when the orchestrator never saw the thread
+    await new ContextManager({ userId, conversationId }).clear();
+    await agentPool.mock.clearContext(userId, conversationId);
+
+    res.json({ 
+      success: true,
+      data: { conversationId } 
+    });
+  } catch (error) {
+    logger.error('Conversation clear error:', error);
     res.status(500).json({ 
       success: false,
       error: error.message 
@@ -164,16 +335,15 @@ app.post('/api/v1/ai/analyze-task', async (req, res) => {
       });
     }
 
-    if (!orchestrator) {
-      return res.status(503).json({ 
-        success: false,
-        error: 'AI service not initialized' 
-      });
-    }
-
-    const analysis = await orchestrator.processRequest(
-      `Analyze this task: ${JSON.stringify(task)}`,
-      { type: 'task-analysis', ...projectContext }
+    const analysis = await agentPool.run(
+      'taskAnalyzer',
+      async (analyzer) => ({
+        analysis: await analyzer.analyzeTask(task, JSON.stringify(projectContext || {}))
+      }),
+      (mock) => mock.processRequest(
+        `Analyze this task: ${JSON.stringify(task)}`,
+        { type: 'task-analysis', ...projectContext }
+      )
     );
     
     res.json({ 
@@ -200,16 +370,12 @@ app.post('/api/v1/ai/create-task', async (req, res) => {
       });
     }
 
-    if (!orchestrator) {
-      return res.status(503).json({ 
-        success: false,
-        error: 'AI service not initialized' 
-      });
-    }
-
-    const result = await orchestrator.processRequest(
-      description,
-      { type: 'task-creation', projectId }
+    const result = await agentPool.run(
+      'productManager',
+      async (productManager) => ({
+        task: await productManager.createTaskFromDescription(description, projectId)
+      }),
+      (mock) => mock.processRequest(description, { type: 'task-creation', projectId })
     );
     
     res.json({ 
@@ -227,7 +393,7 @@ app.post('/api/v1/ai/create-task', async (req, res) => {
 
 app.post('/api/v1/ai/analyze-project', async (req, res) => {
   try {
-    const { projectData, tasks } = req.body;
+    const { projectData, tasks = [] } = req.body;
     
     if (!projectData) {
       return res.status(400).json({ 
@@ -236,31 +402,382 @@ app.post('/api/v1/ai/analyze-project', async (req, res) => {
       });
     }
 
-    if (!orchestrator) {
-      return res.status(503).json({ 
+    const analysis = await agentPool.run(
+      'productManager',
+      async (productManager) => ({
+        health: await productManager.analyzeProjectHealth(projectData, tasks)
+      }),
+      (mock) => mock.processRequest(
+        `Analyze project: ${JSON.stringify({ projectData, tasks })}`,
+        { type: 'project-analysis' }
+      )
+    );
+    
+    res.json({ 
+      success: true,
+      data: analysis 
+    });
+  } catch (error) {
+    logger.error('Project analysis error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+app.post('/api/v1/ai/transcribe', upload.single('audio'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Audio file is required' 
+      });
+    }
+
+    if (!requireAgent('meetingSummarizer', res)) return;
+
+    let participants = [];
+    try {
+      participants = JSON.parse(req.body.participants || '[]');
+    } catch (error) {
+      return res.status(400).json({ 
         success: false,
-        error: 'AI service not initialized' 
+        error: 'Participants must be a JSON array' 
       });
     }
 
-    const analysis = await orchestrator.processRequest(
-      `Analyze project: ${JSON.stringify({ projectData, tasks })}`,
-      { type: 'project-analysis' }
+    const result = await agentPool.run('meetingSummarizer', (summarizer) =>
+      summarizer.transcribeAndSummarize(req.file.path, {
+        title: req.body.title,
+        participants,
+        date: req.body.date
+      })
     );
-    
+
     res.json({ 
       success: true,
-      data: analysis 
+      data: result 
     });
   } catch (error) {
-    logger.error('Project analysis error:', error);
+    logger.error('Transcription error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  } finally {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+  }
+});
+
+app.post('/api/v1/ai/index-document', async (req, res) => {
+  try {
+    const { content, metadata, namespace } = req.body;
+
+    if (!content) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Content is required' 
+      });
+    }
+
+    if (!requireAgent('documents', res)) return;
+
+    const result = await agentPool.run('documents', (processor) =>
+      processor.indexDocument(content, metadata, { namespace })
+    );
+
+    res.json({ 
+      success: true,
+      data: result 
+    });
+  } catch (error) {
+    logger.error('Document indexing error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Extracts the text of an uploaded file and indexes it like index-document.
+// `chunkSize` and `chunkOverlap` override the splitter defaults.
+app.post('/api/v1/ai/index-file', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'File is required' 
+      });
+    }
+
+    const format = req.body.format || formatOf(req.file.originalname);
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Unsupported format. Supported: ${FORMATS.join(', ')}` 
+      });
+    }
+
+    let metadata = {};
+    try {
+      metadata = JSON.parse(req.body.metadata || '{}');
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Metadata must be JSON' 
+      });
+    }
+
+    if (!requireAgent('documents', res)) return;
+
+    let text;
+    try {
+      text = await extractText(req.file.path, format);
+    } catch (error) {
+      logger.warn(`Text extraction failed (${format}): ${error.message}`);
+      return res.status(422).json({ 
+        success: false,
+        error: `Could not read the ${format} file` 
+      });
+    }
+
+    if (!text) {
+      return res.status(422).json({ 
+        success: false,
+        error: 'No text could be extracted from the file' 
+      });
+    }
+
+    const splitter = {
+      chunkSize: req.body.chunkSize ? parseInt(req.body.chunkSize) : undefined,
+      chunkOverlap: req.body.chunkOverlap ? parseInt(req.body.chunkOverlap) : undefined
+    };
+
+    const result = await agentPool.run('documents', async (processor) => ({
+      ...await processor.indexDocument(text, metadata, { namespace: req.body.namespace, ...splitter }),
+      characters: text.length
+    }));
+
+    res.json({ 
+      success: true,
+      data: result 
+    });
+  } catch (error) {
+    logger.error('File indexing error:', error);
     res.status(500).json({ 
       success: false,
       error: error.message 
     });
+  } finally {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
   }
 });
 
+// Removes one document (`documentId`) or every document under an id `prefix`
+app.post('/api/v1/ai/delete-documents', async (req, res) => {
+  try {
+    const { documentId, prefix, namespace } = req.body;
+
+    if (!documentId && !prefix) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'documentId or prefix is required' 
+      });
+    }
+
+    if (!requireAgent('documents', res)) return;
+
+    const result = await agentPool.run('documents', (processor) =>
+      documentId
+        ? processor.deleteDocument(documentId, { namespace })
+        : processor.deleteByPrefix(prefix, { namespace })
+    );
+
+    res.json({ 
+      success: true,
+      data: result 
+    });
+  } catch (error) {
+    logger.error('Document deletion error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+app.delete('/api/v1/ai/namespaces/:namespace', async (req, res) => {
+  try {
+    if (!requireAgent('documents', res)) return;
+
+    const result = await agentPool.run('documents', (processor) =>
+      processor.clearNamespace(req.params.namespace)
+    );
+
+    res.json({ 
+      success: true,
+      data: result 
+    });
+  } catch (error) {
+    logger.error('Namespace deletion error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// `mode`: vector, keyword (BM25) or hybrid (both, fused by rank; default).
+// `vectorWeight`/`keywordWeight` tune the fusion, `rerank=true` adds a
+// model pass over the candidates.
+app.get('/api/v1/ai/search-documents', async (req, res) => {
+  try {
+    const { query, limit = 5, namespace, mode = 'hybrid' } = req.query;
+
+    if (!query) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Query is required' 
+      });
+    }
+
+    let filter = {};
+    try {
+      filter = JSON.parse(req.query.filter || '{}');
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Filter must be JSON' 
+      });
+    }
+
+    if (!HybridSearch.MODES.includes(mode)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Mode must be one of ${HybridSearch.MODES.join(', ')}` 
+      });
+    }
+
+    const weights = {};
+    for (const [param, key] of [['vectorWeight', 'vector'], ['keywordWeight', 'keyword']]) {
+      if (req.query[param] === undefined) continue;
+
+      weights[key] = parseFloat(req.query[param]);
+      if (!(weights[key] >= 0)) {
+        return res.status(400).json({ 
+          success: false,
+          error: `${param} must be a non-negative number` 
+        });
+      }
+    }
+
+    if (!requireAgent('documents', res)) return;
+
+    const result = await agentPool.run('documents', (processor) =>
+      processor.search(query, {
+        mode,
+        limit: parseInt(limit),
+        filter,
+        namespace,
+        weights,
+        rerank: req.query.rerank === 'true'
+      })
+    );
+
+    res.json({ 
+      success: true,
+      data: result 
+    });
+  } catch (error) {
+    logger.error('Document search error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+app.post('/api/v1/ai/suggest-breakdown', async (req, res) => {
+  try {
+    const { task } = req.body;
+
+    if (!task?.title) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Task title is required' 
+      });
+    }
+
+    const result = await agentPool.run(
+      'productManager',
+      async (productManager) => ({ subtasks: await productManager.suggestTaskBreakdown(task) }),
+      async (mock) => ({ subtasks: await mock.suggestTaskBreakdown(task) })
+    );
+
+    res.json({ 
+      success: true,
+      data: result 
+    });
+  } catch (error) {
+    logger.error('Task breakdown error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+app.post('/api/v1/ai/estimate-effort', async (req, res) => {
+  try {
+    const { tasks } = req.body;
+
+    if (!Array.isArray(tasks) || tasks.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Tasks array is required' 
+      });
+    }
+
+    const result = await agentPool.run(
+      'taskAnalyzer',
+      async (analyzer) => ({ estimates: await analyzer.estimateEffort(tasks) }),
+      async (mock) => ({ estimates: await mock.estimateEffort(tasks) })
+    );
+
+    res.json({ 
+      success: true,
+      data: result 
+    });
+  } catch (error) {
+    logger.error('Effort estimation error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: error.message 
+    });
+  }
+});
+
+// Built-in task templates projects are seeded with. `{name}` placeholders
+// are left in for the user to fill in.
+app.get('/api/v1/ai/task-templates', (req, res) => {
+  const templates = Object.entries(TEMPLATES.task).map(([key, template]) => ({
+    key,
+    title: template.title,
+    description: template.description.trim(),
+    tags: template.tags || []
+  }));
+
+  res.json({ 
+    success: true,
+    data: { templates } 
+  });
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
@@ -278,17 +795,6 @@ app.use((req, res) => {
   });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
-
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
-
 // Start server
 async function startServer() {
   try {
@@ -298,7 +804,7 @@ async function startServer() {
       logger.info(`🤖 ZenAI AI Engine running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
       logger.info(`Health check: http://localhost:${PORT}/health`);
-      logger.info(`Mode: Mock (connect OpenAI API for full functionality)`);
+      logger.info(`AI provider: ${resolveProvider()}, mode: ${agentPool.health().mode}`);
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -306,4 +812,20 @@ async function startServer() {
   }
 }
 
-startServer();
\ No newline at end of file
+// Started directly; tests require the app and call initializeOrchestrator
+if (require.main === module) {
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, shutting down gracefully');
+    process.exit(0);
+  });
+
+  process.on('SIGINT', () => {
+    logger.info('SIGINT received, shutting down gracefully');
+    process.exit(0);
+  });
+
+  startServer();
+}
+
+module.exports = { app, initializeOrchestrator };
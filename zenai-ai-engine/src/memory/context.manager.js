@@ -1,5 +1,5 @@
 const ConversationMemory = require('./conversation.memory');
-const VectorStore = require('./vector-store');
+const ProjectKnowledge = require('./project-knowledge');
 const logger = require('../utils/logger');
 
 class ContextManager {
@@ -13,12 +13,16 @@ class ContextManager {
       conversationId: this.conversationId
     });
     
-    this.vectorStore = new VectorStore();
+    this.knowledge = new ProjectKnowledge();
+    this.vectorStore = this.knowledge.vectorStore;
   }
 
   async initialize() {
     await this.conversationMemory.loadHistory();
-    await this.vectorStore.initialize();
+
+    if (this.vectorStore && !this.vectorStore.initialized) {
+      await this.vectorStore.initialize();
+    }
   }
 
   async buildContext(query, options = {}) {
@@ -36,14 +40,14 @@ class ContextManager {
         context.conversationHistory = this.truncateHistory(history);
       }
 
-      // Get relevant documents from vector store
+      // Get relevant documents, scoped to the project when there is one
       if (options.includeDocuments !== false) {
-        const docs = await this.vectorStore.similaritySearch(
-          query,
-          options.topK || 3,
-          options.filter
-        );
-        context.relevantDocuments = docs;
+        context.relevantDocuments = await this.knowledge.retrieve(query, {
+          projectId: options.projectId,
+          userId: this.userId,
+          k: options.topK || 3,
+          filter: options.filter
+        });
       }
 
       // Add additional context
@@ -64,7 +68,7 @@ class ContextManager {
       await this.conversationMemory.saveMessage('ai', aiResponse, metadata);
       
       // Optionally index the interaction for future retrieval
-      if (metadata.indexForRetrieval) {
+      if (metadata.indexForRetrieval && this.vectorStore) {
         await this.vectorStore.addDocuments([
           {
             content: `User: ${userMessage}\nAssistant: ${aiResponse}`,
@@ -1,7 +1,7 @@
 const { BufferMemory } = require('langchain/memory');
 const { ChatMessageHistory } = require('langchain/memory');
-const { HumanMessage, AIMessage, SystemMessage } = require('langchain/schema');
-const { cache } = require('../config/redis');
+const { HumanMessage, AIMessage, SystemMessage } = require('@langchain/core/messages');
+const { cache } = require('../utils/memory-cache');
 const logger = require('../utils/logger');
 
 class ConversationMemory {
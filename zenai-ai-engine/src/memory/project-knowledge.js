@@ -0,0 +1,116 @@
+// src/memory/project-knowledge.js
+const DocumentProcessor = require('../embeddings/document-processor');
+const { vectorStoreProblem } = require('../vectorstores');
+const logger = require('../utils/logger');
+
+// The backend indexes each project's tasks, comments, attachments and
+// meeting summaries into this namespace
+const projectNamespace = (projectId) => (projectId ? `project:${projectId}` : '');
+
+const MAX_DOCUMENT_LENGTH = 1500;
+const SNIPPET_LENGTH = 200;
+
+// Below this cosine similarity a match shares next to nothing with the
+// question and would only add noise (and a bogus citation) to the answer
+const MIN_SCORE = 0.1;
+
+/**
+ * Retrieval for chat answers: documents from the project's namespace when
+ * the chat has a project, otherwise the user's own manually indexed ones.
+ * Retrieval is best effort; a failing store yields no documents.
+ *
+ * Documents are numbered in the prompt and the model cites them as [n];
+ * `sources()` lists them in the same order so the numbers line up.
+ */
+class ProjectKnowledge {
+  constructor() {
+    // Skipped when the configured store or embeddings lack credentials
+    this.processor = vectorStoreProblem() ? null : new DocumentProcessor();
+    this.vectorStore = this.processor?.vectorStore || null;
+  }
+
+  async retrieve(query, { projectId, userId, k = 3, filter } = {}) {
+    if (!this.processor) return [];
+
+    try {
+      // Over-fetch so chunks of one document don't crowd out the others.
+      // Hybrid search also finds exact names and ids embeddings miss.
+      const { results } = await this.processor.search(query, {
+        mode: 'hybrid',
+        limit: k * 2,
+        namespace: projectNamespace(projectId),
+        filter: filter || (!projectId && userId ? { userId } : {})
+      });
+
+      const seen = new Set();
+      return results
+        .filter(doc => doc.score >= MIN_SCORE)
+        .filter(doc => {
+          const key = ProjectKnowledge.documentId(doc);
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .slice(0, k);
+    } catch (error) {
+      logger.error('Project knowledge retrieval error:', error);
+      return [];
+    }
+  }
+
+  // Chunk ids are `<documentId>#<chunk>`; manual uploads may lack documentId
+  static documentId(doc) {
+    return doc.metadata?.documentId || doc.id.split('#')[0];
+  }
+
+  // Prompt section listing the documents; empty when there are none
+  static format(documents = []) {
+    if (documents.length === 0) return '';
+
+    const entries = documents.map((doc, index) => {
+      const { type, title } = doc.metadata || {};
+      const label = [type, title].filter(Boolean).join(': ') || 'document';
+      const content = doc.content.length > MAX_DOCUMENT_LENGTH
+        ? `${doc.content.substring(0, MAX_DOCUMENT_LENGTH)}...`
+        : doc.content;
+
+      return `[${index + 1}] (${label})\n${content}`;
+    });
+
+    return `Relevant project knowledge (from the team's tasks, comments, attachments and meetings):\n\n${entries.join('\n\n')}\n\n` +
+      'When you use a fact from these documents, cite it by number, like [1]. Do not cite documents you did not use.';
+  }
+
+  // Citation entries, numbered like format()
+  static sources(documents = []) {
+    return documents.map((doc, index) => {
+      const { type, title, projectId, taskId, itemId, url } = doc.metadata || {};
+      const snippet = doc.content.replace(/\s+/g, ' ').trim();
+
+      return {
+        number: index + 1,
+        documentId: ProjectKnowledge.documentId(doc),
+        type: type || 'document',
+        title: title || null,
+        snippet: snippet.length > SNIPPET_LENGTH ? `${snippet.substring(0, SNIPPET_LENGTH)}...` : snippet,
+        score: doc.score,
+        relevance: doc.relevance,
+        projectId: projectId || null,
+        taskId: taskId || null,
+        itemId: itemId || null,
+        url: url || null
+      };
+    });
+  }
+
+  // How well the retrieved documents match, as a percentage; null when
+  // the answer didn't draw on any
+  confidence(documents = []) {
+    if (!this.processor || documents.length === 0) return null;
+    return this.processor.calculateConfidence(documents);
+  }
+}
+
+ProjectKnowledge.projectNamespace = projectNamespace;
+
+module.exports = ProjectKnowledge;
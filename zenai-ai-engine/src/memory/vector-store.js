@@ -1,102 +1,186 @@
-const { OpenAIEmbeddings } = require('@langchain/openai');
-const { PineconeStore } = require('@langchain/pinecone');
-const { Pinecone } = require('@pinecone-database/pinecone');
-const { Document } = require('langchain/document');
+// src/memory/vector-store.js
+const crypto = require('crypto');
+const {
+  createEmbeddings,
+  createVectorStoreAdapter,
+  createKeywordIndex,
+  resolveEmbeddingProvider,
+  resolveVectorStore,
+  getEmbeddingModelName,
+  isEmbeddingMetered
+} = require('../vectorstores');
+const { normalizeMetadata } = require('../vectorstores/filter');
+const usageTracker = require('../utils/usage-tracker');
 const logger = require('../utils/logger');
 
-class VectorStore {
-  constructor() {
-    this.embeddings = new OpenAIEmbeddings({
-      modelName: process.env.EMBEDDING_MODEL || 'text-embedding-3-small'
-    });
+// Chunk text lives in metadata under this key, as LangChain's PineconeStore
+// keeps it, so existing Pinecone indexes stay readable
+const TEXT_KEY = 'text';
 
+/**
+ * Storage for embedded text, backed by Pinecone or the local index (see
+ * VECTOR_STORE). Every method takes an optional `namespace`; records in
+ * one namespace are invisible to searches in another. Filters use
+ * Pinecone's syntax on every backend.
+ *
+ * A BM25 keyword index over the same records is kept in step on every
+ * write; records indexed before it existed need a re-index to be found
+ * by keywordSearch.
+ */
+class VectorStore {
+  constructor(options = {}) {
+    this.storeName = resolveVectorStore(options.store);
+    this.embeddingProvider = resolveEmbeddingProvider(options.embeddingProvider);
+    this.embeddingModel = getEmbeddingModelName(this.embeddingProvider);
     this.initialized = false;
   }
 
   async initialize() {
     try {
-      const pinecone = new Pinecone({
-        apiKey: process.env.PINECONE_API_KEY
-      });
-
-      const indexName = process.env.PINECONE_INDEX || 'zenai-embeddings';
-      this.index = pinecone.Index(indexName);
-      
-      this.vectorStore = await PineconeStore.fromExistingIndex(
-        this.embeddings,
-        { pineconeIndex: this.index }
-      );
+      this.embeddings = createEmbeddings(this.embeddingProvider);
+      this.adapter = createVectorStoreAdapter(this.storeName, { embeddingModel: this.embeddingModel });
+      this.keywords = createKeywordIndex();
 
       this.initialized = true;
-      logger.info('Vector store initialized successfully');
+      logger.info(`Vector store initialized (${this.storeName}, ${this.embeddingModel} embeddings)`);
     } catch (error) {
       logger.error('Vector store initialization error:', error);
       throw error;
     }
   }
 
-  async addDocuments(documents, metadata = {}) {
+  async ready() {
     if (!this.initialized) {
       await this.initialize();
     }
+  }
+
+  recordEmbedding(texts) {
+    if (!isEmbeddingMetered(this.embeddingProvider)) return;
+
+    usageTracker.record({
+      type: 'embedding',
+      model: this.embeddingModel,
+      promptTokens: texts.reduce((sum, text) => sum + usageTracker.countTokens(text), 0),
+      estimated: true
+    });
+  }
+
+  async embedQuery(query) {
+    await this.ready();
+    const vector = await this.embeddings.embedQuery(query);
+    this.recordEmbedding([query]);
+    return vector;
+  }
+
+  // `documents` are strings or { content | pageContent, metadata }. Returns
+  // the record ids, which are random unless `ids` are given.
+  async addDocuments(documents, { namespace = '', ids, metadata = {} } = {}) {
+    await this.ready();
 
     try {
-      const docs = documents.map((doc, index) => new Document({
-        pageContent: typeof doc === 'string' ? doc : doc.content,
-        metadata: {
+      const docs = documents.map(doc => ({
+        content: typeof doc === 'string' ? doc : doc.content ?? doc.pageContent,
+        metadata: typeof doc === 'string' ? {} : doc.metadata
+      }));
+
+      const texts = docs.map(doc => doc.content);
+      const vectors = await this.embeddings.embedDocuments(texts);
+      this.recordEmbedding(texts);
+
+      const records = docs.map((doc, index) => ({
+        id: ids?.[index] || crypto.randomUUID(),
+        values: vectors[index],
+        metadata: normalizeMetadata({
           ...metadata,
-          index,
           timestamp: new Date().toISOString(),
-          ...(typeof doc === 'object' ? doc.metadata : {})
-        }
+          ...doc.metadata,
+          [TEXT_KEY]: doc.content
+        })
       }));
 
-      const ids = await this.vectorStore.addDocuments(docs);
-      
-      logger.info(`Added ${docs.length} documents to vector store`);
-      return ids;
+      await this.adapter.upsert(namespace, records);
+      await this.keywords.upsert(namespace, records.map(({ id, metadata: { [TEXT_KEY]: text, ...metadata } }) => ({
+        id,
+        text,
+        metadata
+      })));
+
+      logger.info(`Added ${records.length} documents to vector store`);
+      return records.map(record => record.id);
     } catch (error) {
       logger.error('Error adding documents:', error);
       throw error;
     }
   }
 
-  async similaritySearch(query, k = 5, filter = {}) {
-    if (!this.initialized) {
-      await this.initialize();
-    }
+  toResult({ id, score, metadata }) {
+    const { [TEXT_KEY]: content, ...rest } = metadata;
+    return { id, content: content || '', metadata: rest, score };
+  }
 
+  // Results carry cosine similarity as `score`: higher is closer
+  async similaritySearch(query, { k = 5, filter = {}, namespace = '' } = {}) {
     try {
-      const results = await this.vectorStore.similaritySearchWithScore(
-        query,
-        k,
-        filter
-      );
-
-      return results.map(([doc, score]) => ({
-        content: doc.pageContent,
-        metadata: doc.metadata,
-        score
-      }));
+      const vector = await this.embedQuery(query);
+      return await this.searchByVector(vector, { k, filter, namespace });
     } catch (error) {
       logger.error('Similarity search error:', error);
       throw error;
     }
   }
 
-  async delete(filter = {}) {
-    if (!this.initialized) {
-      await this.initialize();
-    }
+  // Results carry their BM25 score as `score`
+  async keywordSearch(query, { k = 5, filter = {}, namespace = '' } = {}) {
+    await this.ready();
+    const matches = await this.keywords.search(namespace, query, { k, filter });
+    return matches.map(({ id, text, metadata, score }) => this.toResult({
+      id,
+      score,
+      metadata: { ...metadata, [TEXT_KEY]: text }
+    }));
+  }
+
+  async searchByVector(vector, { k = 5, filter = {}, namespace = '' } = {}) {
+    await this.ready();
+    const matches = await this.adapter.query(namespace, vector, { k, filter });
+    return matches.map(match => this.toResult(match));
+  }
+
+  async fetch(ids, { namespace = '' } = {}) {
+    await this.ready();
+    const records = await this.adapter.fetch(namespace, ids);
+    return records.map(record => ({ ...this.toResult(record), values: record.values }));
+  }
+
+  // Removes records by `ids`, id `prefix` or metadata `filter`
+  async delete({ ids, filter, prefix, namespace = '' } = {}) {
+    await this.ready();
 
     try {
-      await this.index.deleteMany(filter);
+      await this.adapter.delete(namespace, { ids, filter, prefix });
+      await this.keywords.delete(namespace, { ids, filter, prefix });
       logger.info('Documents deleted from vector store');
     } catch (error) {
       logger.error('Error deleting documents:', error);
       throw error;
     }
   }
+
+  async deleteNamespace(namespace) {
+    await this.ready();
+    await this.adapter.deleteNamespace(namespace);
+    await this.keywords.deleteNamespace(namespace);
+  }
+
+  async stats() {
+    await this.ready();
+    return {
+      store: this.storeName,
+      embeddingModel: this.embeddingModel,
+      ...await this.adapter.stats()
+    };
+  }
 }
 
-module.exports = VectorStore;
\ No newline at end of file
+module.exports = VectorStore;
@@ -0,0 +1,104 @@
+// src/providers/fixture-chat-model.js
+const fs = require('fs');
+const crypto = require('crypto');
+const { BaseChatModel } = require('@langchain/core/language_models/chat_models');
+const { AIMessage, AIMessageChunk } = require('@langchain/core/messages');
+const { ChatGenerationChunk } = require('@langchain/core/outputs');
+const logger = require('../utils/logger');
+
+/**
+ * Chat model that answers from a fixture file instead of a network call.
+ *
+ * The file holds `recordings`, exact prompts keyed by FixtureChatModel.keyFor,
+ * and `patterns`, `{ match, response }` pairs tried in order against the last
+ * user message. Responses that aren't strings are returned as JSON.
+ *
+ * With `recordFrom` set, prompts that have no recording are sent to that
+ * model and its answer is saved to the file.
+ */
+class FixtureChatModel extends BaseChatModel {
+  static lc_name() {
+    return 'FixtureChatModel';
+  }
+
+  constructor(fields = {}) {
+    super(fields);
+    this.fixturePath = fields.fixturePath;
+    this.recordFrom = fields.recordFrom;
+    this.modelName = fields.modelName || 'fixture';
+    this.fixtures = null;
+  }
+
+  _llmType() {
+    return 'fixture';
+  }
+
+  static keyFor(messages) {
+    const prompt = messages.map(message => [message._getType(), message.content]);
+    return crypto.createHash('sha256').update(JSON.stringify(prompt)).digest('hex').substring(0, 16);
+  }
+
+  load() {
+    if (!this.fixtures) {
+      this.fixtures = fs.existsSync(this.fixturePath)
+        ? JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'))
+        : {};
+      this.fixtures.recordings = this.fixtures.recordings || {};
+      this.fixtures.patterns = this.fixtures.patterns || [];
+    }
+    return this.fixtures;
+  }
+
+  async respond(messages) {
+    const fixtures = this.load();
+    const key = FixtureChatModel.keyFor(messages);
+
+    const recording = fixtures.recordings[key];
+    if (recording) {
+      return recording.response;
+    }
+
+    const lastUserMessage = [...messages].reverse().find(message => message._getType() === 'human');
+    const text = typeof lastUserMessage?.content === 'string' ? lastUserMessage.content : '';
+
+    if (this.recordFrom) {
+      const response = await this.recordFrom.invoke(messages);
+      fixtures.recordings[key] = { prompt: text.substring(0, 200), response: response.content };
+      fs.writeFileSync(this.fixturePath, `${JSON.stringify(fixtures, null, 2)}\n`);
+      logger.info(`Recorded fixture ${key}`);
+      return response.content;
+    }
+
+    const pattern = fixtures.patterns.find(p => new RegExp(p.match).test(text));
+    if (pattern) {
+      return typeof pattern.response === 'string'
+        ? pattern.response
+        : JSON.stringify(pattern.response, null, 2);
+    }
+
+    throw new Error(`No fixture for prompt ${key}; record one with AI_FIXTURE_RECORD=<provider>`);
+  }
+
+  async _generate(messages) {
+    const text = await this.respond(messages);
+
+    return {
+      generations: [{ text, message: new AIMessage(text) }]
+    };
+  }
+
+  // Replays the response word by word so streaming callers see tokens
+  async *_streamResponseChunks(messages, options, runManager) {
+    const text = await this.respond(messages);
+
+    for (const token of text.match(/\S+\s*/g) || []) {
+      yield new ChatGenerationChunk({
+        text: token,
+        message: new AIMessageChunk({ content: token })
+      });
+      await runManager?.handleLLMNewToken(token);
+    }
+  }
+}
+
+module.exports = FixtureChatModel;
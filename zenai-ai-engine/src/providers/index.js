@@ -0,0 +1,101 @@
+// src/providers/index.js
+const path = require('path');
+const { ChatOpenAI } = require('@langchain/openai');
+const { ChatAnthropic } = require('@langchain/anthropic');
+const { PROVIDERS } = require('../config/ai-models');
+const FixtureChatModel = require('./fixture-chat-model');
+const { UsageCallbackHandler } = require('../utils/usage-tracker');
+
+// One factory per PROVIDERS[].adapter
+const adapters = {
+  openai: (provider, options) => new ChatOpenAI(options),
+
+  anthropic: (provider, options) => new ChatAnthropic(options),
+
+  'openai-compatible': (provider, options) => new ChatOpenAI({
+    ...options,
+    // Local servers ignore the key, but the client insists on one
+    apiKey: process.env[provider.apiKeyEnv] || 'not-needed',
+    configuration: {
+      baseURL: process.env[provider.baseURLEnv] || provider.defaultBaseURL
+    }
+  }),
+
+  fixture: (provider, options) => {
+    const recordFrom = process.env.AI_FIXTURE_RECORD;
+
+    return new FixtureChatModel({
+      modelName: options.modelName,
+      callbacks: options.callbacks,
+      fixturePath: process.env[provider.pathEnv]
+        ? path.resolve(process.env[provider.pathEnv])
+        : path.join(__dirname, provider.defaultPath),
+      recordFrom: recordFrom
+        // The fixture model reports usage; the recorder would count it twice
+        ? buildChatModel(recordFrom, { ...options, callbacks: undefined, modelName: getModelName(recordFrom) })
+        : undefined
+    });
+  }
+};
+
+const registerAdapter = (name, factory) => {
+  adapters[name] = factory;
+};
+
+// AI_PROVIDER wins over the caller's preference
+const resolveProvider = (preferred) => {
+  const name = process.env.AI_PROVIDER || preferred || 'openai';
+
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+  return name;
+};
+
+const isProviderConfigured = (name = resolveProvider()) => {
+  const provider = PROVIDERS[name];
+  return !!provider && (!provider.requiresApiKey || !!process.env[provider.apiKeyEnv]);
+};
+
+const getModelName = (name) => {
+  const provider = PROVIDERS[name];
+  return process.env[provider.modelEnv] || provider.defaultModel;
+};
+
+const supportsFunctions = (name) => !!PROVIDERS[name]?.functions;
+
+const buildChatModel = (name, options) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  const adapter = adapters[provider.adapter];
+  if (!adapter) {
+    throw new Error(`No adapter registered for ${provider.adapter}`);
+  }
+
+  return adapter(provider, options);
+};
+
+const createChatModel = ({ provider: preferred, modelName, temperature, maxTokens, streaming } = {}) => {
+  const name = resolveProvider(preferred);
+  const model = modelName || getModelName(name);
+
+  return buildChatModel(name, {
+    modelName: model,
+    temperature,
+    maxTokens,
+    streaming: streaming || false,
+    callbacks: [new UsageCallbackHandler(model)]
+  });
+};
+
+module.exports = {
+  createChatModel,
+  registerAdapter,
+  resolveProvider,
+  isProviderConfigured,
+  getModelName,
+  supportsFunctions
+};
@@ -0,0 +1,215 @@
+// src/services/agent-pool.js
+const AIOrchestrator = require('./ai-orchestrator');
+const ResponseGenerator = require('./response-generator');
+const MockOrchestrator = require('./mock-orchestrator');
+const ProductManagerAgent = require('../agents/product-manager.agent');
+const TaskAnalyzerAgent = require('../agents/task-analyzer.agent');
+const MeetingSummarizerAgent = require('../agents/meeting-summarizer.agent');
+const DocumentProcessor = require('../embeddings/document-processor');
+const { resolveProvider, isProviderConfigured, getModelName } = require('../providers');
+const { vectorStoreProblem, getEmbeddingModelName } = require('../vectorstores');
+const logger = require('../utils/logger');
+const usageTracker = require('../utils/usage-tracker');
+
+// auto: live agents when a provider is configured, mock otherwise
+// live: refuse to start unless every agent with a mock comes up live
+// mock: canned answers only
+const MODES = ['auto', 'live', 'mock'];
+
+// `requires`: env keys needed besides the chat provider; `problem` returns
+// any other reason the agent can't start. `provider: false` for agents
+// that don't chat. `mock: false` for agents without canned answers; they
+// report 'unavailable' instead.
+const AGENTS = {
+  orchestrator: {
+    create: async () => {
+      const orchestrator = new AIOrchestrator();
+      await orchestrator.initialize();
+      return orchestrator;
+    }
+  },
+  chat: {
+    create: async () => new ResponseGenerator()
+  },
+  productManager: {
+    create: async () => new ProductManagerAgent()
+  },
+  taskAnalyzer: {
+    create: async () => new TaskAnalyzerAgent()
+  },
+  meetingSummarizer: {
+    requires: ['OPENAI_API_KEY'],
+    mock: false,
+    create: async () => new MeetingSummarizerAgent()
+  },
+  documents: {
+    problem: vectorStoreProblem,
+    provider: false,
+    mock: false,
+    model: () => getEmbeddingModelName(),
+    create: async () => {
+      const processor = new DocumentProcessor();
+      await processor.initialize();
+      return processor;
+    }
+  }
+};
+
+class AgentPool {
+  constructor() {
+    this.mode = 'auto';
+    this.mock = new MockOrchestrator();
+    this.instances = new Map();
+    this.status = {};
+  }
+
+  async initialize(mode = process.env.AI_ENGINE_MODE || 'auto') {
+    if (!MODES.includes(mode)) {
+      throw new Error(`AI_ENGINE_MODE must be one of ${MODES.join(', ')}`);
+    }
+
+    this.mode = mode;
+    this.instances.clear();
+    await this.mock.initialize();
+
+    for (const [name, spec] of Object.entries(AGENTS)) {
+      this.status[name] = await this.start(name, spec);
+    }
+
+    if (mode === 'live') {
+      const notLive = Object.keys(AGENTS)
+        .filter(name => AGENTS[name].mock !== false && this.status[name].mode !== 'live');
+
+      if (notLive.length > 0) {
+        throw new Error(`AI_ENGINE_MODE=live but not live: ${notLive.map(name => `${name} (${this.status[name].reason})`).join(', ')}`);
+      }
+    }
+  }
+
+  async start(name, spec) {
+    const provider = spec.provider === false ? undefined : resolveProvider();
+    const missing = (spec.requires || []).filter(key => !process.env[key]);
+    const problem = spec.problem?.();
+    const status = {
+      mode: spec.mock === false ? 'unavailable' : 'mock',
+      provider,
+      model: spec.model ? spec.model() : provider && getModelName(provider),
+      fallbacks: 0
+    };
+
+    if (this.mode === 'mock') {
+      status.reason = 'AI_ENGINE_MODE=mock';
+    } else if (provider && !isProviderConfigured(provider)) {
+      status.reason = `${provider} provider is not configured`;
+    } else if (missing.length > 0) {
+      status.reason = `Missing ${missing.join(', ')}`;
+    } else if (problem) {
+      status.reason = problem;
+    } else {
+      try {
+        this.instances.set(name, await spec.create());
+        status.mode = 'live';
+      } catch (error) {
+        logger.error(`Failed to start ${name} agent: ${error.message}`);
+        status.reason = error.message;
+      }
+    }
+
+    logger.info(`Agent ${name}: ${status.mode}${status.reason ? ` (${status.reason})` : ''}`);
+    return status;
+  }
+
+  get(name) {
+    return this.instances.get(name);
+  }
+
+  isAvailable(name) {
+    return this.status[name]?.mode !== 'unavailable';
+  }
+
+  // Runs `live` with the agent when it is live. When it isn't, or `live`
+  // throws, answers with `mock(mockOrchestrator)` instead; without a mock the
+  // error is rethrown. `canFallBack` can veto the fallback, e.g. once a
+  // stream has started. Results are tagged with the agent, model, mode and
+  // the token usage of every model call made along the way.
+  async run(name, live, mock, options = {}) {
+    const { result: [result, mode], usage } = await usageTracker.track(
+      () => this.attempt(name, live, mock, options)
+    );
+
+    return this.tag(result, name, mode, usage);
+  }
+
+  // Metadata for a call whose own usage report never arrived, such as a
+  // stream the client cancelled before `done`. Tokens are counted from the
+  // text sent and received and marked estimated; mock answers cost nothing.
+  async estimate(name, prompt, completion) {
+    const mode = this.instances.has(name) ? 'live' : 'mock';
+    const { usage } = await usageTracker.track(async () => {
+      if (mode !== 'live') return;
+
+      usageTracker.record({
+        model: this.status[name].model,
+        promptTokens: usageTracker.countTokens(prompt),
+        completionTokens: usageTracker.countTokens(completion),
+        estimated: true
+      });
+    });
+
+    return this.tag({}, name, mode, usage).metadata;
+  }
+
+  async attempt(name, live, mock, { canFallBack = () => true } = {}) {
+    const instance = this.instances.get(name);
+
+    if (instance) {
+      try {
+        return [await live(instance), 'live'];
+      } catch (error) {
+        if (!mock || !canFallBack()) throw error;
+        this.recordFallback(name, error);
+      }
+    }
+
+    if (!mock) {
+      throw new Error(`${name} agent is unavailable: ${this.status[name].reason}`);
+    }
+
+    return [await mock(this.mock), 'mock'];
+  }
+
+  recordFallback(name, error) {
+    logger.warn(`${name} agent failed, answering with mock: ${error.message}`);
+
+    const status = this.status[name];
+    status.fallbacks += 1;
+    status.lastFallback = { at: new Date().toISOString(), error: error.message };
+  }
+
+  tag(result, name, mode, usage) {
+    return {
+      ...result,
+      metadata: {
+        ...result.metadata,
+        agent: name,
+        model: mode === 'live' ? this.status[name].model : 'mock',
+        mode,
+        usage
+      }
+    };
+  }
+
+  health() {
+    const modes = new Set(Object.values(this.status)
+      .filter(status => status.mode !== 'unavailable')
+      .map(status => status.mode));
+
+    return {
+      mode: modes.size > 1 ? 'mixed' : [...modes][0] || 'mock',
+      configuredMode: this.mode,
+      agents: this.status
+    };
+  }
+}
+
+module.exports = AgentPool;
@@ -1,5 +1,6 @@
 const OrchestratorAgent = require('../agents/orchestrator.agent');
 const ContextManager = require('../memory/context.manager');
+const ProjectKnowledge = require('../memory/project-knowledge');
 const logger = require('../utils/logger');
 
 class AIOrchestrator {
@@ -25,6 +26,7 @@ class AIOrchestrator {
       const fullContext = await contextManager.buildContext(request, {
         includeHistory: options.includeHistory !== false,
         includeDocuments: options.includeDocuments,
+        projectId: context?.projectId,
         additionalContext: context
       });
 
@@ -42,6 +44,8 @@ class AIOrchestrator {
         response: result.finalResponse,
         routing: result.routing,
         agentResults: result.agentResults,
+        sources: ProjectKnowledge.sources(fullContext.relevantDocuments),
+        confidence: contextManager.knowledge.confidence(fullContext.relevantDocuments),
         metadata: {
           timestamp: new Date().toISOString(),
           userId,
@@ -62,6 +66,7 @@ class AIOrchestrator {
       await contextManager.initialize();
 
       const fullContext = await contextManager.buildContext(request, {
+        projectId: context?.projectId,
         additionalContext: context
       });
 
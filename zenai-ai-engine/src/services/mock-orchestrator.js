@@ -0,0 +1,129 @@
+// src/services/mock-orchestrator.js
+const logger = require('../utils/logger');
+
+// Canned answers used when no AI provider is configured, and as the
+// per-request fallback when a live agent fails
+class MockOrchestrator {
+  constructor() {
+    // Per-thread history, keyed like AIOrchestrator's context managers
+    this.conversations = new Map();
+  }
+
+  async initialize() {
+    logger.info('Mock Orchestrator initialized');
+    return true;
+  }
+
+  async processRequest(message, context = {}, options = {}) {
+    logger.info(`Processing request: ${message.substring(0, 50)}...`);
+    
+    // Mock response based on context type
+    if (context.type === 'task-analysis') {
+      return {
+        response: `Task analysis for: "${message}"`,
+        analysis: {
+          complexityScore: 5,
+          estimatedHours: 8,
+          skillsRequired: ['JavaScript', 'Node.js'],
+          recommendations: ['Break down into smaller tasks', 'Add unit tests']
+        }
+      };
+    }
+
+    if (context.type === 'task-creation') {
+      return {
+        response: 'Task created successfully',
+        task: {
+          title: message.substring(0, 50),
+          description: message,
+          priority: 'medium',
+          estimatedTime: 8,
+          tags: ['ai-generated']
+        }
+      };
+    }
+
+    if (context.type === 'project-analysis') {
+      return {
+        response: 'Project analysis completed',
+        health: {
+          score: 75,
+          status: 'healthy',
+          insights: ['Project on track', 'Good velocity'],
+          recommendations: ['Continue current pace']
+        }
+      };
+    }
+
+    // Default response
+    const response = `I received your message: "${message}". AI engine is running in mock mode. Connect OpenAI for full functionality.`;
+    const history = this.recordTurn(options, message, response);
+
+    return {
+      response,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        mode: 'mock',
+        conversationId: options.conversationId,
+        historyLength: history.length
+      }
+    };
+  }
+
+  async streamRequest(message, context = {}, onToken, signal, options = {}) {
+    const { response } = await this.processRequest(message, context, options);
+    const tokens = response.match(/\S+\s*/g) || [];
+
+    for (const token of tokens) {
+      if (signal?.aborted) break;
+      onToken(token);
+    }
+
+    return response;
+  }
+
+  recordTurn({ userId, conversationId }, message, response) {
+    if (!conversationId) return [];
+
+    const key = `${userId}:${conversationId}`;
+    const history = this.conversations.get(key) || [];
+    history.push({ role: 'human', content: message }, { role: 'ai', content: response });
+    this.conversations.set(key, history);
+
+    return history;
+  }
+
+  async clearContext(userId, conversationId) {
+    this.conversations.delete(`${userId}:${conversationId}`);
+  }
+
+  // Same shapes as ProductManagerAgent / TaskAnalyzerAgent
+  async suggestTaskBreakdown(task) {
+    return [
+      { phase: 'Plan', description: 'Agree on scope and acceptance criteria', estimatedTime: 2, priority: 'high' },
+      { phase: 'Build', description: 'Implement the changes', estimatedTime: 6, priority: 'high' },
+      { phase: 'Verify', description: 'Test, review and fix issues', estimatedTime: 3, priority: 'medium' }
+    ].map(({ phase, ...subtask }, index) => ({
+      title: `${task.title} - ${phase}`,
+      ...subtask,
+      dependencies: index > 0 ? [index - 1] : []
+    }));
+  }
+
+  async estimateEffort(tasks) {
+    const hoursByPriority = { low: 4, medium: 8, high: 12, urgent: 16 };
+    const taskEstimates = tasks.map((task, index) => ({
+      taskId: task._id || String(index + 1),
+      hours: hoursByPriority[task.priority] || 8,
+      confidence: 'low'
+    }));
+
+    return {
+      totalHours: taskEstimates.reduce((sum, estimate) => sum + estimate.hours, 0),
+      taskEstimates,
+      criticalPath: taskEstimates.map(estimate => estimate.taskId)
+    };
+  }
+}
+
+module.exports = MockOrchestrator;
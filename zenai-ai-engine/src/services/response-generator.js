@@ -1,10 +1,10 @@
-const { ChatOpenAI } = require('@langchain/openai');
+const { createChatModel } = require('../providers');
+const ProjectKnowledge = require('../memory/project-knowledge');
 const logger = require('../utils/logger');
 
 class ResponseGenerator {
   constructor() {
-    this.model = new ChatOpenAI({
-      modelName: process.env.OPENAI_MODEL || 'gpt-4',
+    this.model = createChatModel({
       temperature: 0.7,
       streaming: true
     });
@@ -17,11 +17,14 @@ class ResponseGenerator {
 
       const messages = [
         { role: 'system', content: systemPrompt },
+        ...this.buildHistory(context.conversationHistory),
         { role: 'user', content: userPrompt }
       ];
 
       if (options.stream) {
-        return await this.streamResponse(messages, options.onToken);
+        return await this.streamResponse(messages, options.onToken, {
+          signal: options.signal
+        });
       }
 
       const response = await this.model.call(messages);
@@ -32,8 +35,8 @@ class ResponseGenerator {
     }
   }
 
-  async streamResponse(messages, onToken) {
-    const stream = await this.model.stream(messages);
+  async streamResponse(messages, onToken, options = {}) {
+    const stream = await this.model.stream(messages, { signal: options.signal });
     let fullResponse = '';
 
     for await (const chunk of stream) {
@@ -64,11 +67,24 @@ class ResponseGenerator {
     return prompt;
   }
 
+  // Earlier turns of the thread, as ConversationMemory stores them
+  buildHistory(history = []) {
+    return history.map(message => ({
+      role: message.role === 'human' ? 'user' : 'assistant',
+      content: message.content
+    }));
+  }
+
   buildUserPrompt(prompt, context) {
     let fullPrompt = prompt;
 
+    const knowledge = ProjectKnowledge.format(context.relevantDocuments);
+    if (knowledge) {
+      fullPrompt = `${knowledge}\n\n${fullPrompt}`;
+    }
+
     if (context.projectContext) {
-      fullPrompt = `${context.projectContext}\n\n${prompt}`;
+      fullPrompt = `${context.projectContext}\n\n${fullPrompt}`;
     }
 
     return fullPrompt;
@@ -0,0 +1,35 @@
+// src/utils/memory-cache.js
+
+// In-process key/value cache with per-key TTL (seconds). Conversation
+// history lives here; it does not survive restarts.
+class MemoryCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt < Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl ? Date.now() + ttl * 1000 : null
+    });
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+}
+
+const cache = new MemoryCache();
+
+module.exports = { cache, MemoryCache };
@@ -1,5 +1,6 @@
 
-const { encoding_for_model } = require('tiktoken');
+const { encoding_for_model, get_encoding } = require('tiktoken');
+const { getModelPricing } = require('../config/ai-models');
 const logger = require('./logger');
 
 class TokenCounter {
@@ -9,7 +10,8 @@ class TokenCounter {
       this.modelName = modelName;
     } catch (error) {
       logger.warn(`Failed to load encoding for ${modelName}, using cl100k_base`);
-      this.encoding = encoding_for_model('cl100k_base');
+      this.encoding = get_encoding('cl100k_base');
+      this.modelName = modelName;
     }
   }
 
@@ -44,19 +46,16 @@ class TokenCounter {
     return totalTokens;
   }
 
-  estimateCost(tokens, model = this.modelName) {
-    // Approximate costs (as of 2024)
-    const costs = {
-      'gpt-4': { input: 0.03, output: 0.06 },
-      'gpt-4-turbo': { input: 0.01, output: 0.03 },
-      'gpt-3.5-turbo': { input: 0.0015, output: 0.002 }
-    };
-
-    const modelCost = costs[model] || costs['gpt-4'];
-    return {
-      input: (tokens / 1000) * modelCost.input,
-      output: (tokens / 1000) * modelCost.output
-    };
+  // USD for one call; models without pricing (local ones) cost nothing
+  estimateCost({ promptTokens = 0, completionTokens = 0, audioSeconds = 0 } = {}, model = this.modelName) {
+    const pricing = getModelPricing(model);
+    if (!pricing) return 0;
+
+    if (pricing.perMinute) {
+      return (audioSeconds / 60) * pricing.perMinute;
+    }
+
+    return (promptTokens / 1000) * pricing.input + (completionTokens / 1000) * pricing.output;
   }
 
   truncateToTokenLimit(text, maxTokens) {
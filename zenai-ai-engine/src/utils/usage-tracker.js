@@ -0,0 +1,119 @@
+// src/utils/usage-tracker.js
+const { AsyncLocalStorage } = require('async_hooks');
+const { BaseCallbackHandler } = require('@langchain/core/callbacks/base');
+const TokenCounter = require('./token-counter');
+
+// Shared between requests, so calls are attributed through async context
+const storage = new AsyncLocalStorage();
+const counter = new TokenCounter();
+
+const textOf = (content) => (typeof content === 'string' ? content : JSON.stringify(content || ''));
+
+const countTokens = (text) => counter.countTokens(textOf(text));
+
+// Adds one model call to the request being tracked; outside track() it's a no-op
+const record = ({ type = 'chat', model, promptTokens = 0, completionTokens = 0, audioSeconds = 0, estimated = false }) => {
+  const calls = storage.getStore();
+  if (!calls) return;
+
+  calls.push({
+    type,
+    model,
+    promptTokens,
+    completionTokens,
+    audioSeconds,
+    estimated,
+    cost: counter.estimateCost({ promptTokens, completionTokens, audioSeconds }, model)
+  });
+};
+
+const summarize = (calls) => {
+  const usage = {
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    audioSeconds: 0,
+    cost: 0,
+    calls: calls.length,
+    estimated: calls.some(call => call.estimated)
+  };
+
+  for (const call of calls) {
+    usage.promptTokens += call.promptTokens;
+    usage.completionTokens += call.completionTokens;
+    usage.audioSeconds += call.audioSeconds;
+    usage.cost += call.cost;
+  }
+
+  usage.totalTokens = usage.promptTokens + usage.completionTokens;
+  usage.cost = Number(usage.cost.toFixed(6));
+  return usage;
+};
+
+// Runs fn and returns its result with the usage of every call made inside.
+// Usage is also attached to errors so failed attempts can still be counted.
+const track = async (fn) => {
+  const calls = [];
+
+  try {
+    const result = await storage.run(calls, fn);
+    return { result, usage: summarize(calls) };
+  } catch (error) {
+    error.usage = summarize(calls);
+    throw error;
+  }
+};
+
+/**
+ * Records each chat model call. Providers that report usage are taken at
+ * their word; for the rest (local servers, fixtures, some streams) tokens
+ * are counted with tiktoken and the call is marked estimated.
+ */
+class UsageCallbackHandler extends BaseCallbackHandler {
+  name = 'usage_tracker';
+
+  constructor(model) {
+    // Awaited so the handler runs inside the request's async context
+    super({ _awaitHandler: true });
+    this.model = model;
+    this.prompts = new Map();
+  }
+
+  handleChatModelStart(llm, messages, runId) {
+    if (storage.getStore()) {
+      this.prompts.set(runId, messages[0] || []);
+    }
+  }
+
+  handleLLMEnd(output, runId) {
+    const prompt = this.prompts.get(runId);
+    this.prompts.delete(runId);
+    if (!prompt) return;
+
+    const generation = output.generations?.[0]?.[0];
+    const reported = generation?.message?.usage_metadata;
+    const tokenUsage = output.llmOutput?.tokenUsage;
+
+    if (reported) {
+      record({ model: this.model, promptTokens: reported.input_tokens, completionTokens: reported.output_tokens });
+    } else if (tokenUsage?.promptTokens !== undefined) {
+      record({ model: this.model, promptTokens: tokenUsage.promptTokens, completionTokens: tokenUsage.completionTokens });
+    } else {
+      record({
+        model: this.model,
+        promptTokens: counter.countMessagesTokens(prompt.map(message => ({
+          role: message._getType(),
+          content: textOf(message.content)
+        }))),
+        completionTokens: countTokens(generation?.text),
+        estimated: true
+      });
+    }
+  }
+
+  handleLLMError(error, runId) {
+    this.prompts.delete(runId);
+  }
+}
+
+module.exports = { track, record, countTokens, UsageCallbackHandler };
@@ -0,0 +1,64 @@
+// src/vectorstores/filter.js
+
+// Pinecone's metadata filter language, evaluated locally so every store
+// answers a filter the same way. A list-valued field matches when any of
+// its items does; $ne and $nin also match records without the field.
+const operators = {
+  $eq: (value, expected) => value !== undefined && anyItem(value, item => item === expected),
+  $ne: (value, expected) => value === undefined || !anyItem(value, item => item === expected),
+  $in: (value, expected) => value !== undefined && anyItem(value, item => expected.includes(item)),
+  $nin: (value, expected) => value === undefined || !anyItem(value, item => expected.includes(item)),
+  $gt: (value, expected) => typeof value === 'number' && value > expected,
+  $gte: (value, expected) => typeof value === 'number' && value >= expected,
+  $lt: (value, expected) => typeof value === 'number' && value < expected,
+  $lte: (value, expected) => typeof value === 'number' && value <= expected,
+  $exists: (value, expected) => (value !== undefined) === expected
+};
+
+const anyItem = (value, test) => (Array.isArray(value) ? value.some(test) : test(value));
+
+const matchesCondition = (value, condition) => {
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return operators.$eq(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    if (!operators[operator]) {
+      throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+    return operators[operator](value, expected);
+  });
+};
+
+const matchesFilter = (metadata = {}, filter = {}) =>
+  Object.entries(filter || {}).every(([key, condition]) => {
+    if (key === '$and') return condition.every(part => matchesFilter(metadata, part));
+    if (key === '$or') return condition.some(part => matchesFilter(metadata, part));
+    return matchesCondition(metadata[key], condition);
+  });
+
+// Pinecone only stores strings, numbers, booleans and lists of strings.
+// Both stores get metadata in that shape so filters see the same values.
+const normalizeMetadata = (metadata = {}) => {
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === null || value === undefined) continue;
+
+    if (value instanceof Date) {
+      normalized[key] = value.toISOString();
+    } else if (Array.isArray(value)) {
+      normalized[key] = value.map(String);
+    } else if (typeof value === 'object') {
+      normalized[key] = typeof value.toString === 'function' && value.toString !== Object.prototype.toString
+        ? value.toString()
+        : JSON.stringify(value);
+    } else {
+      normalized[key] = value;
+    }
+  }
+
+  return normalized;
+};
+
+module.exports = { matchesFilter, normalizeMetadata };
@@ -0,0 +1,47 @@
+// src/vectorstores/hash-embeddings.js
+const crypto = require('crypto');
+const { Embeddings } = require('@langchain/core/embeddings');
+
+/**
+ * Embeddings computed locally by hashing words and adjacent word pairs into
+ * a fixed number of buckets (the "hashing trick"), then L2-normalizing.
+ * Deterministic and offline; texts score as similar when they share
+ * vocabulary.
+ */
+class HashEmbeddings extends Embeddings {
+  constructor(fields = {}) {
+    super(fields);
+    this.dimensions = fields.dimensions || 512;
+    this.modelName = 'hash';
+  }
+
+  tokenize(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = this.tokenize(text);
+    const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+
+    for (const feature of features) {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const bucket = hash.readUInt32LE(0) % this.dimensions;
+      // A second hash bit picks the sign so collisions tend to cancel out
+      vector[bucket] += hash[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  async embedQuery(text) {
+    return this.embed(text);
+  }
+}
+
+module.exports = HashEmbeddings;
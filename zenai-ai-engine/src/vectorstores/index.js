@@ -0,0 +1,133 @@
+// src/vectorstores/index.js
+const path = require('path');
+const { OpenAIEmbeddings } = require('@langchain/openai');
+const { EMBEDDING_PROVIDERS, VECTOR_STORES } = require('../config/ai-models');
+const HashEmbeddings = require('./hash-embeddings');
+const KeywordIndex = require('./keyword-index');
+const LocalAdapter = require('./local.adapter');
+const PineconeAdapter = require('./pinecone.adapter');
+
+// One factory per EMBEDDING_PROVIDERS[].adapter
+const embeddingAdapters = {
+  openai: (provider, model) => new OpenAIEmbeddings({ modelName: model }),
+
+  'openai-compatible': (provider, model) => new OpenAIEmbeddings({
+    modelName: model,
+    apiKey: 'not-needed',
+    configuration: {
+      baseURL: process.env[provider.baseURLEnv] || provider.defaultBaseURL
+    }
+  }),
+
+  hash: (provider) => new HashEmbeddings({ dimensions: hashDimensions(provider) })
+};
+
+// One factory per VECTOR_STORES[].adapter
+const storeAdapters = {
+  pinecone: (store) => new PineconeAdapter({
+    apiKey: process.env[store.apiKeyEnv],
+    indexName: process.env[store.indexEnv] || store.defaultIndex
+  }),
+
+  local: (store, { embeddingModel }) => new LocalAdapter({
+    directory: path.resolve(process.env[store.pathEnv] || store.defaultPath),
+    embeddingModel
+  })
+};
+
+const hashDimensions = (provider) =>
+  parseInt(process.env[provider.dimensionsEnv]) || provider.defaultDimensions;
+
+const pick = (table, kind, name) => {
+  if (!table[name]) {
+    throw new Error(`Unknown ${kind}: ${name}`);
+  }
+  return name;
+};
+
+const resolveEmbeddingProvider = (preferred) => pick(
+  EMBEDDING_PROVIDERS,
+  'embedding provider',
+  process.env.EMBEDDING_PROVIDER || preferred || (process.env.OPENAI_API_KEY ? 'openai' : 'hash')
+);
+
+const resolveVectorStore = (preferred) => pick(
+  VECTOR_STORES,
+  'vector store',
+  process.env.VECTOR_STORE || preferred || (process.env.PINECONE_API_KEY ? 'pinecone' : 'local')
+);
+
+// The dimension is part of the hash model's name so stores notice a change
+const getEmbeddingModelName = (name = resolveEmbeddingProvider()) => {
+  const provider = EMBEDDING_PROVIDERS[name];
+  if (provider.adapter === 'hash') {
+    return `${provider.defaultModel}-${hashDimensions(provider)}`;
+  }
+  return process.env[provider.modelEnv] || provider.defaultModel;
+};
+
+const isEmbeddingMetered = (name) => EMBEDDING_PROVIDERS[name]?.metered !== false;
+
+// Why retrieval can't run with the current settings, or null when it can
+const vectorStoreProblem = () => {
+  try {
+    const store = VECTOR_STORES[resolveVectorStore()];
+    const provider = EMBEDDING_PROVIDERS[resolveEmbeddingProvider()];
+
+    for (const { apiKeyEnv, requiresApiKey } of [store, provider]) {
+      if (requiresApiKey && !process.env[apiKeyEnv]) {
+        return `Missing ${apiKeyEnv}`;
+      }
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const createEmbeddings = (name = resolveEmbeddingProvider()) => {
+  const provider = EMBEDDING_PROVIDERS[name];
+  return embeddingAdapters[provider.adapter](provider, getEmbeddingModelName(name));
+};
+
+// Shared per process: the local adapter caches namespaces in memory, so
+// every VectorStore must see the same copy
+const adapterCache = new Map();
+
+const createVectorStoreAdapter = (name = resolveVectorStore(), options = {}) => {
+  const store = VECTOR_STORES[name];
+  const key = JSON.stringify([name, options.embeddingModel, process.env[store.pathEnv], process.env[store.indexEnv]]);
+
+  if (!adapterCache.has(key)) {
+    adapterCache.set(key, storeAdapters[store.adapter](store, options));
+  }
+  return adapterCache.get(key);
+};
+
+// The BM25 index is always local: a `keywords` folder under the local
+// vector store's path unless KEYWORD_INDEX_PATH is set. Shared per process
+// for the same reason as the adapters.
+const keywordIndexCache = new Map();
+
+const createKeywordIndex = () => {
+  const directory = path.resolve(process.env.KEYWORD_INDEX_PATH || path.join(
+    process.env[VECTOR_STORES.local.pathEnv] || VECTOR_STORES.local.defaultPath,
+    'keywords'
+  ));
+
+  if (!keywordIndexCache.has(directory)) {
+    keywordIndexCache.set(directory, new KeywordIndex({ directory }));
+  }
+  return keywordIndexCache.get(directory);
+};
+
+module.exports = {
+  createEmbeddings,
+  createVectorStoreAdapter,
+  createKeywordIndex,
+  resolveEmbeddingProvider,
+  resolveVectorStore,
+  getEmbeddingModelName,
+  isEmbeddingMetered,
+  vectorStoreProblem
+};
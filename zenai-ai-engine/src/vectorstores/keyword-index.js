@@ -0,0 +1,168 @@
+// src/vectorstores/keyword-index.js
+const fs = require('fs');
+const path = require('path');
+const { matchesFilter } = require('./filter');
+
+const DEFAULT_NAMESPACE_FILE = '__default__';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could',
+  'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in',
+  'into', 'is', 'it', 'its', 'may', 'might', 'must', 'no', 'not', 'of', 'on', 'or',
+  'our', 'should', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'they',
+  'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'would', 'you', 'your'
+]);
+
+// Lowercased words minus stop words, with a plural "s" dropped so "invoices"
+// matches "invoice"
+const tokenize = (text) => ((text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(word => !STOP_WORDS.has(word))
+  .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+/**
+ * BM25 inverted index over the same records as the vector store, with one
+ * JSON file per namespace under `directory`. Only term frequencies, text
+ * and metadata are stored; postings are rebuilt when a namespace loads.
+ *
+ * Scores are raw BM25: unbounded, and only comparable within one query.
+ */
+class KeywordIndex {
+  constructor({ directory, k1 = 1.2, b = 0.75 }) {
+    this.directory = directory;
+    this.k1 = k1;
+    this.b = b;
+    this.namespaces = new Map();
+    this.writes = new Map();
+  }
+
+  fileFor(namespace) {
+    return path.join(this.directory, `${encodeURIComponent(namespace || DEFAULT_NAMESPACE_FILE)}.json`);
+  }
+
+  load(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      const file = this.fileFor(namespace);
+      const records = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).records : [];
+
+      const store = { records: new Map(), postings: new Map(), totalLength: 0 };
+      records.forEach(record => this.add(store, record));
+      this.namespaces.set(namespace, store);
+    }
+
+    return this.namespaces.get(namespace);
+  }
+
+  add(store, record) {
+    this.remove(store, record.id);
+    store.records.set(record.id, record);
+    store.totalLength += record.length;
+
+    for (const [term, frequency] of Object.entries(record.terms)) {
+      if (!store.postings.has(term)) store.postings.set(term, new Map());
+      store.postings.get(term).set(record.id, frequency);
+    }
+  }
+
+  remove(store, id) {
+    const record = store.records.get(id);
+    if (!record) return;
+
+    store.records.delete(id);
+    store.totalLength -= record.length;
+
+    for (const term of Object.keys(record.terms)) {
+      const posting = store.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) store.postings.delete(term);
+    }
+  }
+
+  // Same write chaining and temp-file rename as the local vector store
+  async persist(namespace) {
+    const previous = this.writes.get(namespace) || Promise.resolve();
+
+    const write = previous.then(async () => {
+      const store = this.namespaces.get(namespace);
+      const file = this.fileFor(namespace);
+      const temp = `${file}.${process.pid}.tmp`;
+
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.writeFile(temp, JSON.stringify({ records: [...store.records.values()] }));
+      await fs.promises.rename(temp, file);
+    });
+
+    this.writes.set(namespace, write.catch(() => {}));
+    return write;
+  }
+
+  // `records` are { id, text, metadata }
+  async upsert(namespace, records) {
+    const store = this.load(namespace);
+
+    for (const { id, text, metadata } of records) {
+      const tokens = tokenize(text);
+      const terms = {};
+      tokens.forEach(token => { terms[token] = (terms[token] || 0) + 1; });
+
+      this.add(store, { id, text, metadata, terms, length: tokens.length });
+    }
+
+    await this.persist(namespace);
+  }
+
+  async search(namespace, query, { k = 5, filter = {} } = {}) {
+    const store = this.load(namespace);
+    const count = store.records.size;
+    if (count === 0) return [];
+
+    const averageLength = store.totalLength / count || 1;
+    const scores = new Map();
+
+    for (const term of new Set(tokenize(query))) {
+      const posting = store.postings.get(term);
+      if (!posting) continue;
+
+      // BM25 idf, floored at zero by the +1 so common terms never subtract
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [id, frequency] of posting) {
+        const length = store.records.get(id).length;
+        const weight = (frequency * (this.k1 + 1)) /
+          (frequency + this.k1 * (1 - this.b + this.b * length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + idf * weight);
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ ...store.records.get(id), score }))
+      .filter(record => matchesFilter(record.metadata, filter))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+      .map(({ id, text, metadata, score }) => ({ id, text, metadata, score }));
+  }
+
+  async delete(namespace, { ids, filter, prefix }) {
+    const store = this.load(namespace);
+    const hasFilter = filter && Object.keys(filter).length > 0;
+
+    for (const record of [...store.records.values()]) {
+      if ((prefix && record.id.startsWith(prefix)) ||
+          ids?.includes(record.id) ||
+          (hasFilter && matchesFilter(record.metadata, filter))) {
+        this.remove(store, record.id);
+      }
+    }
+
+    await this.persist(namespace);
+  }
+
+  async deleteNamespace(namespace) {
+    this.namespaces.delete(namespace);
+    await fs.promises.rm(this.fileFor(namespace), { force: true });
+  }
+}
+
+KeywordIndex.tokenize = tokenize;
+
+module.exports = KeywordIndex;
@@ -0,0 +1,164 @@
+// src/vectorstores/local.adapter.js
+const fs = require('fs');
+const path = require('path');
+const { matchesFilter } = require('./filter');
+
+const DEFAULT_NAMESPACE_FILE = '__default__';
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Exact (flat) cosine search over vectors kept in memory, with one JSON
+ * file per namespace under `directory`. Each file remembers the embedding
+ * model it was built with and refuses vectors from another one.
+ *
+ * Search is linear in the namespace size, which is fine for tens of
+ * thousands of chunks; use Pinecone beyond that.
+ */
+class LocalAdapter {
+  constructor({ directory, embeddingModel }) {
+    this.directory = directory;
+    this.embeddingModel = embeddingModel;
+    this.namespaces = new Map();
+    this.writes = new Map();
+  }
+
+  fileFor(namespace) {
+    return path.join(this.directory, `${encodeURIComponent(namespace || DEFAULT_NAMESPACE_FILE)}.json`);
+  }
+
+  load(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      const file = this.fileFor(namespace);
+      const data = fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, 'utf8'))
+        : { model: this.embeddingModel, records: [] };
+
+      if (data.records.length > 0 && data.model !== this.embeddingModel) {
+        throw new Error(
+          `Vector namespace "${namespace}" was indexed with ${data.model}, not ${this.embeddingModel}; ` +
+          're-index it or switch EMBEDDING_PROVIDER back'
+        );
+      }
+
+      data.model = this.embeddingModel;
+      this.namespaces.set(namespace, {
+        model: data.model,
+        records: new Map(data.records.map(record => [record.id, record]))
+      });
+    }
+
+    return this.namespaces.get(namespace);
+  }
+
+  // Writes are chained per namespace and go through a temp file, so a
+  // crash never leaves a half-written index behind
+  async persist(namespace) {
+    const previous = this.writes.get(namespace) || Promise.resolve();
+
+    const write = previous.then(async () => {
+      const store = this.namespaces.get(namespace);
+      const file = this.fileFor(namespace);
+      const temp = `${file}.${process.pid}.tmp`;
+
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.writeFile(temp, JSON.stringify({
+        model: store.model,
+        records: [...store.records.values()]
+      }));
+      await fs.promises.rename(temp, file);
+    });
+
+    this.writes.set(namespace, write.catch(() => {}));
+    return write;
+  }
+
+  async upsert(namespace, records) {
+    const store = this.load(namespace);
+    const dimension = store.records.values().next().value?.values.length;
+
+    for (const record of records) {
+      if (dimension && record.values.length !== dimension) {
+        throw new Error(`Vector dimension ${record.values.length} does not match namespace dimension ${dimension}`);
+      }
+      store.records.set(record.id, record);
+    }
+
+    await this.persist(namespace);
+  }
+
+  async query(namespace, vector, { k, filter }) {
+    const store = this.load(namespace);
+
+    return [...store.records.values()]
+      .filter(record => matchesFilter(record.metadata, filter))
+      .map(record => ({ id: record.id, score: cosine(vector, record.values), metadata: record.metadata }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  async fetch(namespace, ids) {
+    const store = this.load(namespace);
+    return ids.map(id => store.records.get(id)).filter(Boolean);
+  }
+
+  async delete(namespace, { ids, filter, prefix }) {
+    const store = this.load(namespace);
+    const hasFilter = filter && Object.keys(filter).length > 0;
+
+    for (const record of [...store.records.values()]) {
+      if ((prefix && record.id.startsWith(prefix)) ||
+          ids?.includes(record.id) ||
+          (hasFilter && matchesFilter(record.metadata, filter))) {
+        store.records.delete(record.id);
+      }
+    }
+
+    await this.persist(namespace);
+  }
+
+  async deleteNamespace(namespace) {
+    this.namespaces.delete(namespace);
+    await fs.promises.rm(this.fileFor(namespace), { force: true });
+  }
+
+  async stats() {
+    const files = fs.existsSync(this.directory)
+      ? (await fs.promises.readdir(this.directory)).filter(file => file.endsWith('.json'))
+      : [];
+
+    const namespaces = {};
+    let dimension;
+
+    for (const file of files) {
+      const name = decodeURIComponent(path.basename(file, '.json'));
+      const namespace = name === DEFAULT_NAMESPACE_FILE ? '' : name;
+      const store = this.load(namespace);
+
+      namespaces[namespace] = { recordCount: store.records.size };
+      dimension = dimension || store.records.values().next().value?.values.length;
+    }
+
+    return {
+      dimension,
+      totalRecordCount: Object.values(namespaces).reduce((sum, ns) => sum + ns.recordCount, 0),
+      namespaces
+    };
+  }
+}
+
+LocalAdapter.cosine = cosine;
+
+module.exports = LocalAdapter;
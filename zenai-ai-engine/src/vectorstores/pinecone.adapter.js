@@ -0,0 +1,80 @@
+// src/vectorstores/pinecone.adapter.js
+const { Pinecone } = require('@pinecone-database/pinecone');
+
+const UPSERT_BATCH = 100;
+
+const isEmpty = (filter) => !filter || Object.keys(filter).length === 0;
+
+class PineconeAdapter {
+  constructor({ apiKey, indexName }) {
+    this.client = new Pinecone({ apiKey });
+    this.index = this.client.index(indexName);
+  }
+
+  async upsert(namespace, records) {
+    const target = this.index.namespace(namespace);
+
+    for (let i = 0; i < records.length; i += UPSERT_BATCH) {
+      await target.upsert(records.slice(i, i + UPSERT_BATCH));
+    }
+  }
+
+  async query(namespace, vector, { k, filter }) {
+    const response = await this.index.namespace(namespace).query({
+      vector,
+      topK: k,
+      filter: isEmpty(filter) ? undefined : filter,
+      includeMetadata: true
+    });
+
+    return response.matches.map(match => ({
+      id: match.id,
+      score: match.score,
+      metadata: match.metadata || {}
+    }));
+  }
+
+  async fetch(namespace, ids) {
+    const response = await this.index.namespace(namespace).fetch(ids);
+
+    return Object.values(response.records || {}).map(record => ({
+      id: record.id,
+      values: record.values,
+      metadata: record.metadata || {}
+    }));
+  }
+
+  // Serverless indexes can't delete by filter; id prefixes work everywhere
+  async delete(namespace, { ids, filter, prefix }) {
+    const target = this.index.namespace(namespace);
+
+    if (prefix) {
+      let paginationToken;
+      do {
+        const page = await target.listPaginated({ prefix, paginationToken });
+        const pageIds = (page.vectors || []).map(vector => vector.id);
+        if (pageIds.length > 0) await target.deleteMany(pageIds);
+        paginationToken = page.pagination?.next;
+      } while (paginationToken);
+    }
+
+    if (ids?.length) await target.deleteMany(ids);
+    if (!isEmpty(filter)) await target.deleteMany(filter);
+  }
+
+  async deleteNamespace(namespace) {
+    await this.index.namespace(namespace).deleteAll();
+  }
+
+  async stats() {
+    const stats = await this.index.describeIndexStats();
+
+    return {
+      dimension: stats.dimension,
+      totalRecordCount: stats.totalRecordCount,
+      namespaces: stats.namespaces || {}
+    };
+  }
+}
+
+module.exports = PineconeAdapter;
@@ -7,18 +7,25 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const execPromise = promisify(exec);
 const logger = require('../utils/logger');
+const usageTracker = require('../utils/usage-tracker');
 
 class WhisperService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    // The client refuses to start without a key; agents that never
+    // transcribe still construct this service
+    this.openai = process.env.OPENAI_API_KEY
+      ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+      : null;
     this.model = process.env.WHISPER_MODEL || 'whisper-1';
     this.maxFileSize = 25 * 1024 * 1024; // 25MB limit
   }
 
   async transcribe(audioFilePath, options = {}) {
     try {
+      if (!this.openai) {
+        throw new Error('Transcription requires OPENAI_API_KEY');
+      }
+
       // Validate file
       if (!fs.existsSync(audioFilePath)) {
         throw new Error('Audio file not found');
@@ -42,6 +49,7 @@ class WhisperService {
         response_format: options.format || 'verbose_json',
         temperature: options.temperature || 0
       });
+      usageTracker.record({ type: 'transcription', model: this.model, audioSeconds: transcription.duration || 0 });
 
       // Cleanup
       if (processedPath !== audioFilePath) {
@@ -12,6 +12,17 @@ const authRoutes = require('./routes/auth.routes');
 const projectRoutes = require('./routes/project.routes');
 const taskRoutes = require('./routes/task.routes');
 const aiRoutes = require('./routes/ai.routes');
+const conversationRoutes = require('./routes/conversation.routes');
+const jobRoutes = require('./routes/job.routes');
+const automationRoutes = require('./routes/automation.routes');
+const templateRoutes = require('./routes/template.routes');
+const recurringRoutes = require('./routes/recurring.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const userRoutes = require('./routes/user.routes');
+const integrationRoutes = require('./routes/integration.routes');
+const analyticsRoutes = require('./routes/analytics.routes');
+const searchRoutes = require('./routes/search.routes');
 
 const app = express();
 
@@ -23,7 +34,13 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Kept for verifying signed webhook deliveries
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression
@@ -53,9 +70,20 @@ app.get('/health', (req, res) => {
 // API routes
 const API_VERSION = process.env.API_VERSION || 'v1';
 app.use(`/api/${API_VERSION}/auth`, authRoutes);
+app.use(`/api/${API_VERSION}/users`, userRoutes);
+app.use(`/api/${API_VERSION}/projects/:projectId/automations`, automationRoutes);
+app.use(`/api/${API_VERSION}/projects/:projectId/templates`, templateRoutes);
+app.use(`/api/${API_VERSION}/projects/:projectId/recurring`, recurringRoutes);
 app.use(`/api/${API_VERSION}/projects`, projectRoutes);
 app.use(`/api/${API_VERSION}/tasks`, taskRoutes);
+app.use(`/api/${API_VERSION}/ai/conversations`, conversationRoutes);
 app.use(`/api/${API_VERSION}/ai`, aiRoutes);
+app.use(`/api/${API_VERSION}/jobs`, jobRoutes);
+app.use(`/api/${API_VERSION}/notifications`, notificationRoutes);
+app.use(`/api/${API_VERSION}/webhooks`, webhookRoutes);
+app.use(`/api/${API_VERSION}/integrations`, integrationRoutes);
+app.use(`/api/${API_VERSION}/analytics`, analyticsRoutes);
+app.use(`/api/${API_VERSION}/search`, searchRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -1,7 +1,14 @@
 // src/controllers/ai.controller.js
+const mongoose = require('mongoose');
 const aiService = require('../services/ai.service');
+const knowledgeService = require('../services/knowledge.service');
+const documentService = require('../services/document.service');
 const Project = require('../models/Project.model');
 const Task = require('../models/Task.model');
+const ChatMessage = require('../models/ChatMessage.model');
+const Conversation = require('../models/Conversation.model');
+const Document = require('../models/Document.model');
+const { addJob, JOB_NAMES } = require('../queue/jobs');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -41,10 +48,45 @@ const upload = multer({
 
 exports.uploadAudio = upload.single('audio');
 
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+
+// Project documents are kept after indexing so they can be re-indexed
+const documentUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdirSync(documentService.uploadDir, { recursive: true });
+      cb(null, documentService.uploadDir);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
+  fileFilter: (req, file, cb) => {
+    if (documentService.formatOf(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error(`Invalid file type. Allowed: ${documentService.extensions.join(', ')}`));
+  }
+});
+
+// Rejected uploads are the client's error, not a server failure
+exports.uploadDocument = (req, res, next) => {
+  documentUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next();
+  });
+};
+
 // Chat with AI
 exports.chat = async (req, res, next) => {
   try {
-    const { message, context } = req.body;
+    const { message, context = {}, conversationId } = req.body;
     const userId = req.user.userId;
 
     if (!message) {
@@ -54,17 +96,170 @@ exports.chat = async (req, res, next) => {
       });
     }
 
-    const result = await aiService.chat(userId, message, context);
+    if (context.projectId && !(await canAccessProject(context.projectId, userId))) {
+      return denyProjectAccess(res);
+    }
+
+    const conversation = await resolveConversation(userId, conversationId, context);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    // Pinned thread context applies unless the request overrides it
+    const chatContext = {
+      projectId: conversation.context?.projectId?.toString(),
+      taskId: conversation.context?.taskId?.toString(),
+      ...context
+    };
+
+    // Answers draw on the project's indexed knowledge, so the caller must
+    // still be on the project a thread was pinned to
+    if (!context.projectId && chatContext.projectId &&
+        !(await canAccessProject(chatContext.projectId, userId))) {
+      return denyProjectAccess(res);
+    }
+
+    // A thread opened for this request is dropped again if the chat fails
+    const isNew = !conversationId;
+
+    if (req.body.stream) {
+      return streamChat(req, res, userId, message, chatContext, conversation, isNew);
+    }
+
+    const result = await aiService.chat(userId, message, chatContext, conversation._id);
+
+    const discarded = result.metadata.fallback && isNew && await discardEmptyConversation(conversation);
+    if (!result.metadata.fallback) {
+      await autoTitleConversation(conversation, message, result.response);
+    }
 
     res.json({
       success: true,
-      data: result
+      data: {
+        ...result,
+        conversationId: discarded ? null : conversation._id,
+        title: conversation.title
+      }
     });
   } catch (error) {
     next(error);
   }
 };
 
+// Relay engine tokens to the client as Server-Sent Events
+async function streamChat(req, res, userId, message, context, conversation, isNew) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const send = (payload) => {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    // compression() buffers output unless flushed explicitly
+    if (res.flush) res.flush();
+  };
+
+  try {
+    const result = await aiService.streamChat(userId, message, context, {
+      conversationId: conversation._id,
+      onToken: (content) => send({ type: 'token', content }),
+      signal: controller.signal
+    });
+
+    if (!result.metadata.cancelled) {
+      await autoTitleConversation(conversation, message, result.response);
+    } else if (isNew) {
+      // Cancelled before the first token: nothing was saved to the thread
+      await discardEmptyConversation(conversation);
+    }
+
+    if (!controller.signal.aborted) {
+      send({
+        type: 'done',
+        data: {
+          ...result,
+          conversationId: conversation._id,
+          title: conversation.title
+        }
+      });
+    }
+  } catch (error) {
+    logger.error(`Chat stream failed for user ${userId}: ${error.message}`);
+    if (isNew) {
+      await discardEmptyConversation(conversation);
+    }
+    send({
+      type: 'error',
+      message: "I'm currently experiencing connectivity issues. Please try again later."
+    });
+  }
+
+  res.end();
+}
+
+async function canAccessProject(projectId, userId) {
+  if (!mongoose.isValidObjectId(projectId)) return false;
+
+  const project = await Project.findById(projectId).select('owner team');
+  return Boolean(project) && (
+    project.owner.toString() === userId ||
+    project.team.some(t => t.user.toString() === userId)
+  );
+}
+
+function denyProjectAccess(res) {
+  return res.status(403).json({
+    success: false,
+    message: 'Access denied'
+  });
+}
+
+// Continue an existing thread, or open a new one pinned to the request context
+async function resolveConversation(userId, conversationId, context) {
+  if (conversationId) {
+    return Conversation.findOne({ _id: conversationId, user: userId });
+  }
+
+  return Conversation.create({
+    user: userId,
+    context: {
+      projectId: context.projectId,
+      taskId: context.taskId
+    }
+  });
+}
+
+// Removes a thread that still has no messages, e.g. one opened for a chat
+// that failed; true when it was removed
+async function discardEmptyConversation(conversation) {
+  const { deletedCount } = await Conversation.deleteOne({ _id: conversation._id, messageCount: 0 });
+  return deletedCount > 0;
+}
+
+// Name a thread after its first exchange unless the user already titled it
+async function autoTitleConversation(conversation, message, reply) {
+  if (conversation.titleLocked || conversation.messageCount > 0) return;
+
+  try {
+    conversation.title = await aiService.generateConversationTitle(message, reply, {
+      userId: conversation.user,
+      projectId: conversation.context?.projectId
+    });
+    await conversation.save();
+  } catch (error) {
+    logger.error(`Auto-title failed for conversation ${conversation._id}: ${error.message}`);
+  }
+}
+
 // Create task from natural language
 exports.createTask = async (req, res, next) => {
   try {
@@ -111,6 +306,7 @@ exports.createTask = async (req, res, next) => {
     });
 
     logger.info(`AI created task: ${task._id} for project: ${projectId}`);
+    knowledgeService.taskChanged(task, userId);
 
     res.status(201).json({
       success: true,
@@ -152,7 +348,10 @@ exports.analyzeTask = async (req, res, next) => {
       priority: task.project.priority
     };
 
-    const analysis = await aiService.analyzeTask(task, projectContext);
+    const analysis = await aiService.analyzeTask(task, projectContext, {
+      userId: req.user.userId,
+      projectId: task.project._id
+    });
 
     res.json({
       success: true,
@@ -187,9 +386,25 @@ exports.analyzeProject = async (req, res, next) => {
       });
     }
 
+    if (req.query.async === 'true') {
+      const job = await addJob(JOB_NAMES.ANALYZE_PROJECT, {
+        projectId,
+        userId: req.user.userId
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Project analysis queued',
+        data: { jobId: job.id, status: 'queued' }
+      });
+    }
+
     const tasks = await Task.find({ project: projectId });
 
-    const analysis = await aiService.analyzeProject(project, tasks);
+    const analysis = await aiService.analyzeProject(project, tasks, {
+      userId: req.user.userId,
+      projectId
+    });
 
     res.json({
       success: true,
@@ -200,6 +415,193 @@ exports.analyzeProject = async (req, res, next) => {
   }
 };
 
+// Rebuild a project's chat knowledge from its current tasks
+exports.reindexProject = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const member = project.team.find(t => t.user.toString() === req.user.userId);
+    const canManage = project.owner.toString() === req.user.userId || member?.role === 'admin';
+
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only project owners and admins can re-index'
+      });
+    }
+
+    const job = await knowledgeService.reindexProject(projectId, req.user.userId);
+    if (!job) {
+      return res.status(503).json({
+        success: false,
+        message: 'Knowledge indexing is unavailable'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Project re-index queued',
+      data: { jobId: job.id, status: 'queued' }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Upload a file to the project's knowledge
+exports.uploadProjectDocument = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'File is required'
+      });
+    }
+
+    if (!(await canAccessProject(projectId, req.user.userId))) {
+      fs.unlinkSync(req.file.path);
+      return denyProjectAccess(res);
+    }
+
+    if (!knowledgeService.enabled) {
+      fs.unlinkSync(req.file.path);
+      return res.status(503).json({
+        success: false,
+        message: 'Knowledge indexing is unavailable'
+      });
+    }
+
+    const { document, skipped, job } = await documentService.upload(projectId, req.file, req.user.userId);
+
+    if (skipped) {
+      return res.json({
+        success: true,
+        message: 'Document unchanged, skipped re-indexing',
+        data: { document, skipped: true }
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: document.version > 1 ? `Document version ${document.version} queued for indexing` : 'Document indexing queued',
+      data: { document, skipped: false, jobId: job?.id || null }
+    });
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    next(error);
+  }
+};
+
+exports.listProjectDocuments = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+
+    if (!(await canAccessProject(projectId, req.user.userId))) {
+      return denyProjectAccess(res);
+    }
+
+    const filter = { project: projectId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const documents = await Document.find(filter)
+      .populate('uploadedBy', 'name email')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: documents
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.reindexProjectDocument = async (req, res, next) => {
+  try {
+    const document = await findProjectDocument(req, res);
+    if (!document) return;
+
+    const job = await documentService.reindex(document, req.user.userId);
+    if (!job) {
+      return res.status(503).json({
+        success: false,
+        message: 'Knowledge indexing is unavailable'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Document re-index queued',
+      data: { document, jobId: job.id, status: 'queued' }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Uploaders and project owners/admins can delete
+exports.deleteProjectDocument = async (req, res, next) => {
+  try {
+    const document = await findProjectDocument(req, res);
+    if (!document) return;
+
+    const project = await Project.findById(document.project).select('owner team');
+    const member = project.team.find(t => t.user.toString() === req.user.userId);
+    const canDelete = document.uploadedBy.toString() === req.user.userId ||
+      project.owner.toString() === req.user.userId ||
+      member?.role === 'admin';
+
+    if (!canDelete) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the uploader or project admins can delete this document'
+      });
+    }
+
+    await documentService.remove(document, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sends 403/404 itself and resolves to null when the caller can't have it
+async function findProjectDocument(req, res) {
+  const { projectId, documentId } = req.params;
+
+  if (!(await canAccessProject(projectId, req.user.userId))) {
+    denyProjectAccess(res);
+    return null;
+  }
+
+  const document = await Document.findOne({ _id: documentId, project: projectId });
+  if (!document) {
+    res.status(404).json({
+      success: false,
+      message: 'Document not found'
+    });
+    return null;
+  }
+
+  return document;
+}
+
 // Transcribe audio/meeting
 exports.transcribe = async (req, res, next) => {
   try {
@@ -210,23 +612,33 @@ exports.transcribe = async (req, res, next) => {
       });
     }
 
-    const { title, participants } = req.body;
+    const { title, participants, projectId } = req.body;
     const audioPath = req.file.path;
 
+    // The summary is indexed into the project's knowledge for chat
+    if (projectId && !(await canAccessProject(projectId, req.user.userId))) {
+      fs.unlinkSync(audioPath);
+      return denyProjectAccess(res);
+    }
+
     const meetingContext = {
       title: title || 'Team Meeting',
       participants: participants ? JSON.parse(participants) : [],
-      date: new Date().toISOString()
+      date: new Date().toISOString(),
+      projectId
     };
 
-    const result = await aiService.transcribeAudio(audioPath, meetingContext);
-
-    // Clean up uploaded file
-    fs.unlinkSync(audioPath);
+    // The worker transcribes and removes the upload; poll GET /jobs/:id
+    const job = await addJob(JOB_NAMES.TRANSCRIBE, {
+      audioPath,
+      meetingContext,
+      userId: req.user.userId
+    });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      data: result
+      message: 'Transcription queued',
+      data: { jobId: job.id, status: 'queued' }
     });
   } catch (error) {
     // Clean up file on error
@@ -250,7 +662,10 @@ exports.suggestBreakdown = async (req, res, next) => {
       });
     }
 
-    const subtasks = await aiService.suggestTaskBreakdown(task);
+    const subtasks = await aiService.suggestTaskBreakdown(task, {
+      userId: req.user.userId,
+      projectId: task.project._id
+    });
 
     res.json({
       success: true,
@@ -275,7 +690,10 @@ exports.estimateEffort = async (req, res, next) => {
 
     const tasks = await Task.find({ _id: { $in: taskIds } });
 
-    const estimates = await aiService.estimateEffort(tasks);
+    const estimates = await aiService.estimateEffort(tasks, {
+      userId: req.user.userId,
+      projectId: tasks[0]?.project
+    });
 
     res.json({
       success: true,
@@ -289,17 +707,20 @@ exports.estimateEffort = async (req, res, next) => {
 // Get chat history
 exports.getChatHistory = async (req, res, next) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
+    const { conversationId, page = 1, limit = 50 } = req.query;
     const userId = req.user.userId;
 
+    const query = { user: userId };
+    if (conversationId) query.conversation = conversationId;
+
     const skip = (page - 1) * limit;
 
     const [messages, total] = await Promise.all([
-      ChatMessage.find({ user: userId })
+      ChatMessage.find(query)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit)),
-      ChatMessage.countDocuments({ user: userId })
+      ChatMessage.countDocuments(query)
     ]);
 
     res.json({
@@ -331,10 +752,34 @@ exports.indexDocument = async (req, res, next) => {
       });
     }
 
-    const result = await aiService.indexDocument(content, {
+    // Documents with a project go into its knowledge and bill its owner
+    if (metadata?.projectId && !(await canAccessProject(metadata.projectId, req.user.userId))) {
+      return denyProjectAccess(res);
+    }
+
+    const documentMetadata = {
       ...metadata,
       userId: req.user.userId,
       indexedAt: new Date()
+    };
+
+    if (req.query.async === 'true') {
+      const job = await addJob(JOB_NAMES.INDEX_DOCUMENT, {
+        content,
+        metadata: documentMetadata,
+        userId: req.user.userId
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Document indexing queued',
+        data: { jobId: job.id, status: 'queued' }
+      });
+    }
+
+    const result = await aiService.indexDocument(content, documentMetadata, {
+      userId: req.user.userId,
+      projectId: documentMetadata.projectId
     });
 
     res.json({
@@ -349,7 +794,7 @@ exports.indexDocument = async (req, res, next) => {
 // Search documents
 exports.searchDocuments = async (req, res, next) => {
   try {
-    const { query, limit = 5 } = req.query;
+    const { query, limit = 5, mode, vectorWeight, keywordWeight, rerank } = req.query;
 
     if (!query) {
       return res.status(400).json({
@@ -358,10 +803,21 @@ exports.searchDocuments = async (req, res, next) => {
       });
     }
 
+    if (mode && !SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mode must be one of ${SEARCH_MODES.join(', ')}`
+      });
+    }
+
     const results = await aiService.searchDocuments(query, {
       limit: parseInt(limit),
-      filter: { userId: req.user.userId }
-    });
+      filter: { userId: req.user.userId },
+      mode,
+      vectorWeight,
+      keywordWeight,
+      rerank: rerank === 'true'
+    }, { userId: req.user.userId });
 
     res.json({
       success: true,
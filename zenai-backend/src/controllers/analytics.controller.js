@@ -0,0 +1,77 @@
+// src/controllers/analytics.controller.js
+const mongoose = require('mongoose');
+const analyticsService = require('../services/analytics.service');
+const aiUsageService = require('../services/aiUsage.service');
+
+// AI usage grouped by user, project, agent, model, operation and/or day
+exports.getAIUsage = async (req, res, next) => {
+  try {
+    const { groupBy = 'day', from, to, projectId } = req.query;
+
+    const groups = String(groupBy).split(',').map(key => key.trim()).filter(Boolean);
+    const unknown = groups.filter(key => !analyticsService.aiUsageGroups.includes(key));
+
+    if (groups.length === 0 || unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be a comma-separated list of ${analyticsService.aiUsageGroups.join(', ')}`
+      });
+    }
+
+    const range = { from: from && new Date(from), to: to && new Date(to) };
+    if ([range.from, range.to].some(date => date && isNaN(date))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates'
+      });
+    }
+
+    if (projectId && !mongoose.isValidObjectId(projectId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid projectId'
+      });
+    }
+
+    const usage = await analyticsService.getAIUsage(req.user.userId, {
+      groupBy: groups,
+      ...range,
+      projectId
+    });
+
+    res.json({
+      success: true,
+      data: usage
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Budget and month-to-date spend of the caller's workspace
+exports.getAIBudget = async (req, res, next) => {
+  try {
+    const budget = await aiUsageService.getBudgetStatus(req.user.userId);
+
+    res.json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateAIBudget = async (req, res, next) => {
+  try {
+    const budget = await aiUsageService.updateBudget(req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      message: 'AI budget updated',
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,106 @@
+// src/controllers/apiKey.controller.js
+const APIKey = require('../models/APIKey.model');
+const APIKeyManager = require('../middleware/apiKey.middleware');
+const logger = require('../utils/logger');
+
+exports.getAPIKeys = async (req, res, next) => {
+  try {
+    const { includeRevoked } = req.query;
+
+    const query = { user: req.user.userId };
+    if (includeRevoked !== 'true') query.revokedAt = null;
+
+    const apiKeys = await APIKey.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { apiKeys, scopes: APIKey.SCOPES }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createAPIKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const { key, prefix, keyHash } = APIKeyManager.generateAPIKey();
+
+    const apiKey = await APIKey.create({
+      user: req.user.userId,
+      name,
+      prefix,
+      keyHash,
+      scopes,
+      expiresAt
+    });
+
+    logger.info(`API key created: ${apiKey._id} (${prefix}) by user: ${req.user.userId}`);
+
+    // The full key is only ever returned here
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully',
+      data: { ...apiKey.toJSON(), key }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateAPIKey = async (req, res, next) => {
+  try {
+    const apiKey = await APIKey.findOne({
+      _id: req.params.id,
+      user: req.user.userId,
+      revokedAt: null
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (req.body.name !== undefined) apiKey.name = req.body.name;
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.revokeAPIKey = async (req, res, next) => {
+  try {
+    const apiKey = await APIKey.findOne({
+      _id: req.params.id,
+      user: req.user.userId,
+      revokedAt: null
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    await APIKeyManager.revoke(apiKey);
+
+    logger.info(`API key revoked: ${apiKey._id} by user: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
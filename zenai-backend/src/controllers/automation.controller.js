@@ -0,0 +1,227 @@
+// src/controllers/automation.controller.js
+const AutomationRule = require('../models/AutomationRule.model');
+const AutomationLog = require('../models/AutomationLog.model');
+const Project = require('../models/Project.model');
+const { sanitizeObject } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const RULE_FIELDS = ['name', 'description', 'trigger', 'conditions', 'actions', 'enabled'];
+
+// Team members can view rules; only the owner and project admins manage them
+const loadProject = async (req, res, { manage = false } = {}) => {
+  const project = await Project.findById(req.params.projectId);
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return null;
+  }
+
+  const userId = req.user.userId;
+  const isOwner = project.owner.toString() === userId;
+  const member = project.team.find(t => t.user.toString() === userId);
+  const hasAccess = manage
+    ? isOwner || member?.role === 'admin'
+    : isOwner || Boolean(member);
+
+  if (!hasAccess) {
+    res.status(403).json({
+      success: false,
+      message: manage ? 'Only project owners and admins can manage automations' : 'Access denied'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+// Message when an action names a user outside the project, or null.
+// Notifications and assignments must stay within the team.
+const actionsError = (project, actions = []) => {
+  const members = new Set([project.owner.toString(), ...project.team.map(t => t.user.toString())]);
+
+  for (const action of actions) {
+    const params = action.params || {};
+    const userIds = action.type === 'send_notification'
+      ? [].concat(params.recipients || []).filter(target => !AutomationRule.RECIPIENTS.includes(target))
+      : [params.userId].filter(Boolean);
+
+    if (userIds.some(id => !members.has(id))) {
+      return 'Automation actions can only name members of the project';
+    }
+  }
+
+  return null;
+};
+
+exports.getRules = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const rules = await AutomationRule.find({ project: project._id })
+      .populate('createdBy', 'name email avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createRule = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res, { manage: true });
+    if (!project) return;
+
+    const error = actionsError(project, req.body.actions);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const rule = await AutomationRule.create({
+      ...sanitizeObject(req.body, RULE_FIELDS),
+      project: project._id,
+      createdBy: req.user.userId
+    });
+
+    logger.info(`Automation rule created: ${rule._id} in project: ${project._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Automation rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getRuleById = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const rule = await AutomationRule.findOne({ _id: req.params.ruleId, project: project._id })
+      .populate('createdBy', 'name email avatar');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Automation rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateRule = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res, { manage: true });
+    if (!project) return;
+
+    const rule = await AutomationRule.findOne({ _id: req.params.ruleId, project: project._id });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Automation rule not found'
+      });
+    }
+
+    const error = actionsError(project, req.body.actions);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    Object.assign(rule, sanitizeObject(req.body, RULE_FIELDS));
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Automation rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteRule = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res, { manage: true });
+    if (!project) return;
+
+    const rule = await AutomationRule.findOneAndDelete({ _id: req.params.ruleId, project: project._id });
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Automation rule not found'
+      });
+    }
+
+    logger.info(`Automation rule deleted: ${rule._id} by user: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Automation rule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getLogs = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const { ruleId, status, page = 1, limit = 20 } = req.query;
+
+    const query = { project: project._id };
+    if (ruleId) query.rule = ruleId;
+    if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const [logs, total] = await Promise.all([
+      AutomationLog.find(query)
+        .populate('task', 'title')
+        .populate('actor', 'name email avatar')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AutomationLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        logs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,164 @@
+// src/controllers/conversation.controller.js
+const Conversation = require('../models/Conversation.model');
+const ChatMessage = require('../models/ChatMessage.model');
+const aiService = require('../services/ai.service');
+const { sanitizeObject } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+exports.getConversations = async (req, res, next) => {
+  try {
+    const { archived, projectId, page = 1, limit = 20 } = req.query;
+    const userId = req.user.userId;
+
+    const query = {
+      user: userId,
+      archived: archived === 'true'
+    };
+    if (projectId) query['context.projectId'] = projectId;
+
+    const skip = (page - 1) * limit;
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(query)
+        .populate('context.projectId', 'name')
+        .populate('context.taskId', 'title')
+        .sort({ lastMessageAt: -1, updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Conversation.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        conversations,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createConversation = async (req, res, next) => {
+  try {
+    const { title, context } = req.body;
+
+    const conversation = await Conversation.create({
+      user: req.user.userId,
+      ...(title && { title, titleLocked: true }),
+      context: {
+        projectId: context?.projectId,
+        taskId: context?.taskId
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Conversation created successfully',
+      data: conversation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getConversationById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { limit = 100 } = req.query;
+
+    const conversation = await Conversation.findOne({ _id: id, user: req.user.userId })
+      .populate('context.projectId', 'name')
+      .populate('context.taskId', 'title');
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    const messages = await ChatMessage.find({ conversation: id })
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        conversation,
+        messages: messages.reverse() // Reverse to show oldest first
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateConversation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const updates = sanitizeObject(req.body, ['title', 'archived', 'context']);
+
+    const conversation = await Conversation.findOne({ _id: id, user: req.user.userId });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    // A user-chosen title is never overwritten by auto-titling
+    if (updates.title) {
+      updates.titleLocked = true;
+    }
+
+    Object.assign(conversation, updates);
+    await conversation.save();
+
+    res.json({
+      success: true,
+      message: 'Conversation updated successfully',
+      data: conversation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteConversation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const conversation = await Conversation.findOne({ _id: id, user: userId });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found'
+      });
+    }
+
+    await ChatMessage.deleteMany({ conversation: id });
+    await conversation.deleteOne();
+
+    // Drop the engine-side memory for this thread
+    await aiService.clearConversation(userId, id);
+
+    logger.info(`Conversation deleted: ${id} by user: ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,279 @@
+// src/controllers/integration.controller.js
+const Integration = require('../models/Integration.model');
+const IssueLink = require('../models/IssueLink.model');
+const Project = require('../models/Project.model');
+const integrationService = require('../services/integration.service');
+const githubSyncService = require('../services/githubSync.service');
+const { sanitizeObject } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const INTEGRATION_FIELDS = ['name', 'status', 'syncFrequency', 'settings'];
+
+// Only project owners and admins can point an integration at a project
+const canManageProject = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) return false;
+
+  return project.owner.toString() === userId ||
+         project.team.some(t => t.user.toString() === userId && t.role === 'admin');
+};
+
+const forbidProject = (res) => res.status(403).json({
+  success: false,
+  message: 'Only project owners and admins can link integrations'
+});
+
+// Loads the integration from :id and answers 404 unless the user owns it
+const loadIntegration = async (req, res) => {
+  const integration = await Integration.findOne({
+    _id: req.params.id,
+    user: req.user.userId
+  });
+
+  if (!integration) {
+    res.status(404).json({
+      success: false,
+      message: 'Integration not found'
+    });
+    return null;
+  }
+
+  return integration;
+};
+
+// Copies the type's config keys onto the integration. A secret sent back as
+// the mask (or left out) keeps its stored value; null clears a key.
+const applyConfig = (integration, config = {}) => {
+  Integration.CONFIG_FIELDS[integration.type].forEach(field => {
+    const value = config[field];
+    if (value === undefined || value === Integration.SECRET_MASK) return;
+    integration.set(`config.${field}`, value === null ? undefined : value);
+  });
+};
+
+exports.getIntegrations = async (req, res, next) => {
+  try {
+    const { type } = req.query;
+
+    const query = { user: req.user.userId };
+    if (type) query.type = type;
+
+    const integrations = await Integration.find(query)
+      .populate('project', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        integrations,
+        types: Integration.TYPES,
+        configFields: Integration.CONFIG_FIELDS,
+        secretFields: Integration.SECRET_FIELDS
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createIntegration = async (req, res, next) => {
+  try {
+    const { projectId } = req.body;
+
+    if (projectId && !(await canManageProject(projectId, req.user.userId))) {
+      return forbidProject(res);
+    }
+
+    const integration = new Integration({
+      ...sanitizeObject(req.body, INTEGRATION_FIELDS),
+      type: req.body.type,
+      project: projectId || undefined,
+      user: req.user.userId
+    });
+    applyConfig(integration, req.body.config);
+
+    const targetError = await integrationService.configTargetError(integration.type, integration.getConfig());
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError
+      });
+    }
+
+    await integration.save();
+
+    logger.info(`Integration created: ${integration._id} (${integration.type}) by user: ${req.user.userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Integration created successfully',
+      data: integration
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getIntegrationById = async (req, res, next) => {
+  try {
+    const integration = await loadIntegration(req, res);
+    if (!integration) return;
+
+    res.json({
+      success: true,
+      data: integration
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateIntegration = async (req, res, next) => {
+  try {
+    const integration = await loadIntegration(req, res);
+    if (!integration) return;
+
+    const { projectId } = req.body;
+    if (projectId !== undefined && projectId !== (integration.project?.toString() || null)) {
+      if (projectId && !(await canManageProject(projectId, req.user.userId))) {
+        return forbidProject(res);
+      }
+
+      // Issue links belong to the old project's tasks
+      await IssueLink.deleteMany({ integration: integration._id });
+      integration.project = projectId || undefined;
+    }
+
+    const { settings, ...updates } = sanitizeObject(req.body, INTEGRATION_FIELDS);
+    Object.assign(integration, updates);
+    if (settings) {
+      Object.assign(integration.settings, settings);
+    }
+    applyConfig(integration, req.body.config);
+
+    const targetError = req.body.config &&
+      await integrationService.configTargetError(integration.type, integration.getConfig());
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError
+      });
+    }
+
+    // New credentials get a clean slate until they are tested or synced
+    if (req.body.config && integration.status === 'error' && !updates.status) {
+      integration.status = 'active';
+      integration.metadata.lastError = undefined;
+    }
+
+    await integration.save();
+
+    res.json({
+      success: true,
+      message: 'Integration updated successfully',
+      data: integration
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteIntegration = async (req, res, next) => {
+  try {
+    const integration = await loadIntegration(req, res);
+    if (!integration) return;
+
+    await IssueLink.deleteMany({ integration: integration._id });
+    await integration.deleteOne();
+
+    logger.info(`Integration deleted: ${integration._id} by user: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Integration deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.testConnection = async (req, res, next) => {
+  try {
+    const integration = await loadIntegration(req, res);
+    if (!integration) return;
+
+    const result = await integrationService.testConnection(integration);
+
+    res.json({
+      success: result.ok,
+      message: result.ok ? 'Connection successful' : `Connection failed: ${result.error}`,
+      data: { ...result, integration }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.syncIntegration = async (req, res, next) => {
+  try {
+    const integration = await loadIntegration(req, res);
+    if (!integration) return;
+
+    if (integration.status === 'inactive') {
+      return res.status(400).json({
+        success: false,
+        message: 'Activate the integration before syncing it'
+      });
+    }
+
+    const job = await integrationService.queueSync(integration._id, req.user.userId);
+
+    res.status(202).json({
+      success: true,
+      message: 'Sync queued',
+      data: { jobId: job.id, status: 'queued' }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Public endpoint for GitHub repository webhooks. Authenticated by the
+// X-Hub-Signature-256 HMAC of the raw body with the integration's webhookSecret.
+exports.receiveGitHubWebhook = async (req, res, next) => {
+  try {
+    const integration = await Integration.findOne({ _id: req.params.id, type: 'github' });
+    const config = integration?.getConfig();
+
+    if (!config?.webhookSecret) {
+      return res.status(404).json({
+        success: false,
+        message: 'Integration not found'
+      });
+    }
+
+    const signature = req.get('X-Hub-Signature-256');
+    if (!githubSyncService.verifySignature(config.webhookSecret, req.rawBody, signature)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid signature'
+      });
+    }
+
+    if (integration.status === 'inactive') {
+      return res.status(202).json({
+        success: true,
+        message: 'Integration is inactive; event ignored'
+      });
+    }
+
+    const result = await githubSyncService.handleWebhook(integration, req.get('X-GitHub-Event'), req.body);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
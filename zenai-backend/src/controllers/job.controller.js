@@ -0,0 +1,40 @@
+// src/controllers/job.controller.js
+const { getJobStatus, getDeadLetters } = require('../queue/jobs');
+
+exports.getJobById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const status = await getJobStatus(id);
+
+    // Jobs are only visible to the user who queued them
+    if (!status || status.userId?.toString() !== req.user.userId.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getDeadLetters = async (req, res, next) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const jobs = await getDeadLetters(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: { jobs }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,146 @@
+// src/controllers/notification.controller.js
+const Notification = require('../models/Notification.model');
+const User = require('../models/User.model');
+const Project = require('../models/Project.model');
+const { cache } = require('../config/redis');
+
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const userId = req.user.userId;
+
+    const query = { user: userId };
+    if (unread === 'true') query.read = false;
+
+    const skip = (page - 1) * limit;
+
+    const [notifications, total, unreadCount, user] = await Promise.all([
+      Notification.find(query)
+        .populate('actor', 'name email avatar')
+        .populate('project', 'name')
+        .populate('task', 'title')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: userId, read: false }),
+      User.findById(userId).populate('notificationSettings.mutedProjects', 'name')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        mutedProjects: user?.notificationSettings?.mutedProjects || [],
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.markAsRead = async (req, res, next) => {
+  try {
+    const { notificationId } = req.params;
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, user: req.user.userId },
+      { read: true, readAt: new Date() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.markAllAsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.userId, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.muteProject = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.userId;
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const hasAccess = project.owner.toString() === userId ||
+                      project.team.some(t => t.user.toString() === userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await User.findByIdAndUpdate(userId, {
+      $addToSet: { 'notificationSettings.mutedProjects': projectId }
+    });
+    await cache.del(`user:${userId}`);
+
+    res.json({
+      success: true,
+      message: `Notifications muted for ${project.name}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.unmuteProject = async (req, res, next) => {
+  try {
+    const { projectId } = req.params;
+    const userId = req.user.userId;
+
+    await User.findByIdAndUpdate(userId, {
+      $pull: { 'notificationSettings.mutedProjects': projectId }
+    });
+    await cache.del(`user:${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Notifications unmuted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
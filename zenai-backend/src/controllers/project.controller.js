@@ -1,6 +1,20 @@
 const Project = require('../models/Project.model');
 const Task = require('../models/Task.model');
+const AutomationRule = require('../models/AutomationRule.model');
+const AutomationLog = require('../models/AutomationLog.model');
+const TaskTemplate = require('../models/TaskTemplate.model');
+const RecurringRule = require('../models/RecurringRule.model');
+const Webhook = require('../models/Webhook.model');
+const WebhookDelivery = require('../models/WebhookDelivery.model');
+const Integration = require('../models/Integration.model');
+const IssueLink = require('../models/IssueLink.model');
 const { cache } = require('../config/redis');
+const { emitToProject, EVENTS } = require('../websocket/socketHandler');
+const automationService = require('../services/automation.service');
+const webhookService = require('../services/webhook.service');
+const knowledgeService = require('../services/knowledge.service');
+const documentService = require('../services/document.service');
+const dependencyGraphService = require('../services/dependencyGraph.service');
 const logger = require('../utils/logger');
 
 exports.createProject = async (req, res, next) => {
@@ -22,6 +36,8 @@ exports.createProject = async (req, res, next) => {
 
     logger.info(`Project created: ${project._id} by user: ${req.user.userId}`);
 
+    webhookService.dispatch('project.created', project, webhookService.projectData(project));
+
     res.status(201).json({
       success: true,
       message: 'Project created successfully',
@@ -161,6 +177,15 @@ exports.updateProject = async (req, res, next) => {
     // Clear cache
     await cache.clearPattern(`projects:*`);
 
+    emitToProject(project._id, EVENTS.PROJECT_UPDATED, project, req.user.userId);
+
+    webhookService.dispatch('project.updated', project, webhookService.projectData(project));
+
+    automationService.evaluateTriggers(
+      ['project.updated'],
+      automationService.buildProjectEvent(project, req.user.userId)
+    );
+
     res.json({
       success: true,
       message: 'Project updated successfully',
@@ -193,12 +218,27 @@ exports.deleteProject = async (req, res, next) => {
 
     // Delete all project tasks
     await Task.deleteMany({ project: id });
+    await AutomationRule.deleteMany({ project: id });
+    await AutomationLog.deleteMany({ project: id });
+    await TaskTemplate.deleteMany({ project: id });
+    await RecurringRule.deleteMany({ project: id });
+
+    const webhooks = await Webhook.find({ project: id }).select('_id');
+    await WebhookDelivery.deleteMany({ webhook: { $in: webhooks.map(w => w._id) } });
+    await Webhook.deleteMany({ project: id });
+
+    // Integrations stay with their owner, unlinked
+    const integrations = await Integration.find({ project: id }).select('_id');
+    await IssueLink.deleteMany({ integration: { $in: integrations.map(i => i._id) } });
+    await Integration.updateMany({ project: id }, { $unset: { project: 1 } });
+    await documentService.removeProjectDocuments(id);
     await project.deleteOne();
 
     // Clear cache
     await cache.clearPattern(`projects:*`);
 
     logger.info(`Project deleted: ${id} by user: ${req.user.userId}`);
+    knowledgeService.projectDeleted(id, req.user.userId);
 
     res.json({
       success: true,
@@ -209,6 +249,43 @@ exports.deleteProject = async (req, res, next) => {
   }
 };
 
+// Task dependency graph with critical path and slack, in hours of
+// remaining estimated work
+exports.getDependencyGraph = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const project = await Project.findById(id);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const hasAccess = project.owner.toString() === req.user.userId ||
+                      project.team.some(t => t.user.toString() === req.user.userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const tasks = await Task.find({ project: id })
+      .select('title status priority assignee estimatedTime parentTask dependencies')
+      .populate('assignee', 'name email avatar');
+
+    res.json({
+      success: true,
+      data: dependencyGraphService.build(tasks)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 exports.updateProgress = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -234,6 +311,8 @@ exports.updateProgress = async (req, res, next) => {
     // Clear cache
     await cache.clearPattern(`projects:*`);
 
+    emitToProject(id, EVENTS.PROJECT_UPDATED, project, req.user.userId);
+
     res.json({
       success: true,
       data: project
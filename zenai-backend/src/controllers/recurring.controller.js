@@ -0,0 +1,310 @@
+// src/controllers/recurring.controller.js
+const RecurringRule = require('../models/RecurringRule.model');
+const TaskTemplate = require('../models/TaskTemplate.model');
+const Project = require('../models/Project.model');
+const { sanitizeObject } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const RULE_FIELDS = ['name', 'template', 'values', 'task', 'dueInDays', 'schedule'];
+
+// Run times returned with each rule for previews
+const UPCOMING_RUNS = 3;
+
+// Team members can view and add rules; the author, the owner and project
+// admins edit, pause, skip and delete them
+const loadProject = async (req, res) => {
+  const project = await Project.findById(req.params.projectId);
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return null;
+  }
+
+  const userId = req.user.userId;
+  const hasAccess = project.owner.toString() === userId ||
+                    project.team.some(t => t.user.toString() === userId);
+
+  if (!hasAccess) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+const isMember = (project, userId) =>
+  project.owner.equals(userId) || project.team.some(t => t.user.equals(userId));
+
+const canManage = (project, rule, userId) =>
+  project.owner.toString() === userId ||
+  rule.createdBy.toString() === userId ||
+  project.team.some(t => t.user.toString() === userId && t.role === 'admin');
+
+// Rule of the project the user may change, or null once a 404 or 403 has
+// been sent
+const findManageableRule = async (project, req, res) => {
+  const rule = await RecurringRule.findOne({ _id: req.params.ruleId, project: project._id });
+  if (!rule) {
+    res.status(404).json({
+      success: false,
+      message: 'Recurring rule not found'
+    });
+    return null;
+  }
+
+  if (!canManage(project, rule, req.user.userId)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the rule author, project owners and admins can change it'
+    });
+    return null;
+  }
+
+  return rule;
+};
+
+// Message when `rule` can't be saved as it stands, or null
+const ruleError = async (project, rule) => {
+  if (!rule.template && !rule.task?.title?.trim()) {
+    return 'A recurring rule needs a template or a task title';
+  }
+
+  if (rule.template) {
+    const template = await TaskTemplate.exists({ _id: rule.template, project: project._id });
+    if (!template) return 'Template must belong to the same project';
+  }
+
+  const assignee = rule.task?.assignee;
+  if (assignee && !isMember(project, assignee)) {
+    return 'Assignee must be a member of the project';
+  }
+
+  return rule.scheduleError();
+};
+
+// The rule with its next few run times, for the schedule preview
+const withUpcoming = (rule) => ({
+  ...rule.toJSON(),
+  upcoming: rule.status === 'active' && rule.nextRunAt
+    ? [rule.nextRunAt, ...rule.upcoming(UPCOMING_RUNS - 1, rule.nextRunAt)]
+    : []
+});
+
+exports.getRules = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const rules = await RecurringRule.find({ project: project._id })
+      .populate('template', 'name')
+      .populate('task.assignee', 'name email avatar')
+      .populate('lastTask', 'title status')
+      .populate('createdBy', 'name email avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { rules: rules.map(withUpcoming) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createRule = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const rule = new RecurringRule({
+      ...sanitizeObject(req.body, RULE_FIELDS),
+      project: project._id,
+      createdBy: req.user.userId
+    });
+
+    const error = await ruleError(project, rule);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    rule.nextRunAt = rule.nextRunAfter();
+    await rule.save();
+
+    logger.info(`Recurring rule created: ${rule._id} in project: ${project._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring rule created successfully',
+      data: withUpcoming(rule)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateRule = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const rule = await findManageableRule(project, req, res);
+    if (!rule) return;
+
+    const updates = sanitizeObject(req.body, RULE_FIELDS);
+    // Nested objects replace the stored ones as a whole
+    rule.set(updates);
+
+    const error = await ruleError(project, rule);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // A new schedule starts from now; skipped runs of the old one are gone
+    if (updates.schedule && rule.status === 'active') {
+      rule.nextRunAt = rule.nextRunAfter();
+    }
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring rule updated successfully',
+      data: withUpcoming(rule)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteRule = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const rule = await findManageableRule(project, req, res);
+    if (!rule) return;
+
+    await rule.deleteOne();
+
+    logger.info(`Recurring rule deleted: ${rule._id} by user: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Recurring rule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Paused rules create nothing until resumed; runs missed meanwhile are
+// dropped, not made up
+exports.pauseRule = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const rule = await findManageableRule(project, req, res);
+    if (!rule) return;
+
+    rule.status = 'paused';
+    rule.nextRunAt = null;
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring rule paused',
+      data: withUpcoming(rule)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resumeRule = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const rule = await findManageableRule(project, req, res);
+    if (!rule) return;
+
+    // The job would only pause it again
+    if (!isMember(project, rule.createdBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The rule\'s author is no longer on the project'
+      });
+    }
+
+    rule.status = 'active';
+    rule.nextRunAt = rule.nextRunAfter();
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Recurring rule resumed',
+      data: withUpcoming(rule)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Drops the next run only; the one after it goes ahead as scheduled
+exports.skipNextRun = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const rule = await findManageableRule(project, req, res);
+    if (!rule) return;
+
+    if (rule.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active rules have a run to skip'
+      });
+    }
+
+    // An overdue run the job hasn't picked up yet moves to the next future one
+    const skipped = rule.nextRunAt;
+    const after = new Date(Math.max(skipped.getTime(), Date.now()));
+    const updated = await RecurringRule.findOneAndUpdate(
+      { _id: rule._id, status: 'active', nextRunAt: skipped },
+      {
+        $set: { nextRunAt: rule.nextRunAfter(after) },
+        $inc: { skipCount: 1 }
+      },
+      { new: true }
+    );
+
+    // The job claimed the run while we were deciding
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The run already started; try again'
+      });
+    }
+
+    logger.info(`Recurring rule ${rule._id} skipped run at ${skipped.toISOString()}`);
+
+    res.json({
+      success: true,
+      message: 'Next run skipped',
+      data: withUpcoming(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
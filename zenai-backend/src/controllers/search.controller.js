@@ -0,0 +1,52 @@
+// src/controllers/search.controller.js
+const searchService = require('../services/search.service');
+
+const MAX_LIMIT = 50;
+
+// Search projects, tasks, comments, documents and chat history
+exports.search = async (req, res, next) => {
+  try {
+    const { q, limit = 20 } = req.query;
+
+    const parsed = searchService.parseQuery(typeof q === 'string' ? q : '');
+
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.errors[0]
+      });
+    }
+
+    // Operators alone list matching tasks; anything else needs some text
+    if (parsed.terms.length === 0 && Object.keys(parsed.filters).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required'
+      });
+    }
+
+    // Chat history is only visible to API keys that can chat
+    const includeChat = req.user.authMethod !== 'api_key' || req.user.scopes.includes('ai:chat');
+
+    const { results, counts, total } = await searchService.search(parsed, {
+      userId: req.user.userId,
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT),
+      includeChat
+    });
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        terms: parsed.terms,
+        filters: parsed.filters,
+        types: parsed.types,
+        results,
+        counts,
+        total
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,8 +1,117 @@
 // src/controllers/task.controller.js
+const mongoose = require('mongoose');
 const Task = require('../models/Task.model');
 const Project = require('../models/Project.model');
+const IssueLink = require('../models/IssueLink.model');
+const TaskTemplate = require('../models/TaskTemplate.model');
 const { cache } = require('../config/redis');
+const { emitToProject, EVENTS } = require('../websocket/socketHandler');
+const automationService = require('../services/automation.service');
+const notificationService = require('../services/notification.service');
+const knowledgeService = require('../services/knowledge.service');
+const taskEventsService = require('../services/taskEvents.service');
+const dependencyGraphService = require('../services/dependencyGraph.service');
 const logger = require('../utils/logger');
+const { isValidObjectId } = require('../utils/helpers');
+
+const MAX_REORDER_BATCH = 500;
+const MAX_SUBTASK_BATCH = 20;
+
+// MongoDB's IllegalOperation, returned when a standalone server is asked
+// for a transaction
+const TRANSACTIONS_UNSUPPORTED = 20;
+
+// Fields kept up to date by Task.updateProgress, never set by clients
+const DERIVED_FIELDS = ['progress', 'subtaskCount'];
+
+const SORTS = {
+  recent: { createdAt: -1 },
+  position: { position: 1, createdAt: 1 }
+};
+
+// Message for a move of `incoming` tasks into a column that can't take
+// them, or null. `current` is how many tasks the column already holds.
+const wipLimitError = (project, status, current, incoming) => {
+  const limit = project.wipLimits?.[status];
+  if (!limit || incoming === 0 || current + incoming <= limit) return null;
+  return `WIP limit reached: "${status}" holds at most ${limit} task${limit === 1 ? '' : 's'}`;
+};
+
+// Task with its project populated, or null once a 404 or 403 has been sent
+const findTaskWithAccess = async (id, req, res) => {
+  const task = await Task.findById(id).populate('project');
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return null;
+  }
+
+  const hasAccess = task.project.owner.toString() === req.user.userId ||
+                    task.project.team.some(t => t.user.toString() === req.user.userId);
+
+  if (!hasAccess) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return task;
+};
+
+// Message when `parentId` can't hold `taskId` as a subtask, or null. A new
+// task has no id yet and no subtasks of its own.
+const parentTaskError = async (parentId, projectId, taskId = null) => {
+  if (!isValidObjectId(String(parentId))) {
+    return 'Parent task is invalid';
+  }
+
+  const parent = await Task.findById(parentId).select('project');
+  if (!parent || parent.project.toString() !== projectId.toString()) {
+    return 'Parent task must belong to the same project';
+  }
+
+  if (taskId) {
+    const descendants = await Task.descendantIds(taskId);
+    if (parent._id.equals(taskId) || descendants.some(id => id.equals(parent._id))) {
+      return 'A task cannot be nested under itself or one of its subtasks';
+    }
+  }
+
+  const height = taskId ? await Task.subtreeHeight(taskId) : 1;
+  if (await Task.depthOf(parent._id) + height > Task.MAX_DEPTH) {
+    return `Subtasks can be nested at most ${Task.MAX_DEPTH} levels deep`;
+  }
+
+  return null;
+};
+
+// Inserts all of `docs` or none of them. Replica sets get a transaction;
+// a standalone server can't, so a failed insert is undone by hand there.
+const insertTasks = async (docs) => {
+  const session = await mongoose.startSession();
+  try {
+    let created;
+    await session.withTransaction(async () => {
+      created = await Task.insertMany(docs, { session });
+    });
+    return created;
+  } catch (error) {
+    if (error.code !== TRANSACTIONS_UNSUPPORTED) throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  try {
+    return await Task.insertMany(docs);
+  } catch (error) {
+    await Task.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+    throw error;
+  }
+};
 
 exports.createTask = async (req, res, next) => {
   try {
@@ -15,7 +124,11 @@ exports.createTask = async (req, res, next) => {
       tags, 
       dueDate,
       estimatedTime,
-      dependencies 
+      dependencies,
+      parentTask,
+      checklist,
+      template,
+      values
     } = req.body;
 
     // Verify project exists and user has access
@@ -37,20 +150,63 @@ exports.createTask = async (req, res, next) => {
       });
     }
 
-    // Create task
+    if (dependencies !== undefined) {
+      const dependencyError = await dependencyGraphService.validate(project, null, dependencies);
+      if (dependencyError) {
+        return res.status(400).json({
+          success: false,
+          message: dependencyError
+        });
+      }
+    }
+
+    // A template fills in whatever the request leaves out
+    let fromTemplate = {};
+    if (template) {
+      const templateDoc = isValidObjectId(String(template))
+        ? await TaskTemplate.findOne({ _id: template, project })
+        : null;
+      if (!templateDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+      fromTemplate = templateDoc.render(values || {});
+    }
+
+    if (parentTask) {
+      const parentError = await parentTaskError(parentTask, project);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    }
+
+    // Create task at the bottom of the To Do column
     const task = await Task.create({
-      title,
-      description,
+      title: title || fromTemplate.title,
+      description: description ?? fromTemplate.description,
       project,
       assignee: assignee || null,
       createdBy: req.user.userId,
-      priority,
-      tags,
+      priority: priority || fromTemplate.priority,
+      tags: tags || fromTemplate.tags,
       dueDate,
-      estimatedTime,
-      dependencies
+      estimatedTime: estimatedTime ?? fromTemplate.estimatedTime,
+      dependencies,
+      parentTask: parentTask || null,
+      checklist: checklist || fromTemplate.checklist,
+      position: await Task.nextPosition(project, 'todo')
     });
 
+    // Own progress comes from the checklist; a parent gains a subtask
+    if (task.parentTask || task.checklist.length > 0) {
+      task.progress = await Task.updateProgress(task._id);
+    }
+
     // Update project metadata
     await Project.findByIdAndUpdate(project, {
       $inc: { 'metadata.totalTasks': 1 }
@@ -68,6 +224,8 @@ exports.createTask = async (req, res, next) => {
 
     logger.info(`Task created: ${task._id} in project: ${project}`);
 
+    taskEventsService.announceCreate(task, projectDoc, req.user.userId);
+
     res.status(201).json({
       success: true,
       message: 'Task created successfully',
@@ -80,7 +238,7 @@ exports.createTask = async (req, res, next) => {
 
 exports.getTasks = async (req, res, next) => {
   try {
-    const { projectId, status, priority, assignee, page = 1, limit = 20 } = req.query;
+    const { projectId, status, priority, assignee, page = 1, limit = 20, sort = 'recent' } = req.query;
 
     if (!projectId) {
       return res.status(400).json({
@@ -108,8 +266,15 @@ exports.getTasks = async (req, res, next) => {
       });
     }
 
+    if (!SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of ${Object.keys(SORTS).join(', ')}`
+      });
+    }
+
     // Build cache key
-    const cacheKey = `tasks:${projectId}:${status || 'all'}:${priority || 'all'}:${assignee || 'all'}:${page}`;
+    const cacheKey = `tasks:${projectId}:${status || 'all'}:${priority || 'all'}:${assignee || 'all'}:${sort}:${page}:${limit}`;
     
     let result = await cache.get(cacheKey);
 
@@ -125,7 +290,8 @@ exports.getTasks = async (req, res, next) => {
         Task.find(query)
           .populate('assignee', 'name email avatar')
           .populate('createdBy', 'name email avatar')
-          .sort({ createdAt: -1 })
+          .populate('dependencies', 'title status')
+          .sort(SORTS[sort])
           .skip(skip)
           .limit(parseInt(limit)),
         Task.countDocuments(query)
@@ -161,7 +327,19 @@ exports.getTaskById = async (req, res, next) => {
       .populate('assignee', 'name email avatar')
       .populate('createdBy', 'name email avatar')
       .populate('project', 'name owner team')
-      .populate('dependencies');
+      .populate('comments.user', 'name email avatar')
+      .populate('dependencies')
+      .populate({
+        path: 'parentTask',
+        select: 'title status parentTask',
+        populate: { path: 'parentTask', select: 'title status' }
+      })
+      .populate({
+        path: 'subtasks',
+        select: 'title status priority assignee dueDate progress subtaskCount',
+        options: { sort: { createdAt: 1 } },
+        populate: { path: 'assignee', select: 'name email avatar' }
+      });
 
     if (!task) {
       return res.status(404).json({
@@ -214,14 +392,67 @@ exports.updateTask = async (req, res, next) => {
       });
     }
 
+    DERIVED_FIELDS.forEach(field => delete updates[field]);
+
     // Track status change for project metadata
     const oldStatus = task.status;
+    const oldAssignee = task.assignee ? task.assignee.toString() : null;
+    const oldParent = task.parentTask ? task.parentTask.toString() : null;
+
+    if (updates.dependencies !== undefined) {
+      const dependencyError = await dependencyGraphService.validate(task.project._id, task._id, updates.dependencies);
+      if (dependencyError) {
+        return res.status(400).json({
+          success: false,
+          message: dependencyError
+        });
+      }
+    }
+
+    if ('parentTask' in updates) {
+      updates.parentTask = updates.parentTask || null;
+
+      if (updates.parentTask && updates.parentTask.toString() !== oldParent) {
+        const parentError = await parentTaskError(updates.parentTask, task.project._id, task._id);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError
+          });
+        }
+      }
+    }
+
+    if (updates.status && updates.status !== oldStatus) {
+      const current = await Task.countDocuments({ project: task.project._id, status: updates.status });
+      const wipError = wipLimitError(task.project, updates.status, current, 1);
+      if (wipError) {
+        return res.status(409).json({
+          success: false,
+          message: wipError
+        });
+      }
+
+      // A task changing column lands at its bottom unless placed explicitly
+      if (updates.position === undefined) {
+        updates.position = await Task.nextPosition(task.project._id, updates.status);
+      }
+    }
+
     Object.assign(task, updates);
     await task.save();
 
     // Update project metadata if status changed
     if (oldStatus !== task.status) {
-      await updateProjectMetadata(task.project._id);
+      await Task.updateProjectMetadata(task.project._id);
+    }
+
+    const newParent = task.parentTask ? task.parentTask.toString() : null;
+    if (oldStatus !== task.status || 'checklist' in updates || newParent !== oldParent) {
+      task.progress = await Task.updateProgress(task._id);
+    }
+    if (oldParent && newParent !== oldParent) {
+      await Task.updateProgress(oldParent);
     }
 
     // Clear cache
@@ -230,13 +461,248 @@ exports.updateTask = async (req, res, next) => {
 
     await task.populate([
       { path: 'assignee', select: 'name email avatar' },
-      { path: 'createdBy', select: 'name email avatar' }
+      { path: 'createdBy', select: 'name email avatar' },
+      { path: 'dependencies', select: 'title status' }
     ]);
 
+    taskEventsService.announceUpdate(task, {
+      oldStatus,
+      oldAssignee,
+      full: 'comments' in updates || 'attachments' in updates
+    }, req.user.userId);
+
+    // Starting a blocked task is allowed, but the caller hears about it
+    const warnings = oldStatus !== task.status && task.status === 'in-progress'
+      ? await dependencyGraphService.startWarnings([task])
+      : [];
+
     res.json({
       success: true,
       message: 'Task updated successfully',
-      data: task
+      data: task,
+      warnings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Batch move for the board: sets the status and position of each listed
+// task. The client sends every task of the columns it changed, numbered
+// from 0, so one request leaves each column in a consistent order.
+exports.reorderTasks = async (req, res, next) => {
+  try {
+    const { projectId, tasks } = req.body;
+
+    if (!isValidObjectId(String(projectId)) || !Array.isArray(tasks) || tasks.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project ID and a list of tasks are required'
+      });
+    }
+
+    if (tasks.length > MAX_REORDER_BATCH) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_REORDER_BATCH} tasks can be reordered at once`
+      });
+    }
+
+    const invalid = tasks.find(move => !move || !isValidObjectId(String(move.id)) ||
+      !Task.STATUSES.includes(move.status) ||
+      !Number.isInteger(move.position) || move.position < 0);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Each task needs an id, a status (${Task.STATUSES.join(', ')}) and a non-negative integer position`
+      });
+    }
+
+    const ids = tasks.map(move => move.id.toString());
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each task can only be listed once'
+      });
+    }
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const hasAccess = project.owner.toString() === req.user.userId ||
+                      project.team.some(t => t.user.toString() === req.user.userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const existing = await Task.find({ _id: { $in: ids }, project: projectId })
+      .populate('assignee', 'name email avatar')
+      .populate('createdBy', 'name email avatar');
+
+    if (existing.length !== ids.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some tasks were not found in this project'
+      });
+    }
+
+    const byId = new Map(existing.map(task => [task._id.toString(), task]));
+    const moved = tasks.filter(move => byId.get(move.id.toString()).status !== move.status);
+
+    // Only tasks entering a column count against its limit, so a column
+    // already over it can still be reordered
+    for (const status of new Set(moved.map(move => move.status))) {
+      const incoming = moved.filter(move => move.status === status).length;
+      const outgoing = moved.filter(move => byId.get(move.id.toString()).status === status).length;
+      const current = await Task.countDocuments({ project: projectId, status }) - outgoing;
+      const wipError = wipLimitError(project, status, current, incoming);
+
+      if (wipError) {
+        return res.status(409).json({
+          success: false,
+          message: wipError
+        });
+      }
+    }
+
+    await Task.bulkWrite(tasks.map(move => ({
+      updateOne: {
+        filter: { _id: move.id, project: projectId },
+        update: { $set: { status: move.status, position: move.position } }
+      }
+    })));
+
+    if (moved.length > 0) {
+      await Task.updateProjectMetadata(projectId);
+    }
+    for (const move of moved) {
+      await Task.updateProgress(move.id);
+    }
+
+    await cache.clearPattern(`tasks:${projectId}:*`);
+    await cache.clearPattern(`projects:*`);
+
+    const positions = tasks.map(move => ({ _id: move.id, status: move.status, position: move.position }));
+    emitToProject(projectId, EVENTS.TASKS_REORDERED, { tasks: positions }, req.user.userId);
+
+    // Column changes get the same follow-up as a status edit
+    for (const move of moved) {
+      const task = byId.get(move.id.toString());
+      const oldStatus = task.status;
+      const oldAssignee = task.assignee ? task.assignee._id.toString() : null;
+
+      task.status = move.status;
+      task.position = move.position;
+      task.project = project;
+
+      taskEventsService.announceUpdate(task, { oldStatus, oldAssignee }, req.user.userId);
+    }
+
+    const warnings = await dependencyGraphService.startWarnings(
+      moved.filter(move => move.status === 'in-progress').map(move => byId.get(move.id.toString()))
+    );
+
+    res.json({
+      success: true,
+      message: 'Tasks reordered successfully',
+      data: positions,
+      warnings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Creates several subtasks under one task, all or none; the client uses it
+// to accept an AI breakdown. Each subtask takes the fields of createTask.
+exports.createSubtasks = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { subtasks } = req.body;
+
+    if (!Array.isArray(subtasks) || subtasks.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A list of subtasks is required'
+      });
+    }
+
+    if (subtasks.length > MAX_SUBTASK_BATCH) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_SUBTASK_BATCH} subtasks can be created at once`
+      });
+    }
+
+    if (subtasks.some(subtask => typeof subtask?.title !== 'string' || !subtask.title.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each subtask needs a title'
+      });
+    }
+
+    const parent = await findTaskWithAccess(id, req, res);
+    if (!parent) return;
+
+    const project = parent.project;
+
+    if (await Task.depthOf(parent._id) >= Task.MAX_DEPTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Subtasks can be nested at most ${Task.MAX_DEPTH} levels deep`
+      });
+    }
+
+    const firstPosition = await Task.nextPosition(project._id, 'todo');
+    const docs = subtasks.map((subtask, index) => ({
+      _id: new mongoose.Types.ObjectId(),
+      title: subtask.title.trim(),
+      description: subtask.description,
+      project: project._id,
+      parentTask: parent._id,
+      assignee: subtask.assignee || null,
+      createdBy: req.user.userId,
+      priority: subtask.priority,
+      tags: subtask.tags,
+      dueDate: subtask.dueDate,
+      estimatedTime: subtask.estimatedTime,
+      checklist: subtask.checklist,
+      position: firstPosition + index
+    }));
+
+    const created = await insertTasks(docs);
+
+    await Task.updateProgress(parent._id);
+    await Task.updateProjectMetadata(project._id);
+
+    await cache.clearPattern(`tasks:${project._id}:*`);
+    await cache.clearPattern(`projects:*`);
+
+    const tasks = await Task.find({ _id: { $in: created.map(task => task._id) } })
+      .populate('assignee', 'name email avatar')
+      .populate('createdBy', 'name email avatar')
+      .sort({ position: 1 });
+
+    logger.info(`${tasks.length} subtasks created under task: ${parent._id}`);
+
+    for (const task of tasks) {
+      taskEventsService.announceCreate(task, project, req.user.userId);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Subtasks created successfully',
+      data: tasks
     });
   } catch (error) {
     next(error);
@@ -267,14 +733,25 @@ exports.deleteTask = async (req, res, next) => {
     }
 
     const projectId = task.project._id;
+    // Subtasks go with their parent
+    const descendants = await Task.descendantIds(task._id);
+    const deletedIds = [id, ...descendants.map(String)];
+
     await task.deleteOne();
+    await Task.deleteMany({ _id: { $in: descendants } });
+    await IssueLink.deleteMany({ task: { $in: deletedIds } });
+    await Task.updateMany(
+      { project: projectId, dependencies: { $in: deletedIds } },
+      { $pull: { dependencies: { $in: deletedIds } } }
+    );
 
     // Update project metadata
     await Project.findByIdAndUpdate(projectId, {
-      $inc: { 'metadata.totalTasks': -1 }
+      $inc: { 'metadata.totalTasks': -deletedIds.length }
     });
 
-    await updateProjectMetadata(projectId);
+    await Task.updateProjectMetadata(projectId);
+    await Task.updateProgress(task.parentTask);
 
     // Clear cache
     await cache.clearPattern(`tasks:${projectId}:*`);
@@ -282,6 +759,11 @@ exports.deleteTask = async (req, res, next) => {
 
     logger.info(`Task deleted: ${id} by user: ${req.user.userId}`);
 
+    for (const deletedId of deletedIds) {
+      emitToProject(projectId, EVENTS.TASK_DELETED, { _id: deletedId }, req.user.userId);
+      knowledgeService.taskDeleted(projectId, deletedId, req.user.userId);
+    }
+
     res.json({
       success: true,
       message: 'Task deleted successfully'
@@ -331,10 +813,131 @@ exports.addComment = async (req, res, next) => {
     await task.save();
     await task.populate('comments.user', 'name email avatar');
 
+    const comment = task.comments[task.comments.length - 1];
+    emitToProject(task.project._id, EVENTS.COMMENT_ADDED, {
+      taskId: task._id,
+      comment
+    }, req.user.userId);
+
+    notificationService.notifyCommentAdded(task, comment, req.user.userId);
+    knowledgeService.commentChanged(task, comment, req.user.userId);
+
+    automationService.evaluateTriggers(['comment.added'], automationService.buildTaskEvent(task, req.user.userId, {
+      comment: { text: comment.text, user: req.user.userId }
+    }));
+
     res.json({
       success: true,
       message: 'Comment added successfully',
-      data: task.comments[task.comments.length - 1]
+      data: comment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Saves a checklist change, rolls progress up and tells the board
+const saveChecklist = async (task, userId) => {
+  await task.save();
+  task.progress = await Task.updateProgress(task._id);
+
+  await cache.clearPattern(`tasks:${task.project._id}:*`);
+  await cache.clearPattern(`projects:*`);
+
+  emitToProject(task.project._id, EVENTS.TASK_UPDATED, task, userId);
+
+  return { checklist: task.checklist, progress: task.progress };
+};
+
+exports.addChecklistItem = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { text } = req.body;
+
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Checklist item text is required'
+      });
+    }
+
+    const task = await findTaskWithAccess(id, req, res);
+    if (!task) return;
+
+    task.checklist.push({ text: text.trim() });
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist item added',
+      data: await saveChecklist(task, req.user.userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateChecklistItem = async (req, res, next) => {
+  try {
+    const { id, itemId } = req.params;
+    const { text, done } = req.body;
+
+    if ((text !== undefined && (typeof text !== 'string' || !text.trim())) ||
+        (done !== undefined && typeof done !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Text must be a non-empty string and done a boolean'
+      });
+    }
+
+    const task = await findTaskWithAccess(id, req, res);
+    if (!task) return;
+
+    const item = task.checklist.id(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    if (text !== undefined) item.text = text.trim();
+    if (done !== undefined && done !== item.done) {
+      item.done = done;
+      item.completedAt = done ? new Date() : undefined;
+      item.completedBy = done ? req.user.userId : undefined;
+    }
+
+    res.json({
+      success: true,
+      message: 'Checklist item updated',
+      data: await saveChecklist(task, req.user.userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteChecklistItem = async (req, res, next) => {
+  try {
+    const { id, itemId } = req.params;
+
+    const task = await findTaskWithAccess(id, req, res);
+    if (!task) return;
+
+    const item = task.checklist.id(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    item.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Checklist item deleted',
+      data: await saveChecklist(task, req.user.userId)
     });
   } catch (error) {
     next(error);
@@ -368,28 +971,15 @@ exports.addAttachment = async (req, res, next) => {
     task.attachments.push({ name, url, type, size });
     await task.save();
 
+    const attachment = task.attachments[task.attachments.length - 1];
+    knowledgeService.attachmentChanged(task, attachment, req.user.userId);
+
     res.json({
       success: true,
       message: 'Attachment added successfully',
-      data: task.attachments[task.attachments.length - 1]
+      data: attachment
     });
   } catch (error) {
     next(error);
   }
 };
-
-// Helper function
-async function updateProjectMetadata(projectId) {
-  const tasks = await Task.find({ project: projectId });
-  const totalTasks = tasks.length;
-  const completedTasks = tasks.filter(t => t.status === 'done').length;
-  const inProgressTasks = tasks.filter(t => t.status === 'in-progress').length;
-  const progress = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
-
-  await Project.findByIdAndUpdate(projectId, {
-    progress,
-    'metadata.totalTasks': totalTasks,
-    'metadata.completedTasks': completedTasks,
-    'metadata.inProgressTasks': inProgressTasks
-  });
-}
\ No newline at end of file
@@ -0,0 +1,198 @@
+// src/controllers/template.controller.js
+const TaskTemplate = require('../models/TaskTemplate.model');
+const RecurringRule = require('../models/RecurringRule.model');
+const Project = require('../models/Project.model');
+const aiService = require('../services/ai.service');
+const { sanitizeObject } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const TEMPLATE_FIELDS = ['name', 'title', 'description', 'priority', 'tags', 'estimatedTime', 'checklist'];
+
+// MongoDB's DuplicateKey
+const DUPLICATE_KEY = 11000;
+
+// Team members can view and add templates; the author, the owner and
+// project admins edit and delete them
+const loadProject = async (req, res) => {
+  const project = await Project.findById(req.params.projectId);
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return null;
+  }
+
+  const userId = req.user.userId;
+  const hasAccess = project.owner.toString() === userId ||
+                    project.team.some(t => t.user.toString() === userId);
+
+  if (!hasAccess) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+const canManage = (project, template, userId) =>
+  project.owner.toString() === userId ||
+  template.createdBy?.toString() === userId ||
+  project.team.some(t => t.user.toString() === userId && t.role === 'admin');
+
+// Template of the project the user may change, or null once a 404 or 403
+// has been sent
+const findManageableTemplate = async (project, req, res) => {
+  const template = await TaskTemplate.findOne({ _id: req.params.templateId, project: project._id });
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: 'Template not found'
+    });
+    return null;
+  }
+
+  if (!canManage(project, template, req.user.userId)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the template author, project owners and admins can change it'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+// Copies the AI engine's built-in templates into the project the first time
+// its templates are listed. The flag is claimed first so concurrent requests
+// seed once, and released again when the engine can't be reached.
+const seedTemplates = async (project, userId) => {
+  const claimed = await Project.updateOne(
+    { _id: project._id, templatesSeeded: { $ne: true } },
+    { templatesSeeded: true }
+  );
+  if (claimed.modifiedCount === 0) return;
+
+  const builtins = await aiService.getTaskTemplates();
+  if (builtins.length === 0) {
+    await Project.updateOne({ _id: project._id }, { templatesSeeded: false });
+    return;
+  }
+
+  try {
+    await TaskTemplate.insertMany(builtins.map(builtin => ({
+      project: project._id,
+      key: builtin.key,
+      name: builtin.key.charAt(0).toUpperCase() + builtin.key.slice(1),
+      title: builtin.title,
+      description: builtin.description,
+      tags: builtin.tags,
+      createdBy: userId
+    })), { ordered: false });
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) {
+      await Project.updateOne({ _id: project._id }, { templatesSeeded: false });
+      throw error;
+    }
+  }
+
+  logger.info(`Seeded ${builtins.length} task templates in project: ${project._id}`);
+};
+
+exports.getTemplates = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    if (!project.templatesSeeded) {
+      await seedTemplates(project, req.user.userId);
+    }
+
+    const templates = await TaskTemplate.find({ project: project._id })
+      .populate('createdBy', 'name email avatar')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const template = await TaskTemplate.create({
+      ...sanitizeObject(req.body, TEMPLATE_FIELDS),
+      project: project._id,
+      createdBy: req.user.userId
+    });
+
+    logger.info(`Task template created: ${template._id} in project: ${project._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const template = await findManageableTemplate(project, req, res);
+    if (!template) return;
+
+    Object.assign(template, sanitizeObject(req.body, TEMPLATE_FIELDS));
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const template = await findManageableTemplate(project, req, res);
+    if (!template) return;
+
+    const rules = await RecurringRule.countDocuments({ template: template._id });
+    if (rules > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Template is used by ${rules} recurring rule${rules === 1 ? '' : 's'}`
+      });
+    }
+
+    await template.deleteOne();
+
+    logger.info(`Task template deleted: ${template._id} by user: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,260 @@
+// src/controllers/webhook.controller.js
+const Webhook = require('../models/Webhook.model');
+const WebhookDelivery = require('../models/WebhookDelivery.model');
+const Project = require('../models/Project.model');
+const webhookService = require('../services/webhook.service');
+const { sanitizeObject } = require('../utils/helpers');
+const { privateTargetError } = require('../utils/network');
+const logger = require('../utils/logger');
+
+const WEBHOOK_FIELDS = ['url', 'description', 'events', 'active'];
+
+// Project hooks are managed by the project owner and admins
+const canManageProject = async (projectId, userId) => {
+  const project = await Project.findById(projectId);
+  if (!project) return false;
+
+  return project.owner.toString() === userId ||
+         project.team.some(t => t.user.toString() === userId && t.role === 'admin');
+};
+
+const canManageWebhook = async (webhook, userId) => {
+  if (webhook.project) {
+    return canManageProject(webhook.project, userId);
+  }
+  return webhook.owner.toString() === userId;
+};
+
+// Loads the webhook from :id and answers 404 when the user can't manage it
+const loadWebhook = async (req, res, select = '') => {
+  const webhook = await Webhook.findById(req.params.id).select(select);
+
+  if (!webhook || !(await canManageWebhook(webhook, req.user.userId))) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+    return null;
+  }
+
+  return webhook;
+};
+
+exports.getWebhooks = async (req, res, next) => {
+  try {
+    const { projectId } = req.query;
+    const userId = req.user.userId;
+
+    let query;
+    if (projectId) {
+      if (!(await canManageProject(projectId, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only project owners and admins can manage webhooks'
+        });
+      }
+      query = { project: projectId };
+    } else {
+      query = { owner: userId, project: null };
+    }
+
+    const webhooks = await Webhook.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { webhooks, events: Webhook.EVENTS }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.createWebhook = async (req, res, next) => {
+  try {
+    const { projectId } = req.body;
+    const userId = req.user.userId;
+
+    if (projectId && !(await canManageProject(projectId, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only project owners and admins can manage webhooks'
+      });
+    }
+
+    const urlError = await privateTargetError(req.body.url);
+    if (urlError) {
+      return res.status(400).json({
+        success: false,
+        message: urlError
+      });
+    }
+
+    const secret = webhookService.generateSecret();
+    const webhook = await Webhook.create({
+      ...sanitizeObject(req.body, WEBHOOK_FIELDS),
+      owner: userId,
+      project: projectId || undefined,
+      secret
+    });
+
+    logger.info(`Webhook created: ${webhook._id} by user: ${userId}`);
+
+    // The secret is only ever returned here
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: { ...webhook.toObject(), secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateWebhook = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const urlError = req.body.url && await privateTargetError(req.body.url);
+    if (urlError) {
+      return res.status(400).json({
+        success: false,
+        message: urlError
+      });
+    }
+
+    Object.assign(webhook, sanitizeObject(req.body, WEBHOOK_FIELDS));
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.rotateSecret = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const secret = webhookService.generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated',
+      data: { secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+
+    logger.info(`Webhook deleted: ${webhook._id} by user: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.sendTestEvent = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await webhookService.sendTest(webhook);
+
+    res.json({
+      success: delivery.status === 'success',
+      message: delivery.status === 'success'
+        ? 'Test event delivered'
+        : `Test event failed: ${delivery.error}`,
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { webhook: webhook._id };
+    if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.redeliver = async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const original = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhook: webhook._id
+    });
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const delivery = await webhookService.redeliver(original);
+
+    res.status(202).json({
+      success: true,
+      message: 'Redelivery queued',
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,60 +1,85 @@
 // src/middleware/apiKey.middleware.js
 const crypto = require('crypto');
+const APIKey = require('../models/APIKey.model');
 const { cache } = require('../config/redis');
+const { hashString } = require('../utils/helpers');
+
+const KEY_PREFIX = 'zn_';
+const PREFIX_LENGTH = KEY_PREFIX.length + 8;
+const CACHE_TTL = 300; // revocation clears the cache, expiry is checked on read
+
+// Only persist lastUsed once a minute per key
+const LAST_USED_INTERVAL = 60 * 1000;
 
 class APIKeyManager {
-  static generateAPIKey(userId) {
-    const key = `zn_${crypto.randomBytes(32).toString('hex')}`;
-    return key;
+  static generateAPIKey() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+    return {
+      key,
+      prefix: key.substring(0, PREFIX_LENGTH),
+      keyHash: hashString(key)
+    };
+  }
+
+  static cacheKey(keyHash) {
+    return `apikey:${keyHash}`;
   }
 
+  // Resolves a raw key to { keyId, userId, scopes } or null
   static async validateAPIKey(key) {
-    // Check cache first
-    const cachedUserId = await cache.get(`apikey:${key}`);
-    if (cachedUserId) {
-      return cachedUserId;
+    if (!key || !key.startsWith(KEY_PREFIX)) {
+      return null;
     }
 
-    // Check database
-    const apiKey = await APIKey.findOne({ key, isActive: true });
+    const keyHash = hashString(key);
+
+    // Check cache first
+    let apiKey = await cache.get(APIKeyManager.cacheKey(keyHash));
+
     if (!apiKey) {
-      return null;
+      // Check database
+      const doc = await APIKey.findOne({ keyHash, revokedAt: null });
+      if (!doc) {
+        return null;
+      }
+
+      apiKey = {
+        keyId: doc._id.toString(),
+        userId: doc.user.toString(),
+        scopes: doc.scopes,
+        expiresAt: doc.expiresAt,
+        lastUsed: doc.lastUsed
+      };
+
+      await cache.set(APIKeyManager.cacheKey(keyHash), apiKey, CACHE_TTL);
     }
 
-    // Update last used
-    apiKey.lastUsed = new Date();
-    await apiKey.save();
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+      return null;
+    }
 
-    // Cache for 1 hour
-    await cache.set(`apikey:${key}`, apiKey.userId, 3600);
+    APIKeyManager.touch(keyHash, apiKey);
 
-    return apiKey.userId;
+    return apiKey;
   }
 
-  static middleware() {
-    return async (req, res, next) => {
-      const apiKey = req.headers['x-api-key'];
+  static touch(keyHash, apiKey) {
+    const lastUsed = apiKey.lastUsed ? new Date(apiKey.lastUsed).getTime() : 0;
+    if (Date.now() - lastUsed < LAST_USED_INTERVAL) return;
 
-      if (!apiKey) {
-        return res.status(401).json({
-          success: false,
-          message: 'API key required'
-        });
-      }
-
-      const userId = await APIKeyManager.validateAPIKey(apiKey);
+    apiKey.lastUsed = new Date();
+    APIKey.updateOne({ _id: apiKey.keyId }, { lastUsed: apiKey.lastUsed }).catch(() => {});
+    cache.set(APIKeyManager.cacheKey(keyHash), apiKey, CACHE_TTL);
+  }
 
-      if (!userId) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid API key'
-        });
-      }
+  static async revoke(apiKeyDoc) {
+    apiKeyDoc.revokedAt = new Date();
+    await apiKeyDoc.save();
 
-      req.user = { userId };
-      next();
-    };
+    const { keyHash } = await APIKey.findById(apiKeyDoc._id).select('+keyHash');
+    await cache.del(APIKeyManager.cacheKey(keyHash));
   }
 }
 
-module.exports = APIKeyManager;
\ No newline at end of file
+module.exports = APIKeyManager;
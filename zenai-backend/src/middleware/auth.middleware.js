@@ -1,27 +1,46 @@
 const { verifyAccessToken } = require('../config/jwt');
 const { cache } = require('../config/redis');
 const User = require('../models/User.model');
+const APIKeyManager = require('./apiKey.middleware');
 
+// Accepts a Bearer JWT or an `x-api-key` header. API key requests carry
+// their scopes on req.user and are checked per route by requireScope.
 exports.authenticate = async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    const apiKeyHeader = req.headers['x-api-key'];
+    const hasBearer = authHeader && authHeader.startsWith('Bearer ');
+
+    if (!hasBearer && !apiKeyHeader) {
       return res.status(401).json({
         success: false,
         message: 'No token provided'
       });
     }
 
-    const token = authHeader.substring(7);
+    let userId;
+    let apiKey = null;
 
-    // Verify token
-    const decoded = verifyAccessToken(token);
+    if (hasBearer) {
+      // Verify token
+      const decoded = verifyAccessToken(authHeader.substring(7));
+      userId = decoded.userId;
+    } else {
+      apiKey = await APIKeyManager.validateAPIKey(apiKeyHeader);
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired API key'
+        });
+      }
+      userId = apiKey.userId;
+    }
 
     // Check if user exists (with cache)
-    let user = await cache.get(`user:${decoded.userId}`);
+    let user = await cache.get(`user:${userId}`);
     if (!user) {
-      user = await User.findById(decoded.userId);
+      user = await User.findById(userId);
       if (!user) {
         return res.status(401).json({
           success: false,
@@ -39,6 +58,14 @@ exports.authenticate = async (req, res, next) => {
     }
 
     req.user = { userId: user._id, role: user.role };
+
+    if (apiKey) {
+      req.user.userId = user._id.toString();
+      req.user.authMethod = 'api_key';
+      req.user.apiKeyId = apiKey.keyId;
+      req.user.scopes = apiKey.scopes;
+    }
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -58,4 +85,32 @@ exports.authorize = (...roles) => {
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+// API keys must hold at least one of the scopes; user sessions pass through
+exports.requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (req.user.authMethod !== 'api_key') {
+      return next();
+    }
+
+    if (!scopes.some(scope => req.user.scopes.includes(scope))) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing required scope: ${scopes.join(' or ')}`
+      });
+    }
+    next();
+  };
+};
+
+// For endpoints that only make sense for a signed-in user
+exports.requireUser = (req, res, next) => {
+  if (req.user.authMethod === 'api_key') {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint is not available to API keys'
+    });
+  }
+  next();
+};
@@ -10,7 +10,10 @@ exports.notFound = (req, res, next) => {
 
 // Global error handler
 exports.errorHandler = (err, req, res, next) => {
-  const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+  // Schema validation failures are the client's to fix
+  const statusCode = err.name === 'ValidationError'
+    ? 400
+    : res.statusCode === 200 ? 500 : res.statusCode;
   
   logger.error('Error:', {
     status: statusCode,
@@ -1,5 +1,10 @@
 // src/middleware/rateLimiter.middleware.js
 const rateLimit = require('express-rate-limit');
+const mongoose = require('mongoose');
+const Task = require('../models/Task.model');
+const Conversation = require('../models/Conversation.model');
+const aiUsageService = require('../services/aiUsage.service');
+const logger = require('../utils/logger');
 
 // Use in-memory store (works without Redis for development)
 // For production, you can add Redis store later
@@ -30,7 +35,7 @@ exports.authLimiter = rateLimit({
 });
 
 // AI Endpoints Rate Limiter
-exports.aiLimiter = rateLimit({
+const aiRateLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 10, // 10 AI requests per minute
   message: {
@@ -41,6 +46,64 @@ exports.aiLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Project an AI request runs in, which decides whose budget it bills.
+// Route params aren't parsed at router level, so ids are read off the path.
+const projectOfRequest = async (req) => {
+  const { body = {}, query = {} } = req;
+  const userId = req.user.userId;
+  const isId = (value) => !!value && mongoose.isValidObjectId(value);
+
+  const direct = body.projectId || body.context?.projectId || body.metadata?.projectId || query.projectId;
+  if (isId(direct)) return direct;
+
+  const projectId = req.path.match(/^\/projects\/([^/]+)/)?.[1];
+  if (isId(projectId)) return projectId;
+
+  const taskId = req.path.match(/^\/tasks\/([^/]+)\//)?.[1] ||
+    (Array.isArray(body.taskIds) ? body.taskIds[0] : undefined);
+  if (isId(taskId)) {
+    const task = await Task.findById(taskId).select('project');
+    return task?.project;
+  }
+
+  if (isId(body.conversationId)) {
+    const conversation = await Conversation.findOne({ _id: body.conversationId, user: userId }).select('context');
+    return conversation?.context?.projectId;
+  }
+
+  return undefined;
+};
+
+// Monthly AI budget of the billed workspace. Hard limits refuse the call;
+// soft limits let it through with a warning header.
+const aiBudgetGuard = async (req, res, next) => {
+  let budget;
+
+  try {
+    budget = await aiUsageService.checkBudget(req.user.userId, await projectOfRequest(req));
+  } catch (error) {
+    // Never lock users out of AI because accounting is unavailable
+    logger.error(`AI budget check failed: ${error.message}`);
+    return next();
+  }
+
+  if (budget.status === 'exceeded' && budget.enforcement === 'hard') {
+    return res.status(402).json({
+      success: false,
+      message: 'Monthly AI budget exceeded',
+      data: { period: budget.period, enforcement: budget.enforcement }
+    });
+  }
+
+  if (budget.status === 'warning' || budget.status === 'exceeded') {
+    res.set('X-AI-Budget-Status', budget.status);
+  }
+
+  next();
+};
+
+exports.aiLimiter = [aiRateLimiter, aiBudgetGuard];
+
 // Alternative: In-Memory Store (if Redis fails)
 // Uncomment this if you want to use in-memory store as fallback
 /*
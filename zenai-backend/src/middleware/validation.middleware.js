@@ -1,5 +1,169 @@
 // src/middleware/validation.middleware.js
 const Joi = require('joi');
+const AutomationRule = require('../models/AutomationRule.model');
+const Webhook = require('../models/Webhook.model');
+const APIKey = require('../models/APIKey.model');
+const Integration = require('../models/Integration.model');
+const RecurringRule = require('../models/RecurringRule.model');
+
+const automationCondition = Joi.object({
+  field: Joi.string().required(),
+  operator: Joi.string().valid(...AutomationRule.OPERATORS).required(),
+  value: Joi.any()
+});
+
+const automationRecipient = Joi.alternatives().try(
+  Joi.string().valid(...AutomationRule.RECIPIENTS),
+  Joi.string().length(24).hex()
+);
+
+const automationAction = Joi.object({
+  type: Joi.string().valid(...AutomationRule.ACTIONS).required(),
+  params: Joi.when('type', {
+    switch: [
+      {
+        is: 'send_notification',
+        then: Joi.object({
+          message: Joi.string().required().max(1000),
+          title: Joi.string().max(200),
+          recipients: Joi.alternatives().try(automationRecipient, Joi.array().items(automationRecipient))
+        })
+      },
+      {
+        is: 'update_status',
+        then: Joi.object({
+          status: Joi.string().valid('todo', 'in-progress', 'review', 'done').required()
+        })
+      },
+      {
+        is: 'assign_task',
+        then: Joi.object({
+          strategy: Joi.string().valid('round_robin', 'least_loaded', 'specific').default('round_robin'),
+          userId: Joi.string().length(24).hex().when('strategy', { is: 'specific', then: Joi.required() })
+        })
+      },
+      {
+        is: 'create_subtask',
+        then: Joi.object({
+          title: Joi.string().required().max(200),
+          description: Joi.string().max(5000),
+          priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
+          tags: Joi.array().items(Joi.string()),
+          assignToParentAssignee: Joi.boolean()
+        })
+      }
+    ]
+  }).default({})
+});
+
+const automationRuleFields = {
+  name: Joi.string().max(120),
+  description: Joi.string().allow('').max(1000),
+  trigger: Joi.object({
+    type: Joi.string().valid(...AutomationRule.TRIGGERS).required()
+  }),
+  conditions: Joi.array().items(automationCondition),
+  actions: Joi.array().items(automationAction).min(1),
+  enabled: Joi.boolean()
+};
+
+const taskPriority = Joi.string().valid('low', 'medium', 'high', 'urgent');
+const objectId = Joi.string().length(24).hex();
+
+const taskTemplateFields = {
+  name: Joi.string().max(120),
+  title: Joi.string().max(300),
+  description: Joi.string().allow('').max(10000),
+  priority: taskPriority,
+  tags: Joi.array().items(Joi.string().max(50)),
+  estimatedTime: Joi.number().min(0).allow(null),
+  checklist: Joi.array().items(Joi.string().max(500)).max(50)
+};
+
+const recurringSchedule = Joi.object({
+  frequency: Joi.string().valid(...RecurringRule.FREQUENCIES).required(),
+  time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).message('Time must be HH:mm'),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1)
+    .when('frequency', { is: 'weekly', then: Joi.required() }),
+  dayOfMonth: Joi.number().integer().min(RecurringRule.LAST_DAY).max(31).invalid(0)
+    .when('frequency', { is: 'monthly', then: Joi.required() }),
+  cron: Joi.string().max(100)
+    .when('frequency', { is: 'cron', then: Joi.required() }),
+  timezone: Joi.string().max(64)
+});
+
+// Either a template or task.title must be set; checked in the controller
+const recurringRuleFields = {
+  name: Joi.string().max(120),
+  template: objectId.allow(null),
+  values: Joi.object().pattern(Joi.string(), Joi.string().allow('').max(5000)),
+  task: Joi.object({
+    title: Joi.string().allow('').max(300),
+    description: Joi.string().allow('').max(10000),
+    priority: taskPriority,
+    assignee: objectId.allow(null),
+    tags: Joi.array().items(Joi.string().max(50)),
+    estimatedTime: Joi.number().min(0).allow(null),
+    checklist: Joi.array().items(Joi.string().max(500)).max(50)
+  }),
+  dueInDays: Joi.number().integer().min(0).max(365).allow(null),
+  schedule: recurringSchedule
+};
+
+const integrationConfigFields = {
+  webhookUrl: Joi.string().uri({ scheme: ['https'] }),
+  channel: Joi.string().max(100),
+  botToken: Joi.string(),
+  apiKey: Joi.string(),
+  databaseId: Joi.string(),
+  workspaceId: Joi.string(),
+  token: Joi.string(),
+  repository: Joi.string().max(100),
+  owner: Joi.string().max(100),
+  webhookSecret: Joi.string().min(16),
+  apiToken: Joi.string(),
+  domain: Joi.string().hostname(),
+  email: Joi.string().email(),
+  projectKey: Joi.string().max(20),
+  boardId: Joi.string(),
+  serviceAccountKey: Joi.string(),
+  calendarId: Joi.string(),
+  host: Joi.string().hostname(),
+  port: Joi.number().integer().min(1).max(65535),
+  secure: Joi.boolean(),
+  username: Joi.string(),
+  password: Joi.string()
+};
+
+// The type's config keys, with the ones it can't connect without required
+const integrationConfig = (type, required = []) => Joi.object(Object.fromEntries(
+  Integration.CONFIG_FIELDS[type].map(field => [
+    field,
+    required.includes(field) ? integrationConfigFields[field].required() : integrationConfigFields[field]
+  ])
+));
+
+const integrationConfigs = {
+  slack: integrationConfig('slack').or('webhookUrl', 'botToken'),
+  notion: integrationConfig('notion', ['apiKey']),
+  github: integrationConfig('github', ['token', 'owner', 'repository']),
+  jira: integrationConfig('jira', ['apiToken', 'domain', 'email']),
+  trello: integrationConfig('trello', ['apiKey', 'token']),
+  calendar: integrationConfig('calendar', ['serviceAccountKey']),
+  email: integrationConfig('email', ['host'])
+};
+
+const integrationFields = {
+  name: Joi.string().max(100),
+  projectId: Joi.string().length(24).hex(),
+  status: Joi.string().valid('active', 'inactive'),
+  syncFrequency: Joi.string().valid('realtime', 'hourly', 'daily', 'manual'),
+  settings: Joi.object({
+    autoSync: Joi.boolean(),
+    notifications: Joi.boolean(),
+    bidirectionalSync: Joi.boolean()
+  })
+};
 
 const schemas = {
   chat: Joi.object({
@@ -8,7 +172,9 @@ const schemas = {
       type: Joi.string().valid('task-analysis', 'project-management'),
       projectId: Joi.string().length(24).hex(),
       taskId: Joi.string().length(24).hex()
-    })
+    }),
+    conversationId: Joi.string().length(24).hex(),
+    stream: Joi.boolean()
   }),
 
   createTask: Joi.object({
@@ -19,7 +185,86 @@ const schemas = {
   transcribe: Joi.object({
     title: Joi.string().max(200),
     participants: Joi.array().items(Joi.string())
-  })
+  }),
+
+  createAutomationRule: Joi.object({
+    ...automationRuleFields,
+    name: automationRuleFields.name.required(),
+    trigger: automationRuleFields.trigger.required(),
+    actions: automationRuleFields.actions.required()
+  }),
+
+  updateAutomationRule: Joi.object(automationRuleFields).min(1),
+
+  createTaskTemplate: Joi.object({
+    ...taskTemplateFields,
+    name: taskTemplateFields.name.required(),
+    title: taskTemplateFields.title.required()
+  }),
+
+  updateTaskTemplate: Joi.object(taskTemplateFields).min(1),
+
+  createRecurringRule: Joi.object({
+    ...recurringRuleFields,
+    name: recurringRuleFields.name.required(),
+    schedule: recurringSchedule.required()
+  }),
+
+  updateRecurringRule: Joi.object(recurringRuleFields).min(1),
+
+  createWebhook: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    description: Joi.string().allow('').max(500),
+    events: Joi.array().items(Joi.string().valid(...Webhook.EVENTS)).min(1).required(),
+    projectId: Joi.string().length(24).hex(),
+    active: Joi.boolean()
+  }),
+
+  updateWebhook: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }),
+    description: Joi.string().allow('').max(500),
+    events: Joi.array().items(Joi.string().valid(...Webhook.EVENTS)).min(1),
+    active: Joi.boolean()
+  }).min(1),
+
+  createAPIKey: Joi.object({
+    name: Joi.string().required().max(100),
+    scopes: Joi.array().items(Joi.string().valid(...APIKey.SCOPES)).min(1).unique().required(),
+    expiresAt: Joi.date().greater('now')
+  }),
+
+  updateAPIKey: Joi.object({
+    name: Joi.string().required().max(100)
+  }),
+
+  updateAIBudget: Joi.object({
+    monthlyLimit: Joi.number().min(0).allow(null),
+    enforcement: Joi.string().valid('soft', 'hard'),
+    alertThreshold: Joi.number().min(0).max(1)
+  }).min(1),
+
+  createIntegration: Joi.object({
+    ...integrationFields,
+    name: integrationFields.name.required(),
+    type: Joi.string().valid(...Integration.TYPES).required(),
+    config: Joi.when('type', {
+      switch: Object.entries(integrationConfigs).map(([type, schema]) => ({
+        is: type,
+        then: schema.required()
+      }))
+    })
+  }),
+
+  // The type can't change; config keys are checked against it in the controller
+  updateIntegration: Joi.object({
+    ...integrationFields,
+    projectId: integrationFields.projectId.allow(null),
+    config: Joi.object(
+      Object.fromEntries(
+        Object.entries(integrationConfigFields).map(([field, schema]) => [field, schema.allow(null, Integration.SECRET_MASK)])
+      )
+    )
+  }).min(1)
 };
 
 exports.validate = (schemaName) => {
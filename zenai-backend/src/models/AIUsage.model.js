@@ -0,0 +1,68 @@
+// src/models/AIUsage.model.js
+const mongoose = require('mongoose');
+
+// One AI engine call, as reported back in the response's metadata.usage
+const aiUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Whose budget pays: the project owner, or the user for calls outside a project
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  operation: {
+    type: String,
+    required: true
+  },
+  agent: String,
+  model: String,
+  mode: {
+    type: String,
+    enum: ['live', 'mock']
+  },
+  calls: {
+    type: Number,
+    default: 1
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  audioSeconds: {
+    type: Number,
+    default: 0
+  },
+  cost: {
+    type: Number,
+    default: 0
+  }, // in USD
+  // Counted locally because the provider didn't report usage
+  estimated: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+aiUsageSchema.index({ workspace: 1, createdAt: -1 });
+aiUsageSchema.index({ user: 1, createdAt: -1 });
+aiUsageSchema.index({ project: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
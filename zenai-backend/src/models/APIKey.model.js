@@ -0,0 +1,66 @@
+// src/models/APIKey.model.js
+const mongoose = require('mongoose');
+
+const SCOPES = [
+  'read:projects',
+  'write:projects',
+  'read:tasks',
+  'write:tasks',
+  'ai:chat',
+  'ai:analyze',
+  'read:jobs',
+  'read:notifications',
+  'write:notifications',
+  'manage:automations',
+  'manage:webhooks',
+  'manage:integrations',
+  'read:analytics',
+  'write:analytics'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // First characters of the key, shown in the UI to tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the full key; the key itself is never stored
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: SCOPES
+  }],
+  expiresAt: Date,
+  lastUsed: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.set('toJSON', { virtuals: true });
+
+apiKeySchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('APIKey', apiKeySchema);
@@ -0,0 +1,49 @@
+// src/models/AutomationLog.model.js
+const mongoose = require('mongoose');
+
+const automationLogSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutomationRule',
+    required: true
+  },
+  // Kept so the log still reads well after the rule is renamed or deleted
+  ruleName: String,
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  trigger: {
+    type: String,
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['success', 'partial', 'failed'],
+    required: true
+  },
+  actions: [{
+    _id: false,
+    type: { type: String },
+    status: { type: String, enum: ['success', 'failed', 'skipped'] },
+    result: mongoose.Schema.Types.Mixed,
+    error: String
+  }],
+  duration: Number // in ms
+}, {
+  timestamps: true
+});
+
+automationLogSchema.index({ project: 1, createdAt: -1 });
+automationLogSchema.index({ rule: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AutomationLog', automationLogSchema);
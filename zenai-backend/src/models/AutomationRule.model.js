@@ -0,0 +1,93 @@
+// src/models/AutomationRule.model.js
+const mongoose = require('mongoose');
+
+const TRIGGERS = [
+  'task.created',
+  'task.updated',
+  'task.status_changed',
+  'task.completed',
+  'task.assigned',
+  'comment.added',
+  'project.updated'
+];
+
+const OPERATORS = [
+  'equals',
+  'not_equals',
+  'contains',
+  'greater_than',
+  'less_than',
+  'is_empty',
+  'is_not_empty'
+];
+
+const ACTIONS = ['send_notification', 'update_status', 'assign_task', 'create_subtask'];
+
+// Named recipients of send_notification; anything else must be a member's id
+const RECIPIENTS = ['assignee', 'creator', 'actor', 'owner', 'team'];
+
+const automationRuleSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  trigger: {
+    type: {
+      type: String,
+      enum: TRIGGERS,
+      required: true
+    }
+  },
+  conditions: [{
+    _id: false,
+    field: { type: String, required: true },
+    operator: { type: String, enum: OPERATORS, required: true },
+    value: mongoose.Schema.Types.Mixed
+  }],
+  actions: [{
+    _id: false,
+    type: { type: String, enum: ACTIONS, required: true },
+    params: { type: mongoose.Schema.Types.Mixed, default: {} }
+  }],
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Last user picked by the round_robin assignment strategy
+  lastAssignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  lastRunAt: Date
+}, {
+  timestamps: true
+});
+
+automationRuleSchema.index({ project: 1, enabled: 1, 'trigger.type': 1 });
+
+automationRuleSchema.statics.TRIGGERS = TRIGGERS;
+automationRuleSchema.statics.OPERATORS = OPERATORS;
+automationRuleSchema.statics.ACTIONS = ACTIONS;
+automationRuleSchema.statics.RECIPIENTS = RECIPIENTS;
+
+module.exports = mongoose.model('AutomationRule', automationRuleSchema);
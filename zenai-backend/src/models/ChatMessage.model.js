@@ -6,6 +6,10 @@ const chatMessageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
   role: {
     type: String,
     enum: ['user', 'ai'],
@@ -25,10 +29,29 @@ const chatMessageSchema = new mongoose.Schema({
       ref: 'Task'
     }
   },
+  // Documents the answer was grounded in; `number` matches its [n] citations
+  sources: [{
+    _id: false,
+    number: Number,
+    documentId: String,
+    type: { type: String },
+    title: String,
+    snippet: String,
+    score: Number,
+    relevance: String,
+    projectId: String,
+    taskId: String,
+    itemId: String,
+    url: String
+  }],
   metadata: {
     model: String,
+    agent: String,
     tokens: Number,
-    responseTime: Number
+    responseTime: Number,
+    cancelled: Boolean,
+    // 0-100, how closely the sources matched the question
+    confidence: Number
   }
 }, {
   timestamps: true
@@ -36,5 +59,6 @@ const chatMessageSchema = new mongoose.Schema({
 
 // Index for user chat history
 chatMessageSchema.index({ user: 1, createdAt: -1 });
+chatMessageSchema.index({ conversation: 1, createdAt: -1 });
 
 module.exports = mongoose.model('ChatMessage', chatMessageSchema);
\ No newline at end of file
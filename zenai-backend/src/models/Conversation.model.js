@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_TITLE = 'New conversation';
+
+const conversationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: DEFAULT_TITLE
+  },
+  // Set once the user renames the thread, so auto-titling leaves it alone
+  titleLocked: {
+    type: Boolean,
+    default: false
+  },
+  context: {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    },
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for the thread sidebar
+conversationSchema.index({ user: 1, archived: 1, lastMessageAt: -1 });
+
+conversationSchema.statics.DEFAULT_TITLE = DEFAULT_TITLE;
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,72 @@
+// src/models/Document.model.js
+const mongoose = require('mongoose');
+
+const FORMATS = ['pdf', 'docx', 'markdown', 'html', 'csv', 'text'];
+const STATUSES = ['pending', 'indexing', 'indexed', 'failed'];
+
+// A file uploaded to a project's knowledge. Uploading a file under the same
+// name again replaces it as the next version; `checksum` (SHA-256 of the
+// contents) lets an unchanged re-upload be skipped.
+const documentSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: FORMATS,
+    required: true
+  },
+  mimeType: String,
+  size: Number,
+  checksum: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Where the upload is kept so the document can be re-indexed
+  filePath: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  chunkCount: {
+    type: Number,
+    default: 0
+  },
+  characters: Number,
+  // Splitter settings of the last successful index
+  chunkSize: Number,
+  chunkOverlap: Number,
+  error: String,
+  indexedAt: Date
+}, {
+  timestamps: true
+});
+
+documentSchema.index({ project: 1, name: 1 }, { unique: true });
+documentSchema.index({ project: 1, updatedAt: -1 });
+
+documentSchema.statics.FORMATS = FORMATS;
+documentSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Document', documentSchema);
@@ -1,5 +1,26 @@
 // src/models/Integration.model.js
 const mongoose = require('mongoose');
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+
+const TYPES = ['slack', 'notion', 'github', 'jira', 'trello', 'calendar', 'email'];
+
+// Config keys each type reads; anything else is dropped on write
+const CONFIG_FIELDS = {
+  slack: ['webhookUrl', 'channel', 'botToken'],
+  notion: ['apiKey', 'databaseId', 'workspaceId'],
+  github: ['token', 'repository', 'owner', 'webhookSecret'],
+  jira: ['apiToken', 'domain', 'email', 'projectKey'],
+  trello: ['apiKey', 'token', 'boardId'],
+  calendar: ['serviceAccountKey', 'calendarId'],
+  email: ['host', 'port', 'secure', 'username', 'password']
+};
+
+// Stored encrypted and never returned by the API
+const SECRET_FIELDS = [
+  'webhookUrl', 'botToken', 'apiKey', 'token', 'webhookSecret', 'apiToken', 'serviceAccountKey', 'password'
+];
+
+const SECRET_MASK = '********';
 
 const integrationSchema = new mongoose.Schema({
   user: {
@@ -9,28 +30,34 @@ const integrationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['slack', 'notion', 'github', 'jira', 'trello', 'calendar', 'email'],
+    enum: TYPES,
     required: true
   },
   name: {
     type: String,
     required: true
   },
+  // Project the integration syncs with, for types that sync tasks
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
   config: {
     // Slack
     webhookUrl: String,
     channel: String,
     botToken: String,
     
-    // Notion
+    // Notion, Trello
     apiKey: String,
     databaseId: String,
     workspaceId: String,
     
-    // GitHub
+    // GitHub, Trello
     token: String,
     repository: String,
     owner: String,
+    webhookSecret: String,
     
     // Jira
     apiToken: String,
@@ -39,8 +66,6 @@ const integrationSchema = new mongoose.Schema({
     projectKey: String,
     
     // Trello
-    apiKey: String,
-    token: String,
     boardId: String,
     
     // Calendar
@@ -95,18 +120,54 @@ const integrationSchema = new mongoose.Schema({
     }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      if (ret.config) {
+        SECRET_FIELDS.forEach(field => {
+          if (ret.config[field]) ret.config[field] = SECRET_MASK;
+        });
+      }
+      return ret;
+    }
+  }
 });
 
 // Index for quick lookups
 integrationSchema.index({ user: 1, type: 1 });
 integrationSchema.index({ status: 1 });
+integrationSchema.index({ project: 1, type: 1 });
 
-// Encrypt sensitive data before saving
+// Encrypt secret config fields before saving
 integrationSchema.pre('save', function(next) {
-  // In production, encrypt sensitive fields like apiKey, token, etc.
-  // using crypto or a library like mongoose-encryption
-  next();
+  try {
+    SECRET_FIELDS.forEach(field => {
+      const value = this.config?.[field];
+      if (value && this.isModified(`config.${field}`) && !isEncrypted(value)) {
+        this.config[field] = encrypt(value);
+      }
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
 });
 
-module.exports = mongoose.model('Integration', integrationSchema);
\ No newline at end of file
+// Plain config for the type, with secrets decrypted
+integrationSchema.methods.getConfig = function() {
+  const config = {};
+  CONFIG_FIELDS[this.type].forEach(field => {
+    const value = this.config?.[field];
+    if (value !== undefined && value !== null) {
+      config[field] = SECRET_FIELDS.includes(field) ? decrypt(value) : value;
+    }
+  });
+  return config;
+};
+
+integrationSchema.statics.TYPES = TYPES;
+integrationSchema.statics.CONFIG_FIELDS = CONFIG_FIELDS;
+integrationSchema.statics.SECRET_FIELDS = SECRET_FIELDS;
+integrationSchema.statics.SECRET_MASK = SECRET_MASK;
+
+module.exports = mongoose.model('Integration', integrationSchema);
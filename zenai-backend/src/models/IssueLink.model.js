@@ -0,0 +1,35 @@
+// src/models/IssueLink.model.js
+const mongoose = require('mongoose');
+
+// Maps a task to the GitHub issue it syncs with. The two timestamps are the
+// last versions both sides agreed on, each from its own clock, so a side has
+// changed when its current timestamp is newer than the one stored here.
+const issueLinkSchema = new mongoose.Schema({
+  integration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Integration',
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  issueNumber: {
+    type: Number,
+    required: true
+  },
+  issueId: Number,
+  url: String,
+  taskUpdatedAt: Date,
+  issueUpdatedAt: Date,
+  lastSyncedAt: Date
+}, {
+  timestamps: true
+});
+
+issueLinkSchema.index({ integration: 1, issueNumber: 1 }, { unique: true });
+issueLinkSchema.index({ integration: 1, task: 1 }, { unique: true });
+issueLinkSchema.index({ task: 1 });
+
+module.exports = mongoose.model('IssueLink', issueLinkSchema);
@@ -0,0 +1,46 @@
+// src/models/Notification.model.js
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['task_assigned', 'comment_added', 'status_changed', 'due_soon', 'automation', 'ai_budget'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  data: mongoose.Schema.Types.Mixed,
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Inbox listing and unread badge
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ task: 1, type: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -48,6 +48,34 @@ const projectSchema = new mongoose.Schema({
     totalTasks: { type: Number, default: 0 },
     completedTasks: { type: Number, default: 0 },
     inProgressTasks: { type: Number, default: 0 }
+  },
+  // How uploaded documents are split for chat retrieval, in characters.
+  // Unset values use the AI engine defaults (1000 and 200).
+  knowledge: {
+    chunkSize: { type: Number, min: 200, max: 8000 },
+    chunkOverlap: {
+      type: Number,
+      min: 0,
+      validate: {
+        validator: function (value) {
+          return value < (this.knowledge?.chunkSize || 1000);
+        },
+        message: 'Chunk overlap must be smaller than the chunk size'
+      }
+    }
+  },
+  // Most tasks each board column may hold; unset means no limit
+  wipLimits: {
+    todo: { type: Number, min: 1 },
+    'in-progress': { type: Number, min: 1 },
+    review: { type: Number, min: 1 },
+    done: { type: Number, min: 1 }
+  },
+  // Set once the built-in task templates have been copied in, so deleted
+  // ones don't come back
+  templatesSeeded: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
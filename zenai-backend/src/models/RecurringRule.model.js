@@ -0,0 +1,181 @@
+// src/models/RecurringRule.model.js
+const mongoose = require('mongoose');
+const cronParser = require('cron-parser');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'cron'];
+const STATUSES = ['active', 'paused'];
+
+// dayOfMonth value for the last day of every month
+const LAST_DAY = -1;
+
+// Shortest gap allowed between two runs of a custom cron schedule
+const MIN_INTERVAL = 60 * 60 * 1000;
+
+const recurringRuleSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  // Fields of every task created; set ones override the template's
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskTemplate'
+  },
+  values: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  task: {
+    title: { type: String, trim: true, maxlength: 300 },
+    description: { type: String, trim: true, maxlength: 10000 },
+    priority: { type: String, enum: ['low', 'medium', 'high', 'urgent'] },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    tags: { type: [String], default: undefined },
+    estimatedTime: Number,
+    checklist: { type: [String], default: undefined }
+  },
+  // Days from a run to the due date of its task; unset leaves no due date
+  dueInDays: {
+    type: Number,
+    min: 0,
+    max: 365
+  },
+  schedule: {
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: true
+    },
+    // HH:mm in `timezone`, for every frequency but cron
+    time: {
+      type: String,
+      default: '09:00',
+      match: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    // 0 (Sunday) to 6, for weekly rules
+    daysOfWeek: [{ type: Number, min: 0, max: 6 }],
+    // For monthly rules; months without that day are skipped
+    dayOfMonth: { type: Number, min: LAST_DAY, max: 31 },
+    // Five-field expression, for cron rules
+    cron: String,
+    timezone: {
+      type: String,
+      default: 'UTC'
+    }
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'active'
+  },
+  // Only active rules have one
+  nextRunAt: Date,
+  lastRunAt: Date,
+  lastTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  // Why the last run failed to create its task; cleared by the next success
+  lastError: {
+    message: String,
+    at: Date
+  },
+  skipCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+recurringRuleSchema.index({ status: 1, nextRunAt: 1 });
+recurringRuleSchema.index({ project: 1 });
+
+// The schedule as a cron expression
+recurringRuleSchema.methods.cronExpression = function() {
+  const { frequency, time, daysOfWeek, dayOfMonth, cron } = this.schedule;
+  if (frequency === 'cron') return cron;
+
+  const [hour, minute] = time.split(':').map(Number);
+  const days = frequency === 'weekly' ? [...new Set(daysOfWeek)].sort().join(',') : '*';
+  const date = frequency === 'monthly' ? (dayOfMonth === LAST_DAY ? 'L' : dayOfMonth) : '*';
+
+  return `${minute} ${hour} ${date} * ${days}`;
+};
+
+// First `count` run times after `after`. Throws when the schedule is invalid.
+recurringRuleSchema.methods.upcoming = function(count = 1, after = new Date()) {
+  const interval = cronParser.parseExpression(this.cronExpression(), {
+    currentDate: after,
+    tz: this.schedule.timezone
+  });
+
+  return Array.from({ length: count }, () => interval.next().toDate());
+};
+
+recurringRuleSchema.methods.nextRunAfter = function(after = new Date()) {
+  return this.upcoming(1, after)[0];
+};
+
+// Message when the schedule can't be run, or null
+recurringRuleSchema.methods.scheduleError = function() {
+  const { frequency, daysOfWeek, dayOfMonth, cron, timezone } = this.schedule;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    return `Unknown timezone: ${timezone}`;
+  }
+
+  if (frequency === 'weekly' && !(daysOfWeek?.length > 0)) {
+    return 'Weekly rules need at least one day of the week';
+  }
+  if (frequency === 'monthly' && !dayOfMonth) {
+    return 'Monthly rules need a day of the month';
+  }
+  if (frequency === 'cron' && !cron) {
+    return 'Cron rules need an expression';
+  }
+
+  let runs;
+  try {
+    if (frequency === 'cron' && cron.trim().split(/\s+/).length !== 5) {
+      throw new Error('expected 5 fields');
+    }
+    runs = this.upcoming(5);
+  } catch (error) {
+    return `Invalid schedule: ${error.message}`;
+  }
+
+  if (runs.some((run, i) => i > 0 && run - runs[i - 1] < MIN_INTERVAL)) {
+    return 'Recurring tasks can be created at most once an hour';
+  }
+
+  return null;
+};
+
+recurringRuleSchema.statics.FREQUENCIES = FREQUENCIES;
+recurringRuleSchema.statics.STATUSES = STATUSES;
+recurringRuleSchema.statics.LAST_DAY = LAST_DAY;
+
+module.exports = mongoose.model('RecurringRule', recurringRuleSchema);
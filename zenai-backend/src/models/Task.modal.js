@@ -1,71 +0,0 @@
-const mongoose = require('mongoose');
-
-const taskSchema = new mongoose.Schema({
-  title: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  description: {
-    type: String,
-    trim: true
-  },
-  project: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Project',
-    required: true
-  },
-  assignee: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  },
-  createdBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  status: {
-    type: String,
-    enum: ['todo', 'in-progress', 'review', 'done'],
-    default: 'todo'
-  },
-  priority: {
-    type: String,
-    enum: ['low', 'medium', 'high', 'urgent'],
-    default: 'medium'
-  },
-  tags: [String],
-  dueDate: Date,
-  estimatedTime: Number, // in hours
-  actualTime: Number, // in hours
-  dependencies: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Task'
-  }],
-  attachments: [{
-    name: String,
-    url: String,
-    type: String,
-    size: Number
-  }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    text: String,
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }]
-}, {
-  timestamps: true
-});
-
-// Indexes
-taskSchema.index({ project: 1, status: 1 });
-taskSchema.index({ assignee: 1, status: 1 });
-taskSchema.index({ dueDate: 1 });
-
-module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
@@ -0,0 +1,233 @@
+// src/models/Task.model.js
+const mongoose = require('mongoose');
+
+const taskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['todo', 'in-progress', 'review', 'done'],
+    default: 'todo'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  tags: [String],
+  // Rank within its status column on the board, lowest first
+  position: {
+    type: Number,
+    default: 0
+  },
+  dueDate: Date,
+  estimatedTime: Number, // in hours
+  actualTime: Number, // in hours
+  // Subtasks nest up to MAX_DEPTH levels below a top-level task
+  parentTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  checklist: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500
+    },
+    done: {
+      type: Boolean,
+      default: false
+    },
+    completedAt: Date,
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Rolled up by updateProgress: from the subtasks when there are any,
+  // otherwise from the checklist, otherwise 0 or 100 by status
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  subtaskCount: {
+    total: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 }
+  },
+  // Recurring rule that created this task, if any
+  recurringRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringRule',
+    default: null
+  },
+  // Tasks of the same project that must be done first; kept acyclic
+  dependencies: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  attachments: [{
+    name: String,
+    url: String,
+    type: String,
+    size: Number
+  }],
+  comments: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    text: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+taskSchema.index({ project: 1, status: 1, position: 1 });
+taskSchema.index({ assignee: 1, status: 1 });
+taskSchema.index({ dueDate: 1 });
+taskSchema.index({ parentTask: 1 });
+
+// Direct children, for populate('subtasks')
+taskSchema.virtual('subtasks', {
+  ref: 'Task',
+  localField: '_id',
+  foreignField: 'parentTask'
+});
+
+// True while a dependency is unfinished. Only known when `dependencies`
+// is populated with at least their status.
+taskSchema.virtual('isBlocked').get(function() {
+  if (!this.populated('dependencies')) return undefined;
+  return this.dependencies.some(dependency => dependency && dependency.status !== 'done');
+});
+
+taskSchema.set('toJSON', { virtuals: true });
+
+taskSchema.statics.STATUSES = taskSchema.path('status').enumValues;
+taskSchema.statics.MAX_DEPTH = 3;
+
+// Level of a task in its tree, 1 for a top-level task
+taskSchema.statics.depthOf = async function(taskId) {
+  let depth = 0;
+  let current = await this.findById(taskId).select('parentTask');
+
+  while (current) {
+    depth += 1;
+    current = current.parentTask ? await this.findById(current.parentTask).select('parentTask') : null;
+  }
+
+  return depth;
+};
+
+// Levels in the tree rooted at a task, 1 for a task without subtasks
+taskSchema.statics.subtreeHeight = async function(taskId) {
+  let height = 0;
+  let level = [taskId];
+
+  while (level.length > 0) {
+    height += 1;
+    level = (await this.find({ parentTask: { $in: level } }).select('_id')).map(task => task._id);
+  }
+
+  return height;
+};
+
+// Ids of every task below a task, nearest first
+taskSchema.statics.descendantIds = async function(taskId) {
+  const ids = [];
+  let level = [taskId];
+
+  while (level.length > 0) {
+    level = (await this.find({ parentTask: { $in: level } }).select('_id')).map(task => task._id);
+    ids.push(...level);
+  }
+
+  return ids;
+};
+
+// Recompute progress and subtask counts of a task, then of each ancestor.
+// Resolves to the task's own new progress.
+taskSchema.statics.updateProgress = async function(taskId) {
+  let task = taskId ? await this.findById(taskId) : null;
+  let ownProgress = null;
+
+  while (task) {
+    const children = await this.find({ parentTask: task._id }).select('status progress');
+    let progress;
+
+    if (children.length > 0) {
+      progress = Math.round(children.reduce((sum, child) => sum + child.progress, 0) / children.length);
+    } else if (task.status === 'done') {
+      progress = 100;
+    } else if (task.checklist.length > 0) {
+      progress = Math.round(task.checklist.filter(item => item.done).length / task.checklist.length * 100);
+    } else {
+      progress = 0;
+    }
+
+    await this.updateOne({ _id: task._id }, {
+      progress,
+      'subtaskCount.total': children.length,
+      'subtaskCount.completed': children.filter(child => child.status === 'done').length
+    });
+
+    if (ownProgress === null) ownProgress = progress;
+    task = task.parentTask ? await this.findById(task.parentTask) : null;
+  }
+
+  return ownProgress;
+};
+
+// Position that puts a task at the bottom of a column
+taskSchema.statics.nextPosition = async function(projectId, status) {
+  const last = await this.findOne({ project: projectId, status }).sort({ position: -1 }).select('position');
+  return last ? last.position + 1 : 0;
+};
+
+// Recompute progress counters on the parent project
+taskSchema.statics.updateProjectMetadata = async function(projectId) {
+  const tasks = await this.find({ project: projectId });
+  const totalTasks = tasks.length;
+  const completedTasks = tasks.filter(t => t.status === 'done').length;
+  const inProgressTasks = tasks.filter(t => t.status === 'in-progress').length;
+  const progress = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
+
+  await mongoose.model('Project').findByIdAndUpdate(projectId, {
+    progress,
+    'metadata.totalTasks': totalTasks,
+    'metadata.completedTasks': completedTasks,
+    'metadata.inProgressTasks': inProgressTasks
+  });
+};
+
+module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
@@ -0,0 +1,92 @@
+// src/models/TaskTemplate.model.js
+const mongoose = require('mongoose');
+
+// `{name}` in a title, description or checklist item is filled in when the
+// template is used
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const taskTemplateSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  // Built-in template this one was seeded from, null for custom ones
+  key: {
+    type: String,
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 10000
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  tags: [String],
+  estimatedTime: Number, // in hours
+  checklist: [{
+    type: String,
+    trim: true,
+    maxlength: 500
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A built-in template is seeded once per project
+taskTemplateSchema.index(
+  { project: 1, key: 1 },
+  { unique: true, partialFilterExpression: { key: { $type: 'string' } } }
+);
+
+// Placeholder names in order of first use
+taskTemplateSchema.virtual('placeholders').get(function() {
+  const texts = [this.title, this.description, ...(this.checklist || [])];
+  const names = texts.flatMap(text => [...(text || '').matchAll(PLACEHOLDER)].map(match => match[1]));
+  return [...new Set(names)];
+});
+
+taskTemplateSchema.set('toJSON', { virtuals: true });
+
+taskTemplateSchema.statics.fill = function(text, values = {}) {
+  return (text || '').replace(PLACEHOLDER, (match, name) => {
+    const value = values[name];
+    return value === undefined || value === null ? '' : String(value).trim();
+  });
+};
+
+// Task fields with the placeholders filled in; missing values become empty
+taskTemplateSchema.methods.render = function(values = {}) {
+  const fill = (text) => this.constructor.fill(text, values);
+
+  return {
+    title: fill(this.title).trim() || this.name,
+    description: fill(this.description),
+    priority: this.priority,
+    tags: [...this.tags],
+    estimatedTime: this.estimatedTime,
+    checklist: this.checklist.map(fill).filter(text => text.trim()).map(text => ({ text }))
+  };
+};
+
+module.exports = mongoose.model('TaskTemplate', taskTemplateSchema);
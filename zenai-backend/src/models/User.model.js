@@ -31,6 +31,39 @@ const userSchema = new mongoose.Schema({
     default: true
   },
   lastLogin: Date,
+  notificationSettings: {
+    mutedProjects: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    }]
+  },
+  // Monthly AI spend cap for this user's workspace: their own calls plus
+  // every call made in projects they own. No limit when monthlyLimit is unset.
+  aiBudget: {
+    monthlyLimit: {
+      type: Number,
+      min: 0
+    }, // in USD
+    enforcement: {
+      type: String,
+      enum: ['soft', 'hard'],
+      default: 'soft'
+    },
+    alertThreshold: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.8
+    },
+    // Last alert sent, so each level is only announced once a month
+    lastAlert: {
+      period: String, // YYYY-MM
+      level: {
+        type: String,
+        enum: ['warning', 'exceeded']
+      }
+    }
+  },
   refreshToken: String
 }, {
   timestamps: true
@@ -0,0 +1,59 @@
+// src/models/Webhook.model.js
+const mongoose = require('mongoose');
+
+const EVENTS = [
+  'task.created',
+  'task.updated',
+  'task.completed',
+  'project.created',
+  'project.updated'
+];
+
+const webhookSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Empty for account-wide hooks that cover every project the owner owns
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  events: [{
+    type: String,
+    enum: EVENTS
+  }],
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ project: 1, active: 1 });
+webhookSchema.index({ owner: 1, project: 1 });
+
+webhookSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
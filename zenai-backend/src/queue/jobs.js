@@ -0,0 +1,139 @@
+// src/queue/jobs.js
+const { Queue } = require('bullmq');
+const { redisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const QUEUE_NAME = 'zenai-jobs';
+const DEAD_LETTER_KEY = 'queue:dead-letter';
+const DEAD_LETTER_MAX = 1000;
+
+const JOB_NAMES = {
+  TRANSCRIBE: 'transcribe',
+  ANALYZE_PROJECT: 'analyze-project',
+  INDEX_DOCUMENT: 'index-document',
+  SYNC_KNOWLEDGE: 'sync-knowledge',
+  INTEGRATION_SYNC: 'integration-sync',
+  QUEUE_INTEGRATION_SYNCS: 'queue-integration-syncs',
+  DUE_DATE_REMINDERS: 'due-date-reminders',
+  WEBHOOK_DELIVERY: 'webhook-delivery',
+  RECURRING_TASKS: 'recurring-tasks'
+};
+
+// Jobs the queue runs on a fixed interval
+const SCHEDULES = {
+  [JOB_NAMES.DUE_DATE_REMINDERS]: { every: 60 * 60 * 1000 }, // hourly
+  [JOB_NAMES.QUEUE_INTEGRATION_SYNCS]: { every: 15 * 60 * 1000 },
+  [JOB_NAMES.RECURRING_TASKS]: { every: 60 * 1000 }
+};
+
+const DEFAULT_JOB_OPTIONS = {
+  attempts: parseInt(process.env.JOB_ATTEMPTS || 3),
+  backoff: {
+    type: 'exponential',
+    delay: 5000 // 5s, 10s, 20s...
+  },
+  removeOnComplete: { age: 24 * 3600, count: 1000 },
+  removeOnFail: { age: 7 * 24 * 3600 }
+};
+
+// BullMQ needs blocking commands, so it gets its own connection
+// with the same settings minus the per-request retry cap
+const createConnection = () => redisClient.duplicate({
+  maxRetriesPerRequest: null
+});
+
+let queue = null;
+
+const getQueue = () => {
+  if (!queue) {
+    queue = new Queue(QUEUE_NAME, {
+      connection: createConnection(),
+      defaultJobOptions: DEFAULT_JOB_OPTIONS
+    });
+  }
+  return queue;
+};
+
+const addJob = async (name, data, options = {}) => {
+  if (!Object.values(JOB_NAMES).includes(name)) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const job = await getQueue().add(name, data, options);
+  logger.info(`Job queued: ${name} (${job.id})`);
+  return job;
+};
+
+// Idempotent: re-registering a scheduler updates it instead of adding a copy
+const scheduleRepeatableJobs = async () => {
+  for (const [name, repeat] of Object.entries(SCHEDULES)) {
+    await getQueue().upsertJobScheduler(name, repeat, { name });
+  }
+  logger.info(`Scheduled jobs registered: ${Object.keys(SCHEDULES).join(', ')}`);
+};
+
+const getJob = async (jobId) => {
+  return await getQueue().getJob(jobId);
+};
+
+const getJobStatus = async (jobId) => {
+  const job = await getJob(jobId);
+  if (!job) return null;
+
+  return {
+    id: job.id,
+    name: job.name,
+    state: await job.getState(),
+    progress: job.progress,
+    attemptsMade: job.attemptsMade,
+    maxAttempts: job.opts.attempts,
+    result: job.returnvalue,
+    error: job.failedReason || null,
+    userId: job.data.userId,
+    createdAt: new Date(job.timestamp).toISOString(),
+    processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+    finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+  };
+};
+
+// Jobs that exhausted their retries are kept here for inspection
+const addToDeadLetter = async (job, error) => {
+  const entry = {
+    id: job.id,
+    name: job.name,
+    data: job.data,
+    error: error.message,
+    attemptsMade: job.attemptsMade,
+    failedAt: new Date().toISOString()
+  };
+
+  await redisClient.lpush(DEAD_LETTER_KEY, JSON.stringify(entry));
+  await redisClient.ltrim(DEAD_LETTER_KEY, 0, DEAD_LETTER_MAX - 1);
+
+  logger.error(`Job moved to dead-letter list: ${job.name} (${job.id}) - ${error.message}`);
+};
+
+const getDeadLetters = async (limit = 50) => {
+  const entries = await redisClient.lrange(DEAD_LETTER_KEY, 0, limit - 1);
+  return entries.map(entry => JSON.parse(entry));
+};
+
+const closeQueue = async () => {
+  if (queue) {
+    await queue.close();
+    queue = null;
+  }
+};
+
+module.exports = {
+  QUEUE_NAME,
+  JOB_NAMES,
+  createConnection,
+  addJob,
+  scheduleRepeatableJobs,
+  getJob,
+  getJobStatus,
+  addToDeadLetter,
+  getDeadLetters,
+  closeQueue
+};
@@ -0,0 +1,176 @@
+// src/queue/workers.js
+const fs = require('fs');
+const { Worker } = require('bullmq');
+const {
+  QUEUE_NAME,
+  JOB_NAMES,
+  createConnection,
+  addToDeadLetter,
+  scheduleRepeatableJobs
+} = require('./jobs');
+const aiService = require('../services/ai.service');
+const integrationService = require('../services/integration.service');
+const knowledgeService = require('../services/knowledge.service');
+const notificationService = require('../services/notification.service');
+const recurringTaskService = require('../services/recurring.service');
+const webhookService = require('../services/webhook.service');
+const Project = require('../models/Project.model');
+const Task = require('../models/Task.model');
+const logger = require('../utils/logger');
+
+const processors = {
+  [JOB_NAMES.TRANSCRIBE]: async (job) => {
+    const { audioPath, meetingContext, userId } = job.data;
+    const { projectId } = meetingContext;
+
+    await job.updateProgress(10);
+    const result = await aiService.transcribeAudio(audioPath, meetingContext, { userId, projectId });
+
+    await job.updateProgress(90);
+    await knowledgeService.indexMeeting(projectId, job.id, result, userId);
+
+    await job.updateProgress(100);
+
+    // Only drop the upload once it has been transcribed
+    removeFile(audioPath);
+    return result;
+  },
+
+  [JOB_NAMES.ANALYZE_PROJECT]: async (job) => {
+    const { projectId, userId } = job.data;
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      throw new Error(`Project not found: ${projectId}`);
+    }
+
+    const tasks = await Task.find({ project: projectId });
+    const result = await aiService.analyzeProject(project, tasks, { userId, projectId });
+
+    // analyzeProject answers with a placeholder when the engine fails
+    if (result.fallback) {
+      throw new Error('AI analysis unavailable');
+    }
+    return result;
+  },
+
+  [JOB_NAMES.INDEX_DOCUMENT]: async (job) => {
+    const { content, metadata, userId } = job.data;
+    const result = await aiService.indexDocument(content, metadata, {
+      userId,
+      projectId: metadata.projectId
+    });
+
+    // indexDocument reports engine failures instead of throwing
+    if (result && result.success === false) {
+      throw new Error(result.message || 'Document indexing failed');
+    }
+    return result;
+  },
+
+  [JOB_NAMES.SYNC_KNOWLEDGE]: async (job) => {
+    return await knowledgeService.sync(job.data);
+  },
+
+  [JOB_NAMES.INTEGRATION_SYNC]: async (job) => {
+    const { integrationId } = job.data;
+    return await integrationService.syncIntegration(integrationId);
+  },
+
+  [JOB_NAMES.QUEUE_INTEGRATION_SYNCS]: async () => {
+    return await integrationService.queueDueSyncs();
+  },
+
+  [JOB_NAMES.DUE_DATE_REMINDERS]: async () => {
+    return await notificationService.notifyDueSoon();
+  },
+
+  [JOB_NAMES.RECURRING_TASKS]: async () => {
+    return await recurringTaskService.materializeDue();
+  },
+
+  [JOB_NAMES.WEBHOOK_DELIVERY]: async (job) => {
+    const { deliveryId } = job.data;
+    const delivery = await webhookService.deliver(deliveryId, {
+      finalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1)
+    });
+    return { status: delivery.status, responseStatus: delivery.responseStatus };
+  }
+};
+
+const removeFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+let worker = null;
+
+const startWorkers = () => {
+  if (worker) return worker;
+
+  worker = new Worker(QUEUE_NAME, async (job) => {
+    const processor = processors[job.name];
+    if (!processor) {
+      throw new Error(`No processor registered for job: ${job.name}`);
+    }
+
+    logger.info(`Processing job: ${job.name} (${job.id}), attempt ${job.attemptsMade + 1}`);
+    return await processor(job);
+  }, {
+    connection: createConnection(),
+    concurrency: parseInt(process.env.WORKER_CONCURRENCY || 2)
+  });
+
+  worker.on('completed', (job) => {
+    logger.info(`Job completed: ${job.name} (${job.id})`);
+  });
+
+  worker.on('failed', async (job, error) => {
+    if (!job) return;
+
+    logger.warn(`Job failed: ${job.name} (${job.id}) attempt ${job.attemptsMade} - ${error.message}`);
+
+    if (job.attemptsMade >= (job.opts.attempts || 1)) {
+      await addToDeadLetter(job, error);
+
+      if (job.name === JOB_NAMES.TRANSCRIBE) {
+        removeFile(job.data.audioPath);
+      }
+    }
+  });
+
+  worker.on('error', (error) => {
+    logger.error(`Worker error: ${error.message}`);
+  });
+
+  scheduleRepeatableJobs().catch(error => {
+    logger.error(`Failed to register scheduled jobs: ${error.message}`);
+  });
+
+  logger.info(`Queue workers started for ${QUEUE_NAME}`);
+  return worker;
+};
+
+const stopWorkers = async () => {
+  if (worker) {
+    await worker.close();
+    worker = null;
+  }
+};
+
+// Allow running workers as a standalone process: `npm run worker`
+if (require.main === module) {
+  require('dotenv').config();
+  const connectDB = require('../config/database');
+
+  connectDB();
+  startWorkers();
+
+  process.on('SIGTERM', async () => {
+    await stopWorkers();
+    process.exit(0);
+  });
+}
+
+module.exports = { startWorkers, stopWorkers };
@@ -2,35 +2,51 @@
 const express = require('express');
 const router = express.Router();
 const aiController = require('../controllers/ai.controller');
-const { authenticate } = require('../middleware/auth.middleware');
+const { authenticate, requireScope } = require('../middleware/auth.middleware');
 const { aiLimiter } = require('../middleware/rateLimiter.middleware');
 
 // Apply authentication and rate limiting to all routes
 router.use(authenticate);
 router.use(aiLimiter);
 
+const canChat = requireScope('ai:chat');
+const canAnalyze = requireScope('ai:analyze');
+
 // Chat endpoints
-router.post('/chat', aiController.chat);
-router.get('/chat/history', aiController.getChatHistory);
+router.post('/chat', canChat, aiController.chat);
+router.get('/chat/history', canChat, aiController.getChatHistory);
 
 // Task AI endpoints
-router.post('/tasks/create', aiController.createTask);
-router.get('/tasks/:taskId/analyze', aiController.analyzeTask);
-router.get('/tasks/:taskId/breakdown', aiController.suggestBreakdown);
-router.post('/tasks/estimate', aiController.estimateEffort);
+router.post('/tasks/create', canAnalyze, aiController.createTask);
+router.get('/tasks/:taskId/analyze', canAnalyze, aiController.analyzeTask);
+router.get('/tasks/:taskId/breakdown', canAnalyze, aiController.suggestBreakdown);
+router.post('/tasks/estimate', canAnalyze, aiController.estimateEffort);
 
 // Project AI endpoints
-router.get('/projects/:projectId/analyze', aiController.analyzeProject);
+router.get('/projects/:projectId/analyze', canAnalyze, aiController.analyzeProject);
+router.post('/projects/:projectId/reindex', canAnalyze, aiController.reindexProject);
+
+// Project documents
+router.get('/projects/:projectId/documents', canAnalyze, aiController.listProjectDocuments);
+router.post(
+  '/projects/:projectId/documents',
+  canAnalyze,
+  aiController.uploadDocument,
+  aiController.uploadProjectDocument
+);
+router.post('/projects/:projectId/documents/:documentId/reindex', canAnalyze, aiController.reindexProjectDocument);
+router.delete('/projects/:projectId/documents/:documentId', canAnalyze, aiController.deleteProjectDocument);
 
 // Audio/Meeting endpoints
 router.post(
   '/transcribe',
+  canAnalyze,
   aiController.uploadAudio,
   aiController.transcribe
 );
 
 // RAG endpoints
-router.post('/documents/index', aiController.indexDocument);
-router.get('/documents/search', aiController.searchDocuments);
+router.post('/documents/index', canAnalyze, aiController.indexDocument);
+router.get('/documents/search', canAnalyze, aiController.searchDocuments);
 
 module.exports = router;
\ No newline at end of file
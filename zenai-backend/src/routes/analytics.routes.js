@@ -0,0 +1,19 @@
+// src/routes/analytics.routes.js
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analytics.controller');
+const { authenticate, requireScope } = require('../middleware/auth.middleware');
+const { apiLimiter } = require('../middleware/rateLimiter.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+router.use(authenticate);
+router.use(apiLimiter);
+
+const canRead = requireScope('read:analytics', 'write:analytics');
+const canWrite = requireScope('write:analytics');
+
+router.get('/ai-usage', canRead, analyticsController.getAIUsage);
+router.get('/ai-budget', canRead, analyticsController.getAIBudget);
+router.put('/ai-budget', canWrite, validate('updateAIBudget'), analyticsController.updateAIBudget);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// src/routes/automation.routes.js
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const automationController = require('../controllers/automation.controller');
+const { authenticate, requireScope } = require('../middleware/auth.middleware');
+const { apiLimiter } = require('../middleware/rateLimiter.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+router.use(authenticate);
+router.use(apiLimiter);
+router.use(requireScope('manage:automations'));
+
+router.get('/', automationController.getRules);
+router.post('/', validate('createAutomationRule'), automationController.createRule);
+router.get('/logs', automationController.getLogs);
+router.get('/:ruleId', automationController.getRuleById);
+router.put('/:ruleId', validate('updateAutomationRule'), automationController.updateRule);
+router.delete('/:ruleId', automationController.deleteRule);
+
+module.exports = router;
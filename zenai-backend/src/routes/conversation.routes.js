@@ -0,0 +1,18 @@
+// src/routes/conversation.routes.js
+const express = require('express');
+const router = express.Router();
+const conversationController = require('../controllers/conversation.controller');
+const { authenticate, requireScope } = require('../middleware/auth.middleware');
+const { apiLimiter } = require('../middleware/rateLimiter.middleware');
+
+router.use(authenticate);
+router.use(apiLimiter);
+router.use(requireScope('ai:chat'));
+
+router.get('/', conversationController.getConversations);
+router.post('/', conversationController.createConversation);
+router.get('/:id', conversationController.getConversationById);
+router.put('/:id', conversationController.updateConversation);
+router.delete('/:id', conversationController.deleteConversation);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+// src/routes/integration.routes.js
+const express = require('express');
+const router = express.Router();
+const integrationController = require('../controllers/integration.controller');
+const { authenticate, requireScope } = require('../middleware/auth.middleware');
+const { apiLimiter } = require('../middleware/rateLimiter.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+// Called by GitHub, which signs the body instead of sending credentials
+router.post('/:id/github/webhook', integrationController.receiveGitHubWebhook);
+
+router.use(authenticate);
+router.use(apiLimiter);
+router.use(requireScope('manage:integrations'));
+
+router.get('/', integrationController.getIntegrations);
+router.post('/', validate('createIntegration'), integrationController.createIntegration);
+router.get('/:id', integrationController.getIntegrationById);
+router.put('/:id', validate('updateIntegration'), integrationController.updateIntegration);
+router.delete('/:id', integrationController.deleteIntegration);
+router.post('/:id/test', integrationController.testConnection);
+router.post('/:id/sync', integrationController.syncIntegration);
+
+module.exports = router;
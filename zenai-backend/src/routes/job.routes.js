@@ -0,0 +1,14 @@
+// src/routes/job.routes.js
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/job.controller');
+const { authenticate, authorize, requireScope, requireUser } = require('../middleware/auth.middleware');
+const { apiLimiter } = require('../middleware/rateLimiter.middleware');
+
+router.use(authenticate);
+router.use(apiLimiter);
+
+router.get('/dead-letter', requireUser, authorize('admin'), jobController.getDeadLetters);
+router.get('/:id', requireScope('read:jobs'), jobController.getJobById);
+
+module.exports = router;
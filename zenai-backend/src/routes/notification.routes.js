@@ -0,0 +1,20 @@
+// src/routes/notification.routes.js
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notification.controller');
+const { authenticate, requireScope } = require('../middleware/auth.middleware');
+const { apiLimiter } = require('../middleware/rateLimiter.middleware');
+
+router.use(authenticate);
+router.use(apiLimiter);
+
+const canRead = requireScope('read:notifications', 'write:notifications');
+const canWrite = requireScope('write:notifications');
+
+router.get('/', canRead, notificationController.getNotifications);
+router.put('/read-all', canWrite, notificationController.markAllAsRead);
+router.put('/:notificationId/read', canWrite, notificationController.markAsRead);
+router.put('/mutes/:projectId', canWrite, notificationController.muteProject);
+router.delete('/mutes/:projectId', canWrite, notificationController.unmuteProject);
+
+module.exports = router;
@@ -2,17 +2,21 @@
 const express = require('express');
 const router = express.Router();
 const projectController = require('../controllers/project.controller');
-const { authenticate } = require('../middleware/auth.middleware');
+const { authenticate, requireScope } = require('../middleware/auth.middleware');
 const { apiLimiter } = require('../middleware/rateLimiter.middleware');
 
 router.use(authenticate);
 router.use(apiLimiter);
 
-router.post('/', projectController.createProject);
-router.get('/', projectController.getProjects);
-router.get('/:id', projectController.getProjectById);
-router.put('/:id', projectController.updateProject);
-router.delete('/:id', projectController.deleteProject);
-router.post('/:id/progress', projectController.updateProgress);
+const canRead = requireScope('read:projects', 'write:projects');
+const canWrite = requireScope('write:projects');
+
+router.post('/', canWrite, projectController.createProject);
+router.get('/', canRead, projectController.getProjects);
+router.get('/:id', canRead, projectController.getProjectById);
+router.get('/:id/dependency-graph', canRead, projectController.getDependencyGraph);
+router.put('/:id', canWrite, projectController.updateProject);
+router.delete('/:id', canWrite, projectController.deleteProject);
+router.post('/:id/progress', canWrite, projectController.updateProgress);
 
 module.exports = router;
\ No newline at end of file
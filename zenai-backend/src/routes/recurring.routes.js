@@ -0,0 +1,23 @@
+// src/routes/recurring.routes.js
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const recurringController = require('../controllers/recurring.controller');
+const { authenticate, requireScope } = require('../middleware/auth.middleware');
+const { apiLimiter } = require('../middleware/rateLimiter.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+router.use(authenticate);
+router.use(apiLimiter);
+
+const canRead = requireScope('read:tasks', 'write:tasks');
+const canWrite = requireScope('write:tasks');
+
+router.get('/', canRead, recurringController.getRules);
+router.post('/', canWrite, validate('createRecurringRule'), recurringController.createRule);
+router.put('/:ruleId', canWrite, validate('updateRecurringRule'), recurringController.updateRule);
+router.delete('/:ruleId', canWrite, recurringController.deleteRule);
+router.post('/:ruleId/pause', canWrite, recurringController.pauseRule);
+router.post('/:ruleId/resume', canWrite, recurringController.resumeRule);
+router.post('/:ruleId/skip', canWrite, recurringController.skipNextRun);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// src/routes/search.routes.js
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/search.controller');
+const { authenticate, requireScope } = require('../middleware/auth.middleware');
+const { apiLimiter } = require('../middleware/rateLimiter.middleware');
+
+router.use(authenticate);
+router.use(apiLimiter);
+
+const canSearch = requireScope('read:projects', 'write:projects', 'read:tasks', 'write:tasks');
+
+router.get('/', canSearch, searchController.search);
+
+module.exports = router;
@@ -1,18 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const taskController = require('../controllers/task.controller');
-const { authenticate } = require('../middleware/auth.middleware');
+const { authenticate, requireScope } = require('../middleware/auth.middleware');
 const { apiLimiter } = require('../middleware/rateLimiter.middleware');
 
 router.use(authenticate);
 router.use(apiLimiter);
 
-router.post('/', taskController.createTask);
-router.get('/', taskController.getTasks);
-router.get('/:id', taskController.getTaskById);
-router.put('/:id', taskController.updateTask);
-router.delete('/:id', taskController.deleteTask);
-router.post('/:id/comments', taskController.addComment);
-router.post('/:id/attachments', taskController.addAttachment);
+const canRead = requireScope('read:tasks', 'write:tasks');
+const canWrite = requireScope('write:tasks');
+
+router.post('/', canWrite, taskController.createTask);
+router.get('/', canRead, taskController.getTasks);
+router.patch('/reorder', canWrite, taskController.reorderTasks);
+router.get('/:id', canRead, taskController.getTaskById);
+router.put('/:id', canWrite, taskController.updateTask);
+router.delete('/:id', canWrite, taskController.deleteTask);
+router.post('/:id/subtasks', canWrite, taskController.createSubtasks);
+router.post('/:id/comments', canWrite, taskController.addComment);
+router.post('/:id/checklist', canWrite, taskController.addChecklistItem);
+router.patch('/:id/checklist/:itemId', canWrite, taskController.updateChecklistItem);
+router.delete('/:id/checklist/:itemId', canWrite, taskController.deleteChecklistItem);
+router.post('/:id/attachments', canWrite, taskController.addAttachment);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+// src/routes/template.routes.js
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const templateController = require('../controllers/template.controller');
+const { authenticate, requireScope } = require('../middleware/auth.middleware');
+const { apiLimiter } = require('../middleware/rateLimiter.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+router.use(authenticate);
+router.use(apiLimiter);
+
+const canRead = requireScope('read:tasks', 'write:tasks');
+const canWrite = requireScope('write:tasks');
+
+router.get('/', canRead, templateController.getTemplates);
+router.post('/', canWrite, validate('createTaskTemplate'), templateController.createTemplate);
+router.put('/:templateId', canWrite, validate('updateTaskTemplate'), templateController.updateTemplate);
+router.delete('/:templateId', canWrite, templateController.deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// src/routes/user.routes.js
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKey.controller');
+const { authenticate, requireUser } = require('../middleware/auth.middleware');
+const { apiLimiter } = require('../middleware/rateLimiter.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+router.use(authenticate);
+router.use(apiLimiter);
+
+// API keys can't be used to mint or revoke other keys
+router.get('/me/api-keys', requireUser, apiKeyController.getAPIKeys);
+router.post('/me/api-keys', requireUser, validate('createAPIKey'), apiKeyController.createAPIKey);
+router.put('/me/api-keys/:id', requireUser, validate('updateAPIKey'), apiKeyController.updateAPIKey);
+router.delete('/me/api-keys/:id', requireUser, apiKeyController.revokeAPIKey);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// src/routes/webhook.routes.js
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhook.controller');
+const { authenticate, requireScope } = require('../middleware/auth.middleware');
+const { apiLimiter } = require('../middleware/rateLimiter.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+router.use(authenticate);
+router.use(apiLimiter);
+router.use(requireScope('manage:webhooks'));
+
+router.get('/', webhookController.getWebhooks);
+router.post('/', validate('createWebhook'), webhookController.createWebhook);
+router.put('/:id', validate('updateWebhook'), webhookController.updateWebhook);
+router.delete('/:id', webhookController.deleteWebhook);
+router.post('/:id/rotate-secret', webhookController.rotateSecret);
+router.post('/:id/test', webhookController.sendTestEvent);
+router.get('/:id/deliveries', webhookController.getDeliveries);
+router.post('/:id/deliveries/:deliveryId/redeliver', webhookController.redeliver);
+
+module.exports = router;
@@ -2,6 +2,9 @@
 const app = require('./app');
 const connectDB = require('./config/database');
 const { redisClient } = require('./config/redis');
+const { initializeSocket, closeSocket } = require('./websocket/socketHandler');
+const { startWorkers, stopWorkers } = require('./queue/workers');
+const { closeQueue } = require('./queue/jobs');
 const logger = require('./utils/logger');
 require('dotenv').config();
 
@@ -20,6 +23,14 @@ const server = app.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Attach WebSocket hub to the HTTP server
+initializeSocket(server);
+
+// Run queue workers in-process unless they are deployed separately
+if (process.env.RUN_WORKERS !== 'false') {
+  startWorkers();
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error('Unhandled Rejection:', err);
@@ -37,6 +48,9 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  closeSocket();
+  stopWorkers();
+  closeQueue();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -45,6 +59,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  closeSocket();
+  stopWorkers();
+  closeQueue();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
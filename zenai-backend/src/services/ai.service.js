@@ -4,6 +4,8 @@ const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
 const ChatMessage = require('../models/ChatMessage.model');
+const Conversation = require('../models/Conversation.model');
+const aiUsageService = require('./aiUsage.service');
 const logger = require('../utils/logger');
 
 class AIService {
@@ -30,48 +32,40 @@ class AIService {
     }
   }
 
-  async chat(userId, message, context = {}) {
+  async chat(userId, message, context = {}, conversationId) {
     try {
       const startTime = Date.now();
 
       const response = await this.client.post('/api/v1/ai/chat', {
         message,
-        context
+        context,
+        userId,
+        conversationId
       });
 
       const responseTime = Date.now() - startTime;
+      const { agent, model, mode, usage } = response.data.data.metadata || {};
+      const sources = response.data.data.sources || [];
+      const confidence = response.data.data.confidence ?? undefined;
 
-      // Save user message
-      await ChatMessage.create({
-        user: userId,
-        role: 'user',
-        content: message,
-        context: {
-          projectId: context.projectId,
-          taskId: context.taskId
-        }
-      });
-
-      // Save AI response
-      await ChatMessage.create({
-        user: userId,
-        role: 'ai',
-        content: response.data.data.response,
-        context: {
-          projectId: context.projectId,
-          taskId: context.taskId
-        },
-        metadata: {
-          model: 'gpt-4',
-          responseTime
-        }
-      });
+      await aiUsageService.record('chat', response.data.data.metadata, { userId, projectId: context.projectId });
+      await this.saveExchange(userId, conversationId, message, response.data.data.response, context, {
+        model,
+        agent,
+        tokens: usage?.totalTokens,
+        responseTime,
+        confidence
+      }, sources);
 
       return {
         response: response.data.data.response,
+        sources,
         metadata: {
           responseTime,
-          agent: context.type || 'product-manager'
+          agent,
+          model,
+          mode,
+          confidence
         }
       };
     } catch (error) {
@@ -88,6 +82,170 @@ class AIService {
     }
   }
 
+  // Streams tokens from the engine's SSE endpoint; no request timeout applies
+  async streamChat(userId, message, context = {}, { conversationId, onToken, signal } = {}) {
+    const startTime = Date.now();
+    let fullResponse = '';
+    let result = null;
+
+    try {
+      const response = await this.client.post('/api/v1/ai/chat/stream', {
+        message,
+        context,
+        userId,
+        conversationId
+      }, {
+        responseType: 'stream',
+        timeout: 0,
+        signal
+      });
+
+      let buffer = '';
+
+      for await (const chunk of response.data) {
+        buffer += chunk.toString();
+
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const event of events) {
+          // Events after a cancel may already be buffered; the user never sees them
+          if (signal?.aborted) break;
+          if (!event.startsWith('data: ')) continue;
+
+          const payload = JSON.parse(event.substring(6));
+
+          if (payload.type === 'token') {
+            fullResponse += payload.content;
+            onToken?.(payload.content);
+          } else if (payload.type === 'done') {
+            result = payload;
+          } else if (payload.type === 'error') {
+            throw new Error(payload.error);
+          }
+        }
+      }
+    } catch (error) {
+      if (!signal?.aborted) {
+        logger.error('AI Chat stream error:', error.message);
+        throw error;
+      }
+    }
+
+    const cancelled = !result;
+    const responseTime = Date.now() - startTime;
+    const sources = result?.sources || [];
+    const confidence = result?.confidence ?? undefined;
+
+    // The engine has billed the tokens of a cancelled answer too, but its
+    // usage only comes with `done`
+    const metadata = cancelled
+      ? await this.estimateUsage('chat', message, fullResponse)
+      : result.metadata;
+    await aiUsageService.record('chat', metadata, { userId, projectId: context.projectId });
+
+    // Keep what the user saw, even if they stopped the answer early
+    if (fullResponse || !cancelled) {
+      await this.saveExchange(userId, conversationId, message, result?.response || fullResponse, context, {
+        model: metadata?.model,
+        agent: metadata?.agent,
+        tokens: metadata?.usage?.totalTokens,
+        responseTime,
+        cancelled,
+        confidence
+      }, sources);
+    }
+
+    return {
+      response: result?.response || fullResponse,
+      sources,
+      metadata: {
+        responseTime,
+        agent: result?.metadata?.agent,
+        model: result?.metadata?.model,
+        mode: result?.metadata?.mode,
+        cancelled,
+        confidence
+      }
+    };
+  }
+
+  // Engine metadata with the estimated usage of a call cut short before the
+  // engine could report it, or null when the engine can't be reached
+  async estimateUsage(agent, prompt, completion) {
+    try {
+      const response = await this.client.post('/api/v1/ai/usage/estimate', { agent, prompt, completion });
+      return response.data.data.metadata;
+    } catch (error) {
+      logger.error('AI usage estimate error:', error.message);
+      return null;
+    }
+  }
+
+  async saveExchange(userId, conversationId, message, reply, context = {}, metadata = {}, sources = []) {
+    const messageContext = {
+      projectId: context.projectId,
+      taskId: context.taskId
+    };
+
+    // Save user message
+    await ChatMessage.create({
+      user: userId,
+      conversation: conversationId,
+      role: 'user',
+      content: message,
+      context: messageContext
+    });
+
+    // Save AI response
+    await ChatMessage.create({
+      user: userId,
+      conversation: conversationId,
+      role: 'ai',
+      content: reply,
+      context: messageContext,
+      sources,
+      metadata
+    });
+
+    if (conversationId) {
+      await Conversation.findByIdAndUpdate(conversationId, {
+        $inc: { messageCount: 2 },
+        lastMessageAt: new Date()
+      });
+    }
+  }
+
+  // `usageScope` ({ userId, projectId }) attributes the call in the usage ledger
+  async generateConversationTitle(message, reply, usageScope) {
+    try {
+      const response = await this.client.post('/api/v1/ai/conversation-title', {
+        message,
+        reply
+      });
+
+      await aiUsageService.record('conversation_title', response.data.data.metadata, usageScope);
+
+      return response.data.data.title;
+    } catch (error) {
+      logger.error('Conversation title error:', error.message);
+
+      // Fallback: first line of the user's message
+      const firstLine = message.trim().split('\n')[0];
+      return firstLine.length > 60 ? `${firstLine.substring(0, 57)}...` : firstLine;
+    }
+  }
+
+  async clearConversation(userId, conversationId) {
+    try {
+      await this.client.delete(`/api/v1/ai/conversations/${conversationId}`, {
+        params: { userId }
+      });
+    } catch (error) {
+      logger.error('Conversation clear error:', error.message);
+    }
+  }
+
   async createTaskFromDescription(description, projectId, userId) {
     try {
       const response = await this.client.post('/api/v1/ai/create-task', {
@@ -95,6 +253,8 @@ class AIService {
         projectId
       });
 
+      await aiUsageService.record('task_creation', response.data.data.metadata, { userId, projectId });
+
       return {
         success: true,
         task: response.data.data.task || response.data.data
@@ -117,7 +277,7 @@ class AIService {
     }
   }
 
-  async analyzeTask(task, projectContext) {
+  async analyzeTask(task, projectContext, usageScope) {
     try {
       const response = await this.client.post('/api/v1/ai/analyze-task', {
         task: {
@@ -130,6 +290,8 @@ class AIService {
         projectContext
       });
 
+      await aiUsageService.record('task_analysis', response.data.data.metadata, usageScope);
+
       return response.data.data.analysis || response.data.data;
     } catch (error) {
       logger.error('Task analysis error:', error.message);
@@ -147,7 +309,7 @@ class AIService {
     }
   }
 
-  async analyzeProject(projectData, tasks) {
+  async analyzeProject(projectData, tasks, usageScope) {
     try {
       const response = await this.client.post('/api/v1/ai/analyze-project', {
         projectData: {
@@ -165,6 +327,8 @@ class AIService {
         }))
       });
 
+      await aiUsageService.record('project_analysis', response.data.data.metadata, usageScope);
+
       return response.data.data.health || response.data.data;
     } catch (error) {
       logger.error('Project analysis error:', error.message);
@@ -178,12 +342,13 @@ class AIService {
         status: 'unknown',
         insights: ['AI analysis unavailable'],
         risks: [],
-        recommendations: ['Manual project review recommended']
+        recommendations: ['Manual project review recommended'],
+        fallback: true
       };
     }
   }
 
-  async transcribeAudio(audioFilePath, meetingContext) {
+  async transcribeAudio(audioFilePath, meetingContext, usageScope) {
     try {
       const formData = new FormData();
       formData.append('audio', fs.createReadStream(audioFilePath));
@@ -195,10 +360,14 @@ class AIService {
         headers: {
           ...formData.getHeaders(),
         },
+        // Runs in a queue worker; long recordings take minutes to transcribe
+        timeout: 10 * 60 * 1000,
         maxContentLength: Infinity,
         maxBodyLength: Infinity
       });
 
+      await aiUsageService.record('transcription', response.data.data.metadata, usageScope);
+
       return response.data.data;
     } catch (error) {
       logger.error('Transcription error:', error.message);
@@ -206,13 +375,17 @@ class AIService {
     }
   }
 
-  async indexDocument(content, metadata) {
+  // `namespace` keeps the document out of searches in other namespaces
+  async indexDocument(content, metadata, usageScope, { namespace } = {}) {
     try {
       const response = await this.client.post('/api/v1/ai/index-document', {
         content,
-        metadata
+        metadata,
+        namespace
       });
 
+      await aiUsageService.record('document_index', response.data.data.metadata, usageScope);
+
       return response.data.data;
     } catch (error) {
       logger.error('Document indexing error:', error.message);
@@ -223,16 +396,60 @@ class AIService {
     }
   }
 
-  async searchDocuments(query, options) {
+  // The engine extracts the text of an uploaded file and indexes it.
+  // Reports failures instead of throwing, with the engine's reason when
+  // it rejected the file (e.g. no extractable text).
+  async indexFile(filePath, { name, format }, metadata, usageScope, { namespace, chunkSize, chunkOverlap } = {}) {
+    try {
+      const formData = new FormData();
+      formData.append('file', fs.createReadStream(filePath), { filename: name });
+      formData.append('format', format);
+      formData.append('metadata', JSON.stringify(metadata));
+      if (namespace) formData.append('namespace', namespace);
+      if (chunkSize) formData.append('chunkSize', String(chunkSize));
+      if (chunkOverlap != null) formData.append('chunkOverlap', String(chunkOverlap));
+
+      const response = await this.client.post('/api/v1/ai/index-file', formData, {
+        headers: {
+          ...formData.getHeaders(),
+        },
+        // Runs in a queue worker; large PDFs take a while to embed
+        timeout: 5 * 60 * 1000,
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity
+      });
+
+      await aiUsageService.record('document_index', response.data.data.metadata, usageScope);
+
+      return response.data.data;
+    } catch (error) {
+      logger.error('File indexing error:', error.message);
+      return {
+        success: false,
+        message: error.response?.data?.error || 'Document indexing unavailable'
+      };
+    }
+  }
+
+  // `mode` (vector | keyword | hybrid), `vectorWeight`, `keywordWeight` and
+  // `rerank` go to the engine as given; it defaults to hybrid
+  async searchDocuments(query, options, usageScope) {
     try {
       const response = await this.client.get('/api/v1/ai/search-documents', {
         params: { 
           query, 
           limit: options.limit || 5,
-          filter: JSON.stringify(options.filter || {})
+          filter: JSON.stringify(options.filter || {}),
+          namespace: options.namespace,
+          mode: options.mode,
+          vectorWeight: options.vectorWeight,
+          keywordWeight: options.keywordWeight,
+          rerank: options.rerank
         }
       });
 
+      await aiUsageService.record('document_search', response.data.data.metadata, usageScope);
+
       return response.data.data;
     } catch (error) {
       logger.error('Document search error:', error.message);
@@ -240,7 +457,40 @@ class AIService {
     }
   }
 
-  async suggestTaskBreakdown(epicTask) {
+  // One document by `documentId`, or every document whose id starts with
+  // `prefix`. Reports engine failures instead of throwing, like indexDocument.
+  async deleteDocuments({ documentId, prefix, namespace }) {
+    try {
+      const response = await this.client.post('/api/v1/ai/delete-documents', {
+        documentId,
+        prefix,
+        namespace
+      });
+
+      return response.data.data;
+    } catch (error) {
+      logger.error('Document deletion error:', error.message);
+      return {
+        success: false,
+        message: 'Document deletion unavailable'
+      };
+    }
+  }
+
+  async deleteNamespace(namespace) {
+    try {
+      const response = await this.client.delete(`/api/v1/ai/namespaces/${encodeURIComponent(namespace)}`);
+      return response.data.data;
+    } catch (error) {
+      logger.error('Namespace deletion error:', error.message);
+      return {
+        success: false,
+        message: 'Namespace deletion unavailable'
+      };
+    }
+  }
+
+  async suggestTaskBreakdown(epicTask, usageScope) {
     try {
       const response = await this.client.post('/api/v1/ai/suggest-breakdown', {
         task: {
@@ -249,6 +499,8 @@ class AIService {
         }
       });
 
+      await aiUsageService.record('task_breakdown', response.data.data.metadata, usageScope);
+
       return response.data.data.subtasks || response.data.data;
     } catch (error) {
       logger.error('Task breakdown error:', error.message);
@@ -271,16 +523,19 @@ class AIService {
     }
   }
 
-  async estimateEffort(tasks) {
+  async estimateEffort(tasks, usageScope) {
     try {
       const response = await this.client.post('/api/v1/ai/estimate-effort', {
         tasks: tasks.map(t => ({
+          _id: t._id,
           title: t.title,
           description: t.description,
           priority: t.priority
         }))
       });
 
+      await aiUsageService.record('effort_estimate', response.data.data.metadata, usageScope);
+
       return response.data.data.estimates || response.data.data;
     } catch (error) {
       logger.error('Effort estimation error:', error.message);
@@ -297,6 +552,18 @@ class AIService {
     }
   }
 
+  // Built-in task templates new projects start with, or an empty list when
+  // the engine is down so callers can try again later
+  async getTaskTemplates() {
+    try {
+      const response = await this.client.get('/api/v1/ai/task-templates');
+      return response.data.data.templates;
+    } catch (error) {
+      logger.error('Task templates error:', error.message);
+      return [];
+    }
+  }
+
   // Health check method
   async isAvailable() {
     try {
@@ -0,0 +1,169 @@
+// src/services/aiUsage.service.js
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage.model');
+const Project = require('../models/Project.model');
+const User = require('../models/User.model');
+const notificationService = require('./notification.service');
+const logger = require('../utils/logger');
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Budgets run per calendar month in UTC
+const periodOf = (date = new Date()) => date.toISOString().substring(0, 7);
+
+const periodStart = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+class AIUsageService {
+  // A workspace is a user's account: calls in a project bill its owner,
+  // calls outside any project bill the caller. A project the caller isn't
+  // on counts as no project, so nobody can spend another team's budget.
+  async resolveBilling(userId, projectId) {
+    if (projectId) {
+      const project = await Project.findById(projectId).select('owner team');
+      const isMember = project && (
+        idOf(project.owner) === idOf(userId) ||
+        project.team.some(member => idOf(member.user) === idOf(userId))
+      );
+
+      if (isMember) return { workspace: idOf(project.owner), project: idOf(project) };
+    }
+    return { workspace: idOf(userId), project: undefined };
+  }
+
+  // Writes one ledger entry from the engine's metadata. Accounting must
+  // never fail the AI call, so errors are only logged.
+  async record(operation, metadata, { userId, projectId } = {}) {
+    const usage = metadata?.usage;
+    if (!userId || !usage?.calls) return null;
+
+    try {
+      const { workspace, project } = await this.resolveBilling(userId, projectId);
+
+      return await AIUsage.create({
+        user: userId,
+        workspace,
+        project,
+        operation,
+        agent: metadata.agent,
+        model: metadata.model,
+        mode: metadata.mode,
+        calls: usage.calls,
+        promptTokens: usage.promptTokens || 0,
+        completionTokens: usage.completionTokens || 0,
+        totalTokens: usage.totalTokens || 0,
+        audioSeconds: usage.audioSeconds || 0,
+        cost: usage.cost || 0,
+        estimated: !!usage.estimated
+      });
+    } catch (error) {
+      logger.error(`Failed to record AI usage for ${operation}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async getMonthlySpend(workspaceId, date = new Date()) {
+    const [totals] = await AIUsage.aggregate([
+      {
+        $match: {
+          workspace: new mongoose.Types.ObjectId(idOf(workspaceId)),
+          createdAt: { $gte: periodStart(date) }
+        }
+      },
+      { $group: { _id: null, cost: { $sum: '$cost' } } }
+    ]);
+
+    return totals?.cost || 0;
+  }
+
+  async getBudgetStatus(workspaceId) {
+    const [owner, spent] = await Promise.all([
+      User.findById(workspaceId).select('aiBudget'),
+      this.getMonthlySpend(workspaceId)
+    ]);
+
+    const budget = owner?.aiBudget || {};
+    const status = {
+      workspace: idOf(workspaceId),
+      period: periodOf(),
+      spent: Number(spent.toFixed(6)),
+      monthlyLimit: budget.monthlyLimit ?? null,
+      enforcement: budget.enforcement || 'soft',
+      alertThreshold: budget.alertThreshold ?? 0.8,
+      status: 'unlimited'
+    };
+
+    if (status.monthlyLimit !== null) {
+      status.remaining = Math.max(0, Number((status.monthlyLimit - status.spent).toFixed(6)));
+
+      if (status.spent >= status.monthlyLimit) {
+        status.status = 'exceeded';
+      } else if (status.spent >= status.monthlyLimit * status.alertThreshold) {
+        status.status = 'warning';
+      } else {
+        status.status = 'ok';
+      }
+    }
+
+    return status;
+  }
+
+  // Budget of the workspace a call would bill, alerting its owner the first
+  // time each month it reaches the threshold or the limit
+  async checkBudget(userId, projectId) {
+    const { workspace: workspaceId } = await this.resolveBilling(userId, projectId);
+    const status = await this.getBudgetStatus(workspaceId);
+
+    if (status.status === 'warning' || status.status === 'exceeded') {
+      await this.alertOwner(status);
+    }
+
+    return status;
+  }
+
+  async alertOwner(status) {
+    // Claim the alert atomically so concurrent requests send it once
+    const claimed = await User.findOneAndUpdate(
+      {
+        _id: status.workspace,
+        $nor: [{
+          'aiBudget.lastAlert.period': status.period,
+          'aiBudget.lastAlert.level': { $in: status.status === 'warning' ? ['warning', 'exceeded'] : ['exceeded'] }
+        }]
+      },
+      { 'aiBudget.lastAlert': { period: status.period, level: status.status } }
+    );
+
+    if (!claimed) return;
+
+    const percent = Math.round((status.spent / status.monthlyLimit) * 100);
+    await notificationService.notify({
+      recipients: [status.workspace],
+      type: 'ai_budget',
+      title: status.status === 'exceeded' ? 'AI budget exceeded' : 'AI budget almost used',
+      message: `AI usage this month is $${status.spent.toFixed(2)} of your $${status.monthlyLimit.toFixed(2)} budget (${percent}%)` +
+        (status.status === 'exceeded' && status.enforcement === 'hard' ? '. AI features are paused until next month.' : ''),
+      data: { period: status.period, spent: status.spent, monthlyLimit: status.monthlyLimit }
+    });
+  }
+
+  // monthlyLimit: null removes the limit. Changing the budget re-arms alerts.
+  async updateBudget(userId, { monthlyLimit, enforcement, alertThreshold }) {
+    const $set = {};
+    const $unset = { 'aiBudget.lastAlert': '' };
+
+    if (monthlyLimit === null) {
+      $unset['aiBudget.monthlyLimit'] = '';
+    } else if (monthlyLimit !== undefined) {
+      $set['aiBudget.monthlyLimit'] = monthlyLimit;
+    }
+    if (enforcement !== undefined) $set['aiBudget.enforcement'] = enforcement;
+    if (alertThreshold !== undefined) $set['aiBudget.alertThreshold'] = alertThreshold;
+
+    await User.findByIdAndUpdate(userId, { $set, $unset }, { runValidators: true });
+    return this.getBudgetStatus(userId);
+  }
+}
+
+const aiUsageService = new AIUsageService();
+
+module.exports = aiUsageService;
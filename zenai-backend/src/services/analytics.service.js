@@ -0,0 +1,104 @@
+// src/services/analytics.service.js
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage.model');
+const User = require('../models/User.model');
+const Project = require('../models/Project.model');
+
+const AI_USAGE_GROUPS = {
+  user: '$user',
+  project: '$project',
+  agent: '$agent',
+  model: '$model',
+  operation: '$operation',
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+};
+
+class AnalyticsService {
+  constructor() {
+    this.aiUsageGroups = Object.keys(AI_USAGE_GROUPS);
+  }
+
+  // Usage a user may see: everything billed to their workspace, plus their
+  // own calls in other people's projects
+  async getAIUsage(userId, { groupBy = ['day'], from, to, projectId } = {}) {
+    const viewer = new mongoose.Types.ObjectId(userId);
+    const match = { $or: [{ workspace: viewer }, { user: viewer }] };
+
+    if (projectId) match.project = new mongoose.Types.ObjectId(projectId);
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = from;
+      if (to) match.createdAt.$lte = to;
+    }
+
+    const sums = {
+      calls: { $sum: '$calls' },
+      promptTokens: { $sum: '$promptTokens' },
+      completionTokens: { $sum: '$completionTokens' },
+      totalTokens: { $sum: '$totalTokens' },
+      audioSeconds: { $sum: '$audioSeconds' },
+      cost: { $sum: '$cost' }
+    };
+
+    const [groups, [totals]] = await Promise.all([
+      AIUsage.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: Object.fromEntries(groupBy.map(key => [key, AI_USAGE_GROUPS[key]])),
+            ...sums
+          }
+        },
+        { $sort: { '_id.day': 1, cost: -1 } }
+      ]),
+      AIUsage.aggregate([
+        { $match: match },
+        { $group: { _id: null, ...sums } }
+      ])
+    ]);
+
+    const [users, projects] = await Promise.all([
+      groupBy.includes('user')
+        ? User.find({ _id: { $in: groups.map(g => g._id.user) } }).select('name email')
+        : [],
+      groupBy.includes('project')
+        ? Project.find({ _id: { $in: groups.map(g => g._id.project).filter(Boolean) } }).select('name')
+        : []
+    ]);
+
+    const byId = (docs) => new Map(docs.map(doc => [doc._id.toString(), doc]));
+    const userMap = byId(users);
+    const projectMap = byId(projects);
+
+    const { _id, ...overall } = totals || {};
+
+    return {
+      groupBy,
+      from,
+      to,
+      groups: groups.map(({ _id: key, cost, ...counts }) => ({
+        ...key,
+        ...(key.user && { user: userMap.get(key.user.toString()) || { _id: key.user } }),
+        // Calls made outside any project group under null
+        ...(groupBy.includes('project') && {
+          project: key.project ? projectMap.get(key.project.toString()) || { _id: key.project } : null
+        }),
+        ...counts,
+        cost: Number(cost.toFixed(6))
+      })),
+      totals: {
+        calls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        audioSeconds: 0,
+        ...overall,
+        cost: Number((overall.cost || 0).toFixed(6))
+      }
+    };
+  }
+}
+
+const analyticsService = new AnalyticsService();
+
+module.exports = analyticsService;
@@ -0,0 +1,423 @@
+// src/services/automation.service.js
+const mongoose = require('mongoose');
+const AutomationRule = require('../models/AutomationRule.model');
+const AutomationLog = require('../models/AutomationLog.model');
+const Task = require('../models/Task.model');
+const Project = require('../models/Project.model');
+const { cache } = require('../config/redis');
+const notificationService = require('./notification.service');
+const knowledgeService = require('./knowledge.service');
+const dependencyGraphService = require('./dependencyGraph.service');
+const { emitToProject, EVENTS } = require('../websocket/socketHandler');
+const logger = require('../utils/logger');
+
+// Team roles that can receive automatic assignments
+const ASSIGNABLE_ROLES = ['owner', 'admin', 'member'];
+
+class TaskAutomation {
+  constructor() {
+    this.actions = new Map();
+
+    this.registerDefaultActions();
+  }
+
+  registerDefaultActions() {
+    this.registerAction('send_notification', async (params, data) => {
+      const recipients = await this.resolveRecipients(params.recipients || 'assignee', data);
+      const message = this.interpolate(params.message || 'Automation "{{rule.name}}" ran', data);
+
+      const notifications = await notificationService.notify({
+        recipients,
+        type: 'automation',
+        title: params.title || data.rule.name,
+        message,
+        project: data.projectId,
+        task: data.taskId,
+        data: { ruleId: data.rule._id }
+      });
+
+      return { recipients: notifications.map(n => n.user.toString()), message };
+    });
+
+    this.registerAction('update_status', async (params, data) => {
+      const task = await this.loadTask(data);
+
+      if (task.status === params.status) {
+        return { skipped: true, status: task.status };
+      }
+
+      const previousStatus = task.status;
+      task.status = params.status;
+      await task.save();
+      await Task.updateProjectMetadata(task.project);
+      await Task.updateProgress(task._id);
+
+      await this.publishTaskUpdate(task, data, {
+        oldStatus: previousStatus,
+        oldAssignee: task.assignee ? task.assignee.toString() : null
+      });
+
+      // Kept in the run log: a rule can start a task that is still blocked
+      const warnings = task.status === 'in-progress'
+        ? await dependencyGraphService.startWarnings([task])
+        : [];
+      return { from: previousStatus, to: task.status, warnings };
+    });
+
+    this.registerAction('assign_task', async (params, data) => {
+      const task = await this.loadTask(data);
+      const strategy = params.strategy || 'round_robin';
+
+      let assignee;
+      switch (strategy) {
+        case 'specific': {
+          const members = await this.getAssignableMembers(task.project);
+          assignee = members.find(id => id === params.userId);
+          break;
+        }
+        case 'round_robin':
+          assignee = await this.pickRoundRobin(data.rule, task.project);
+          break;
+        case 'least_loaded':
+          assignee = await this.pickLeastLoaded(task.project);
+          break;
+        default:
+          throw new Error(`Unknown assignment strategy: ${strategy}`);
+      }
+
+      if (!assignee) {
+        throw new Error('No team member available for assignment');
+      }
+
+      const previousAssignee = task.assignee ? task.assignee.toString() : null;
+      task.assignee = assignee;
+      await task.save();
+
+      await this.publishTaskUpdate(task, data, {
+        oldStatus: task.status,
+        oldAssignee: previousAssignee
+      });
+      return { strategy, assignee: assignee.toString() };
+    });
+
+    this.registerAction('create_subtask', async (params, data) => {
+      const parent = await this.loadTask(data);
+
+      if (await Task.depthOf(parent._id) >= Task.MAX_DEPTH) {
+        return { skipped: true, reason: `Subtasks nest at most ${Task.MAX_DEPTH} levels deep` };
+      }
+
+      const subtask = await Task.create({
+        title: this.interpolate(params.title, data),
+        description: params.description ? this.interpolate(params.description, data) : undefined,
+        project: parent.project,
+        parentTask: parent._id,
+        assignee: params.assignToParentAssignee ? parent.assignee : null,
+        createdBy: data.rule.createdBy,
+        priority: params.priority || parent.priority,
+        tags: params.tags,
+        position: await Task.nextPosition(parent.project, 'todo')
+      });
+
+      await Project.findByIdAndUpdate(parent.project, {
+        $inc: { 'metadata.totalTasks': 1 }
+      });
+      await Task.updateProgress(parent._id);
+      await cache.clearPattern(`tasks:${parent.project}:*`);
+
+      emitToProject(parent.project, EVENTS.TASK_CREATED, subtask);
+      knowledgeService.taskChanged(subtask, data.rule.createdBy);
+      return { subtaskId: subtask._id.toString() };
+    });
+  }
+
+  registerAction(actionName, handler) {
+    this.actions.set(actionName, handler);
+  }
+
+  // Triggers fired by one change run in order, so a rule on task.completed
+  // sees the effects of rules on task.status_changed
+  async evaluateTriggers(triggerTypes, data) {
+    for (const triggerType of triggerTypes) {
+      await this.evaluateTrigger(triggerType, data);
+    }
+  }
+
+  // Run every enabled rule of the project listening for this trigger.
+  // Never throws: automations must not break the request that fired them.
+  async evaluateTrigger(triggerType, data) {
+    try {
+      const rules = await AutomationRule.find({
+        _id: { $nin: data.automationChain || [] },
+        project: data.projectId,
+        enabled: true,
+        'trigger.type': triggerType
+      });
+
+      for (const rule of rules) {
+        const context = { ...data, rule: rule.toObject() };
+        const shouldExecute = await this.evaluateConditions(rule.conditions, context);
+
+        if (shouldExecute) {
+          await this.executeRule(rule, triggerType, context);
+        }
+      }
+    } catch (error) {
+      logger.error(`Trigger evaluation error (${triggerType}): ${error.message}`);
+    }
+  }
+
+  async evaluateConditions(conditions, data) {
+    if (conditions.length === 0) return true;
+
+    for (const condition of conditions) {
+      const result = await this.evaluateCondition(condition, data);
+      if (!result) return false;
+    }
+
+    return true;
+  }
+
+  async evaluateCondition(condition, data) {
+    const { field, operator, value } = condition;
+    const actualValue = this.getNestedValue(data, field);
+
+    switch (operator) {
+      case 'equals':
+        return actualValue === value;
+      case 'not_equals':
+        return actualValue !== value;
+      case 'contains':
+        return Boolean(actualValue?.includes(value));
+      case 'greater_than':
+        return actualValue > value;
+      case 'less_than':
+        return actualValue < value;
+      case 'is_empty':
+        return !actualValue || actualValue.length === 0;
+      case 'is_not_empty':
+        return Boolean(actualValue) && actualValue.length !== 0;
+      default:
+        return false;
+    }
+  }
+
+  async executeRule(rule, triggerType, data) {
+    const startTime = Date.now();
+    const results = await this.executeActions(rule.actions, data);
+
+    const failed = results.filter(r => r.status === 'failed').length;
+    const status = failed === 0 ? 'success' : failed === results.length ? 'failed' : 'partial';
+
+    await AutomationLog.create({
+      rule: rule._id,
+      ruleName: rule.name,
+      project: data.projectId,
+      trigger: triggerType,
+      task: data.taskId,
+      actor: data.actorId,
+      status,
+      actions: results,
+      duration: Date.now() - startTime
+    });
+
+    await AutomationRule.findByIdAndUpdate(rule._id, {
+      $inc: { runCount: 1 },
+      lastRunAt: new Date()
+    });
+
+    logger.info(`Automation executed: ${rule.name} (${rule._id}) on ${triggerType} - ${status}`);
+  }
+
+  async executeActions(actions, data) {
+    const results = [];
+
+    for (const action of actions) {
+      const handler = this.actions.get(action.type);
+
+      if (!handler) {
+        logger.warn(`Action handler not found: ${action.type}`);
+        results.push({ type: action.type, status: 'skipped', error: 'Unknown action' });
+        continue;
+      }
+
+      try {
+        const result = await handler(action.params || {}, data);
+        results.push({
+          type: action.type,
+          status: result?.skipped ? 'skipped' : 'success',
+          result
+        });
+      } catch (error) {
+        logger.error(`Action execution error (${action.type}): ${error.message}`);
+        results.push({ type: action.type, status: 'failed', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  async loadTask(data) {
+    if (!data.taskId) {
+      throw new Error('Action requires a task trigger');
+    }
+
+    const task = await Task.findById(data.taskId);
+    if (!task) {
+      throw new Error(`Task not found: ${data.taskId}`);
+    }
+    return task;
+  }
+
+  // Announces an action's change like an edit by the rule's author. The
+  // rules that led to it are passed along and don't run again, so rules
+  // can chain but never loop.
+  async publishTaskUpdate(task, data, { oldStatus, oldAssignee }) {
+    await cache.clearPattern(`tasks:${task.project}:*`);
+    await cache.clearPattern('projects:*');
+
+    await task.populate([
+      { path: 'project' },
+      { path: 'assignee', select: 'name email avatar' },
+      { path: 'createdBy', select: 'name email avatar' }
+    ]);
+
+    // Loaded here because taskEvents.service requires this module
+    const taskEventsService = require('./taskEvents.service');
+    taskEventsService.announceUpdate(task, {
+      oldStatus,
+      oldAssignee,
+      automationChain: [...(data.automationChain || []), data.rule._id.toString()]
+    }, data.rule.createdBy);
+  }
+
+  // Owner first, then the team in join order, without duplicates
+  async getAssignableMembers(projectId) {
+    const project = await Project.findById(projectId);
+    if (!project) return [];
+
+    const members = [project.owner.toString()];
+    project.team
+      .filter(t => ASSIGNABLE_ROLES.includes(t.role))
+      .forEach(t => {
+        const userId = t.user.toString();
+        if (!members.includes(userId)) members.push(userId);
+      });
+
+    return members;
+  }
+
+  async pickRoundRobin(rule, projectId) {
+    const members = await this.getAssignableMembers(projectId);
+    if (members.length === 0) return null;
+
+    const lastIndex = rule.lastAssignee ? members.indexOf(rule.lastAssignee.toString()) : -1;
+    const assignee = members[(lastIndex + 1) % members.length];
+
+    await AutomationRule.findByIdAndUpdate(rule._id, { lastAssignee: assignee });
+    return assignee;
+  }
+
+  async pickLeastLoaded(projectId) {
+    const members = await this.getAssignableMembers(projectId);
+    if (members.length === 0) return null;
+
+    const openTasks = await Task.aggregate([
+      {
+        $match: {
+          project: new mongoose.Types.ObjectId(projectId.toString()),
+          status: { $ne: 'done' },
+          assignee: { $ne: null }
+        }
+      },
+      { $group: { _id: '$assignee', count: { $sum: 1 } } }
+    ]);
+
+    const load = new Map(openTasks.map(t => [t._id.toString(), t.count]));
+
+    // Ties go to whoever comes first in member order
+    return members.reduce((best, userId) =>
+      (load.get(userId) || 0) < (load.get(best) || 0) ? userId : best
+    );
+  }
+
+  // Recipients never reach outside the project: whatever a rule names, only
+  // the owner and team members are notified
+  async resolveRecipients(recipients, data) {
+    const targets = Array.isArray(recipients) ? recipients : [recipients];
+    const project = await Project.findById(data.projectId).select('owner team');
+    if (!project) return [];
+
+    const members = [project.owner, ...project.team.map(t => t.user)].map(id => id.toString());
+    const userIds = new Set();
+
+    for (const target of targets) {
+      switch (target) {
+        case 'assignee':
+          if (data.assignee) userIds.add(data.assignee._id || data.assignee);
+          break;
+        case 'creator':
+          if (data.createdBy) userIds.add(data.createdBy._id || data.createdBy);
+          break;
+        case 'actor':
+          if (data.actorId) userIds.add(data.actorId);
+          break;
+        case 'owner':
+          userIds.add(members[0]);
+          break;
+        case 'team':
+          members.forEach(id => userIds.add(id));
+          break;
+        default:
+          // Anything else is a user id, kept only if they are on the project
+          userIds.add(target);
+      }
+    }
+
+    return [...new Set(Array.from(userIds).map(id => id.toString()))].filter(id => members.includes(id));
+  }
+
+  // Replace {{path.to.field}} placeholders with values from the event data
+  interpolate(template, data) {
+    return String(template || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+      const value = this.getNestedValue(data, path);
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  getNestedValue(obj, path) {
+    return path.split('.').reduce((curr, key) => curr?.[key], obj);
+  }
+
+  // Build the event payload rules are evaluated against. Documents are
+  // flattened to plain JSON so ids compare as strings in conditions.
+  buildTaskEvent(task, actorId, extra = {}) {
+    const plain = JSON.parse(JSON.stringify(task));
+    const projectId = plain.project?._id || plain.project;
+
+    return {
+      ...plain,
+      ...extra,
+      project: projectId,
+      projectId,
+      taskId: plain._id,
+      actorId: actorId ? actorId.toString() : null
+    };
+  }
+
+  buildProjectEvent(project, actorId, extra = {}) {
+    const plain = JSON.parse(JSON.stringify(project));
+
+    return {
+      ...plain,
+      ...extra,
+      projectId: plain._id,
+      actorId: actorId ? actorId.toString() : null
+    };
+  }
+}
+
+// Singleton instance
+const automationService = new TaskAutomation();
+
+module.exports = automationService;
@@ -0,0 +1,211 @@
+// src/services/dependencyGraph.service.js
+const Task = require('../models/Task.model');
+const { isValidObjectId } = require('../utils/helpers');
+
+// Hours assumed for an open task without an estimate
+const DEFAULT_DURATION = 1;
+
+const round = (hours) => Math.round(hours * 100) / 100;
+
+class DependencyGraphService {
+  // Message when `taskId` can't depend on `dependencyIds`, or null. A new
+  // task has no id yet, and nothing depends on it, so it can't close a cycle.
+  async validate(projectId, taskId, dependencyIds) {
+    if (!Array.isArray(dependencyIds) || dependencyIds.some(id => !isValidObjectId(String(id)))) {
+      return 'Dependencies must be a list of task ids';
+    }
+
+    const ids = dependencyIds.map(String);
+    if (new Set(ids).size !== ids.length) {
+      return 'A dependency can only be listed once';
+    }
+    if (taskId && ids.includes(taskId.toString())) {
+      return 'A task cannot depend on itself';
+    }
+
+    const found = await Task.countDocuments({ _id: { $in: ids }, project: projectId });
+    if (found !== ids.length) {
+      return 'Dependencies must be tasks of the same project';
+    }
+
+    if (!taskId || ids.length === 0) return null;
+
+    const tasks = await Task.find({ project: projectId }).select('title dependencies');
+    const byId = new Map(tasks.map(task => [task._id.toString(), task]));
+    const cycle = this.findPath(byId, ids, taskId.toString());
+
+    if (cycle) {
+      const titles = [taskId.toString(), ...cycle].map(id => `"${byId.get(id)?.title}"`);
+      return `Circular dependency: ${titles.join(' → ')}`;
+    }
+
+    return null;
+  }
+
+  // Chain of ids from one of `startIds` to `targetId` following
+  // dependencies, or null when the target can't be reached
+  findPath(byId, startIds, targetId) {
+    const visited = new Set();
+
+    const visit = (id) => {
+      if (id === targetId) return [id];
+      if (visited.has(id)) return null;
+      visited.add(id);
+
+      for (const next of byId.get(id)?.dependencies || []) {
+        const path = visit(next.toString());
+        if (path) return [id, ...path];
+      }
+      return null;
+    };
+
+    for (const id of startIds) {
+      const path = visit(id);
+      if (path) return path;
+    }
+    return null;
+  }
+
+  // One warning per task of `tasks` that was just moved to in-progress while
+  // some of its dependencies are still open, listing those blockers. The
+  // move stands; the warning is for the caller to show.
+  async startWarnings(tasks) {
+    const idOf = (dependency) => (dependency._id || dependency).toString();
+    const dependencyIds = tasks.flatMap(task => (task.dependencies || []).map(idOf));
+    if (dependencyIds.length === 0) return [];
+
+    const open = await Task.find({ _id: { $in: dependencyIds }, status: { $ne: 'done' } })
+      .select('title status');
+    const openById = new Map(open.map(task => [task._id.toString(), task]));
+
+    return tasks.flatMap(task => {
+      const blockers = (task.dependencies || []).map(idOf).filter(id => openById.has(id)).map(id => openById.get(id));
+      if (blockers.length === 0) return [];
+
+      return [{
+        type: 'blocked_start',
+        task: task._id,
+        title: task.title,
+        message: `"${task.title}" was started while ${blockers.length} of its dependencies ${blockers.length === 1 ? 'is' : 'are'} still open`,
+        blockers: blockers.map(blocker => ({ _id: blocker._id, title: blocker.title, status: blocker.status }))
+      }];
+    });
+  }
+
+  // Nodes and edges of a project's tasks, scheduled with the critical path
+  // method over the remaining work: done tasks take no time, open ones
+  // their estimate. Edges run from a dependency to the task waiting on it.
+  // Cycles left over from before validation can't be scheduled; their
+  // tasks are listed in `cycle` and the schedule is left empty.
+  build(tasks) {
+    const byId = new Map(tasks.map(task => [task._id.toString(), task]));
+    const ids = [...byId.keys()];
+    const predecessors = new Map(ids.map(id => [id, []]));
+    const successors = new Map(ids.map(id => [id, []]));
+    const edges = [];
+
+    for (const task of tasks) {
+      const id = task._id.toString();
+      for (const dependency of task.dependencies || []) {
+        const from = (dependency._id || dependency).toString();
+        if (!byId.has(from)) continue;
+
+        edges.push({ from, to: id });
+        predecessors.get(id).push(from);
+        successors.get(from).push(id);
+      }
+    }
+
+    const duration = (id) => {
+      const task = byId.get(id);
+      return task.status === 'done' ? 0 : (task.estimatedTime ?? DEFAULT_DURATION);
+    };
+
+    // Topological order, dependencies first
+    const indegree = new Map(ids.map(id => [id, predecessors.get(id).length]));
+    const order = ids.filter(id => indegree.get(id) === 0);
+    for (let i = 0; i < order.length; i++) {
+      for (const next of successors.get(order[i])) {
+        indegree.set(next, indegree.get(next) - 1);
+        if (indegree.get(next) === 0) order.push(next);
+      }
+    }
+
+    const acyclic = order.length === ids.length;
+    const schedule = new Map();
+    let totalDuration = 0;
+
+    if (acyclic) {
+      for (const id of order) {
+        const earliestStart = Math.max(0, ...predecessors.get(id).map(p => schedule.get(p).earliestFinish));
+        schedule.set(id, { earliestStart, earliestFinish: earliestStart + duration(id) });
+        totalDuration = Math.max(totalDuration, earliestStart + duration(id));
+      }
+
+      for (const id of [...order].reverse()) {
+        const next = successors.get(id);
+        const latestFinish = next.length > 0
+          ? Math.min(...next.map(s => schedule.get(s).latestStart))
+          : totalDuration;
+        Object.assign(schedule.get(id), { latestFinish, latestStart: latestFinish - duration(id) });
+      }
+    }
+
+    const nodes = tasks.map(task => {
+      const id = task._id.toString();
+      const times = schedule.get(id);
+      const slack = times ? round(times.latestStart - times.earliestStart) : null;
+
+      return {
+        _id: id,
+        title: task.title,
+        status: task.status,
+        priority: task.priority,
+        assignee: task.assignee || null,
+        parentTask: task.parentTask || null,
+        estimatedTime: task.estimatedTime ?? null,
+        duration: round(duration(id)),
+        isBlocked: predecessors.get(id).some(p => byId.get(p).status !== 'done'),
+        earliestStart: times ? round(times.earliestStart) : null,
+        earliestFinish: times ? round(times.earliestFinish) : null,
+        latestStart: times ? round(times.latestStart) : null,
+        latestFinish: times ? round(times.latestFinish) : null,
+        slack,
+        critical: slack === 0 && task.status !== 'done'
+      };
+    });
+
+    return {
+      nodes,
+      edges,
+      criticalPath: acyclic ? this.criticalPath(nodes, predecessors) : [],
+      totalDuration: round(totalDuration),
+      cycle: acyclic ? [] : ids.filter(id => indegree.get(id) > 0)
+    };
+  }
+
+  // Open critical tasks from the start of the project to its end, in order.
+  // The walk goes through done tasks on the chain, which take no time and so
+  // are never critical themselves, and leaves them out of the result.
+  criticalPath(nodes, predecessors) {
+    const byId = new Map(nodes.map(node => [node._id, node]));
+    const open = nodes.filter(node => node.critical);
+    if (open.length === 0) return [];
+
+    let current = open.reduce((last, node) => (node.earliestFinish > last.earliestFinish ? node : last));
+    const path = [];
+
+    while (current) {
+      path.unshift(current);
+      const start = current.earliestStart;
+      current = predecessors.get(current._id)
+        .map(id => byId.get(id))
+        .find(node => node.slack === 0 && node.earliestFinish === start);
+    }
+
+    return path.filter(node => node.critical).map(node => node._id);
+  }
+}
+
+const dependencyGraphService = new DependencyGraphService();
+module.exports = dependencyGraphService;
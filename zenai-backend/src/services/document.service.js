@@ -0,0 +1,136 @@
+// src/services/document.service.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Document = require('../models/Document.model');
+const knowledgeService = require('./knowledge.service');
+const logger = require('../utils/logger');
+
+const UPLOAD_DIR = path.join(__dirname, '../../uploads/documents');
+
+const FORMATS_BY_EXTENSION = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.csv': 'csv',
+  '.txt': 'text'
+};
+
+const removeFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+/**
+ * Files uploaded to a project's knowledge. The upload is kept on disk so the
+ * document can be re-indexed, e.g. after the project's splitter settings
+ * change; the knowledge sync job extracts, splits and indexes it.
+ */
+class DocumentService {
+  constructor() {
+    this.uploadDir = UPLOAD_DIR;
+    this.extensions = Object.keys(FORMATS_BY_EXTENSION);
+  }
+
+  formatOf(filename) {
+    return FORMATS_BY_EXTENSION[path.extname(filename).toLowerCase()] || null;
+  }
+
+  checksum(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  // Adds a multer upload to the project. A file named like an existing
+  // document becomes its next version, unless its contents are unchanged,
+  // in which case the upload is dropped and nothing is re-indexed.
+  async upload(projectId, file, userId) {
+    const checksum = await this.checksum(file.path);
+    const existing = await Document.findOne({ project: projectId, name: file.originalname }).select('+filePath');
+
+    if (existing && existing.checksum === checksum) {
+      removeFile(file.path);
+      return { document: existing, skipped: true, job: null };
+    }
+
+    const fields = {
+      uploadedBy: userId,
+      format: this.formatOf(file.originalname),
+      mimeType: file.mimetype,
+      size: file.size,
+      checksum,
+      filePath: file.path,
+      status: 'pending',
+      error: undefined
+    };
+
+    const previousPath = existing?.filePath;
+
+    let document;
+    try {
+      if (existing) {
+        Object.assign(existing, fields, { version: existing.version + 1 });
+        document = await existing.save();
+      } else {
+        document = await Document.create({ project: projectId, name: file.originalname, ...fields });
+      }
+    } catch (error) {
+      // The stored record still points at the previous upload
+      removeFile(file.path);
+      throw error;
+    }
+
+    // Only once nothing refers to it any more
+    removeFile(previousPath);
+
+    const job = await knowledgeService.documentChanged(document, userId);
+    return { document, skipped: false, job };
+  }
+
+  async reindex(document, userId) {
+    document.status = 'pending';
+    document.error = undefined;
+    await document.save();
+
+    return knowledgeService.documentChanged(document, userId);
+  }
+
+  async remove(document, userId) {
+    const { filePath } = await Document.findById(document._id).select('+filePath') || {};
+    await document.deleteOne();
+    removeFile(filePath);
+
+    return knowledgeService.documentDeleted(document.project, document._id, userId);
+  }
+
+  // Project deletion clears the namespace itself; this drops the records
+  // and the stored uploads
+  async removeProjectDocuments(projectId) {
+    const documents = await Document.find({ project: projectId }).select('+filePath');
+
+    for (const document of documents) {
+      try {
+        removeFile(document.filePath);
+      } catch (error) {
+        logger.error(`Document file cleanup failed (${document._id}): ${error.message}`);
+      }
+    }
+
+    await Document.deleteMany({ project: projectId });
+    return documents.length;
+  }
+}
+
+// Singleton instance
+const documentService = new DocumentService();
+
+module.exports = documentService;
@@ -0,0 +1,366 @@
+// src/services/githubSync.service.js
+const crypto = require('crypto');
+const axios = require('axios');
+const Task = require('../models/Task.model');
+const Project = require('../models/Project.model');
+const IssueLink = require('../models/IssueLink.model');
+const { cache } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const PER_PAGE = 100;
+
+// GitHub's `since` and our lastSync come from different clocks; reconciling
+// an issue twice is harmless, missing one is not
+const SINCE_MARGIN = 5 * 60 * 1000;
+
+const sortedLabels = (labels = []) => labels
+  .map(label => (typeof label === 'string' ? label : label.name))
+  .sort();
+
+// Syncs tasks in an integration's project with issues in its repository:
+// title, description/body, tags/labels and done/closed. Issues are pulled by
+// polling and by the inbound webhook; tasks are pushed when the integration
+// has bidirectionalSync. When both sides changed, the newer edit wins.
+class GitHubSyncService {
+  constructor() {
+    this.apiUrl = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '');
+    this.timeout = parseInt(process.env.INTEGRATION_TIMEOUT || 15000);
+  }
+
+  async request(config, options) {
+    try {
+      const response = await axios({
+        timeout: this.timeout,
+        ...options,
+        url: `${this.apiUrl}/repos/${config.owner}/${config.repository}${options.url}`,
+        headers: {
+          Authorization: `Bearer ${config.token}`,
+          Accept: 'application/vnd.github+json'
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        const detail = error.response.data?.message;
+        throw new Error(`GitHub ${error.response.status}${detail ? ` ${detail}` : ''}`);
+      }
+      throw new Error(`GitHub request failed: ${error.message}`);
+    }
+  }
+
+  async getRepo(config) {
+    return await this.request(config, { url: '' });
+  }
+
+  async getIssue(config, number) {
+    return await this.request(config, { url: `/issues/${number}` });
+  }
+
+  // Issues (not pull requests) updated since the given date, oldest first
+  async listIssues(config, since) {
+    const issues = [];
+
+    for (let page = 1; ; page++) {
+      const batch = await this.request(config, {
+        url: '/issues',
+        params: {
+          state: 'all',
+          sort: 'updated',
+          direction: 'asc',
+          per_page: PER_PAGE,
+          page,
+          ...(since && { since: since.toISOString() })
+        }
+      });
+
+      issues.push(...batch.filter(issue => !issue.pull_request));
+      if (batch.length < PER_PAGE) break;
+    }
+
+    return issues;
+  }
+
+  async createIssue(config, fields) {
+    const issue = await this.request(config, { method: 'post', url: '/issues', data: fields });
+
+    // New issues are always open
+    if (fields.state === 'closed') {
+      return await this.updateIssue(config, issue.number, { state: 'closed' });
+    }
+    return issue;
+  }
+
+  async updateIssue(config, number, fields) {
+    return await this.request(config, { method: 'patch', url: `/issues/${number}`, data: fields });
+  }
+
+  issueFields(task) {
+    return {
+      title: task.title,
+      body: task.description || '',
+      labels: task.tags || [],
+      state: task.status === 'done' ? 'closed' : 'open'
+    };
+  }
+
+  // Reopening an issue moves a done task back to todo; other open
+  // statuses are ZenAI-only and left alone
+  taskFields(issue, task) {
+    let status;
+    if (issue.state === 'closed') {
+      status = 'done';
+    } else {
+      status = !task || task.status === 'done' ? 'todo' : task.status;
+    }
+
+    return {
+      title: issue.title,
+      description: issue.body || '',
+      tags: sortedLabels(issue.labels),
+      status
+    };
+  }
+
+  differs(task, issue) {
+    const fields = this.issueFields(task);
+
+    return fields.title !== issue.title ||
+      fields.body !== (issue.body || '') ||
+      fields.state !== issue.state ||
+      JSON.stringify([...fields.labels].sort()) !== JSON.stringify(sortedLabels(issue.labels));
+  }
+
+  // 'pull', 'push' or null. A side changed if it moved past the version
+  // recorded on the link; if both did, the later edit wins.
+  resolve(link, task, issue) {
+    if (!this.differs(task, issue)) return null;
+
+    const taskUpdatedAt = new Date(task.updatedAt);
+    const issueUpdatedAt = new Date(issue.updated_at);
+    const taskChanged = !link.taskUpdatedAt || taskUpdatedAt > link.taskUpdatedAt;
+    const issueChanged = !link.issueUpdatedAt || issueUpdatedAt > link.issueUpdatedAt;
+
+    if (taskChanged !== issueChanged) {
+      return taskChanged ? 'push' : 'pull';
+    }
+    return taskUpdatedAt > issueUpdatedAt ? 'push' : 'pull';
+  }
+
+  async recordSync(link, task, issue) {
+    link.taskUpdatedAt = task.updatedAt;
+    link.issueUpdatedAt = new Date(issue.updated_at);
+    link.lastSyncedAt = new Date();
+    await link.save();
+  }
+
+  async clearCache(projectId) {
+    await cache.clearPattern(`tasks:${projectId}:*`);
+    await cache.clearPattern('projects:*');
+  }
+
+  // Pulled and imported issues are announced like edits by the
+  // integration's owner. Required here: taskEvents.service requires
+  // integration.service, which requires this module.
+  taskEvents() {
+    return require('./taskEvents.service');
+  }
+
+  async pullIssue(integration, task, issue) {
+    const oldStatus = task.status;
+    const oldAssignee = task.assignee ? task.assignee.toString() : null;
+
+    Object.assign(task, this.taskFields(issue, task));
+    if (task.status !== oldStatus) {
+      task.position = await Task.nextPosition(task.project, task.status);
+    }
+    await task.save();
+
+    if (task.status !== oldStatus) {
+      await Task.updateProjectMetadata(task.project);
+      await Task.updateProgress(task._id);
+    }
+    await this.clearCache(task.project);
+
+    await task.populate([
+      { path: 'project' },
+      { path: 'assignee', select: 'name email avatar' },
+      { path: 'createdBy', select: 'name email avatar' }
+    ]);
+    this.taskEvents().announceUpdate(task, { oldStatus, oldAssignee }, integration.user);
+    return task;
+  }
+
+  async reconcile(integration, config, link, task, issue, stats) {
+    const direction = this.resolve(link, task, issue);
+
+    if (direction === 'pull') {
+      await this.pullIssue(integration, task, issue);
+      stats.pulled++;
+    } else if (direction === 'push') {
+      // Leave the link as it is, so the edit is pushed once sync is enabled
+      if (!integration.settings.bidirectionalSync) return;
+
+      issue = await this.updateIssue(config, issue.number, this.issueFields(task));
+      stats.pushed++;
+    } else {
+      stats.unchanged++;
+    }
+
+    await this.recordSync(link, task, issue);
+  }
+
+  async importIssue(integration, issue, stats) {
+    const fields = this.taskFields(issue);
+    const task = await Task.create({
+      ...fields,
+      project: integration.project,
+      createdBy: integration.user,
+      position: await Task.nextPosition(integration.project, fields.status)
+    });
+
+    const link = new IssueLink({
+      integration: integration._id,
+      task: task._id,
+      issueNumber: issue.number,
+      issueId: issue.id,
+      url: issue.html_url
+    });
+    await this.recordSync(link, task, issue);
+
+    await Task.updateProjectMetadata(task.project);
+    await this.clearCache(task.project);
+
+    const project = await Project.findById(task.project);
+    await task.populate([
+      { path: 'assignee', select: 'name email avatar' },
+      { path: 'createdBy', select: 'name email avatar' }
+    ]);
+    this.taskEvents().announceCreate(task, project, integration.user);
+    stats.tasksCreated++;
+  }
+
+  async exportTask(integration, config, task, stats) {
+    const issue = await this.createIssue(config, this.issueFields(task));
+
+    const link = new IssueLink({
+      integration: integration._id,
+      task: task._id,
+      issueNumber: issue.number,
+      issueId: issue.id,
+      url: issue.html_url
+    });
+    await this.recordSync(link, task, issue);
+    stats.issuesCreated++;
+  }
+
+  // Reconcile one issue we just heard about, importing it if it's new and open
+  async syncIssue(integration, config, issue, stats) {
+    const link = await IssueLink.findOne({ integration: integration._id, issueNumber: issue.number });
+
+    if (!link) {
+      if (issue.state === 'open') {
+        await this.importIssue(integration, issue, stats);
+      }
+      return null;
+    }
+
+    const task = await Task.findById(link.task);
+    if (!task) {
+      // The task was deleted here; stop tracking the issue
+      await link.deleteOne();
+      return null;
+    }
+
+    await this.reconcile(integration, config, link, task, issue, stats);
+    return task._id.toString();
+  }
+
+  // Full poll: pull issues updated since the last sync, then push tasks
+  // updated since then that the issues didn't already cover
+  async sync(integration) {
+    if (!integration.project) {
+      throw new Error('Link the integration to a project to sync issues');
+    }
+
+    const config = integration.getConfig();
+    const since = integration.lastSync
+      ? new Date(integration.lastSync.getTime() - SINCE_MARGIN)
+      : null;
+    const stats = { pulled: 0, pushed: 0, unchanged: 0, tasksCreated: 0, issuesCreated: 0 };
+
+    const issues = await this.listIssues(config, since);
+    const handled = new Set();
+
+    for (const issue of issues) {
+      const taskId = await this.syncIssue(integration, config, issue, stats);
+      if (taskId) handled.add(taskId);
+    }
+
+    if (integration.settings.bidirectionalSync) {
+      const tasks = await Task.find({
+        project: integration.project,
+        ...(since && { updatedAt: { $gt: since } })
+      });
+
+      for (const task of tasks) {
+        if (handled.has(task._id.toString())) continue;
+
+        const link = await IssueLink.findOne({ integration: integration._id, task: task._id });
+        if (!link) {
+          await this.exportTask(integration, config, task, stats);
+          continue;
+        }
+
+        const issue = await this.getIssue(config, link.issueNumber);
+        await this.reconcile(integration, config, link, task, issue, stats);
+      }
+    }
+
+    logger.info(`GitHub sync ${integration._id}: ${JSON.stringify(stats)}`);
+    return stats;
+  }
+
+  verifySignature(secret, rawBody, signature) {
+    if (!secret || !rawBody || !signature) return false;
+
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  }
+
+  // Handles one delivery from a repository webhook (issues events)
+  async handleWebhook(integration, event, payload) {
+    if (event === 'ping') {
+      return { handled: false, reason: 'pong' };
+    }
+
+    if (event !== 'issues' || !payload?.issue) {
+      return { handled: false, reason: `Ignored event: ${event}` };
+    }
+
+    const config = integration.getConfig();
+    const repository = `${config.owner}/${config.repository}`.toLowerCase();
+    if (payload.repository?.full_name?.toLowerCase() !== repository) {
+      return { handled: false, reason: 'Repository does not match the integration' };
+    }
+
+    if (!integration.project) {
+      return { handled: false, reason: 'Integration is not linked to a project' };
+    }
+
+    if (payload.action === 'deleted') {
+      await IssueLink.deleteOne({ integration: integration._id, issueNumber: payload.issue.number });
+      return { handled: true, action: payload.action };
+    }
+
+    const stats = { pulled: 0, pushed: 0, unchanged: 0, tasksCreated: 0, issuesCreated: 0 };
+    await this.syncIssue(integration, config, payload.issue, stats);
+
+    return { handled: true, action: payload.action, ...stats };
+  }
+}
+
+// Singleton instance
+const githubSyncService = new GitHubSyncService();
+
+module.exports = githubSyncService;
@@ -0,0 +1,376 @@
+// src/services/integration.service.js
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const Integration = require('../models/Integration.model');
+const githubSyncService = require('./githubSync.service');
+const { addJob, JOB_NAMES } = require('../queue/jobs');
+const { verifySMTP } = require('../utils/smtp');
+const { publicAgents, publicLookup, privateTargetError } = require('../utils/network');
+const logger = require('../utils/logger');
+
+// How stale an auto-synced integration may get before the scheduler queues it.
+// Realtime integrations also sync on task changes; this is their catch-up.
+const SYNC_INTERVALS = {
+  realtime: 60 * 60 * 1000,
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+const GOOGLE_CALENDAR_SCOPE = 'https://www.googleapis.com/auth/calendar.readonly';
+
+class IntegrationService {
+  constructor() {
+    this.timeout = parseInt(process.env.INTEGRATION_TIMEOUT || 15000);
+
+    // Per type: `test` checks the credentials and returns a few details about
+    // the account; `sync` (optional) pulls/pushes data. Both throw on failure.
+    this.providers = {
+      slack: { test: (config) => this.testSlack(config) },
+      notion: { test: (config) => this.testNotion(config) },
+      github: {
+        test: (config) => this.testGitHub(config),
+        sync: (integration) => githubSyncService.sync(integration)
+      },
+      jira: { test: (config) => this.testJira(config) },
+      trello: { test: (config) => this.testTrello(config) },
+      calendar: { test: (config) => this.testCalendar(config) },
+      email: { test: (config) => this.testEmail(config) }
+    };
+  }
+
+  // axios with the service timeout and errors that say what the remote said.
+  // Config can point requests anywhere, so private addresses are refused.
+  async request(options) {
+    const targetError = await privateTargetError(options.url);
+    if (targetError) {
+      throw new Error(targetError);
+    }
+
+    try {
+      const response = await axios({ timeout: this.timeout, ...options, ...publicAgents });
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        const data = error.response.data;
+        const detail = data?.message || data?.error?.message || data?.error || data?.errorMessages?.[0];
+        throw new Error(`${error.response.status}${detail ? ` ${detail}` : ''}`);
+      }
+      throw new Error(error.message);
+    }
+  }
+
+  requireConfig(config, fields) {
+    const missing = fields.filter(field => !config[field]);
+    if (missing.length > 0) {
+      throw new Error(`Missing config: ${missing.join(', ')}`);
+    }
+  }
+
+  async testSlack(config) {
+    if (config.botToken) {
+      const data = await this.request({
+        method: 'post',
+        url: 'https://slack.com/api/auth.test',
+        headers: { Authorization: `Bearer ${config.botToken}` }
+      });
+
+      // Slack answers 200 with ok: false on bad tokens
+      if (!data.ok) {
+        throw new Error(data.error);
+      }
+      return { team: data.team, user: data.user, channel: config.channel };
+    }
+
+    this.requireConfig(config, ['webhookUrl']);
+
+    // Incoming webhooks can only be checked by posting to them
+    await this.request({
+      method: 'post',
+      url: config.webhookUrl,
+      data: { text: 'ZenAI connection test :white_check_mark:' }
+    });
+    return { channel: config.channel };
+  }
+
+  async testNotion(config) {
+    this.requireConfig(config, ['apiKey']);
+
+    const headers = {
+      Authorization: `Bearer ${config.apiKey}`,
+      'Notion-Version': '2022-06-28'
+    };
+
+    const me = await this.request({ url: 'https://api.notion.com/v1/users/me', headers });
+    const details = { bot: me.name, workspace: me.bot?.workspace_name };
+
+    if (config.databaseId) {
+      const database = await this.request({
+        url: `https://api.notion.com/v1/databases/${config.databaseId}`,
+        headers
+      });
+      details.database = database.title?.[0]?.plain_text || database.id;
+    }
+
+    return details;
+  }
+
+  async testGitHub(config) {
+    this.requireConfig(config, ['token', 'owner', 'repository']);
+
+    const repo = await githubSyncService.getRepo(config);
+
+    return {
+      repository: repo.full_name,
+      private: repo.private,
+      canPush: !!repo.permissions?.push
+    };
+  }
+
+  async testJira(config) {
+    this.requireConfig(config, ['domain', 'email', 'apiToken']);
+
+    const baseUrl = this.jiraUrl(config.domain);
+    const auth = { username: config.email, password: config.apiToken };
+
+    const me = await this.request({ url: `${baseUrl}/rest/api/3/myself`, auth });
+    const details = { user: me.displayName };
+
+    if (config.projectKey) {
+      const project = await this.request({
+        url: `${baseUrl}/rest/api/3/project/${config.projectKey}`,
+        auth
+      });
+      details.project = project.name;
+    }
+
+    return details;
+  }
+
+  jiraUrl(domain) {
+    return `https://${domain.replace(/^https?:\/\//, '').replace(/\/$/, '')}`;
+  }
+
+  async testTrello(config) {
+    this.requireConfig(config, ['apiKey', 'token']);
+
+    const params = { key: config.apiKey, token: config.token };
+
+    const me = await this.request({ url: 'https://api.trello.com/1/members/me', params });
+    const details = { user: me.username };
+
+    if (config.boardId) {
+      const board = await this.request({
+        url: `https://api.trello.com/1/boards/${config.boardId}`,
+        params
+      });
+      details.board = board.name;
+    }
+
+    return details;
+  }
+
+  // Service account flow: sign a JWT with the account's key, trade it for an
+  // access token, then read the calendar
+  async testCalendar(config) {
+    this.requireConfig(config, ['serviceAccountKey']);
+
+    let account;
+    try {
+      account = JSON.parse(config.serviceAccountKey);
+    } catch (error) {
+      throw new Error('serviceAccountKey must be the service account JSON key file');
+    }
+
+    const tokenUrl = account.token_uri || 'https://oauth2.googleapis.com/token';
+    const assertion = jwt.sign(
+      { scope: GOOGLE_CALENDAR_SCOPE },
+      account.private_key,
+      {
+        algorithm: 'RS256',
+        issuer: account.client_email,
+        audience: tokenUrl,
+        expiresIn: '10m'
+      }
+    );
+
+    const token = await this.request({
+      method: 'post',
+      url: tokenUrl,
+      data: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+      }).toString(),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    const calendarId = config.calendarId || 'primary';
+    const calendar = await this.request({
+      url: `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(calendarId)}`,
+      headers: { Authorization: `Bearer ${token.access_token}` }
+    });
+
+    return { account: account.client_email, calendar: calendar.summary };
+  }
+
+  async testEmail(config) {
+    this.requireConfig(config, ['host']);
+
+    return await verifySMTP({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      username: config.username,
+      password: config.password,
+      timeout: this.timeout,
+      lookup: publicLookup
+    });
+  }
+
+  // Why the hosts the config points at can't be called, or null. Checked
+  // when config is saved; request() checks again on every call.
+  async configTargetError(type, config) {
+    const urls = [];
+
+    if (type === 'slack' && config.webhookUrl) urls.push(config.webhookUrl);
+    if (type === 'jira' && config.domain) urls.push(this.jiraUrl(config.domain));
+    if (type === 'email' && config.host) urls.push(`smtp://${config.host}`);
+
+    if (type === 'calendar' && config.serviceAccountKey) {
+      try {
+        const { token_uri: tokenUrl } = JSON.parse(config.serviceAccountKey);
+        if (tokenUrl) urls.push(tokenUrl);
+      } catch (error) {
+        // testCalendar reports keys that aren't JSON
+      }
+    }
+
+    for (const url of urls) {
+      const error = await privateTargetError(url);
+      if (error) return error;
+    }
+
+    return null;
+  }
+
+  // Checks the stored credentials and records the outcome on the
+  // integration. Never throws; failures come back as { ok: false }.
+  async testConnection(integration) {
+    const startTime = Date.now();
+
+    try {
+      const details = await this.providers[integration.type].test(integration.getConfig());
+
+      if (integration.status === 'error') {
+        integration.status = 'active';
+        integration.metadata.lastError = undefined;
+        await integration.save();
+      }
+
+      return { ok: true, details, duration: Date.now() - startTime };
+    } catch (error) {
+      logger.warn(`Integration test failed: ${integration._id} (${integration.type}) - ${error.message}`);
+
+      integration.status = 'error';
+      integration.metadata.lastError = error.message;
+      await integration.save();
+
+      return { ok: false, error: error.message, duration: Date.now() - startTime };
+    }
+  }
+
+  // Runs one sync and records it on the integration. Types without a sync
+  // handler only re-check their credentials. Throws on failure so the
+  // queue retries.
+  async syncIntegration(integrationId) {
+    const integration = await Integration.findById(integrationId);
+    if (!integration) {
+      throw new Error(`Integration not found: ${integrationId}`);
+    }
+
+    if (integration.status === 'inactive') {
+      return { skipped: true, reason: 'Integration is inactive' };
+    }
+
+    const provider = this.providers[integration.type];
+    const startTime = Date.now();
+
+    try {
+      const result = provider.sync
+        ? await provider.sync(integration)
+        : { connection: await provider.test(integration.getConfig()) };
+
+      await Integration.findByIdAndUpdate(integration._id, {
+        $set: { status: 'active', lastSync: new Date() },
+        $unset: { 'metadata.lastError': 1 },
+        $inc: { 'metadata.totalSyncs': 1, 'metadata.successfulSyncs': 1 }
+      });
+
+      logger.info(`Integration synced: ${integration._id} (${integration.type})`);
+      return { ...result, duration: Date.now() - startTime };
+    } catch (error) {
+      await Integration.findByIdAndUpdate(integration._id, {
+        $set: { status: 'error', 'metadata.lastError': error.message },
+        $inc: { 'metadata.totalSyncs': 1, 'metadata.failedSyncs': 1 }
+      });
+
+      logger.error(`Integration sync failed: ${integration._id} (${integration.type}) - ${error.message}`);
+      throw error;
+    }
+  }
+
+  // At most one sync per integration runs at a time; one requested while
+  // it runs is queued to follow it, and further requests fold into that one
+  async queueSync(integrationId, userId) {
+    return await addJob(JOB_NAMES.INTEGRATION_SYNC, {
+      integrationId: integrationId.toString(),
+      userId
+    }, {
+      deduplication: { id: `integration-sync:${integrationId}`, keepLastIfActive: true }
+    });
+  }
+
+  // Push task edits right away for integrations set to sync in realtime.
+  // Never throws.
+  async queueRealtimeSyncs(projectId) {
+    try {
+      const integrations = await Integration.find({
+        project: projectId._id || projectId,
+        syncFrequency: 'realtime',
+        'settings.autoSync': true,
+        status: { $ne: 'inactive' }
+      }).select('user');
+
+      for (const integration of integrations) {
+        await this.queueSync(integration._id, integration.user.toString());
+      }
+    } catch (error) {
+      logger.error(`Realtime sync queue error: ${error.message}`);
+    }
+  }
+
+  // Scheduled job: queue every auto-synced integration whose interval has passed
+  async queueDueSyncs() {
+    const now = Date.now();
+    const integrations = await Integration.find({
+      'settings.autoSync': true,
+      syncFrequency: { $in: Object.keys(SYNC_INTERVALS) },
+      status: { $ne: 'inactive' }
+    }).select('syncFrequency lastSync user');
+
+    const due = integrations.filter(integration =>
+      !integration.lastSync ||
+      now - integration.lastSync.getTime() >= SYNC_INTERVALS[integration.syncFrequency]
+    );
+
+    for (const integration of due) {
+      await this.queueSync(integration._id, integration.user.toString());
+    }
+
+    return { queued: due.length };
+  }
+}
+
+// Singleton instance
+const integrationService = new IntegrationService();
+
+module.exports = integrationService;
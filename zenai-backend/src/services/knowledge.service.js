@@ -0,0 +1,350 @@
+// src/services/knowledge.service.js
+const Task = require('../models/Task.model');
+const Project = require('../models/Project.model');
+const Document = require('../models/Document.model');
+const aiService = require('./ai.service');
+const { addJob, JOB_NAMES } = require('../queue/jobs');
+const logger = require('../utils/logger');
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Must match the namespace the AI engine retrieves chat documents from
+const namespaceFor = (projectId) => `project:${idOf(projectId)}`;
+
+// Children sit under their task's id, so one prefix delete removes a task
+// together with its comments and attachments
+const taskDocumentId = (taskId) => `task:${idOf(taskId)}`;
+const itemDocumentId = (taskId, kind, itemId) => `${taskDocumentId(taskId)}/${kind}:${idOf(itemId)}`;
+const uploadDocumentId = (documentId) => `document:${idOf(documentId)}`;
+
+const ITEM_FIELDS = {
+  comment: 'comments',
+  attachment: 'attachments'
+};
+
+/**
+ * Keeps each project's vector namespace in step with its tasks, comments,
+ * attachments, uploaded documents and meeting summaries so chat can answer
+ * from them.
+ *
+ * Controllers only queue a sync for what changed. The job re-reads the
+ * current state and indexes it, or deletes the documents when the source
+ * is gone, so retries and out-of-order jobs converge on the same result.
+ */
+class KnowledgeService {
+  constructor() {
+    this.enabled = process.env.KNOWLEDGE_INDEXING !== 'false';
+  }
+
+  // Never throws: indexing must not fail the request that triggered it
+  async queueSync(data) {
+    if (!this.enabled) return null;
+
+    try {
+      return await addJob(JOB_NAMES.SYNC_KNOWLEDGE, data);
+    } catch (error) {
+      logger.error(`Knowledge sync queue error (${data.kind}): ${error.message}`);
+      return null;
+    }
+  }
+
+  // `full` also re-indexes the task's comments and attachments, for edits
+  // that may have replaced them wholesale
+  taskChanged(task, userId, { full = false } = {}) {
+    return this.queueSync({ kind: 'task', projectId: idOf(task.project), taskId: idOf(task), full, userId });
+  }
+
+  taskDeleted(projectId, taskId, userId) {
+    return this.queueSync({ kind: 'task', projectId: idOf(projectId), taskId: idOf(taskId), userId });
+  }
+
+  commentChanged(task, comment, userId) {
+    return this.itemChanged('comment', task, comment, userId);
+  }
+
+  attachmentChanged(task, attachment, userId) {
+    return this.itemChanged('attachment', task, attachment, userId);
+  }
+
+  itemChanged(kind, task, item, userId) {
+    return this.queueSync({
+      kind,
+      projectId: idOf(task.project),
+      taskId: idOf(task),
+      itemId: idOf(item),
+      userId
+    });
+  }
+
+  documentChanged(document, userId) {
+    return this.queueSync({ kind: 'document', projectId: idOf(document.project), documentId: idOf(document), userId });
+  }
+
+  documentDeleted(projectId, documentId, userId) {
+    return this.queueSync({ kind: 'document', projectId: idOf(projectId), documentId: idOf(documentId), userId });
+  }
+
+  // Clears the namespace, then re-indexes every task and document if the
+  // project exists
+  reindexProject(projectId, userId) {
+    return this.queueSync({ kind: 'project', projectId: idOf(projectId), userId });
+  }
+
+  projectDeleted(projectId, userId) {
+    return this.reindexProject(projectId, userId);
+  }
+
+  // Job processor
+  async sync({ kind, projectId, taskId, itemId, documentId, full, userId }) {
+    const namespace = namespaceFor(projectId);
+
+    if (kind === 'project') {
+      return this.syncProject(projectId, userId);
+    }
+
+    if (kind === 'document') {
+      return this.syncDocument(projectId, documentId, userId);
+    }
+
+    const task = await Task.findById(taskId)
+      .populate('assignee', 'name')
+      .populate('comments.user', 'name');
+
+    if (!task || idOf(task.project) !== projectId) {
+      await this.remove({ prefix: taskDocumentId(taskId), namespace });
+      return { deleted: taskDocumentId(taskId) };
+    }
+
+    // Syncs fired by automations and integrations bill the task's creator
+    const scope = { userId: userId || idOf(task.createdBy), projectId };
+
+    if (kind !== 'task') {
+      const item = task[ITEM_FIELDS[kind]].id(itemId);
+      const documentId = itemDocumentId(taskId, kind, itemId);
+
+      if (!item) {
+        await this.remove({ documentId, namespace });
+        return { deleted: documentId };
+      }
+
+      await this.index(this.itemDocument(kind, task, item), scope);
+      return { indexed: [documentId] };
+    }
+
+    const documents = [this.taskDocument(task)];
+
+    if (full) {
+      await this.remove({ prefix: `${taskDocumentId(taskId)}/`, namespace });
+      for (const [itemKind, field] of Object.entries(ITEM_FIELDS)) {
+        documents.push(...task[field].map(item => this.itemDocument(itemKind, task, item)));
+      }
+    }
+
+    for (const document of documents) {
+      await this.index(document, scope);
+    }
+    return { indexed: documents.map(document => document.metadata.documentId) };
+  }
+
+  async syncProject(projectId, userId) {
+    const result = await aiService.deleteNamespace(namespaceFor(projectId));
+    this.ensure(result, 'Namespace deletion failed');
+
+    const project = await Project.findById(projectId).select('_id');
+    if (!project) return { deleted: namespaceFor(projectId) };
+
+    const tasks = await Task.find({ project: projectId }).select('_id project');
+    for (const task of tasks) {
+      await this.taskChanged(task, userId, { full: true });
+    }
+
+    const documents = await Document.find({ project: projectId }).select('_id project');
+    for (const document of documents) {
+      await this.documentChanged(document, userId);
+    }
+    return { queued: tasks.length + documents.length };
+  }
+
+  // The engine extracts and splits the stored upload with the project's
+  // splitter settings; the record tracks the outcome
+  async syncDocument(projectId, documentId, userId) {
+    const namespace = namespaceFor(projectId);
+    const vectorId = uploadDocumentId(documentId);
+
+    const document = await Document.findById(documentId).select('+filePath');
+    if (!document || idOf(document.project) !== projectId) {
+      await this.remove({ documentId: vectorId, namespace });
+      return { deleted: vectorId };
+    }
+
+    const project = await Project.findById(projectId).select('knowledge');
+    const splitter = {
+      chunkSize: project?.knowledge?.chunkSize,
+      chunkOverlap: project?.knowledge?.chunkOverlap
+    };
+
+    document.status = 'indexing';
+    await document.save();
+
+    try {
+      const result = this.ensure(await aiService.indexFile(
+        document.filePath,
+        { name: document.name, format: document.format },
+        this.uploadMetadata(document),
+        { userId: userId || idOf(document.uploadedBy), projectId },
+        { namespace, ...splitter }
+      ), 'Document indexing failed');
+
+      Object.assign(document, {
+        status: 'indexed',
+        chunkCount: result.chunks,
+        characters: result.characters,
+        chunkSize: result.chunkSize,
+        chunkOverlap: result.chunkOverlap,
+        error: undefined,
+        indexedAt: new Date()
+      });
+      await document.save();
+
+      return { indexed: [vectorId], chunks: result.chunks };
+    } catch (error) {
+      document.status = 'failed';
+      document.error = error.message;
+      await document.save();
+      throw error;
+    }
+  }
+
+  // Called from the transcription job once the summary exists. Never throws,
+  // so a failed index doesn't fail a finished transcription.
+  async indexMeeting(projectId, meetingId, meeting, userId) {
+    if (!this.enabled || !projectId) return null;
+
+    try {
+      return await this.index(this.meetingDocument(projectId, meetingId, meeting), { userId, projectId });
+    } catch (error) {
+      logger.error(`Meeting indexing error (${meetingId}): ${error.message}`);
+      return null;
+    }
+  }
+
+  async index({ content, metadata }, scope) {
+    const result = await aiService.indexDocument(content, metadata, scope, {
+      namespace: namespaceFor(metadata.projectId)
+    });
+    return this.ensure(result, 'Document indexing failed');
+  }
+
+  async remove(target) {
+    return this.ensure(await aiService.deleteDocuments(target), 'Document deletion failed');
+  }
+
+  // AIService reports engine failures instead of throwing; the job retries
+  ensure(result, fallbackMessage) {
+    if (result && result.success === false) {
+      throw new Error(result.message || fallbackMessage);
+    }
+    return result;
+  }
+
+  taskDocument(task) {
+    const details = [
+      `Status: ${task.status}`,
+      `Priority: ${task.priority}`,
+      task.assignee?.name && `Assignee: ${task.assignee.name}`,
+      task.dueDate && `Due: ${task.dueDate.toISOString().split('T')[0]}`,
+      task.tags?.length && `Tags: ${task.tags.join(', ')}`
+    ].filter(Boolean);
+
+    return {
+      content: [`Task: ${task.title}`, details.join(' | '), task.description].filter(Boolean).join('\n'),
+      metadata: {
+        ...this.taskMetadata(task),
+        type: 'task',
+        documentId: taskDocumentId(task._id),
+        status: task.status,
+        priority: task.priority
+      }
+    };
+  }
+
+  itemDocument(kind, task, item) {
+    const content = kind === 'comment'
+      ? `Comment by ${item.user?.name || 'a team member'} on task "${task.title}":\n${item.text}`
+      : `Attachment "${item.name}"${item.type ? ` (${item.type})` : ''} on task "${task.title}"${item.url ? `: ${item.url}` : ''}`;
+
+    return {
+      content,
+      metadata: {
+        ...this.taskMetadata(task),
+        type: kind,
+        documentId: itemDocumentId(task._id, kind, item._id),
+        itemId: idOf(item),
+        url: kind === 'attachment' ? item.url : undefined
+      }
+    };
+  }
+
+  taskMetadata(task) {
+    return {
+      projectId: idOf(task.project),
+      taskId: idOf(task),
+      title: task.title
+    };
+  }
+
+  uploadMetadata(document) {
+    return {
+      type: 'document',
+      documentId: uploadDocumentId(document._id),
+      projectId: idOf(document.project),
+      itemId: idOf(document),
+      title: document.name,
+      format: document.format,
+      version: document.version
+    };
+  }
+
+  meetingDocument(projectId, meetingId, { summary, actionItems = [], metadata = {} }) {
+    const section = (heading, items) =>
+      Array.isArray(items) && items.length > 0 ? `${heading}:\n${items.map(item => `- ${item}`).join('\n')}` : null;
+
+    const summaryText = typeof summary === 'string'
+      ? summary
+      : [
+        summary?.executiveSummary,
+        section('Key points', summary?.keyPoints),
+        section('Decisions', summary?.decisions),
+        section('Next steps', summary?.nextSteps),
+        section('Blockers', summary?.blockers)
+      ].filter(Boolean).join('\n\n');
+
+    const actions = section('Action items', (Array.isArray(actionItems) ? actionItems : []).map(item =>
+      [item.action, item.owner && `(${item.owner})`, item.dueDate && `due ${item.dueDate}`].filter(Boolean).join(' ')
+    ));
+
+    const title = metadata.title || 'Team Meeting';
+
+    return {
+      content: [
+        `Meeting: ${title}`,
+        metadata.date && `Date: ${metadata.date}`,
+        metadata.participants?.length && `Participants: ${metadata.participants.join(', ')}`,
+        summaryText,
+        actions
+      ].filter(Boolean).join('\n'),
+      metadata: {
+        type: 'meeting',
+        documentId: `meeting:${meetingId}`,
+        projectId: idOf(projectId),
+        title,
+        date: metadata.date
+      }
+    };
+  }
+}
+
+// Singleton instance
+const knowledgeService = new KnowledgeService();
+
+module.exports = knowledgeService;
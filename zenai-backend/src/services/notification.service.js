@@ -0,0 +1,137 @@
+// src/services/notification.service.js
+const Notification = require('../models/Notification.model');
+const User = require('../models/User.model');
+const Task = require('../models/Task.model');
+const { emitToUser, EVENTS } = require('../websocket/socketHandler');
+const logger = require('../utils/logger');
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+class NotificationService {
+  constructor() {
+    this.dueSoonHours = parseInt(process.env.NOTIFY_DUE_SOON_HOURS || 24);
+  }
+
+  // Create one notification per recipient and push it to their sockets.
+  // The actor and users who muted the project are skipped.
+  async notify({ recipients, type, title, message, project, task, actor, data }) {
+    try {
+      const actorId = idOf(actor);
+      let userIds = [...new Set(recipients.filter(Boolean).map(idOf))]
+        .filter(userId => userId !== actorId);
+
+      if (userIds.length === 0) return [];
+
+      if (project) {
+        const muted = await User.find({
+          _id: { $in: userIds },
+          'notificationSettings.mutedProjects': idOf(project)
+        }).select('_id');
+
+        const mutedIds = muted.map(u => u._id.toString());
+        userIds = userIds.filter(userId => !mutedIds.includes(userId));
+      }
+
+      const notifications = await Notification.insertMany(userIds.map(userId => ({
+        user: userId,
+        type,
+        title,
+        message,
+        project: idOf(project),
+        task: idOf(task),
+        actor: actorId,
+        data
+      })));
+
+      notifications.forEach(notification => {
+        emitToUser(notification.user, EVENTS.NOTIFICATION_CREATED, notification);
+      });
+
+      return notifications;
+    } catch (error) {
+      logger.error(`Notification error (${type}): ${error.message}`);
+      return [];
+    }
+  }
+
+  async notifyTaskAssigned(task, actorId) {
+    return this.notify({
+      recipients: [task.assignee],
+      type: 'task_assigned',
+      title: 'New task assigned to you',
+      message: task.title,
+      project: task.project,
+      task,
+      actor: actorId
+    });
+  }
+
+  async notifyCommentAdded(task, comment, actorId) {
+    const commenters = task.comments.map(c => c.user);
+
+    return this.notify({
+      recipients: [task.assignee, task.createdBy, ...commenters],
+      type: 'comment_added',
+      title: `New comment on "${task.title}"`,
+      message: comment.text,
+      project: task.project,
+      task,
+      actor: actorId
+    });
+  }
+
+  async notifyStatusChanged(task, oldStatus, actorId) {
+    return this.notify({
+      recipients: [task.assignee, task.createdBy],
+      type: 'status_changed',
+      title: `"${task.title}" moved to ${task.status}`,
+      message: `Status changed from ${oldStatus} to ${task.status}`,
+      project: task.project,
+      task,
+      actor: actorId,
+      data: { from: oldStatus, to: task.status }
+    });
+  }
+
+  // Remind assignees of open tasks due within the window. Runs on a
+  // schedule; each task is reminded once per due date.
+  async notifyDueSoon() {
+    const now = new Date();
+    const until = new Date(now.getTime() + this.dueSoonHours * 3600 * 1000);
+
+    const tasks = await Task.find({
+      dueDate: { $gte: now, $lte: until },
+      status: { $ne: 'done' },
+      assignee: { $ne: null }
+    });
+
+    let sent = 0;
+    for (const task of tasks) {
+      const alreadySent = await Notification.exists({
+        task: task._id,
+        type: 'due_soon',
+        'data.dueDate': task.dueDate
+      });
+      if (alreadySent) continue;
+
+      const notifications = await this.notify({
+        recipients: [task.assignee],
+        type: 'due_soon',
+        title: `"${task.title}" is due soon`,
+        message: `Due ${task.dueDate.toISOString()}`,
+        project: task.project,
+        task,
+        data: { dueDate: task.dueDate }
+      });
+      sent += notifications.length;
+    }
+
+    logger.info(`Due date reminders sent: ${sent}`);
+    return { checked: tasks.length, sent };
+  }
+}
+
+// Singleton instance
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
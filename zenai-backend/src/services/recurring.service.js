@@ -0,0 +1,158 @@
+// src/services/recurring.service.js
+const RecurringRule = require('../models/RecurringRule.model');
+const TaskTemplate = require('../models/TaskTemplate.model');
+const Task = require('../models/Task.model');
+const Project = require('../models/Project.model');
+const { cache } = require('../config/redis');
+const taskEventsService = require('./taskEvents.service');
+const logger = require('../utils/logger');
+
+// Rules materialized per job run; the rest wait for the next minute
+const BATCH_SIZE = 100;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const isMember = (project, userId) =>
+  project.owner.equals(userId) || project.team.some(t => t.user.equals(userId));
+
+class RecurringTaskService {
+  // Creates one task for every active rule that is due. A rule that missed
+  // several runs (paused workers, downtime) gets a single task, then moves
+  // on to its next future run.
+  async materializeDue(now = new Date()) {
+    const due = await RecurringRule.find({ status: 'active', nextRunAt: { $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .limit(BATCH_SIZE);
+
+    let created = 0;
+
+    for (const rule of due) {
+      const runAt = rule.nextRunAt;
+
+      let nextRunAt;
+      try {
+        nextRunAt = rule.nextRunAfter(now);
+      } catch (error) {
+        // Only reachable for rules saved before validation; stop retrying them
+        logger.error(`Recurring rule ${rule._id} paused: ${error.message}`);
+        await RecurringRule.updateOne({ _id: rule._id }, { status: 'paused', nextRunAt: null });
+        continue;
+      }
+
+      const project = await Project.findById(rule.project);
+      if (!project) {
+        await RecurringRule.deleteOne({ _id: rule._id });
+        continue;
+      }
+
+      // Tasks are created as the rule's author, who must still be on the project
+      if (!isMember(project, rule.createdBy)) {
+        logger.warn(`Recurring rule ${rule._id} paused: its author left project ${project._id}`);
+        await RecurringRule.updateOne({ _id: rule._id, status: 'active' }, { status: 'paused', nextRunAt: null });
+        continue;
+      }
+
+      // Claim the run first so overlapping jobs can't create it twice
+      const claimed = await RecurringRule.findOneAndUpdate(
+        { _id: rule._id, status: 'active', nextRunAt: runAt },
+        {
+          $set: { nextRunAt, lastRunAt: now },
+          $inc: { runCount: 1 }
+        },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      try {
+        const task = await this.createTask(claimed, project, runAt);
+        await RecurringRule.updateOne({ _id: claimed._id }, { lastTask: task._id, $unset: { lastError: 1 } });
+        created += 1;
+      } catch (error) {
+        logger.error(`Recurring rule ${claimed._id} failed: ${error.message}`);
+
+        // Give the run back so the next job retries it, unless the rule
+        // was rescheduled in the meantime
+        await RecurringRule.updateOne(
+          { _id: claimed._id, nextRunAt },
+          {
+            $set: {
+              nextRunAt: runAt,
+              lastRunAt: rule.lastRunAt ?? null,
+              lastError: { message: error.message, at: now }
+            },
+            $inc: { runCount: -1 }
+          }
+        );
+      }
+    }
+
+    return { due: due.length, created };
+  }
+
+  // Task for the run of `rule` scheduled at `runAt`, announced like one
+  // created by hand. `{date}` in the title, description or checklist is the
+  // run date in the rule's timezone.
+  async createTask(rule, project, runAt) {
+    const values = { ...Object.fromEntries(rule.values || []), date: this.formatDate(runAt, rule.schedule.timezone) };
+    const template = rule.template ? await TaskTemplate.findById(rule.template) : null;
+    const base = template ? template.render(values) : {};
+    const fill = (text) => TaskTemplate.fill(text, values);
+    const own = rule.task || {};
+
+    // A member who left the project can't be assigned any more
+    const assignee = own.assignee && isMember(project, own.assignee) ? own.assignee : null;
+
+    const task = await Task.create({
+      title: (own.title ? fill(own.title).trim() : base.title) || rule.name,
+      description: own.description ? fill(own.description) : base.description,
+      project: project._id,
+      assignee,
+      createdBy: rule.createdBy,
+      priority: own.priority || base.priority,
+      tags: own.tags || base.tags,
+      estimatedTime: own.estimatedTime ?? base.estimatedTime,
+      checklist: own.checklist
+        ? own.checklist.map(fill).filter(text => text.trim()).map(text => ({ text }))
+        : base.checklist,
+      dueDate: rule.dueInDays !== undefined && rule.dueInDays !== null
+        ? new Date(runAt.getTime() + rule.dueInDays * DAY)
+        : undefined,
+      recurringRule: rule._id,
+      position: await Task.nextPosition(project._id, 'todo')
+    });
+
+    if (task.checklist.length > 0) {
+      task.progress = await Task.updateProgress(task._id);
+    }
+
+    await Project.findByIdAndUpdate(project._id, {
+      $inc: { 'metadata.totalTasks': 1 }
+    });
+    await cache.clearPattern(`tasks:${project._id}:*`);
+    await cache.clearPattern(`projects:*`);
+
+    await task.populate([
+      { path: 'assignee', select: 'name email avatar' },
+      { path: 'createdBy', select: 'name email avatar' }
+    ]);
+
+    logger.info(`Recurring task created: ${task._id} from rule: ${rule._id}`);
+
+    taskEventsService.announceCreate(task, project, rule.createdBy);
+
+    return task;
+  }
+
+  // YYYY-MM-DD of `date` in `timeZone`
+  formatDate(date, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(date);
+  }
+}
+
+const recurringTaskService = new RecurringTaskService();
+module.exports = recurringTaskService;
@@ -0,0 +1,451 @@
+// src/services/search.service.js
+const Project = require('../models/Project.model');
+const Task = require('../models/Task.model');
+const ChatMessage = require('../models/ChatMessage.model');
+const Document = require('../models/Document.model');
+const User = require('../models/User.model');
+const aiService = require('./ai.service');
+const knowledgeService = require('./knowledge.service');
+
+const TYPES = ['project', 'task', 'comment', 'message', 'document', 'meeting'];
+
+// Operators that only make sense for tasks; using one narrows the search to
+// tasks and the comments on matching tasks
+const TASK_OPERATORS = ['status', 'priority', 'assignee', 'due', 'tag'];
+
+const CANDIDATES = 50;
+// Content search asks the AI engine once per project namespace
+const MAX_DOCUMENT_NAMESPACES = 10;
+const SNIPPET_RADIUS = 60;
+const DAY = 24 * 60 * 60 * 1000;
+
+// How much a match in each field counts towards a result's score
+const FIELD_WEIGHTS = {
+  title: 1,
+  tags: 0.8,
+  description: 0.6,
+  comment: 0.6,
+  message: 0.5,
+  content: 0.5
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const termRegex = (term) => new RegExp(escapeRegex(term), 'i');
+
+// `key:value`, `key:"quoted value"`, `"quoted phrase"` or a bare word
+const TOKEN = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+
+const parseDue = (value, now = new Date()) => {
+  const startOfDay = new Date(now);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  if (value === 'none') return { $exists: false };
+  if (value === 'overdue') return { $lt: startOfDay };
+  if (value === 'today') return { $gte: startOfDay, $lt: new Date(startOfDay.getTime() + DAY) };
+
+  const match = /^([<>])(\d+)([dw])$/.exec(value);
+  if (!match) return null;
+
+  const [, direction, amount, unit] = match;
+  const limit = new Date(now.getTime() + Number(amount) * (unit === 'w' ? 7 : 1) * DAY);
+  return direction === '<' ? { $lte: limit } : { $gt: limit };
+};
+
+// Fraction of the terms found in `text`
+const coverage = (text, terms) => {
+  if (!text || terms.length === 0) return 0;
+  const lower = text.toLowerCase();
+  return terms.filter(term => lower.includes(term.toLowerCase())).length / terms.length;
+};
+
+// A window of `text` around the first term it contains
+const snippetOf = (text, terms) => {
+  if (!text) return '';
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term.toLowerCase())).filter(index => index >= 0);
+  const at = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(flat.length, at + SNIPPET_RADIUS * 2);
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+};
+
+// Small boost for recently updated items, so ties favour fresh work
+const recency = (date) => (date ? 0.05 * Math.exp(-(Date.now() - new Date(date).getTime()) / (30 * DAY)) : 0);
+
+/**
+ * Search across everything a user can see: the projects they own or belong
+ * to, those projects' tasks, comments, uploaded documents and meeting
+ * summaries, and their own chat history.
+ *
+ * Text terms must all match (case-insensitive substrings); results are
+ * scored by where they matched, title hits first, and merged into one
+ * ranked list. Document and meeting contents come from the AI engine's
+ * keyword index, so they are only searched when knowledge indexing is on.
+ */
+class SearchService {
+  constructor() {
+    this.types = TYPES;
+  }
+
+  // Splits a query into free-text terms and operators. Repeating an
+  // operator (or comma-separating values) matches any of them, except
+  // `tag:`, where a task must carry every tag.
+  parseQuery(q) {
+    const terms = [];
+    const filters = {};
+    const types = new Set();
+    const errors = [];
+    const operators = {};
+
+    for (const match of (q || '').matchAll(TOKEN)) {
+      const [, key, quotedValue, value, phrase, word] = match;
+
+      if (key && (TASK_OPERATORS.includes(key.toLowerCase()) || key.toLowerCase() === 'type')) {
+        const values = (quotedValue ?? value).split(',').map(item => item.trim()).filter(Boolean);
+        const name = key.toLowerCase();
+        operators[name] = [...(operators[name] || []), ...values];
+      } else {
+        const term = (phrase ?? word ?? match[0]).trim();
+        if (term) terms.push(term);
+      }
+    }
+
+    const statuses = Task.schema.path('status').enumValues;
+    const priorities = Task.schema.path('priority').enumValues;
+
+    for (const [name, values] of Object.entries(operators)) {
+      const lowered = values.map(item => item.toLowerCase());
+
+      if (name === 'type') {
+        lowered.forEach(type => {
+          if (TYPES.includes(type)) types.add(type);
+          else errors.push(`Unknown type "${type}". Use one of ${TYPES.join(', ')}`);
+        });
+      } else if (name === 'status' || name === 'priority') {
+        const allowed = name === 'status' ? statuses : priorities;
+        const invalid = lowered.filter(item => !allowed.includes(item));
+        if (invalid.length > 0) errors.push(`Unknown ${name} "${invalid[0]}". Use one of ${allowed.join(', ')}`);
+        filters[name] = lowered;
+      } else if (name === 'tag') {
+        filters.tags = values;
+      } else if (name === 'assignee') {
+        filters.assignee = lowered;
+      } else if (name === 'due') {
+        const due = parseDue(lowered[lowered.length - 1]);
+        if (due) filters.due = lowered[lowered.length - 1];
+        else errors.push('Due must be overdue, today, none, or <Nd / >Nd (days) / <Nw / >Nw (weeks)');
+      }
+    }
+
+    const taskOnly = Object.keys(filters).length > 0;
+    const allowedTypes = taskOnly ? ['task', 'comment'] : TYPES;
+    const requested = types.size > 0 ? [...types].filter(type => allowedTypes.includes(type)) : allowedTypes;
+
+    if (requested.length === 0) {
+      errors.push('status:, priority:, assignee:, due: and tag: only apply to tasks and comments');
+    }
+
+    return { terms, filters, types: requested, errors };
+  }
+
+  async accessibleProjects(userId) {
+    return Project.find({ $or: [{ owner: userId }, { 'team.user': userId }] })
+      .select('name description tags status updatedAt')
+      .sort({ updatedAt: -1 })
+      .lean();
+  }
+
+  // Translates the parsed operators into a Task query
+  async taskQuery({ filters, userId }, projectIds) {
+    const query = { project: { $in: projectIds } };
+
+    if (filters.status) query.status = { $in: filters.status };
+    if (filters.priority) query.priority = { $in: filters.priority };
+    if (filters.tags) query.tags = { $all: filters.tags.map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i')) };
+    if (filters.due) query.dueDate = parseDue(filters.due);
+
+    if (filters.assignee) {
+      const assignees = [];
+      let unassigned = false;
+
+      for (const value of filters.assignee) {
+        if (value === 'me') assignees.push(userId);
+        else if (value === 'none') unassigned = true;
+        else {
+          const users = await User.find({
+            $or: [{ email: value }, { name: new RegExp(`^${escapeRegex(value)}`, 'i') }]
+          }).select('_id').lean();
+          assignees.push(...users.map(user => user._id));
+        }
+      }
+
+      const conditions = [
+        ...(assignees.length > 0 ? [{ assignee: { $in: assignees } }] : []),
+        ...(unassigned ? [{ assignee: null }] : [])
+      ];
+      // Nobody matched the name: nothing can match
+      if (conditions.length > 0) query.$or = conditions;
+      else query._id = null;
+    }
+
+    return query;
+  }
+
+  // Every term must appear in at least one of `fields`
+  textQuery(terms, fields) {
+    if (terms.length === 0) return {};
+    return { $and: terms.map(term => ({ $or: fields.map(field => ({ [field]: termRegex(term) })) })) };
+  }
+
+  // `parsed` comes from parseQuery. `includeChat` is off for API keys
+  // without the ai:chat scope.
+  async search(parsed, { userId, limit = 20, includeChat = true }) {
+    const { terms, types } = parsed;
+    const context = { ...parsed, userId };
+    const projects = await this.accessibleProjects(userId);
+    const projectIds = projects.map(project => project._id);
+    const projectNames = new Map(projects.map(project => [project._id.toString(), project.name]));
+
+    const wants = (type) => types.includes(type);
+    const searches = [];
+
+    if (wants('project') && terms.length > 0) searches.push(this.searchProjects(projects, terms));
+    if (wants('task')) searches.push(this.searchTasks(context, projectIds));
+    if (wants('comment') && terms.length > 0) searches.push(this.searchComments(context, projectIds));
+    if (wants('message') && includeChat && terms.length > 0) searches.push(this.searchMessages(context, projectIds));
+    if ((wants('document') || wants('meeting')) && terms.length > 0) {
+      searches.push(this.searchDocuments(context, projects));
+    }
+
+    const results = (await Promise.all(searches)).flat()
+      .map(result => ({
+        ...result,
+        projectName: result.projectId ? projectNames.get(result.projectId) || null : null
+      }));
+
+    // Without text there is nothing to rank by, so tasks come by due date
+    const byScore = (a, b) => b.score - a.score;
+    const byDueDate = (a, b) => (a.dueDate ? new Date(a.dueDate) : Infinity) - (b.dueDate ? new Date(b.dueDate) : Infinity) ||
+      new Date(b.updatedAt) - new Date(a.updatedAt);
+    results.sort(terms.length > 0 ? byScore : byDueDate);
+
+    const counts = Object.fromEntries(types.map(type => [type, results.filter(result => result.type === type).length]));
+
+    return { results: results.slice(0, limit), counts, total: results.length };
+  }
+
+  searchProjects(projects, terms) {
+    return projects
+      .map(project => {
+        const score = Math.max(
+          FIELD_WEIGHTS.title * coverage(project.name, terms),
+          FIELD_WEIGHTS.tags * coverage((project.tags || []).join(' '), terms),
+          FIELD_WEIGHTS.description * coverage(project.description, terms)
+        );
+        const all = coverage([project.name, project.description, ...(project.tags || [])].join(' '), terms);
+        if (all < 1) return null;
+
+        return {
+          type: 'project',
+          id: project._id.toString(),
+          title: project.name,
+          snippet: snippetOf(project.description, terms),
+          status: project.status,
+          projectId: project._id.toString(),
+          url: `/projects/${project._id}`,
+          score: score + this.phraseBonus(project.name, terms) + recency(project.updatedAt),
+          updatedAt: project.updatedAt
+        };
+      })
+      .filter(Boolean);
+  }
+
+  async searchTasks(context, projectIds) {
+    const { terms } = context;
+    const query = {
+      ...await this.taskQuery(context, projectIds),
+      ...this.textQuery(terms, ['title', 'description', 'tags'])
+    };
+
+    const tasks = await Task.find(query)
+      .select('title description project status priority tags dueDate assignee updatedAt')
+      .populate('assignee', 'name email avatar')
+      .sort(terms.length > 0 ? { updatedAt: -1 } : { dueDate: 1, updatedAt: -1 })
+      .limit(CANDIDATES)
+      .lean();
+
+    return tasks.map(task => ({
+      type: 'task',
+      id: task._id.toString(),
+      title: task.title,
+      snippet: snippetOf(task.description, terms),
+      projectId: task.project.toString(),
+      taskId: task._id.toString(),
+      status: task.status,
+      priority: task.priority,
+      tags: task.tags,
+      dueDate: task.dueDate,
+      assignee: task.assignee,
+      url: `/projects/${task.project}?task=${task._id}`,
+      score: Math.max(
+        FIELD_WEIGHTS.title * coverage(task.title, terms),
+        FIELD_WEIGHTS.tags * coverage((task.tags || []).join(' '), terms),
+        FIELD_WEIGHTS.description * coverage(task.description, terms)
+      ) + this.phraseBonus(task.title, terms) + recency(task.updatedAt),
+      updatedAt: task.updatedAt
+    }));
+  }
+
+  async searchComments(context, projectIds) {
+    const { terms } = context;
+    const query = {
+      ...await this.taskQuery(context, projectIds),
+      ...this.textQuery(terms, ['comments.text'])
+    };
+
+    const tasks = await Task.find(query)
+      .select('title project comments')
+      .populate('comments.user', 'name avatar')
+      .sort({ updatedAt: -1 })
+      .limit(CANDIDATES)
+      .lean();
+
+    // The query matches tasks; each comment must hold every term itself
+    return tasks.flatMap(task => task.comments
+      .filter(comment => coverage(comment.text, terms) === 1)
+      .map(comment => ({
+        type: 'comment',
+        id: comment._id.toString(),
+        title: `Comment on "${task.title}"`,
+        snippet: snippetOf(comment.text, terms),
+        author: comment.user,
+        projectId: task.project.toString(),
+        taskId: task._id.toString(),
+        url: `/projects/${task.project}?task=${task._id}`,
+        score: FIELD_WEIGHTS.comment + recency(comment.createdAt),
+        updatedAt: comment.createdAt
+      })));
+  }
+
+  // Only the user's own history, and not from projects they have left
+  async searchMessages({ terms, userId }, projectIds) {
+    const messages = await ChatMessage.find({
+      user: userId,
+      $and: [
+        ...terms.map(term => ({ content: termRegex(term) })),
+        { $or: [{ 'context.projectId': { $exists: false } }, { 'context.projectId': null }, { 'context.projectId': { $in: projectIds } }] }
+      ]
+    })
+      .select('conversation role content context createdAt')
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATES)
+      .lean();
+
+    return messages.map(message => ({
+      type: 'message',
+      id: message._id.toString(),
+      title: message.role === 'user' ? 'You asked' : 'AI answered',
+      snippet: snippetOf(message.content, terms),
+      role: message.role,
+      conversationId: message.conversation?.toString() || null,
+      projectId: message.context?.projectId?.toString() || null,
+      taskId: message.context?.taskId?.toString() || null,
+      url: message.conversation ? `/ai?conversation=${message.conversation}` : '/ai',
+      score: FIELD_WEIGHTS.message + recency(message.createdAt),
+      updatedAt: message.createdAt
+    }));
+  }
+
+  // Uploaded documents by name, plus document and meeting contents from
+  // the engine's keyword index. Engine hits are chunks, so they are merged
+  // by the document they came from.
+  async searchDocuments({ terms, types, userId }, projects) {
+    const projectIds = projects.map(project => project._id);
+    const results = new Map();
+    const keep = (result) => {
+      const existing = results.get(result.id);
+      if (!existing || result.score > existing.score) {
+        results.set(result.id, { ...existing, ...result, snippet: result.snippet || existing?.snippet });
+      }
+    };
+
+    if (types.includes('document')) {
+      const documents = await Document.find({
+        project: { $in: projectIds },
+        $and: terms.map(term => ({ name: termRegex(term) }))
+      })
+        .select('name project format version status updatedAt')
+        .limit(CANDIDATES)
+        .lean();
+
+      documents.forEach(document => keep({
+        type: 'document',
+        id: `document:${document._id}`,
+        title: document.name,
+        snippet: '',
+        format: document.format,
+        version: document.version,
+        projectId: document.project.toString(),
+        url: `/projects/${document.project}/documents?document=${document._id}`,
+        score: FIELD_WEIGHTS.title * 0.9 + this.phraseBonus(document.name, terms) + recency(document.updatedAt),
+        updatedAt: document.updatedAt
+      }));
+    }
+
+    if (!knowledgeService.enabled) return [...results.values()];
+
+    const wanted = ['document', 'meeting'].filter(type => types.includes(type));
+    const query = terms.join(' ');
+    const namespaces = projects.slice(0, MAX_DOCUMENT_NAMESPACES).map(project => `project:${project._id}`);
+    const scope = { userId };
+
+    const responses = await Promise.all(namespaces.map(namespace => aiService.searchDocuments(query, {
+      limit: 10,
+      namespace,
+      mode: 'keyword',
+      filter: { type: { $in: wanted } }
+    }, scope)));
+
+    const hits = responses.flatMap(response => response.results || []);
+    const best = Math.max(...hits.map(hit => hit.score), 0) || 1;
+
+    for (const hit of hits) {
+      const { metadata = {} } = hit;
+      if (!metadata.documentId || !projectIds.some(id => id.toString() === metadata.projectId)) continue;
+
+      keep({
+        type: metadata.type,
+        id: metadata.documentId,
+        title: metadata.title || (metadata.type === 'meeting' ? 'Meeting' : 'Document'),
+        snippet: snippetOf(hit.content, terms),
+        format: metadata.format,
+        version: metadata.version,
+        projectId: metadata.projectId,
+        url: metadata.type === 'document' && metadata.itemId
+          ? `/projects/${metadata.projectId}/documents?document=${metadata.itemId}`
+          : `/projects/${metadata.projectId}`,
+        // BM25 scores are only comparable within a query, so scale to the best hit
+        score: FIELD_WEIGHTS.content * (hit.score / best) + FIELD_WEIGHTS.content * coverage(hit.content, terms),
+        updatedAt: metadata.date || null
+      });
+    }
+
+    return [...results.values()];
+  }
+
+  // Extra credit when the title starts with, or contains, the whole query
+  phraseBonus(title, terms) {
+    if (!title || terms.length === 0) return 0;
+    const phrase = terms.join(' ').toLowerCase();
+    const lower = title.toLowerCase();
+    if (lower.startsWith(phrase)) return 0.3;
+    return lower.includes(phrase) ? 0.15 : 0;
+  }
+}
+
+// Singleton instance
+const searchService = new SearchService();
+
+module.exports = searchService;
@@ -0,0 +1,72 @@
+// src/services/taskEvents.service.js
+const { emitToProject, EVENTS } = require('../websocket/socketHandler');
+const automationService = require('./automation.service');
+const notificationService = require('./notification.service');
+const webhookService = require('./webhook.service');
+const integrationService = require('./integration.service');
+const knowledgeService = require('./knowledge.service');
+
+/**
+ * Everything that follows a task being created or edited: the realtime
+ * event, notifications, webhooks, integration syncs, the project knowledge
+ * update and automation triggers. Tasks made by hand, from an AI breakdown
+ * or by a recurring rule all go through here so they are announced alike.
+ */
+class TaskEventsService {
+  // `task.assignee` must be populated
+  announceCreate(task, project, userId) {
+    emitToProject(project._id, EVENTS.TASK_CREATED, task, userId);
+
+    if (task.assignee) {
+      notificationService.notifyTaskAssigned(task, userId);
+    }
+
+    webhookService.dispatch('task.created', project, webhookService.taskData(task));
+    integrationService.queueRealtimeSyncs(project._id);
+    knowledgeService.taskChanged(task, userId);
+
+    automationService.evaluateTriggers(
+      task.assignee ? ['task.created', 'task.assigned'] : ['task.created'],
+      automationService.buildTaskEvent(task, userId)
+    );
+  }
+
+  // `task.project` must be populated. `automationChain` lists the rules
+  // whose actions made the change; they are not run on it again.
+  announceUpdate(task, { oldStatus, oldAssignee, full = false, automationChain }, userId) {
+    emitToProject(task.project._id, EVENTS.TASK_UPDATED, task, userId);
+
+    const newAssignee = task.assignee ? task.assignee._id.toString() : null;
+    const statusChanged = oldStatus !== task.status;
+    const reassigned = Boolean(newAssignee) && newAssignee !== oldAssignee;
+
+    if (reassigned) {
+      notificationService.notifyTaskAssigned(task, userId);
+    }
+    if (statusChanged) {
+      notificationService.notifyStatusChanged(task, oldStatus, userId);
+    }
+
+    webhookService.dispatch('task.updated', task.project, webhookService.taskData(task));
+    if (statusChanged && task.status === 'done') {
+      webhookService.dispatch('task.completed', task.project, webhookService.taskData(task));
+    }
+    integrationService.queueRealtimeSyncs(task.project);
+    knowledgeService.taskChanged(task, userId, { full });
+
+    const triggers = ['task.updated'];
+    if (statusChanged) triggers.push('task.status_changed');
+    if (statusChanged && task.status === 'done') triggers.push('task.completed');
+    if (reassigned) triggers.push('task.assigned');
+
+    automationService.evaluateTriggers(triggers, automationService.buildTaskEvent(task, userId, {
+      previous: { status: oldStatus, assignee: oldAssignee },
+      automationChain
+    }));
+  }
+}
+
+// Singleton instance
+const taskEventsService = new TaskEventsService();
+
+module.exports = taskEventsService;
@@ -0,0 +1,200 @@
+// src/services/webhook.service.js
+const crypto = require('crypto');
+const axios = require('axios');
+const Webhook = require('../models/Webhook.model');
+const WebhookDelivery = require('../models/WebhookDelivery.model');
+const { addJob, JOB_NAMES } = require('../queue/jobs');
+const { publicAgents, privateTargetError } = require('../utils/network');
+const logger = require('../utils/logger');
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+class WebhookService {
+  constructor() {
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT || 10000);
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  // Receivers recompute this over `${timestamp}.${rawBody}` to verify
+  sign(secret, timestamp, body) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  buildPayload(event, data) {
+    return {
+      event,
+      timestamp: new Date().toISOString(),
+      data
+    };
+  }
+
+  taskData(task) {
+    return {
+      taskId: idOf(task),
+      projectId: idOf(task.project),
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      assignee: idOf(task.assignee) || null,
+      dueDate: task.dueDate || null
+    };
+  }
+
+  projectData(project) {
+    return {
+      projectId: idOf(project),
+      name: project.name,
+      status: project.status,
+      progress: project.progress
+    };
+  }
+
+  // Queue a delivery to every active hook subscribed to the event, either
+  // on this project or account-wide for the project owner. Never throws.
+  async dispatch(event, project, data) {
+    try {
+      const webhooks = await Webhook.find({
+        active: true,
+        events: event,
+        $or: [
+          { project: idOf(project) },
+          { project: null, owner: idOf(project.owner) }
+        ]
+      });
+
+      if (webhooks.length === 0) return [];
+
+      const payload = this.buildPayload(event, data);
+      return await Promise.all(webhooks.map(webhook => this.enqueue(webhook._id, event, payload)));
+    } catch (error) {
+      logger.error(`Webhook dispatch error (${event}): ${error.message}`);
+      return [];
+    }
+  }
+
+  async enqueue(webhookId, event, payload, redeliveryOf) {
+    const delivery = await WebhookDelivery.create({
+      webhook: webhookId,
+      event,
+      payload,
+      redeliveryOf
+    });
+
+    await addJob(JOB_NAMES.WEBHOOK_DELIVERY, { deliveryId: delivery._id.toString() }, {
+      attempts: this.maxAttempts,
+      backoff: { type: 'exponential', delay: 10000 }
+    });
+
+    return delivery;
+  }
+
+  async redeliver(delivery) {
+    return this.enqueue(delivery.webhook, delivery.event, delivery.payload, delivery._id);
+  }
+
+  // One POST to the endpoint. Updates the delivery log and throws on a
+  // non-2xx response so the queue retries with backoff.
+  async deliver(deliveryId, { finalAttempt = true } = {}) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) {
+      throw new Error(`Webhook delivery not found: ${deliveryId}`);
+    }
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook) {
+      delivery.status = 'failed';
+      delivery.error = 'Webhook was deleted';
+      await delivery.save();
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startTime = Date.now();
+
+    let error = null;
+    try {
+      // Checked again on every attempt: the host may have been repointed
+      // since the hook was saved
+      const targetError = await privateTargetError(webhook.url);
+      if (targetError) throw new Error(targetError);
+
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ZenAI-Webhooks/1.0',
+          'X-ZenAI-Event': delivery.event,
+          'X-ZenAI-Delivery': delivery._id.toString(),
+          'X-ZenAI-Timestamp': timestamp,
+          'X-ZenAI-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+        },
+        ...publicAgents,
+        timeout: this.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      delivery.responseStatus = response.status;
+      delivery.responseBody = String(
+        typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '')
+      ).slice(0, 2000);
+
+      if (response.status < 200 || response.status >= 300) {
+        error = `Endpoint responded with ${response.status}`;
+      }
+    } catch (err) {
+      delivery.responseStatus = undefined;
+      delivery.responseBody = undefined;
+      error = err.message;
+    }
+
+    delivery.attempts += 1;
+    delivery.duration = Date.now() - startTime;
+    delivery.error = error || undefined;
+    delivery.status = error ? (finalAttempt ? 'failed' : 'pending') : 'success';
+    if (!error) delivery.deliveredAt = new Date();
+    await delivery.save();
+
+    await Webhook.findByIdAndUpdate(webhook._id, {
+      lastDeliveryAt: new Date(),
+      lastDeliveryStatus: error ? 'failed' : 'success'
+    });
+
+    if (error) {
+      logger.warn(`Webhook delivery failed: ${delivery._id} to ${webhook.url} - ${error}`);
+      throw new Error(error);
+    }
+
+    return delivery;
+  }
+
+  // Deliver a ping right away, without retries, so the caller sees the result
+  async sendTest(webhook) {
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: 'ping',
+      payload: this.buildPayload('ping', {
+        webhookId: webhook._id.toString(),
+        projectId: idOf(webhook.project) || null
+      })
+    });
+
+    try {
+      return await this.deliver(delivery._id);
+    } catch (error) {
+      return await WebhookDelivery.findById(delivery._id);
+    }
+  }
+}
+
+// Singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
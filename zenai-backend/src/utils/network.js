@@ -0,0 +1,79 @@
+// src/utils/network.js
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+// Requests to user-supplied URLs must not reach this host, the internal
+// network or cloud metadata endpoints (169.254.169.254)
+const privateRanges = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) =>
+  privateRanges.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// dns.lookup that refuses private addresses. The agents below connect with
+// it, so the address checked is the one connected to even if the name
+// resolves differently by then.
+const publicLookup = exports.publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private network address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Pass to axios as `httpAgent`/`httpsAgent` for user-supplied URLs
+exports.publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Why the URL can't be called, or null. Checked when the URL is saved;
+// literal IPs skip the agents' lookup, so check again before each request.
+exports.privateTargetError = async (url) => {
+  let host;
+  try {
+    host = hostOf(url);
+  } catch (error) {
+    return 'URL is invalid';
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return `${host} could not be resolved`;
+  }
+
+  return addresses.some(({ address }) => isPrivateAddress(address))
+    ? `${host} is a private network address`
+    : null;
+};
@@ -0,0 +1,114 @@
+// src/utils/smtp.js
+const net = require('net');
+const tls = require('tls');
+
+// Minimal SMTP client for checking that a server accepts our credentials.
+// Connects, says EHLO, upgrades with STARTTLS when offered and logs in.
+// Nothing is sent.
+
+const readReply = (socket, timeout) => new Promise((resolve, reject) => {
+  let buffer = '';
+
+  const cleanup = () => {
+    clearTimeout(timer);
+    socket.removeListener('data', onData);
+    socket.removeListener('error', onError);
+    socket.removeListener('close', onClose);
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\r\n').filter(Boolean);
+    const last = lines[lines.length - 1];
+
+    // Multi-line replies use `250-`, the final line `250 `
+    if (buffer.endsWith('\r\n') && last && /^\d{3} /.test(last)) {
+      cleanup();
+      resolve({ code: parseInt(last.slice(0, 3)), lines });
+    }
+  };
+  const onError = (error) => {
+    cleanup();
+    reject(error);
+  };
+  const onClose = () => {
+    cleanup();
+    reject(new Error('SMTP server closed the connection'));
+  };
+  const timer = setTimeout(() => {
+    cleanup();
+    reject(new Error('SMTP server timed out'));
+  }, timeout);
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+});
+
+const command = async (socket, line, expected, timeout) => {
+  const reply = readReply(socket, timeout);
+  socket.write(`${line}\r\n`);
+  const { code, lines } = await reply;
+
+  if (code !== expected) {
+    throw new Error(`SMTP ${line.split(' ')[0]} failed: ${lines[lines.length - 1]}`);
+  }
+  return lines;
+};
+
+const connect = ({ host, port, secure, timeout, lookup }) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host, lookup })
+    : net.connect({ host, port, lookup });
+
+  socket.setTimeout(timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+  socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+  socket.once('error', reject);
+});
+
+const upgrade = (socket, host) => new Promise((resolve, reject) => {
+  const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+  secureSocket.once('error', reject);
+});
+
+// `lookup` replaces dns.lookup for the connection, e.g. to refuse some addresses
+exports.verifySMTP = async ({ host, port, secure = false, username, password, timeout = 10000, lookup }) => {
+  port = port || (secure ? 465 : 587);
+  let socket = await connect({ host, port, secure, timeout, lookup });
+
+  try {
+    const greeting = await readReply(socket, timeout);
+    if (greeting.code !== 220) {
+      throw new Error(`Unexpected SMTP greeting: ${greeting.lines.join(' ')}`);
+    }
+
+    let features = await command(socket, 'EHLO zenai', 250, timeout);
+    let encrypted = secure;
+
+    if (!secure && features.some(line => /STARTTLS/i.test(line))) {
+      await command(socket, 'STARTTLS', 220, timeout);
+      socket = await upgrade(socket, host);
+      encrypted = true;
+      features = await command(socket, 'EHLO zenai', 250, timeout);
+    }
+
+    if (username) {
+      if (!encrypted) {
+        throw new Error('Server does not support TLS; refusing to send credentials');
+      }
+      await command(socket, 'AUTH LOGIN', 334, timeout);
+      await command(socket, Buffer.from(username).toString('base64'), 334, timeout);
+      await command(socket, Buffer.from(password || '').toString('base64'), 235, timeout);
+    }
+
+    socket.write('QUIT\r\n');
+
+    return {
+      server: features[0].slice(4),
+      encrypted,
+      authenticated: !!username
+    };
+  } finally {
+    socket.end();
+  }
+};
@@ -0,0 +1,155 @@
+// src/websocket/socketHandler.js
+const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { verifyAccessToken } = require('../config/jwt');
+const { redisClient, cache } = require('../config/redis');
+const User = require('../models/User.model');
+const Project = require('../models/Project.model');
+const logger = require('../utils/logger');
+
+const EVENTS = {
+  TASK_CREATED: 'task.created',
+  TASK_UPDATED: 'task.updated',
+  TASK_DELETED: 'task.deleted',
+  TASKS_REORDERED: 'tasks.reordered',
+  COMMENT_ADDED: 'comment.added',
+  PROJECT_UPDATED: 'project.updated',
+  NOTIFICATION_CREATED: 'notification.created'
+};
+
+let io = null;
+
+const projectRoom = (projectId) => `project:${projectId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+// Same checks as auth.middleware.authenticate, applied to the handshake
+const authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers.authorization;
+    const token = socket.handshake.auth?.token ||
+      (authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+
+    if (!token) {
+      return next(new Error('No token provided'));
+    }
+
+    const decoded = verifyAccessToken(token);
+
+    let user = await cache.get(`user:${decoded.userId}`);
+    if (!user) {
+      user = await User.findById(decoded.userId);
+      if (!user) {
+        return next(new Error('User not found'));
+      }
+      await cache.set(`user:${user._id}`, user, 3600);
+    }
+
+    if (!user.isActive) {
+      return next(new Error('Account is deactivated'));
+    }
+
+    socket.user = { userId: user._id.toString(), role: user.role };
+    next();
+  } catch (error) {
+    next(new Error('Invalid or expired token'));
+  }
+};
+
+const handleConnection = (socket) => {
+  const { userId } = socket.user;
+  socket.join(userRoom(userId));
+
+  logger.info(`Socket connected: ${socket.id} (user: ${userId})`);
+
+  socket.on('project:join', async (projectId, ack) => {
+    try {
+      const project = await Project.findById(projectId);
+      if (!project) {
+        return ack?.({ success: false, message: 'Project not found' });
+      }
+
+      const hasAccess = project.owner.toString() === userId ||
+                        project.team.some(t => t.user.toString() === userId);
+
+      if (!hasAccess) {
+        return ack?.({ success: false, message: 'Access denied' });
+      }
+
+      socket.join(projectRoom(projectId));
+      ack?.({ success: true });
+    } catch (error) {
+      logger.error(`Socket project:join error: ${error.message}`);
+      ack?.({ success: false, message: 'Failed to join project' });
+    }
+  });
+
+  socket.on('project:leave', (projectId, ack) => {
+    socket.leave(projectRoom(projectId));
+    ack?.({ success: true });
+  });
+
+  socket.on('disconnect', (reason) => {
+    logger.info(`Socket disconnected: ${socket.id} (${reason})`);
+  });
+};
+
+const initializeSocket = (server) => {
+  io = new Server(server, {
+    cors: {
+      origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
+      credentials: true
+    }
+  });
+
+  // Fan events out across instances through Redis pub/sub
+  const pubClient = redisClient.duplicate();
+  const subClient = redisClient.duplicate();
+  io.adapter(createAdapter(pubClient, subClient));
+
+  io.use(authenticateSocket);
+  io.on('connection', handleConnection);
+
+  logger.info('WebSocket server initialized');
+  return io;
+};
+
+const getIO = () => io;
+
+// Broadcast a domain event to everyone watching a project
+const emitToProject = (projectId, event, data, actorId) => {
+  if (!io || !projectId) return;
+
+  io.to(projectRoom(projectId.toString())).emit(event, {
+    event,
+    projectId: projectId.toString(),
+    actor: actorId ? actorId.toString() : null,
+    timestamp: new Date().toISOString(),
+    data
+  });
+};
+
+const emitToUser = (userId, event, data) => {
+  if (!io || !userId) return;
+
+  io.to(userRoom(userId.toString())).emit(event, {
+    event,
+    timestamp: new Date().toISOString(),
+    data
+  });
+};
+
+// Drop open connections so server.close() can finish during shutdown
+const closeSocket = () => {
+  if (io) {
+    io.local.disconnectSockets(true);
+  }
+};
+
+module.exports = {
+  EVENTS,
+  initializeSocket,
+  getIO,
+  emitToProject,
+  emitToUser,
+  closeSocket
+};
@@ -0,0 +1,183 @@
+// tests/integration/ai-engine.contract.test.js
+// Keeps AIService and the AI engine in sync: every engine endpoint the
+// backend calls must exist, and answer with the shape the backend reads.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Mock mode: the engine answers planning requests without OpenAI. Empty
+// rather than unset so the engine's dotenv.config() leaves them alone.
+// Documents go to a throwaway local vector store with hash embeddings.
+process.env.OPENAI_API_KEY = '';
+process.env.PINECONE_API_KEY = '';
+process.env.VECTOR_STORE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'zenai-vectors-'));
+
+const { app: engine, initializeOrchestrator } = require('../../../zenai-ai-engine/src/index');
+
+// Every `this.client.<method>('/api/v1/ai/...')` call in AIService, with
+// template placeholders replaced by a sample value
+const backendCalls = () => {
+  const source = fs.readFileSync(path.join(__dirname, '../../src/services/ai.service.js'), 'utf8');
+  const pattern = /this\.client\.(get|post|put|patch|delete)\(\s*['`](\/api\/v1\/ai\/[^'`]+)['`]/g;
+
+  return [...source.matchAll(pattern)].map(([, method, url]) => ({
+    method,
+    url: url.replace(/\$\{[^}]+\}/g, 'sample-id')
+  }));
+};
+
+const engineHandles = ({ method, url }) =>
+  engine._router.stack.some(layer =>
+    layer.route && layer.route.methods[method] && layer.match(url)
+  );
+
+describe('AI engine contract', () => {
+  let server;
+  let aiService;
+
+  beforeAll(async () => {
+    await initializeOrchestrator();
+    await new Promise(resolve => { server = engine.listen(0, '127.0.0.1', resolve); });
+
+    aiService = require('../../src/services/ai.service');
+    aiService.client.defaults.baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  it('finds the engine calls in AIService', () => {
+    const urls = backendCalls().map(call => call.url);
+
+    expect(urls).toEqual(expect.arrayContaining([
+      '/api/v1/ai/chat',
+      '/api/v1/ai/transcribe',
+      '/api/v1/ai/index-document',
+      '/api/v1/ai/search-documents',
+      '/api/v1/ai/suggest-breakdown',
+      '/api/v1/ai/estimate-effort',
+      '/api/v1/ai/task-templates',
+      '/api/v1/ai/usage/estimate'
+    ]));
+  });
+
+  it.each(backendCalls().map(call => [call.method.toUpperCase(), call.url, call]))(
+    'engine handles %s %s',
+    (method, url, call) => {
+      expect(engineHandles(call)).toBe(true);
+    }
+  );
+
+  it('returns subtasks for a breakdown', async () => {
+    const response = await aiService.client.post('/api/v1/ai/suggest-breakdown', {
+      task: { title: 'Checkout flow', description: 'Cart, payment and receipt' }
+    });
+
+    expect(response.data.data.metadata).toMatchObject({ agent: 'productManager', mode: 'mock' });
+
+    const subtasks = response.data.data.subtasks;
+    expect(Array.isArray(subtasks)).toBe(true);
+    expect(subtasks.length).toBeGreaterThan(0);
+    subtasks.forEach(subtask => {
+      expect(typeof subtask.title).toBe('string');
+      expect(typeof subtask.estimatedTime).toBe('number');
+      expect(subtask.priority).toBeDefined();
+    });
+  });
+
+  it('returns per-task estimates keyed by the ids sent', async () => {
+    const tasks = [
+      { _id: 'a1', title: 'Build API', description: 'CRUD endpoints', priority: 'high' },
+      { _id: 'b2', title: 'Write docs', description: 'Endpoint reference', priority: 'low' }
+    ];
+
+    const response = await aiService.client.post('/api/v1/ai/estimate-effort', { tasks });
+
+    const estimates = response.data.data.estimates;
+
+    expect(typeof estimates.totalHours).toBe('number');
+    expect(estimates.taskEstimates.map(e => e.taskId)).toEqual(['a1', 'b2']);
+    estimates.taskEstimates.forEach(estimate => {
+      expect(typeof estimate.hours).toBe('number');
+      expect(['high', 'medium', 'low']).toContain(estimate.confidence);
+    });
+  });
+
+  it('lists the built-in task templates with their placeholders', async () => {
+    const templates = await aiService.getTaskTemplates();
+
+    expect(templates.map(t => t.key)).toEqual(expect.arrayContaining(['bug', 'feature', 'refactor']));
+    templates.forEach(template => {
+      expect(template.title).toMatch(/\{summary\}/);
+      expect(template.description).toBe(template.description.trim());
+      expect(Array.isArray(template.tags)).toBe(true);
+    });
+  });
+
+  it('rejects malformed requests the way AIService can report', async () => {
+    const breakdown = await aiService.client
+      .post('/api/v1/ai/suggest-breakdown', { task: {} })
+      .catch(error => error.response);
+    expect(breakdown.status).toBe(400);
+    expect(breakdown.data.success).toBe(false);
+
+    const estimate = await aiService.client
+      .post('/api/v1/ai/estimate-effort', { tasks: [] })
+      .catch(error => error.response);
+    expect(estimate.status).toBe(400);
+  });
+
+  it('indexes and searches documents without Pinecone or OpenAI', async () => {
+    const index = await aiService.indexDocument(
+      'Q3 roadmap: ship the billing revamp and CSV invoice export',
+      { documentId: 'roadmap', userId: 'u1' }
+    );
+    expect(index).toMatchObject({ success: true, chunks: 1 });
+
+    await aiService.indexDocument('Team lunch is on Friday', { documentId: 'lunch', userId: 'u2' });
+
+    const { results } = await aiService.searchDocuments('billing roadmap', {
+      limit: 5,
+      filter: { userId: 'u1' }
+    });
+
+    expect(results.map(result => result.metadata.documentId)).toEqual(['roadmap']);
+    expect(results[0].content).toMatch(/billing revamp/);
+    expect(typeof results[0].score).toBe('number');
+  });
+
+  it('finds exact identifiers with keyword and hybrid search', async () => {
+    await aiService.indexDocument('Incident INC-4821: checkout latency spiked after the payments deploy', {
+      documentId: 'incident',
+      userId: 'u3'
+    });
+    await aiService.indexDocument('Payments team owns checkout, invoices and refunds', {
+      documentId: 'ownership',
+      userId: 'u3'
+    });
+
+    const search = (options) => aiService.searchDocuments('INC-4821', {
+      limit: 5,
+      filter: { userId: 'u3' },
+      ...options
+    });
+
+    const keyword = await search({ mode: 'keyword' });
+    expect(keyword.mode).toBe('keyword');
+    expect(keyword.results.map(result => result.metadata.documentId)).toEqual(['incident']);
+
+    // Hybrid keeps cosine similarity as `score` and orders by the fused rank
+    const hybrid = await search({ mode: 'hybrid', vectorWeight: 0.5 });
+    expect(hybrid.weights).toEqual({ vector: 0.5, keyword: 1 });
+    expect(hybrid.results[0].metadata.documentId).toBe('incident');
+    expect(hybrid.results[0].keywordScore).toBeGreaterThan(0);
+    expect(hybrid.results[0].score).toBeLessThanOrEqual(1);
+    expect(hybrid.reranked).toBe(false);
+
+    // Deleting a document removes it from the keyword index as well
+    await aiService.deleteDocuments({ documentId: 'incident' });
+    expect((await search({ mode: 'keyword' })).results).toEqual([]);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(process.env.VECTOR_STORE_PATH, { recursive: true, force: true });
+  });
+});
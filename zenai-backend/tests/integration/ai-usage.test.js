@@ -0,0 +1,232 @@
+// tests/integration/ai-usage.test.js
+const request = require('supertest');
+
+// The fixture provider runs the live agents without network calls. Empty
+// rather than unset so the engine's dotenv.config() leaves them alone.
+process.env.AI_PROVIDER = 'fixture';
+process.env.OPENAI_API_KEY = '';
+process.env.PINECONE_API_KEY = '';
+
+const { app: engine, initializeOrchestrator } = require('../../../zenai-ai-engine/src/index');
+
+describe('AI usage and budgets', () => {
+  let server;
+  let app;
+  let User;
+  let Project;
+  let AIUsage;
+  let ChatMessage;
+  let Notification;
+  let owner;
+  let member;
+  let ownerToken;
+  let memberToken;
+  let projectId;
+
+  const chat = (token, body) => request(app)
+    .post('/api/v1/ai/chat')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ message: 'What should I work on next?', ...body });
+
+  beforeAll(async () => {
+    await initializeOrchestrator();
+    await new Promise(resolve => { server = engine.listen(0, '127.0.0.1', resolve); });
+
+    app = require('../../src/app');
+    User = require('../../src/models/User.model');
+    Project = require('../../src/models/Project.model');
+    AIUsage = require('../../src/models/AIUsage.model');
+    ChatMessage = require('../../src/models/ChatMessage.model');
+    Notification = require('../../src/models/Notification.model');
+    const { generateAccessToken } = require('../../src/config/jwt');
+
+    const aiService = require('../../src/services/ai.service');
+    aiService.client.defaults.baseURL = `http://127.0.0.1:${server.address().port}`;
+
+    owner = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'password123' });
+    member = await User.create({ name: 'Member', email: 'member@example.com', password: 'password123' });
+    ownerToken = generateAccessToken(owner._id);
+    memberToken = generateAccessToken(member._id);
+
+    const project = await Project.create({
+      name: 'Billing',
+      owner: owner._id,
+      team: [{ user: member._id, role: 'member' }]
+    });
+    projectId = project._id.toString();
+  });
+
+  it('records chat usage against the project owner', async () => {
+    const response = await chat(memberToken, { context: { projectId } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.metadata.mode).toBe('live');
+
+    const [usage] = await AIUsage.find({ user: member._id, operation: 'chat' });
+    expect(usage.workspace.toString()).toBe(owner._id.toString());
+    expect(usage.project.toString()).toBe(projectId);
+    expect(usage.model).toBe('fixture');
+    expect(usage.promptTokens).toBeGreaterThan(0);
+    expect(usage.totalTokens).toBe(usage.promptTokens + usage.completionTokens);
+    expect(usage.estimated).toBe(true);
+
+    const reply = await ChatMessage.findOne({ user: member._id, role: 'ai' });
+    expect(reply.metadata.tokens).toBeGreaterThan(0);
+  });
+
+  it('bills calls outside a project to the caller', async () => {
+    await chat(memberToken, {});
+
+    const usage = await AIUsage.findOne({ user: member._id, project: { $exists: false }, operation: 'chat' });
+    expect(usage.workspace.toString()).toBe(member._id.toString());
+  });
+
+  it('bills an estimate for streams cancelled before the engine reports usage', async () => {
+    const aiService = require('../../src/services/ai.service');
+    const controller = new AbortController();
+
+    const result = await aiService.streamChat(member._id.toString(), 'Summarize the sprint', { projectId }, {
+      onToken: () => controller.abort(),
+      signal: controller.signal
+    });
+    expect(result.metadata.cancelled).toBe(true);
+
+    const usage = await AIUsage.findOne({ user: member._id, agent: 'chat', operation: 'chat' });
+    expect(usage.model).toBe('fixture');
+    expect(usage.promptTokens).toBeGreaterThan(0);
+    expect(usage.completionTokens).toBeGreaterThan(0);
+    expect(usage.estimated).toBe(true);
+  });
+
+  it('sends earlier turns of a streamed thread with the next one', async () => {
+    const aiService = require('../../src/services/ai.service');
+    const { Types } = require('mongoose');
+    const options = { conversationId: new Types.ObjectId().toString() };
+
+    await aiService.streamChat(owner._id.toString(), 'Summarize the sprint', {}, options);
+    await aiService.streamChat(owner._id.toString(), 'Summarize the sprint', {}, options);
+
+    const [second, first] = await AIUsage.find({ user: owner._id, agent: 'chat' }).sort({ createdAt: -1 });
+    expect(second.promptTokens).toBeGreaterThan(first.promptTokens + first.completionTokens);
+
+    await ChatMessage.deleteMany({ user: owner._id });
+    await AIUsage.deleteMany({ user: owner._id });
+  });
+
+  it('never bills a project the caller is not on', async () => {
+    const aiUsageService = require('../../src/services/aiUsage.service');
+    const { generateAccessToken } = require('../../src/config/jwt');
+    const outsider = await User.create({ name: 'Outsider', email: 'outsider@example.com', password: 'password123' });
+
+    const indexed = await request(app)
+      .post('/api/v1/ai/documents/index')
+      .set('Authorization', `Bearer ${generateAccessToken(outsider._id)}`)
+      .send({ content: 'Quarterly plan', metadata: { projectId } });
+    expect(indexed.status).toBe(403);
+
+    const usage = await aiUsageService.record('chat', { usage: { calls: 1, totalTokens: 10 } }, {
+      userId: outsider._id,
+      projectId
+    });
+    expect(usage.workspace.toString()).toBe(outsider._id.toString());
+    expect(usage.project).toBeUndefined();
+
+    await AIUsage.deleteMany({ user: outsider._id });
+  });
+
+  describe('GET /api/v1/analytics/ai-usage', () => {
+    it('groups usage by user and project', async () => {
+      const response = await request(app)
+        .get('/api/v1/analytics/ai-usage?groupBy=user,project')
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(response.status).toBe(200);
+
+      // The owner sees the member's calls in their project, not the personal ones
+      const { groups, totals } = response.body.data;
+      expect(groups).toHaveLength(1);
+      expect(groups[0].user.name).toBe('Member');
+      expect(groups[0].project.name).toBe('Billing');
+      expect(totals.calls).toBeGreaterThan(0);
+    });
+
+    it('groups by agent and day', async () => {
+      const response = await request(app)
+        .get('/api/v1/analytics/ai-usage?groupBy=agent,day')
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      // Chat answers come from the orchestrator, thread titles from the chat agent
+      const { groups } = response.body.data;
+      expect(groups.map(group => group.agent).sort()).toEqual(['chat', 'orchestrator']);
+      groups.forEach(group => {
+        expect(group.day).toBe(new Date().toISOString().substring(0, 10));
+      });
+    });
+
+    it('rejects unknown groupings', async () => {
+      const response = await request(app)
+        .get('/api/v1/analytics/ai-usage?groupBy=team')
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('monthly budgets', () => {
+    const setBudget = (body) => request(app)
+      .put('/api/v1/analytics/ai-budget')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send(body);
+
+    beforeAll(async () => {
+      await AIUsage.create({
+        user: owner._id,
+        workspace: owner._id,
+        operation: 'chat',
+        totalTokens: 1000,
+        cost: 5
+      });
+    });
+
+    it('lets soft limits through with a warning and alerts the owner once', async () => {
+      const update = await setBudget({ monthlyLimit: 4, enforcement: 'soft' });
+      expect(update.body.data.status).toBe('exceeded');
+
+      const first = await chat(memberToken, { context: { projectId } });
+      const second = await chat(memberToken, { context: { projectId } });
+
+      expect(first.status).toBe(200);
+      expect(first.headers['x-ai-budget-status']).toBe('exceeded');
+      expect(second.status).toBe(200);
+
+      const alerts = await Notification.find({ user: owner._id, type: 'ai_budget' });
+      expect(alerts).toHaveLength(1);
+    });
+
+    it('blocks calls billed to a workspace over a hard limit', async () => {
+      await setBudget({ enforcement: 'hard' });
+
+      const blocked = await chat(memberToken, { context: { projectId } });
+      expect(blocked.status).toBe(402);
+
+      // The member's own workspace has no limit
+      const personal = await chat(memberToken, {});
+      expect(personal.status).toBe(200);
+    });
+
+    it('removes the limit', async () => {
+      const response = await setBudget({ monthlyLimit: null });
+
+      expect(response.body.data.status).toBe('unlimited');
+    });
+  });
+
+  afterAll(async () => {
+    await AIUsage.deleteMany({});
+    await ChatMessage.deleteMany({});
+    await Notification.deleteMany({});
+    await Project.deleteMany({});
+    await User.deleteMany({});
+    await new Promise(resolve => server.close(resolve));
+  });
+});
@@ -3,6 +3,7 @@ const request = require('supertest');
 const app = require('../../src/app');
 const User = require('../../src/models/User.model');
 const Project = require('../../src/models/Project.model');
+const Conversation = require('../../src/models/Conversation.model');
 const { generateAccessToken } = require('../../src/config/jwt');
 
 describe('AI Endpoints', () => {
@@ -46,6 +47,18 @@ describe('AI Endpoints', () => {
       expect(response.body.data.response).toBeDefined();
     });
 
+    it('should not keep a new conversation when the chat fails', async () => {
+      // No AI engine runs in this suite, so chats get the fallback answer
+      const response = await request(app)
+        .post('/api/v1/ai/chat')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ message: 'Hello' });
+
+      expect(response.body.data.metadata.fallback).toBe(true);
+      expect(response.body.data.conversationId).toBeNull();
+      expect(await Conversation.countDocuments({ user: userId })).toBe(0);
+    });
+
     it('should reject without authentication', async () => {
       const response = await request(app)
         .post('/api/v1/ai/chat')
@@ -0,0 +1,104 @@
+// tests/integration/board.test.js
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User.model');
+const Project = require('../../src/models/Project.model');
+const Task = require('../../src/models/Task.model');
+const { generateAccessToken } = require('../../src/config/jwt');
+
+describe('Task board ordering', () => {
+  let token;
+  let outsiderToken;
+  let owner;
+  let projectId;
+  let tasks;
+
+  const reorder = (body, auth = token) => request(app)
+    .patch('/api/v1/tasks/reorder')
+    .set('Authorization', `Bearer ${auth}`)
+    .send({ projectId, ...body });
+
+  const column = async (status) => (await Task.find({ project: projectId, status }).sort({ position: 1 }))
+    .map(task => task.title);
+
+  beforeAll(async () => {
+    owner = await User.create({ name: 'Owner', email: 'board-owner@example.com', password: 'password123' });
+    const outsider = await User.create({ name: 'Outsider', email: 'board-outsider@example.com', password: 'password123' });
+    token = generateAccessToken(owner._id);
+    outsiderToken = generateAccessToken(outsider._id);
+
+    projectId = (await Project.create({
+      name: 'Board',
+      owner: owner._id,
+      wipLimits: { review: 1 }
+    }))._id.toString();
+
+    tasks = [];
+    for (const title of ['A', 'B', 'C']) {
+      const response = await request(app)
+        .post('/api/v1/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title, project: projectId });
+      tasks.push(response.body.data);
+    }
+  });
+
+  it('appends new tasks to the bottom of To Do', async () => {
+    expect(tasks.map(task => task.position)).toEqual([0, 1, 2]);
+    expect(await column('todo')).toEqual(['A', 'B', 'C']);
+  });
+
+  it('reorders within and between columns in one request', async () => {
+    const [a, b, c] = tasks.map(task => task._id);
+
+    const response = await reorder({
+      tasks: [
+        { id: c, status: 'todo', position: 0 },
+        { id: a, status: 'todo', position: 1 },
+        { id: b, status: 'in-progress', position: 0 }
+      ]
+    });
+
+    expect(response.status).toBe(200);
+    expect(await column('todo')).toEqual(['C', 'A']);
+    expect(await column('in-progress')).toEqual(['B']);
+
+    const project = await Project.findById(projectId);
+    expect(project.metadata.inProgressTasks).toBe(1);
+  });
+
+  it('lists tasks in board order', async () => {
+    const response = await request(app)
+      .get('/api/v1/tasks')
+      .query({ projectId, status: 'todo', sort: 'position' })
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.body.data.tasks.map(task => task.title)).toEqual(['C', 'A']);
+  });
+
+  it('enforces WIP limits on moves into a column', async () => {
+    const [a, b, c] = tasks.map(task => task._id);
+
+    const first = await reorder({ tasks: [{ id: a, status: 'review', position: 0 }] });
+    expect(first.status).toBe(200);
+
+    const second = await reorder({ tasks: [{ id: c, status: 'review', position: 1 }] });
+    expect(second.status).toBe(409);
+    expect(await column('review')).toEqual(['A']);
+
+    const update = await request(app)
+      .put(`/api/v1/tasks/${b}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'review' });
+    expect(update.status).toBe(409);
+  });
+
+  it('rejects bad batches and outsiders', async () => {
+    const [a] = tasks.map(task => task._id);
+
+    expect((await reorder({ tasks: [{ id: a, status: 'blocked', position: 0 }] })).status).toBe(400);
+    expect((await reorder({ tasks: [{ id: a, status: 'todo', position: -1 }] })).status).toBe(400);
+    expect((await reorder({ tasks: [{ id: owner._id, status: 'todo', position: 0 }] })).status).toBe(404);
+    expect((await reorder({ tasks: [{ id: a, status: 'todo', position: 0 }] }, outsiderToken)).status).toBe(403);
+  });
+});
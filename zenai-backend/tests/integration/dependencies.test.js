@@ -0,0 +1,147 @@
+// tests/integration/dependencies.test.js
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User.model');
+const Project = require('../../src/models/Project.model');
+const Task = require('../../src/models/Task.model');
+const { generateAccessToken } = require('../../src/config/jwt');
+
+describe('Task dependencies', () => {
+  let token;
+  let outsiderToken;
+  let owner;
+  let projectId;
+  let design;
+  let build;
+  let docs;
+  let release;
+
+  const createTask = async (body) => (await request(app)
+    .post('/api/v1/tasks')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ project: projectId, ...body })).body.data;
+
+  const update = (id, body) => request(app)
+    .put(`/api/v1/tasks/${id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const graph = (auth = token) => request(app)
+    .get(`/api/v1/projects/${projectId}/dependency-graph`)
+    .set('Authorization', `Bearer ${auth}`);
+
+  beforeAll(async () => {
+    owner = await User.create({ name: 'Owner', email: 'deps-owner@example.com', password: 'password123' });
+    const outsider = await User.create({ name: 'Outsider', email: 'deps-outsider@example.com', password: 'password123' });
+    token = generateAccessToken(owner._id);
+    outsiderToken = generateAccessToken(outsider._id);
+
+    projectId = (await Project.create({ name: 'Dependencies', owner: owner._id }))._id.toString();
+
+    design = await createTask({ title: 'Design', estimatedTime: 2 });
+    build = await createTask({ title: 'Build', estimatedTime: 5, dependencies: [design._id] });
+    docs = await createTask({ title: 'Docs', estimatedTime: 1, dependencies: [design._id] });
+    release = await createTask({ title: 'Release', estimatedTime: 1, dependencies: [build._id, docs._id] });
+  });
+
+  it('rejects cycles, self references and tasks from other projects', async () => {
+    const cycle = await update(design._id, { dependencies: [release._id] });
+    expect(cycle.status).toBe(400);
+    expect(cycle.body.message).toMatch(/Circular dependency/);
+
+    expect((await update(design._id, { dependencies: [design._id] })).status).toBe(400);
+
+    const other = await Project.create({ name: 'Other', owner: owner._id });
+    const stranger = await Task.create({ title: 'Elsewhere', project: other._id, createdBy: owner._id });
+    expect((await update(design._id, { dependencies: [stranger._id] })).status).toBe(400);
+
+    const created = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ project: projectId, title: 'Bad', dependencies: ['not-an-id'] });
+    expect(created.status).toBe(400);
+  });
+
+  it('flags tasks blocked by unfinished dependencies', async () => {
+    const list = async () => (await request(app)
+      .get('/api/v1/tasks')
+      .query({ projectId })
+      .set('Authorization', `Bearer ${token}`)).body.data.tasks;
+
+    const before = Object.fromEntries((await list()).map(task => [task.title, task.isBlocked]));
+    expect(before).toEqual({ Design: false, Build: true, Docs: true, Release: true });
+
+    await update(design._id, { status: 'done' });
+
+    const after = Object.fromEntries((await list()).map(task => [task.title, task.isBlocked]));
+    expect(after).toEqual({ Design: false, Build: false, Docs: false, Release: true });
+  });
+
+  it('warns when a task is started while blocked', async () => {
+    const started = await update(release._id, { status: 'in-progress' });
+
+    expect(started.status).toBe(200);
+    expect(started.body.data.status).toBe('in-progress');
+    expect(started.body.warnings).toHaveLength(1);
+    expect(started.body.warnings[0].blockers.map(blocker => blocker.title).sort()).toEqual(['Build', 'Docs']);
+
+    expect((await update(build._id, { status: 'in-progress' })).body.warnings).toEqual([]);
+
+    await update(release._id, { status: 'todo' });
+    const reordered = await request(app)
+      .patch('/api/v1/tasks/reorder')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ projectId, tasks: [{ id: release._id, status: 'in-progress', position: 1 }] });
+
+    expect(reordered.status).toBe(200);
+    expect(reordered.body.warnings.map(warning => warning.task)).toEqual([release._id]);
+  });
+
+  it('returns the graph with critical path and slack', async () => {
+    const response = await graph();
+
+    expect(response.status).toBe(200);
+
+    const { nodes, edges, criticalPath, totalDuration } = response.body.data;
+    const byTitle = Object.fromEntries(nodes.map(node => [node.title, node]));
+
+    expect(edges).toHaveLength(4);
+    // Design is done, so only Build and Release remain on the path
+    expect(totalDuration).toBe(6);
+    expect(criticalPath).toEqual([build._id, release._id]);
+    expect(byTitle.Docs.slack).toBe(4);
+    expect(byTitle.Build.critical).toBe(true);
+    expect(byTitle.Docs.critical).toBe(false);
+  });
+
+  it('keeps the critical path going through done tasks', async () => {
+    const chain = await Project.create({ name: 'Chain', owner: owner._id });
+    const open = await Task.create({ title: 'Open', project: chain._id, createdBy: owner._id, estimatedTime: 3 });
+    const done = await Task.create({
+      title: 'Done', project: chain._id, createdBy: owner._id, status: 'done', dependencies: [open._id]
+    });
+    const last = await Task.create({
+      title: 'Last', project: chain._id, createdBy: owner._id, estimatedTime: 2, dependencies: [done._id]
+    });
+
+    const response = await request(app)
+      .get(`/api/v1/projects/${chain._id}/dependency-graph`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.body.data.totalDuration).toBe(5);
+    expect(response.body.data.criticalPath).toEqual([open._id.toString(), last._id.toString()]);
+  });
+
+  it('drops deleted tasks from dependency lists', async () => {
+    await request(app)
+      .delete(`/api/v1/tasks/${docs._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const remaining = await Task.findById(release._id);
+    expect(remaining.dependencies.map(String)).toEqual([build._id]);
+  });
+
+  it('keeps the graph private to the project', async () => {
+    expect((await graph(outsiderToken)).status).toBe(403);
+  });
+});
@@ -0,0 +1,130 @@
+// tests/integration/documents.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Same throwaway local vector store as the knowledge tests
+process.env.OPENAI_API_KEY = '';
+process.env.PINECONE_API_KEY = '';
+process.env.VECTOR_STORE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'zenai-documents-'));
+
+const { app: engine, initializeOrchestrator } = require('../../../zenai-ai-engine/src/index');
+const ProjectKnowledge = require('../../../zenai-ai-engine/src/memory/project-knowledge');
+
+describe('Project documents', () => {
+  let server;
+  let app;
+  let Document;
+  let knowledgeService;
+  let knowledge;
+  let token;
+  let outsiderToken;
+  let owner;
+  let projectId;
+  let uploadDir;
+
+  const runbook = '# Refund runbook\n\nAnnual plans can be refunded within 30 days of renewal.\n';
+
+  const upload = (content, name = 'runbook.md', auth = token) => request(app)
+    .post(`/api/v1/ai/projects/${projectId}/documents`)
+    .set('Authorization', `Bearer ${auth}`)
+    .attach('file', Buffer.from(content), name);
+
+  // Jobs run inline: the queue isn't under test here
+  const sync = (document) => knowledgeService.sync({
+    kind: 'document',
+    projectId,
+    documentId: document._id,
+    userId: owner._id.toString()
+  });
+
+  beforeAll(async () => {
+    await initializeOrchestrator();
+    await new Promise(resolve => { server = engine.listen(0, '127.0.0.1', resolve); });
+
+    app = require('../../src/app');
+    const User = require('../../src/models/User.model');
+    const Project = require('../../src/models/Project.model');
+    Document = require('../../src/models/Document.model');
+    knowledgeService = require('../../src/services/knowledge.service');
+    const documentService = require('../../src/services/document.service');
+    const { generateAccessToken } = require('../../src/config/jwt');
+
+    require('../../src/services/ai.service').client.defaults.baseURL = `http://127.0.0.1:${server.address().port}`;
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zenai-uploads-'));
+    documentService.uploadDir = uploadDir;
+    knowledge = new ProjectKnowledge();
+
+    owner = await User.create({ name: 'Owner', email: 'doc-owner@example.com', password: 'password123' });
+    const outsider = await User.create({ name: 'Outsider', email: 'doc-outsider@example.com', password: 'password123' });
+    token = generateAccessToken(owner._id);
+    outsiderToken = generateAccessToken(outsider._id);
+
+    projectId = (await Project.create({
+      name: 'Billing',
+      owner: owner._id,
+      knowledge: { chunkSize: 400, chunkOverlap: 40 }
+    }))._id.toString();
+  });
+
+  it('indexes an uploaded file with the project splitter settings', async () => {
+    const response = await upload(runbook);
+    expect(response.status).toBe(202);
+    expect(response.body.data.document).toMatchObject({ name: 'runbook.md', format: 'markdown', version: 1 });
+
+    const result = await sync(response.body.data.document);
+    expect(result.indexed).toEqual([`document:${response.body.data.document._id}`]);
+
+    const document = await Document.findById(response.body.data.document._id);
+    expect(document).toMatchObject({ status: 'indexed', chunkCount: 1, chunkSize: 400, chunkOverlap: 40 });
+
+    const [match] = await knowledge.retrieve('refund annual plans', { projectId });
+    expect(match.metadata).toMatchObject({ type: 'document', title: 'runbook.md', version: 1 });
+  });
+
+  it('skips an unchanged re-upload and versions a changed one', async () => {
+    const unchanged = await upload(runbook);
+    expect(unchanged.status).toBe(200);
+    expect(unchanged.body.data.skipped).toBe(true);
+
+    const changed = await upload(`${runbook}Monthly plans are not refundable.\n`);
+    expect(changed.status).toBe(202);
+    expect(changed.body.data.document.version).toBe(2);
+    expect(await Document.countDocuments({ project: projectId })).toBe(1);
+  });
+
+  it('rejects unsupported files and outsiders', async () => {
+    const executable = await upload('MZ', 'setup.exe');
+    expect(executable.status).toBe(400);
+
+    const outsider = await upload(runbook, 'other.md', outsiderToken);
+    expect(outsider.status).toBe(403);
+  });
+
+  it('lists and deletes documents', async () => {
+    const list = await request(app)
+      .get(`/api/v1/ai/projects/${projectId}/documents`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(list.status).toBe(200);
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0].filePath).toBeUndefined();
+
+    const [document] = list.body.data;
+    const response = await request(app)
+      .delete(`/api/v1/ai/projects/${projectId}/documents/${document._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(response.status).toBe(200);
+
+    const result = await sync(document);
+    expect(result.deleted).toBe(`document:${document._id}`);
+    expect(await knowledge.retrieve('refund annual plans', { projectId })).toEqual([]);
+    expect(fs.readdirSync(uploadDir)).toEqual([]);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(process.env.VECTOR_STORE_PATH, { recursive: true, force: true });
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+});
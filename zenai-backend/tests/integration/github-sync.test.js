@@ -0,0 +1,328 @@
+// tests/integration/github-sync.test.js
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+
+process.env.INTEGRATION_ENCRYPTION_KEY = process.env.INTEGRATION_ENCRYPTION_KEY || 'test-encryption-key';
+
+// Minimal stand-in for the GitHub issues API of one repository
+const createFakeGitHub = () => {
+  const issues = new Map();
+  let nextNumber = 1;
+
+  const addIssue = (fields) => {
+    const number = nextNumber++;
+    const issue = {
+      id: 1000 + number,
+      number,
+      html_url: `https://github.example/acme/website/issues/${number}`,
+      title: '',
+      body: '',
+      labels: [],
+      state: 'open',
+      updated_at: new Date().toISOString(),
+      ...fields
+    };
+    issues.set(number, issue);
+    return issue;
+  };
+
+  const applyEdit = (issue, data) => {
+    if (data.title !== undefined) issue.title = data.title;
+    if (data.body !== undefined) issue.body = data.body;
+    if (data.state !== undefined) issue.state = data.state;
+    if (data.labels !== undefined) issue.labels = data.labels.map(name => ({ name }));
+    issue.updated_at = new Date().toISOString();
+    return issue;
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const data = body ? JSON.parse(body) : {};
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.headers.authorization !== 'Bearer ghp_test') {
+        return send(401, { message: 'Bad credentials' });
+      }
+
+      const match = url.pathname.match(/^\/repos\/acme\/website(\/issues(?:\/(\d+))?)?$/);
+      if (!match) return send(404, { message: 'Not Found' });
+
+      const [, issuesPath, number] = match;
+
+      if (!issuesPath) {
+        return send(200, { full_name: 'acme/website', private: true, permissions: { push: true } });
+      }
+
+      if (!number && req.method === 'GET') {
+        const since = url.searchParams.get('since');
+        const page = parseInt(url.searchParams.get('page') || 1);
+        const perPage = parseInt(url.searchParams.get('per_page') || 30);
+        const list = [...issues.values()]
+          .filter(issue => !since || issue.updated_at >= since)
+          .sort((a, b) => a.updated_at.localeCompare(b.updated_at));
+        return send(200, list.slice((page - 1) * perPage, page * perPage));
+      }
+
+      if (!number && req.method === 'POST') {
+        return send(201, applyEdit(addIssue({}), data));
+      }
+
+      const issue = issues.get(parseInt(number));
+      if (!issue) return send(404, { message: 'Not Found' });
+
+      if (req.method === 'PATCH') return send(200, applyEdit(issue, data));
+      return send(200, issue);
+    });
+  });
+
+  return { server, issues, addIssue };
+};
+
+const github = createFakeGitHub();
+
+describe('GitHub issue sync', () => {
+  let app;
+  let User;
+  let Project;
+  let Task;
+  let Integration;
+  let IssueLink;
+  let integrationService;
+  let integration;
+  let projectId;
+
+  const webhookSecret = 'whsec-test-secret-value';
+  const later = (ms) => new Date(Date.now() + ms).toISOString();
+  const sync = async () => {
+    await integrationService.syncIntegration(integration._id);
+    integration = await Integration.findById(integration._id);
+  };
+
+  beforeAll(async () => {
+    await new Promise(resolve => github.server.listen(0, '127.0.0.1', resolve));
+    process.env.GITHUB_API_URL = `http://127.0.0.1:${github.server.address().port}`;
+
+    // Required after GITHUB_API_URL is set so the services pick it up
+    app = require('../../src/app');
+    User = require('../../src/models/User.model');
+    Project = require('../../src/models/Project.model');
+    Task = require('../../src/models/Task.model');
+    Integration = require('../../src/models/Integration.model');
+    IssueLink = require('../../src/models/IssueLink.model');
+    integrationService = require('../../src/services/integration.service');
+
+    const user = await User.create({
+      name: 'Sync User',
+      email: 'sync@example.com',
+      password: 'password123'
+    });
+
+    const project = await Project.create({
+      name: 'Website',
+      owner: user._id
+    });
+    projectId = project._id;
+
+    integration = await Integration.create({
+      user: user._id,
+      type: 'github',
+      name: 'Website repo',
+      project: projectId,
+      config: { token: 'ghp_test', owner: 'acme', repository: 'website', webhookSecret },
+      settings: { bidirectionalSync: true }
+    });
+  });
+
+  it('stores the token encrypted', async () => {
+    const raw = await Integration.collection.findOne({ _id: integration._id });
+
+    expect(raw.config.token).toMatch(/^enc:v1:/);
+    expect(integration.getConfig().token).toBe('ghp_test');
+    expect(integration.toJSON().config.token).toBe('********');
+  });
+
+  it('tests the connection against the repository', async () => {
+    const result = await integrationService.testConnection(integration);
+
+    expect(result.ok).toBe(true);
+    expect(result.details.repository).toBe('acme/website');
+  });
+
+  it('imports open issues as tasks', async () => {
+    github.addIssue({
+      title: 'Broken footer links',
+      body: 'The footer links 404',
+      labels: [{ name: 'bug' }],
+      updated_at: '2024-01-01T00:00:00.000Z'
+    });
+    github.addIssue({ title: 'Old closed issue', state: 'closed', updated_at: '2024-01-01T00:00:00.000Z' });
+
+    await sync();
+
+    const tasks = await Task.find({ project: projectId });
+    expect(tasks).toHaveLength(1);
+    expect(tasks[0].title).toBe('Broken footer links');
+    expect(tasks[0].description).toBe('The footer links 404');
+    expect(tasks[0].tags).toEqual(['bug']);
+    expect(tasks[0].status).toBe('todo');
+
+    const link = await IssueLink.findOne({ task: tasks[0]._id });
+    expect(link.issueNumber).toBe(1);
+
+    expect(integration.lastSync).toBeDefined();
+    expect(integration.metadata.totalSyncs).toBe(1);
+    expect(integration.metadata.successfulSyncs).toBe(1);
+  });
+
+  it('pulls issue edits and closes the task', async () => {
+    Object.assign(github.issues.get(1), {
+      title: 'Fix footer links',
+      state: 'closed',
+      updated_at: later(1000)
+    });
+
+    await sync();
+
+    const task = await Task.findOne({ project: projectId, title: 'Fix footer links' });
+    expect(task.status).toBe('done');
+  });
+
+  it('pushes task edits to the issue', async () => {
+    const task = await Task.findOne({ project: projectId, title: 'Fix footer links' });
+    task.title = 'Fix all footer links';
+    task.tags = ['bug', 'frontend'];
+    task.status = 'in-progress';
+    await task.save();
+
+    await sync();
+
+    const issue = github.issues.get(1);
+    expect(issue.title).toBe('Fix all footer links');
+    expect(issue.labels.map(l => l.name).sort()).toEqual(['bug', 'frontend']);
+    expect(issue.state).toBe('open');
+  });
+
+  it('keeps the newer edit when both sides changed', async () => {
+    const task = await Task.findOne({ project: projectId, title: 'Fix all footer links' });
+    task.title = 'Local title';
+    await task.save();
+
+    Object.assign(github.issues.get(1), {
+      title: 'Remote title',
+      updated_at: later(60 * 1000)
+    });
+
+    await sync();
+
+    const updated = await Task.findById(task._id);
+    expect(updated.title).toBe('Remote title');
+    expect(github.issues.get(1).title).toBe('Remote title');
+  });
+
+  it('creates issues for new tasks', async () => {
+    const task = await Task.create({
+      title: 'Add dark mode',
+      description: 'Follow the system setting',
+      tags: ['feature'],
+      project: projectId,
+      createdBy: integration.user
+    });
+
+    await sync();
+
+    const link = await IssueLink.findOne({ task: task._id });
+    const issue = github.issues.get(link.issueNumber);
+    expect(issue.title).toBe('Add dark mode');
+    expect(issue.body).toBe('Follow the system setting');
+    expect(issue.labels.map(l => l.name)).toEqual(['feature']);
+  });
+
+  it('records failed syncs on the integration', async () => {
+    await Integration.findByIdAndUpdate(integration._id, { 'config.repository': 'missing' });
+
+    await expect(integrationService.syncIntegration(integration._id)).rejects.toThrow(/404/);
+
+    const failed = await Integration.findById(integration._id);
+    expect(failed.status).toBe('error');
+    expect(failed.metadata.lastError).toMatch(/404/);
+    expect(failed.metadata.failedSyncs).toBe(1);
+
+    await Integration.findByIdAndUpdate(integration._id, { 'config.repository': 'website' });
+    await sync();
+    expect(integration.status).toBe('active');
+  });
+
+  describe('POST /api/v1/integrations/:id/github/webhook', () => {
+    const deliver = (event, payload, secret = webhookSecret) => {
+      const body = JSON.stringify(payload);
+      const signature = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+      return request(app)
+        .post(`/api/v1/integrations/${integration._id}/github/webhook`)
+        .set('Content-Type', 'application/json')
+        .set('X-GitHub-Event', event)
+        .set('X-Hub-Signature-256', signature)
+        .send(body);
+    };
+
+    it('applies issue edits', async () => {
+      const issue = {
+        ...github.issues.get(1),
+        title: 'Edited on GitHub',
+        updated_at: later(2 * 60 * 1000)
+      };
+
+      const response = await deliver('issues', {
+        action: 'edited',
+        issue,
+        repository: { full_name: 'acme/website' }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.pulled).toBe(1);
+
+      const link = await IssueLink.findOne({ integration: integration._id, issueNumber: 1 });
+      const task = await Task.findById(link.task);
+      expect(task.title).toBe('Edited on GitHub');
+    });
+
+    it('imports newly opened issues', async () => {
+      const issue = github.addIssue({ title: 'Opened on GitHub', updated_at: later(0) });
+      const position = await Task.nextPosition(projectId, 'todo');
+
+      const response = await deliver('issues', {
+        action: 'opened',
+        issue,
+        repository: { full_name: 'acme/website' }
+      });
+
+      expect(response.body.data.tasksCreated).toBe(1);
+
+      // Lands at the bottom of its column, like a task made by hand
+      const imported = await Task.findOne({ project: projectId, title: 'Opened on GitHub' });
+      expect(imported.position).toBe(position);
+    });
+
+    it('rejects deliveries with a bad signature', async () => {
+      const response = await deliver('issues', { action: 'edited' }, 'wrong-secret');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  afterAll(async () => {
+    await IssueLink.deleteMany({});
+    await Integration.deleteMany({});
+    await Task.deleteMany({});
+    await Project.deleteMany({});
+    await User.deleteMany({});
+    await new Promise(resolve => github.server.close(resolve));
+  });
+});
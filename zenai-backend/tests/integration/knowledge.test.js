@@ -0,0 +1,151 @@
+// tests/integration/knowledge.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Documents go to a throwaway local vector store with hash embeddings.
+// Empty rather than unset so the engine's dotenv.config() leaves them alone.
+process.env.OPENAI_API_KEY = '';
+process.env.PINECONE_API_KEY = '';
+process.env.VECTOR_STORE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'zenai-knowledge-'));
+
+const { app: engine, initializeOrchestrator } = require('../../../zenai-ai-engine/src/index');
+const ProjectKnowledge = require('../../../zenai-ai-engine/src/memory/project-knowledge');
+
+describe('Project knowledge indexing', () => {
+  let server;
+  let app;
+  let Task;
+  let knowledgeService;
+  let knowledge;
+  let owner;
+  let token;
+  let outsiderToken;
+  let projectId;
+  let otherProjectId;
+  let task;
+
+  // Jobs run inline: the queue isn't under test here
+  const sync = (data) => knowledgeService.sync({ userId: owner._id.toString(), ...data });
+  const retrieve = (query, id = projectId) => knowledge.retrieve(query, { projectId: id, k: 5 });
+
+  beforeAll(async () => {
+    await initializeOrchestrator();
+    await new Promise(resolve => { server = engine.listen(0, '127.0.0.1', resolve); });
+
+    app = require('../../src/app');
+    const User = require('../../src/models/User.model');
+    const Project = require('../../src/models/Project.model');
+    Task = require('../../src/models/Task.model');
+    knowledgeService = require('../../src/services/knowledge.service');
+    const { generateAccessToken } = require('../../src/config/jwt');
+
+    const aiService = require('../../src/services/ai.service');
+    aiService.client.defaults.baseURL = `http://127.0.0.1:${server.address().port}`;
+    knowledge = new ProjectKnowledge();
+
+    owner = await User.create({ name: 'Owner', email: 'kb-owner@example.com', password: 'password123' });
+    const outsider = await User.create({ name: 'Outsider', email: 'kb-outsider@example.com', password: 'password123' });
+    token = generateAccessToken(owner._id);
+    outsiderToken = generateAccessToken(outsider._id);
+
+    projectId = (await Project.create({ name: 'Payments', owner: owner._id }))._id.toString();
+    otherProjectId = (await Project.create({ name: 'Marketing', owner: owner._id }))._id.toString();
+
+    task = await Task.create({
+      title: 'Migrate invoices to Stripe',
+      description: 'Move recurring invoice generation from the legacy billing cron to Stripe Billing',
+      project: projectId,
+      createdBy: owner._id,
+      status: 'in-progress',
+      tags: ['billing']
+    });
+  });
+
+  it('indexes a task into its project namespace only', async () => {
+    const result = await sync({ kind: 'task', projectId, taskId: task._id.toString() });
+    expect(result.indexed).toEqual([`task:${task._id}`]);
+
+    const [match] = await retrieve('stripe invoices billing');
+    expect(match.metadata).toMatchObject({ type: 'task', taskId: task._id.toString(), title: task.title });
+    expect(match.content).toMatch(/Status: in-progress/);
+
+    expect(await retrieve('stripe invoices billing', otherProjectId)).toEqual([]);
+  });
+
+  it('indexes comments under their task', async () => {
+    const response = await request(app)
+      .post(`/api/v1/tasks/${task._id}/comments`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ text: 'Stripe webhooks need the proration flag before we switch over' });
+    expect(response.status).toBe(200);
+
+    const commentId = response.body.data._id;
+    await sync({ kind: 'comment', projectId, taskId: task._id.toString(), itemId: commentId });
+
+    const results = await retrieve('proration webhooks');
+    expect(results[0].metadata).toMatchObject({ type: 'comment', itemId: commentId });
+    expect(results[0].content).toMatch(/Comment by Owner/);
+  });
+
+  it('removes a deleted task and everything filed under it', async () => {
+    const response = await request(app)
+      .delete(`/api/v1/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(response.status).toBe(200);
+
+    const result = await sync({ kind: 'task', projectId, taskId: task._id.toString() });
+    expect(result.deleted).toBe(`task:${task._id}`);
+
+    expect(await retrieve('stripe invoices proration webhooks')).toEqual([]);
+  });
+
+  it('grounds chat in project knowledge', async () => {
+    const ContextManager = require('../../../zenai-ai-engine/src/memory/context.manager');
+
+    const roadmap = await Task.create({
+      title: 'Launch usage-based pricing',
+      project: projectId,
+      createdBy: owner._id
+    });
+    await sync({ kind: 'task', projectId, taskId: roadmap._id.toString() });
+
+    const manager = new ContextManager({ userId: owner._id.toString(), conversationId: 'kb-test' });
+    const context = await manager.buildContext('When do we launch usage-based pricing?', {
+      includeHistory: false,
+      projectId
+    });
+
+    expect(context.relevantDocuments[0].metadata.title).toBe('Launch usage-based pricing');
+    expect(ProjectKnowledge.format(context.relevantDocuments)).toMatch(/\[1\] \(task: Launch usage-based pricing\)/);
+
+    // Citations line up with the numbers in the prompt
+    const [source] = ProjectKnowledge.sources(context.relevantDocuments);
+    expect(source).toMatchObject({
+      number: 1,
+      documentId: `task:${roadmap._id}`,
+      type: 'task',
+      title: 'Launch usage-based pricing',
+      projectId,
+      taskId: roadmap._id.toString(),
+      relevance: expect.stringMatching(/high|medium|low/)
+    });
+    expect(source.snippet).toMatch(/^Task: Launch usage-based pricing/);
+    expect(manager.knowledge.confidence(context.relevantDocuments)).toBeGreaterThan(0);
+  });
+
+  it('refuses chat about projects the caller is not on', async () => {
+    const response = await request(app)
+      .post('/api/v1/ai/chat')
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .send({ message: 'What is in progress?', context: { projectId } });
+
+    expect(response.status).toBe(403);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(process.env.VECTOR_STORE_PATH, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,134 @@
+// tests/integration/search.test.js
+const request = require('supertest');
+
+// Document contents come from the AI engine, which isn't under test here
+process.env.KNOWLEDGE_INDEXING = 'false';
+
+const app = require('../../src/app');
+const User = require('../../src/models/User.model');
+const Project = require('../../src/models/Project.model');
+const Task = require('../../src/models/Task.model');
+const ChatMessage = require('../../src/models/ChatMessage.model');
+const Document = require('../../src/models/Document.model');
+const { generateAccessToken } = require('../../src/config/jwt');
+
+describe('GET /api/v1/search', () => {
+  let token;
+  let outsiderToken;
+  let owner;
+  let member;
+  let projectId;
+
+  const search = (q, auth = token) => request(app)
+    .get('/api/v1/search')
+    .query({ q })
+    .set('Authorization', `Bearer ${auth}`);
+
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  beforeAll(async () => {
+    owner = await User.create({ name: 'Owner', email: 'search-owner@example.com', password: 'password123' });
+    member = await User.create({ name: 'Member', email: 'search-member@example.com', password: 'password123' });
+    const outsider = await User.create({ name: 'Outsider', email: 'search-outsider@example.com', password: 'password123' });
+    token = generateAccessToken(owner._id);
+    outsiderToken = generateAccessToken(outsider._id);
+
+    const project = await Project.create({
+      name: 'Billing revamp',
+      description: 'Move invoice generation to the new payment provider',
+      owner: owner._id,
+      team: [{ user: member._id, role: 'member' }]
+    });
+    projectId = project._id.toString();
+
+    await Task.create([
+      {
+        title: 'Invoice PDF export',
+        description: 'Render invoices as PDF for download',
+        project: projectId,
+        createdBy: owner._id,
+        assignee: owner._id,
+        status: 'todo',
+        tags: ['backend'],
+        dueDate: inDays(3),
+        comments: [{ user: member._id, text: 'The invoice template lives in the design folder' }]
+      },
+      {
+        title: 'Refund flow',
+        description: 'Refunds should send a credit invoice',
+        project: projectId,
+        createdBy: owner._id,
+        assignee: member._id,
+        status: 'in-progress',
+        tags: ['backend', 'payments'],
+        dueDate: inDays(20)
+      },
+      {
+        title: 'Billing settings page',
+        project: projectId,
+        createdBy: owner._id,
+        status: 'done',
+        tags: ['frontend']
+      }
+    ]);
+
+    await ChatMessage.create({
+      user: owner._id,
+      role: 'user',
+      content: 'Which invoice tasks are overdue?',
+      context: { projectId }
+    });
+
+    await Document.create({
+      project: projectId,
+      uploadedBy: owner._id,
+      name: 'invoice-runbook.md',
+      format: 'markdown',
+      checksum: 'abc',
+      filePath: '/tmp/invoice-runbook.md'
+    });
+  });
+
+  it('returns ranked, typed results across projects, tasks, comments, chat and documents', async () => {
+    const response = await search('invoice');
+    expect(response.status).toBe(200);
+
+    const { results, counts } = response.body.data;
+    expect(results[0]).toMatchObject({ type: 'task', title: 'Invoice PDF export', projectName: 'Billing revamp' });
+    expect(results[0].url).toBe(`/projects/${projectId}?task=${results[0].id}`);
+    expect(counts).toMatchObject({ project: 1, task: 2, comment: 1, message: 1, document: 1 });
+
+    const scores = results.map(result => result.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  });
+
+  it('filters tasks with operators', async () => {
+    const mine = await search('assignee:me due:<7d');
+    expect(mine.status).toBe(200);
+    expect(mine.body.data.results.map(result => result.title)).toEqual(['Invoice PDF export']);
+
+    const tagged = await search('tag:backend tag:payments status:in-progress');
+    expect(tagged.body.data.results.map(result => result.title)).toEqual(['Refund flow']);
+
+    const done = await search('billing status:done type:task');
+    expect(done.body.data.results).toHaveLength(1);
+    expect(done.body.data.results[0]).toMatchObject({ type: 'task', status: 'done' });
+  });
+
+  it('rejects unknown operator values and empty queries', async () => {
+    expect((await search('status:blocked')).status).toBe(400);
+    expect((await search('due:soon')).status).toBe(400);
+    expect((await search('   ')).status).toBe(400);
+  });
+
+  it('only returns what the user can see', async () => {
+    const response = await search('invoice', outsiderToken);
+    expect(response.status).toBe(200);
+    expect(response.body.data.results).toEqual([]);
+  });
+
+  it('keeps chat history private to its author', async () => {
+    const response = await search('overdue type:message', generateAccessToken(member._id));
+    expect(response.body.data.results).toEqual([]);
+  });
+});
@@ -0,0 +1,123 @@
+// tests/integration/subtasks.test.js
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User.model');
+const Project = require('../../src/models/Project.model');
+const Task = require('../../src/models/Task.model');
+const { generateAccessToken } = require('../../src/config/jwt');
+
+describe('Subtasks and checklists', () => {
+  let token;
+  let outsiderToken;
+  let projectId;
+  let epic;
+
+  const api = (method, path, auth = token) => request(app)[method](`/api/v1/tasks${path}`)
+    .set('Authorization', `Bearer ${auth}`);
+
+  const createTask = async (body) => (await api('post', '').send({ project: projectId, ...body })).body.data;
+
+  beforeAll(async () => {
+    const owner = await User.create({ name: 'Owner', email: 'subtasks-owner@example.com', password: 'password123' });
+    const outsider = await User.create({ name: 'Outsider', email: 'subtasks-outsider@example.com', password: 'password123' });
+    token = generateAccessToken(owner._id);
+    outsiderToken = generateAccessToken(outsider._id);
+
+    projectId = (await Project.create({ name: 'Subtasks', owner: owner._id }))._id.toString();
+    epic = await createTask({ title: 'Epic' });
+  });
+
+  it('accepts a breakdown as child tasks in one request', async () => {
+    const response = await api('post', `/${epic._id}/subtasks`).send({
+      subtasks: [
+        { title: 'Epic - Plan', estimatedTime: 2, priority: 'high' },
+        { title: 'Epic - Build', estimatedTime: 6 }
+      ]
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.map(task => task.title)).toEqual(['Epic - Plan', 'Epic - Build']);
+    expect(response.body.data.every(task => task.parentTask === epic._id)).toBe(true);
+
+    const parent = await Task.findById(epic._id);
+    expect(parent.subtaskCount.total).toBe(2);
+  });
+
+  it('creates nothing when one subtask is invalid', async () => {
+    const before = await Task.countDocuments({ project: projectId });
+
+    const response = await api('post', `/${epic._id}/subtasks`).send({
+      subtasks: [{ title: 'Fine' }, { title: 'Bad priority', priority: 'someday' }]
+    });
+
+    expect(response.status).toBeGreaterThanOrEqual(400);
+    expect(await Task.countDocuments({ project: projectId })).toBe(before);
+  });
+
+  it('rolls progress up from children and checklists', async () => {
+    const [plan, build] = await Task.find({ parentTask: epic._id }).sort({ position: 1 });
+
+    await api('put', `/${plan._id}`).send({ status: 'done' });
+
+    const added = await api('post', `/${build._id}/checklist`).send({ text: 'Write code' });
+    await api('post', `/${build._id}/checklist`).send({ text: 'Write tests' });
+    expect(added.status).toBe(201);
+
+    const itemId = added.body.data.checklist[0]._id;
+    const ticked = await api('patch', `/${build._id}/checklist/${itemId}`).send({ done: true });
+    expect(ticked.body.data.progress).toBe(50);
+
+    const parent = await Task.findById(epic._id);
+    expect(parent.progress).toBe(75);
+    expect(parent.subtaskCount.completed).toBe(1);
+
+    const removed = await api('delete', `/${build._id}/checklist/${itemId}`);
+    expect(removed.body.data.progress).toBe(0);
+    expect((await Task.findById(epic._id)).progress).toBe(50);
+  });
+
+  it('returns the parent and subtasks with a task', async () => {
+    const response = await api('get', `/${epic._id}`);
+
+    expect(response.body.data.subtasks).toHaveLength(2);
+
+    const child = await api('get', `/${response.body.data.subtasks[0]._id}`);
+    expect(child.body.data.parentTask.title).toBe('Epic');
+  });
+
+  it('limits nesting to three levels and rejects cycles', async () => {
+    const level2 = await createTask({ title: 'Level 2', parentTask: epic._id });
+    const level3 = await createTask({ title: 'Level 3', parentTask: level2._id });
+
+    const tooDeep = await api('post', '').send({ project: projectId, title: 'Level 4', parentTask: level3._id });
+    expect(tooDeep.status).toBe(400);
+
+    const cycle = await api('put', `/${epic._id}`).send({ parentTask: level3._id });
+    expect(cycle.status).toBe(400);
+
+    const batch = await api('post', `/${level3._id}/subtasks`).send({ subtasks: [{ title: 'Level 4' }] });
+    expect(batch.status).toBe(400);
+  });
+
+  it('rejects a parent from another project', async () => {
+    const other = await Project.create({ name: 'Other', owner: (await User.findOne({ email: 'subtasks-owner@example.com' }))._id });
+    const stranger = await Task.create({ title: 'Elsewhere', project: other._id, createdBy: other.owner });
+
+    const response = await api('post', '').send({ project: projectId, title: 'Orphan', parentTask: stranger._id });
+    expect(response.status).toBe(400);
+  });
+
+  it('deletes subtasks with their parent', async () => {
+    const response = await api('delete', `/${epic._id}`);
+
+    expect(response.status).toBe(200);
+    expect(await Task.countDocuments({ project: projectId })).toBe(0);
+  });
+
+  it('rejects outsiders', async () => {
+    const task = await createTask({ title: 'Private' });
+
+    expect((await api('post', `/${task._id}/subtasks`, outsiderToken).send({ subtasks: [{ title: 'x' }] })).status).toBe(403);
+    expect((await api('post', `/${task._id}/checklist`, outsiderToken).send({ text: 'x' })).status).toBe(403);
+  });
+});
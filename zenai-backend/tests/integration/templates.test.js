@@ -0,0 +1,179 @@
+// tests/integration/templates.test.js
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User.model');
+const Project = require('../../src/models/Project.model');
+const Task = require('../../src/models/Task.model');
+const RecurringRule = require('../../src/models/RecurringRule.model');
+const recurringTaskService = require('../../src/services/recurring.service');
+const { generateAccessToken } = require('../../src/config/jwt');
+
+describe('Task templates and recurring tasks', () => {
+  let token;
+  let memberToken;
+  let outsiderToken;
+  let owner;
+  let projectId;
+  let template;
+
+  const api = (method, path, auth = token) => request(app)[method](`/api/v1/projects/${projectId}${path}`)
+    .set('Authorization', `Bearer ${auth}`);
+
+  beforeAll(async () => {
+    owner = await User.create({ name: 'Owner', email: 'templates-owner@example.com', password: 'password123' });
+    const member = await User.create({ name: 'Member', email: 'templates-member@example.com', password: 'password123' });
+    const outsider = await User.create({ name: 'Outsider', email: 'templates-outsider@example.com', password: 'password123' });
+    token = generateAccessToken(owner._id);
+    memberToken = generateAccessToken(member._id);
+    outsiderToken = generateAccessToken(outsider._id);
+
+    projectId = (await Project.create({
+      name: 'Templates',
+      owner: owner._id,
+      team: [{ user: member._id, role: 'member' }]
+    }))._id.toString();
+  });
+
+  it('saves templates and lists their placeholders', async () => {
+    const response = await api('post', '/templates').send({
+      name: 'Release',
+      title: 'Release {version}',
+      description: 'Ship {version} to {environment}',
+      priority: 'high',
+      checklist: ['Tag {version}', 'Announce']
+    });
+
+    expect(response.status).toBe(201);
+    template = response.body.data;
+    expect(template.placeholders).toEqual(['version', 'environment']);
+
+    const list = await api('get', '/templates');
+    expect(list.body.data.templates.map(t => t.name)).toContain('Release');
+
+    expect((await api('get', '/templates', outsiderToken)).status).toBe(403);
+  });
+
+  it('creates a task from a template with the placeholders filled in', async () => {
+    const response = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ project: projectId, template: template._id, values: { version: '2.1', environment: 'production' } });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({
+      title: 'Release 2.1',
+      description: 'Ship 2.1 to production',
+      priority: 'high'
+    });
+    expect(response.body.data.checklist.map(item => item.text)).toEqual(['Tag 2.1', 'Announce']);
+  });
+
+  it('lets only the author, owner and admins change a template', async () => {
+    const response = await api('put', `/templates/${template._id}`, memberToken).send({ name: 'Mine now' });
+    expect(response.status).toBe(403);
+  });
+
+  it('validates recurring schedules', async () => {
+    const tooOften = await api('post', '/recurring').send({
+      name: 'Spam',
+      task: { title: 'Ping' },
+      schedule: { frequency: 'cron', cron: '*/5 * * * *' }
+    });
+    expect(tooOften.status).toBe(400);
+
+    const badZone = await api('post', '/recurring').send({
+      name: 'Nowhere',
+      task: { title: 'Ping' },
+      schedule: { frequency: 'daily', timezone: 'Mars/Olympus' }
+    });
+    expect(badZone.status).toBe(400);
+
+    const noTitle = await api('post', '/recurring').send({
+      name: 'Empty',
+      schedule: { frequency: 'daily' }
+    });
+    expect(noTitle.status).toBe(400);
+  });
+
+  it('materializes due rules once, then moves to the next run', async () => {
+    const created = await api('post', '/recurring').send({
+      name: 'Weekly release',
+      template: template._id,
+      values: { version: 'weekly', environment: 'staging' },
+      task: { title: 'Release {date}' },
+      dueInDays: 2,
+      schedule: { frequency: 'weekly', daysOfWeek: [1], time: '09:00', timezone: 'UTC' }
+    });
+
+    expect(created.status).toBe(201);
+    const rule = created.body.data;
+    expect(rule.upcoming).toHaveLength(3);
+
+    const runAt = new Date(rule.nextRunAt);
+    const now = new Date(runAt.getTime() + 60 * 1000);
+
+    // Two overlapping job runs create a single task
+    const [first, second] = await Promise.all([
+      recurringTaskService.materializeDue(now),
+      recurringTaskService.materializeDue(now)
+    ]);
+    expect(first.created + second.created).toBe(1);
+
+    const task = await Task.findOne({ recurringRule: rule._id });
+    expect(task.title).toBe(`Release ${runAt.toISOString().slice(0, 10)}`);
+    expect(task.description).toBe('Ship weekly to staging');
+    expect(task.dueDate.getTime() - runAt.getTime()).toBe(2 * 24 * 60 * 60 * 1000);
+
+    const saved = await RecurringRule.findById(rule._id);
+    expect(saved.runCount).toBe(1);
+    expect(saved.lastTask.toString()).toBe(task._id.toString());
+    expect(saved.nextRunAt.getTime() - runAt.getTime()).toBe(7 * 24 * 60 * 60 * 1000);
+  });
+
+  it('skips, pauses and resumes rules', async () => {
+    const rule = (await api('post', '/recurring').send({
+      name: 'Standup notes',
+      task: { title: 'Standup {date}' },
+      schedule: { frequency: 'daily', time: '08:30' }
+    })).body.data;
+
+    const skipped = await api('post', `/recurring/${rule._id}/skip`);
+    expect(skipped.status).toBe(200);
+    expect(new Date(skipped.body.data.nextRunAt) - new Date(rule.nextRunAt)).toBe(24 * 60 * 60 * 1000);
+    expect(skipped.body.data.skipCount).toBe(1);
+
+    const paused = await api('post', `/recurring/${rule._id}/pause`);
+    expect(paused.body.data).toMatchObject({ status: 'paused', nextRunAt: null, upcoming: [] });
+
+    await recurringTaskService.materializeDue(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000));
+    expect(await Task.countDocuments({ recurringRule: rule._id })).toBe(0);
+
+    expect((await api('post', `/recurring/${rule._id}/skip`)).status).toBe(400);
+
+    const resumed = await api('post', `/recurring/${rule._id}/resume`);
+    expect(resumed.body.data.status).toBe('active');
+    expect(new Date(resumed.body.data.nextRunAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('pauses rules whose author left the project', async () => {
+    const rule = (await api('post', '/recurring', memberToken).send({
+      name: 'Member digest',
+      task: { title: 'Digest {date}' },
+      schedule: { frequency: 'daily', time: '07:00' }
+    })).body.data;
+
+    await Project.updateOne({ _id: projectId }, { team: [] });
+
+    await recurringTaskService.materializeDue(new Date(new Date(rule.nextRunAt).getTime() + 60 * 1000));
+    expect(await Task.countDocuments({ recurringRule: rule._id })).toBe(0);
+
+    const saved = await RecurringRule.findById(rule._id);
+    expect(saved.status).toBe('paused');
+    expect((await api('post', `/recurring/${rule._id}/resume`)).status).toBe(400);
+  });
+
+  it('keeps templates in use by a rule', async () => {
+    const response = await api('delete', `/templates/${template._id}`);
+    expect(response.status).toBe(409);
+  });
+});
@@ -4,11 +4,23 @@ import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from 'react-query';
 import { Toaster } from 'react-hot-toast';
 import Navbar from './components/layout/Navbar';
+import { NotificationProvider } from './contexts/NotificationContext';
 import LoginForm from './components/auth/LoginForm';
 import RegisterForm from './components/auth/RegisterForm';
 import ProtectedRoute from './components/auth/ProtectedRoute';
 import Dashboard from './components/dashboard/Dashboard';
 import AIChat from './components/ai/AIChat';
+import AutomationRules from './components/automation/AutomationRules';
+import WebhookSettings from './components/webhooks/WebhookSettings';
+import APIKeys from './components/settings/APIKeys';
+import Integrations from './components/settings/Integrations';
+import KanbanBoard from './components/tasks/KanbanBoard';
+import ProjectList from './components/projects/ProjectList';
+import ProjectDetail from './components/projects/ProjectDetail';
+import DependencyGraph from './components/projects/DependencyGraph';
+import TaskTemplates from './components/templates/TaskTemplates';
+import RecurringTasks from './components/recurring/RecurringTasks';
+import ProjectDocuments from './components/documents/ProjectDocuments';
 
 const queryClient = new QueryClient({
   defaultOptions: {
@@ -35,12 +47,26 @@ function App() {
               path="/*"
               element={
                 <ProtectedRoute>
-                  <Navbar />
-                  <Routes>
-                    <Route path="/dashboard" element={<Dashboard />} />
-                    <Route path="/ai" element={<AIChat />} />
-                    <Route path="/" element={<Navigate to="/dashboard" replace />} />
-                  </Routes>
+                  <NotificationProvider>
+                    <Navbar />
+                    <Routes>
+                      <Route path="/dashboard" element={<Dashboard />} />
+                      <Route path="/ai" element={<AIChat />} />
+                      <Route path="/projects" element={<ProjectList />} />
+                      <Route path="/projects/:projectId" element={<ProjectDetail />} />
+                      <Route path="/projects/:projectId/board" element={<KanbanBoard />} />
+                      <Route path="/projects/:projectId/dependencies" element={<DependencyGraph />} />
+                      <Route path="/projects/:projectId/templates" element={<TaskTemplates />} />
+                      <Route path="/projects/:projectId/recurring" element={<RecurringTasks />} />
+                      <Route path="/projects/:projectId/documents" element={<ProjectDocuments />} />
+                      <Route path="/projects/:projectId/automations" element={<AutomationRules />} />
+                      <Route path="/projects/:projectId/webhooks" element={<WebhookSettings />} />
+                      <Route path="/settings/webhooks" element={<WebhookSettings />} />
+                      <Route path="/settings/api-keys" element={<APIKeys />} />
+                      <Route path="/settings/integrations" element={<Integrations />} />
+                      <Route path="/" element={<Navigate to="/dashboard" replace />} />
+                    </Routes>
+                  </NotificationProvider>
                 </ProtectedRoute>
               }
             />
@@ -1,25 +1,45 @@
 // src/components/ai/AIChat.jsx
 import React, { useState, useRef, useEffect } from 'react';
-import { useAIChat, useChatHistory } from '../../hooks/useAI';
-import { Send, Bot, User, Loader } from 'lucide-react';
+import { useQueryClient } from 'react-query';
+import { useSearchParams } from 'react-router-dom';
+import { useAIChatStream, useConversation } from '../../hooks/useAI';
+import { Send, Bot, Loader, Square } from 'lucide-react';
 import Button from '../common/Button';
 import Card from '../common/Card';
 import ChatMessage from './ChatMessage';
+import ConversationList from './ConversationList';
 import { motion, AnimatePresence } from 'framer-motion';
 
 const AIChat = ({ projectId, taskId }) => {
   const [message, setMessage] = useState('');
   const [messages, setMessages] = useState([]);
+  const [searchParams] = useSearchParams();
+  // Search results link to a thread with ?conversation=
+  const linkedConversation = searchParams.get('conversation');
+  const [conversationId, setConversationId] = useState(linkedConversation);
   const messagesEndRef = useRef(null);
-  const chatMutation = useAIChat();
+  const queryClient = useQueryClient();
+  const chatStream = useAIChatStream();
 
-  const { data: historyData } = useChatHistory({ limit: 50 });
+  const { data: conversationData } = useConversation(conversationId);
 
   useEffect(() => {
-    if (historyData?.data?.messages) {
-      setMessages(historyData.data.messages);
+    if (conversationData?.data?.messages) {
+      setMessages(conversationData.data.messages);
     }
-  }, [historyData]);
+  }, [conversationData]);
+
+  useEffect(() => {
+    if (linkedConversation) {
+      selectConversation(linkedConversation);
+    }
+  }, [linkedConversation]);
+
+  const selectConversation = (id) => {
+    chatStream.cancel();
+    setConversationId(id);
+    setMessages([]);
+  };
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -30,38 +50,68 @@ const AIChat = ({ projectId, taskId }) => {
   }, [messages]);
 
   const handleSend = async () => {
-    if (!message.trim()) return;
+    if (!message.trim() || chatStream.isStreaming) return;
+
+    const text = message;
+    const streamId = Date.now();
 
     const userMessage = {
       role: 'user',
-      content: message,
+      content: text,
       createdAt: new Date()
     };
 
-    setMessages(prev => [...prev, userMessage]);
+    // Placeholder the streamed tokens are appended to
+    const aiMessage = {
+      id: streamId,
+      role: 'ai',
+      content: '',
+      createdAt: new Date(),
+      streaming: true
+    };
+
+    const updateAIMessage = (update) => {
+      setMessages(prev => prev.map(msg =>
+        msg.id === streamId ? { ...msg, ...update(msg) } : msg
+      ));
+    };
+
+    setMessages(prev => [...prev, userMessage, aiMessage]);
     setMessage('');
 
     try {
-      const response = await chatMutation.mutateAsync({
-        message,
+      const result = await chatStream.send({
+        message: text,
         context: {
           type: projectId ? 'project-management' : undefined,
           projectId,
           taskId
-        }
+        },
+        conversationId,
+        onToken: (token) => updateAIMessage(msg => ({ content: msg.content + token }))
       });
 
-      const aiMessage = {
-        role: 'ai',
-        content: response.data.response,
-        createdAt: new Date(),
-        metadata: response.data.metadata
-      };
-
-      setMessages(prev => [...prev, aiMessage]);
+      updateAIMessage(() => ({
+        streaming: false,
+        sources: result?.sources || [],
+        metadata: result?.metadata || { cancelled: true }
+      }));
+
+      // The first message of a new chat opens a thread server-side
+      if (result?.conversationId && !conversationId) {
+        setConversationId(result.conversationId);
+      }
+      queryClient.invalidateQueries('conversations');
     } catch (error) {
       console.error('Chat error:', error);
+      updateAIMessage(msg => ({
+        streaming: false,
+        content: msg.content || "I'm currently experiencing connectivity issues. Please try again later."
+      }));
     }
+
+    // Drop the placeholder if the answer was cancelled before any token arrived
+    setMessages(prev => prev.filter(msg => msg.id !== streamId || msg.content));
   };
 
   const handleKeyPress = (e) => {
@@ -73,78 +123,101 @@ const AIChat = ({ projectId, taskId }) => {
 
   return (
     <div className="flex flex-col h-[calc(100vh-200px)]">
-      <Card className="flex-1 flex flex-col">
-        {/* Header */}
-        <div className="border-b pb-4 mb-4">
-          <div className="flex items-center gap-3">
-            <div className="p-2 bg-gradient-to-br from-primary-500 to-secondary-500 rounded-lg">
-              <Bot className="text-white" size={24} />
-            </div>
-            <div>
-              <h2 className="text-xl font-bold text-gray-900">AI Assistant</h2>
-              <p className="text-sm text-gray-500">
-                Ask me anything about your projects and tasks
-              </p>
+      <Card className="flex-1 flex gap-4 min-h-0">
+        <ConversationList
+          activeId={conversationId}
+          onSelect={selectConversation}
+          onNew={() => selectConversation(null)}
+        />
+
+        <div className="flex-1 flex flex-col min-w-0">
+          {/* Header */}
+          <div className="border-b pb-4 mb-4">
+            <div className="flex items-center gap-3">
+              <div className="p-2 bg-gradient-to-br from-primary-500 to-secondary-500 rounded-lg">
+                <Bot className="text-white" size={24} />
+              </div>
+              <div>
+                <h2 className="text-xl font-bold text-gray-900">
+                  {conversationData?.data?.conversation?.title || 'AI Assistant'}
+                </h2>
+                <p className="text-sm text-gray-500">
+                  Ask me anything about your projects and tasks
+                </p>
+              </div>
             </div>
           </div>
-        </div>
 
-        {/* Messages */}
-        <div className="flex-1 overflow-y-auto space-y-4 mb-4 pr-4">
-          <AnimatePresence>
-            {messages.length === 0 ? (
+          {/* Messages */}
+          <div className="flex-1 overflow-y-auto space-y-4 mb-4 pr-4">
+            <AnimatePresence>
+              {messages.length === 0 ? (
+                <motion.div
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  className="text-center py-12"
+                >
+                  <Bot className="mx-auto text-gray-300 mb-4" size={64} />
+                  <p className="text-gray-500 text-lg mb-2">
+                    Hi! I'm your AI assistant
+                  </p>
+                  <p className="text-gray-400 text-sm">
+                    Ask me to create tasks, analyze projects, or help with planning
+                  </p>
+                </motion.div>
+              ) : (
+                messages
+                  .filter(msg => !msg.streaming || msg.content)
+                  .map((msg, idx) => (
+                    <ChatMessage key={msg.id || msg._id || idx} message={msg} />
+                  ))
+              )}
+            </AnimatePresence>
+
+            {chatStream.isStreaming && !messages[messages.length - 1]?.content && (
               <motion.div
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                className="text-center py-12"
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="flex items-center gap-3 p-4 bg-gray-50 rounded-lg"
               >
-                <Bot className="mx-auto text-gray-300 mb-4" size={64} />
-                <p className="text-gray-500 text-lg mb-2">
-                  Hi! I'm your AI assistant
-                </p>
-                <p className="text-gray-400 text-sm">
-                  Ask me to create tasks, analyze projects, or help with planning
-                </p>
+                <Loader className="animate-spin text-primary-600" size={20} />
+                <span className="text-gray-600">AI is thinking...</span>
               </motion.div>
-            ) : (
-              messages.map((msg, idx) => (
-                <ChatMessage key={idx} message={msg} />
-              ))
             )}
-          </AnimatePresence>
-
-          {chatMutation.isLoading && (
-            <motion.div
-              initial={{ opacity: 0, y: 10 }}
-              animate={{ opacity: 1, y: 0 }}
-              className="flex items-center gap-3 p-4 bg-gray-50 rounded-lg"
-            >
-              <Loader className="animate-spin text-primary-600" size={20} />
-              <span className="text-gray-600">AI is thinking...</span>
-            </motion.div>
-          )}
-
-          <div ref={messagesEndRef} />
-        </div>
 
-        {/* Input */}
-        <div className="border-t pt-4">
-          <div className="flex gap-3">
-            <textarea
-              value={message}
-              onChange={(e) => setMessage(e.target.value)}
-              onKeyPress={handleKeyPress}
-              placeholder="Type your message... (Shift+Enter for new line)"
-              rows={3}
-              className="flex-1 px-4 py-3 border border-gray-300 rounded-lg resize-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-            />
-            <Button
-              onClick={handleSend}
-              disabled={!message.trim() || chatMutation.isLoading}
-              className="self-end"
-            >
-              <Send size={20} />
-            </Button>
+            <div ref={messagesEndRef} />
+          </div>
+
+          {/* Input */}
+          <div className="border-t pt-4">
+            <div className="flex gap-3">
+              <textarea
+                value={message}
+                onChange={(e) => setMessage(e.target.value)}
+                onKeyPress={handleKeyPress}
+                placeholder="Type your message... (Shift+Enter for new line)"
+                rows={3}
+                className="flex-1 px-4 py-3 border border-gray-300 rounded-lg resize-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+              {chatStream.isStreaming ? (
+                <Button
+                  onClick={chatStream.cancel}
+                  variant="danger"
+                  className="self-end"
+                  title="Stop generating"
+                >
+                  <Square size={20} />
+                </Button>
+              ) : (
+                <Button
+                  onClick={handleSend}
+                  disabled={!message.trim()}
+                  className="self-end"
+                >
+                  <Send size={20} />
+                </Button>
+              )}
+            </div>
           </div>
         </div>
       </Card>
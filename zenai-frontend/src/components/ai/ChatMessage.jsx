@@ -1,12 +1,92 @@
 // src/components/ai/ChatMessage.jsx
 import React from 'react';
-import { Bot, User } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { Bot, User, CheckSquare, MessageSquare, Paperclip, Mic, FileText } from 'lucide-react';
 import { motion } from 'framer-motion';
 import ReactMarkdown from 'react-markdown';
 import { format } from 'date-fns';
 
+const SOURCE_ICONS = {
+  task: CheckSquare,
+  comment: MessageSquare,
+  attachment: Paperclip,
+  meeting: Mic
+};
+
+// Attachments open the file itself, task items the task on its project and
+// uploaded documents their entry in the project's documents list
+const sourceHref = (source) => {
+  if (/^https?:\/\//i.test(source.url || '')) return source.url;
+  if (source.projectId && source.taskId) return `/projects/${source.projectId}?task=${source.taskId}`;
+  if (source.type === 'document' && source.projectId && source.itemId) {
+    return `/projects/${source.projectId}/documents?document=${source.itemId}`;
+  }
+  if (source.projectId) return `/projects/${source.projectId}`;
+  return null;
+};
+
+// Turn the answer's [n] markers into links to the matching source
+const linkCitations = (content, sources = []) => {
+  if (sources.length === 0) return content;
+
+  return content.replace(/\[(\d+)\](?!\()/g, (marker, number) => {
+    const source = sources.find(s => s.number === Number(number));
+    const href = source && sourceHref(source);
+    return href ? `[\\[${number}\\]](<${href}>)` : marker;
+  });
+};
+
+const MarkdownLink = ({ href, children }) => (
+  href?.startsWith('/') ? (
+    <Link to={href} className="text-primary-600 hover:underline">{children}</Link>
+  ) : (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:underline">
+      {children}
+    </a>
+  )
+);
+
+const confidenceStyle = (confidence) => {
+  if (confidence >= 85) return 'bg-green-100 text-green-700';
+  if (confidence >= 50) return 'bg-yellow-100 text-yellow-700';
+  return 'bg-red-100 text-red-700';
+};
+
+const SourceList = ({ sources }) => (
+  <ol className="mt-2 px-2 space-y-1">
+    {sources.map(source => {
+      const Icon = SOURCE_ICONS[source.type] || FileText;
+      const href = sourceHref(source);
+      const label = (
+        <>
+          <span className="font-medium">[{source.number}]</span>
+          <Icon size={12} className="flex-shrink-0" />
+          <span className="truncate">{source.title || source.type}</span>
+        </>
+      );
+
+      return (
+        <li key={source.number} className="text-xs text-gray-600" title={source.snippet}>
+          {href ? (
+            <MarkdownLink href={href}>
+              <span className="inline-flex items-center gap-1 max-w-full">{label}</span>
+            </MarkdownLink>
+          ) : (
+            <span className="inline-flex items-center gap-1 max-w-full">{label}</span>
+          )}
+          {source.relevance && (
+            <span className="ml-1 text-gray-400">• {source.relevance} relevance</span>
+          )}
+        </li>
+      );
+    })}
+  </ol>
+);
+
 const ChatMessage = ({ message }) => {
   const isUser = message.role === 'user';
+  const sources = message.sources || [];
+  const confidence = message.metadata?.confidence;
 
   return (
     <motion.div
@@ -39,17 +119,36 @@ const ChatMessage = ({ message }) => {
             <p className="whitespace-pre-wrap">{message.content}</p>
           ) : (
             <div className="prose prose-sm max-w-none">
-              <ReactMarkdown>{message.content}</ReactMarkdown>
+              <ReactMarkdown components={{ a: MarkdownLink }}>
+                {linkCitations(message.content, sources)}
+              </ReactMarkdown>
+              {message.streaming && (
+                <span className="inline-block w-2 h-4 ml-0.5 bg-gray-500 animate-pulse align-middle" />
+              )}
             </div>
           )}
         </div>
 
+        {/* Sources the answer cites */}
+        {!isUser && sources.length > 0 && <SourceList sources={sources} />}
+
         {/* Timestamp */}
         <p className="text-xs text-gray-500 mt-1 px-2">
           {format(new Date(message.createdAt), 'HH:mm')}
           {message.metadata?.responseTime && (
             <span className="ml-2">• {message.metadata.responseTime}ms</span>
           )}
+          {message.metadata?.cancelled && (
+            <span className="ml-2">• stopped</span>
+          )}
+          {!isUser && confidence != null && (
+            <span
+              className={`ml-2 px-1.5 py-0.5 rounded-full font-medium ${confidenceStyle(confidence)}`}
+              title="How closely the cited sources match the question"
+            >
+              {confidence}% confidence
+            </span>
+          )}
         </p>
       </div>
     </motion.div>
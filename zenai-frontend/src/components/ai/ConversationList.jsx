@@ -0,0 +1,139 @@
+// src/components/ai/ConversationList.jsx
+import React, { useState } from 'react';
+import {
+  useConversations,
+  useUpdateConversation,
+  useDeleteConversation
+} from '../../hooks/useAI';
+import { Plus, MessageSquare, Archive, ArchiveRestore, Pencil, Trash2 } from 'lucide-react';
+import Button from '../common/Button';
+import { formatRelativeTime } from '../../utils/helpers';
+
+const ConversationList = ({ activeId, onSelect, onNew }) => {
+  const [showArchived, setShowArchived] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+
+  const { data, isLoading } = useConversations({ archived: showArchived });
+  const updateMutation = useUpdateConversation();
+  const deleteMutation = useDeleteConversation();
+
+  const conversations = data?.data?.conversations || [];
+
+  const startRename = (conversation) => {
+    setEditingId(conversation._id);
+    setEditTitle(conversation.title);
+  };
+
+  const saveRename = async () => {
+    if (editTitle.trim()) {
+      await updateMutation.mutateAsync({ id: editingId, data: { title: editTitle.trim() } });
+    }
+    setEditingId(null);
+  };
+
+  const toggleArchive = async (conversation) => {
+    await updateMutation.mutateAsync({
+      id: conversation._id,
+      data: { archived: !conversation.archived }
+    });
+    if (conversation._id === activeId) onNew();
+  };
+
+  const handleDelete = async (conversation) => {
+    if (!window.confirm(`Delete "${conversation.title}"?`)) return;
+
+    await deleteMutation.mutateAsync(conversation._id);
+    if (conversation._id === activeId) onNew();
+  };
+
+  return (
+    <div className="w-64 flex-shrink-0 flex flex-col border-r pr-4">
+      <Button onClick={onNew} size="sm" className="mb-4">
+        <Plus size={16} />
+        New chat
+      </Button>
+
+      <div className="flex-1 overflow-y-auto space-y-1">
+        {isLoading && (
+          <p className="text-sm text-gray-400 px-2">Loading...</p>
+        )}
+
+        {!isLoading && conversations.length === 0 && (
+          <p className="text-sm text-gray-400 px-2">
+            {showArchived ? 'No archived chats' : 'No conversations yet'}
+          </p>
+        )}
+
+        {conversations.map((conversation) => (
+          <div
+            key={conversation._id}
+            onClick={() => editingId !== conversation._id && onSelect(conversation._id)}
+            className={`group flex items-start gap-2 px-2 py-2 rounded-lg cursor-pointer transition ${
+              conversation._id === activeId
+                ? 'bg-primary-50 text-primary-700'
+                : 'text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            <MessageSquare size={16} className="mt-0.5 flex-shrink-0" />
+
+            <div className="flex-1 min-w-0">
+              {editingId === conversation._id ? (
+                <input
+                  autoFocus
+                  value={editTitle}
+                  onChange={(e) => setEditTitle(e.target.value)}
+                  onBlur={saveRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') saveRename();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                  className="w-full text-sm px-1 border border-gray-300 rounded"
+                />
+              ) : (
+                <p className="text-sm font-medium truncate">{conversation.title}</p>
+              )}
+              <p className="text-xs text-gray-400 truncate">
+                {conversation.context?.projectId?.name || formatRelativeTime(conversation.lastMessageAt || conversation.createdAt)}
+              </p>
+            </div>
+
+            <div className="hidden group-hover:flex items-center gap-1">
+              <button
+                onClick={(e) => { e.stopPropagation(); startRename(conversation); }}
+                className="text-gray-400 hover:text-gray-600"
+                title="Rename"
+              >
+                <Pencil size={14} />
+              </button>
+              <button
+                onClick={(e) => { e.stopPropagation(); toggleArchive(conversation); }}
+                className="text-gray-400 hover:text-gray-600"
+                title={conversation.archived ? 'Unarchive' : 'Archive'}
+              >
+                {conversation.archived ? <ArchiveRestore size={14} /> : <Archive size={14} />}
+              </button>
+              <button
+                onClick={(e) => { e.stopPropagation(); handleDelete(conversation); }}
+                className="text-gray-400 hover:text-red-600"
+                title="Delete"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={() => setShowArchived(!showArchived)}
+        className="mt-4 flex items-center gap-2 text-sm text-gray-500 hover:text-gray-700 px-2"
+      >
+        <Archive size={14} />
+        {showArchived ? 'Back to chats' : 'Archived chats'}
+      </button>
+    </div>
+  );
+};
+
+export default ConversationList;
@@ -1,6 +1,6 @@
 // src/components/ai/MeetingTranscriber.jsx
-import React, { useState, useRef } from 'react';
-import { useAudioTranscription } from '../../hooks/useAI';
+import React, { useState, useRef, useEffect } from 'react';
+import { useAudioTranscription, useJob } from '../../hooks/useAI';
 import { Mic, Upload, FileAudio, Download } from 'lucide-react';
 import Button from '../common/Button';
 import Card from '../common/Card';
@@ -15,8 +15,23 @@ const MeetingTranscriber = () => {
     participants: []
   });
   const [result, setResult] = useState(null);
+  const [jobId, setJobId] = useState(null);
   const fileInputRef = useRef(null);
   const transcribeMutation = useAudioTranscription();
+  const { data: jobData } = useJob(jobId);
+
+  const job = jobData?.data;
+
+  useEffect(() => {
+    if (job?.state === 'completed') {
+      setResult(job.result);
+      setJobId(null);
+      toast.success('Transcription completed!');
+    } else if (job?.state === 'failed') {
+      setJobId(null);
+      toast.error(job.error || 'Transcription failed');
+    }
+  }, [job]);
 
   const handleFileSelect = (e) => {
     const file = e.target.files[0];
@@ -50,8 +65,7 @@ const MeetingTranscriber = () => {
         metadata
       });
 
-      setResult(response.data);
-      toast.success('Transcription completed!');
+      setJobId(response.data.jobId);
     } catch (error) {
       console.error('Transcription error:', error);
     }
@@ -205,7 +219,7 @@ ${result.transcription.text}
                 </Button>
                 <Button
                   onClick={handleTranscribe}
-                  loading={transcribeMutation.isLoading}
+                  loading={transcribeMutation.isLoading || !!jobId}
                   disabled={!audioFile}
                 >
                   <Mic size={20} />
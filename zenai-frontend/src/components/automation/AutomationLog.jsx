@@ -0,0 +1,102 @@
+// src/components/automation/AutomationLog.jsx
+import React, { useState } from 'react';
+import { useAutomationLogs } from '../../hooks/useAutomations';
+import { CheckCircle, XCircle, MinusCircle } from 'lucide-react';
+import Button from '../common/Button';
+import Card from '../common/Card';
+import { formatRelativeTime } from '../../utils/helpers';
+import {
+  AUTOMATION_TRIGGER_LABELS,
+  AUTOMATION_ACTION_LABELS,
+  AUTOMATION_LOG_STATUS_COLORS
+} from '../../utils/constants';
+
+const ACTION_ICONS = {
+  success: <CheckCircle size={14} className="text-green-600" />,
+  failed: <XCircle size={14} className="text-red-600" />,
+  skipped: <MinusCircle size={14} className="text-gray-400" />
+};
+
+const AutomationLog = ({ projectId }) => {
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading } = useAutomationLogs(projectId, {
+    page,
+    ...(status && { status })
+  });
+
+  const logs = data?.data?.logs || [];
+  const pagination = data?.data?.pagination;
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900">Audit log</h2>
+        <select
+          value={status}
+          onChange={(e) => { setStatus(e.target.value); setPage(1); }}
+          className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg"
+        >
+          <option value="">All runs</option>
+          <option value="success">Succeeded</option>
+          <option value="partial">Partially failed</option>
+          <option value="failed">Failed</option>
+        </select>
+      </div>
+
+      {isLoading && <p className="text-sm text-gray-400">Loading...</p>}
+
+      {!isLoading && logs.length === 0 && (
+        <p className="text-sm text-gray-400">No automation has run yet</p>
+      )}
+
+      <div className="divide-y">
+        {logs.map((log) => (
+          <div key={log._id} className="py-3">
+            <div className="flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 truncate">{log.ruleName}</p>
+                <p className="text-sm text-gray-500 truncate">
+                  {AUTOMATION_TRIGGER_LABELS[log.trigger] || log.trigger}
+                  {log.task && <> · {log.task.title}</>}
+                  {log.actor && <> · by {log.actor.name}</>}
+                </p>
+              </div>
+              <div className="flex items-center gap-3 flex-shrink-0">
+                <span className={`px-2 py-1 rounded text-xs font-semibold ${AUTOMATION_LOG_STATUS_COLORS[log.status]}`}>
+                  {log.status}
+                </span>
+                <span className="text-xs text-gray-400">{formatRelativeTime(log.createdAt)}</span>
+              </div>
+            </div>
+
+            <ul className="mt-2 space-y-1">
+              {log.actions.map((action, idx) => (
+                <li key={idx} className="flex items-center gap-2 text-sm text-gray-600">
+                  {ACTION_ICONS[action.status]}
+                  <span>{AUTOMATION_ACTION_LABELS[action.type] || action.type}</span>
+                  {action.error && <span className="text-red-600">— {action.error}</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-end gap-2 mt-4">
+          <Button size="sm" variant="ghost" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            Previous
+          </Button>
+          <span className="text-sm text-gray-500">{page} / {pagination.pages}</span>
+          <Button size="sm" variant="ghost" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>
+            Next
+          </Button>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default AutomationLog;
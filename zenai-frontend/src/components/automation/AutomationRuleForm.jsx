@@ -0,0 +1,319 @@
+// src/components/automation/AutomationRuleForm.jsx
+import React, { useState } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import {
+  AUTOMATION_TRIGGER_LABELS,
+  AUTOMATION_OPERATOR_LABELS,
+  AUTOMATION_ACTION_LABELS,
+  TASK_PRIORITY_LABELS
+} from '../../utils/constants';
+
+// Values the backend Task model accepts
+const STATUS_OPTIONS = {
+  todo: 'To Do',
+  'in-progress': 'In Progress',
+  review: 'Review',
+  done: 'Done'
+};
+
+const DEFAULT_PARAMS = {
+  send_notification: { message: '', recipients: 'assignee' },
+  update_status: { status: 'done' },
+  assign_task: { strategy: 'round_robin' },
+  create_subtask: { title: '' }
+};
+
+const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty'];
+
+const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+const emptyRule = {
+  name: '',
+  description: '',
+  trigger: { type: 'task.created' },
+  conditions: [],
+  actions: [{ type: 'send_notification', params: DEFAULT_PARAMS.send_notification }]
+};
+
+const AutomationRuleForm = ({ rule, members = [], onSubmit, onCancel, loading }) => {
+  const [form, setForm] = useState(() => (rule ? {
+    name: rule.name,
+    description: rule.description || '',
+    trigger: rule.trigger,
+    conditions: rule.conditions,
+    actions: rule.actions
+  } : emptyRule));
+
+  const updateCondition = (index, changes) => {
+    const conditions = form.conditions.map((c, i) => (i === index ? { ...c, ...changes } : c));
+    setForm({ ...form, conditions });
+  };
+
+  const updateAction = (index, changes) => {
+    const actions = form.actions.map((a, i) => (i === index ? { ...a, ...changes } : a));
+    setForm({ ...form, actions });
+  };
+
+  const updateParams = (index, changes) => {
+    updateAction(index, { params: { ...form.actions[index].params, ...changes } });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    onSubmit({
+      ...form,
+      conditions: form.conditions.map(({ field, operator, value }) => (
+        VALUELESS_OPERATORS.includes(operator) ? { field, operator } : { field, operator, value }
+      ))
+    });
+  };
+
+  const renderParams = (action, index) => {
+    const { params = {} } = action;
+
+    switch (action.type) {
+      case 'send_notification':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div className="md:col-span-2">
+              <Input
+                value={params.message || ''}
+                onChange={(e) => updateParams(index, { message: e.target.value })}
+                placeholder='"{{title}}" needs your attention'
+                required
+              />
+            </div>
+            <select
+              value={params.recipients || 'assignee'}
+              onChange={(e) => updateParams(index, { recipients: e.target.value })}
+              className={selectClass}
+            >
+              <option value="assignee">Assignee</option>
+              <option value="creator">Task creator</option>
+              <option value="owner">Project owner</option>
+              <option value="team">Whole team</option>
+            </select>
+          </div>
+        );
+
+      case 'update_status':
+        return (
+          <select
+            value={params.status}
+            onChange={(e) => updateParams(index, { status: e.target.value })}
+            className={selectClass}
+          >
+            {Object.entries(STATUS_OPTIONS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        );
+
+      case 'assign_task':
+        return (
+          <div className="flex gap-3">
+            <select
+              value={params.strategy}
+              onChange={(e) => updateAction(index, { params: { strategy: e.target.value } })}
+              className={selectClass}
+            >
+              <option value="round_robin">Round robin</option>
+              <option value="least_loaded">Least loaded</option>
+              <option value="specific">Specific member</option>
+            </select>
+            {params.strategy === 'specific' && (
+              <select
+                value={params.userId || ''}
+                onChange={(e) => updateParams(index, { userId: e.target.value })}
+                className={selectClass}
+                required
+              >
+                <option value="" disabled>Select member</option>
+                {members.map((member) => (
+                  <option key={member._id} value={member._id}>{member.name}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        );
+
+      case 'create_subtask':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div className="md:col-span-2">
+              <Input
+                value={params.title || ''}
+                onChange={(e) => updateParams(index, { title: e.target.value })}
+                placeholder="Review {{title}}"
+                required
+              />
+            </div>
+            <select
+              value={params.priority || ''}
+              onChange={(e) => updateParams(index, { priority: e.target.value || undefined })}
+              className={selectClass}
+            >
+              <option value="">Same priority as parent</option>
+              {Object.entries(TASK_PRIORITY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Input
+          label="Name"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Auto-assign new bugs"
+          required
+        />
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">When</label>
+          <select
+            value={form.trigger.type}
+            onChange={(e) => setForm({ ...form, trigger: { type: e.target.value } })}
+            className={`w-full ${selectClass}`}
+          >
+            {Object.entries(AUTOMATION_TRIGGER_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Conditions */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="text-sm font-medium text-gray-700">Only if (all match)</label>
+          <Button
+            type="button"
+            size="sm"
+            variant="ghost"
+            onClick={() => setForm({
+              ...form,
+              conditions: [...form.conditions, { field: 'priority', operator: 'equals', value: '' }]
+            })}
+          >
+            <Plus size={16} />
+            Condition
+          </Button>
+        </div>
+
+        {form.conditions.length === 0 && (
+          <p className="text-sm text-gray-400">Runs every time the trigger fires</p>
+        )}
+
+        <div className="space-y-2">
+          {form.conditions.map((condition, index) => (
+            <div key={index} className="flex gap-2 items-center">
+              <Input
+                value={condition.field}
+                onChange={(e) => updateCondition(index, { field: e.target.value })}
+                placeholder="priority"
+                required
+              />
+              <select
+                value={condition.operator}
+                onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                className={selectClass}
+              >
+                {Object.entries(AUTOMATION_OPERATOR_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {!VALUELESS_OPERATORS.includes(condition.operator) && (
+                <Input
+                  value={condition.value ?? ''}
+                  onChange={(e) => updateCondition(index, { value: e.target.value })}
+                  placeholder="urgent"
+                />
+              )}
+              <button
+                type="button"
+                onClick={() => setForm({ ...form, conditions: form.conditions.filter((_, i) => i !== index) })}
+                className="text-gray-400 hover:text-red-600"
+                title="Remove condition"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Actions */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="text-sm font-medium text-gray-700">Then</label>
+          <Button
+            type="button"
+            size="sm"
+            variant="ghost"
+            onClick={() => setForm({
+              ...form,
+              actions: [...form.actions, { type: 'send_notification', params: DEFAULT_PARAMS.send_notification }]
+            })}
+          >
+            <Plus size={16} />
+            Action
+          </Button>
+        </div>
+
+        <div className="space-y-3">
+          {form.actions.map((action, index) => (
+            <div key={index} className="p-3 bg-gray-50 rounded-lg space-y-3">
+              <div className="flex items-center justify-between">
+                <select
+                  value={action.type}
+                  onChange={(e) => updateAction(index, {
+                    type: e.target.value,
+                    params: DEFAULT_PARAMS[e.target.value]
+                  })}
+                  className={selectClass}
+                >
+                  {Object.entries(AUTOMATION_ACTION_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                {form.actions.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => setForm({ ...form, actions: form.actions.filter((_, i) => i !== index) })}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove action"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                )}
+              </div>
+              {renderParams(action, index)}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex gap-3 justify-end">
+        <Button type="button" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" loading={loading}>
+          {rule ? 'Save rule' : 'Create rule'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default AutomationRuleForm;
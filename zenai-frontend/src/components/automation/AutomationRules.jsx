@@ -0,0 +1,173 @@
+// src/components/automation/AutomationRules.jsx
+import React, { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useProject } from '../../hooks/useProjects';
+import {
+  useAutomationRules,
+  useCreateAutomationRule,
+  useUpdateAutomationRule,
+  useDeleteAutomationRule
+} from '../../hooks/useAutomations';
+import { Plus, Zap, Pencil, Trash2 } from 'lucide-react';
+import Button from '../common/Button';
+import Card from '../common/Card';
+import Modal from '../common/Modal';
+import Loading from '../common/Loading';
+import AutomationRuleForm from './AutomationRuleForm';
+import AutomationLog from './AutomationLog';
+import { formatRelativeTime } from '../../utils/helpers';
+import {
+  AUTOMATION_TRIGGER_LABELS,
+  AUTOMATION_ACTION_LABELS
+} from '../../utils/constants';
+
+const AutomationRules = () => {
+  const { projectId } = useParams();
+  const [editingRule, setEditingRule] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+
+  const { data: projectData } = useProject(projectId);
+  const { data, isLoading } = useAutomationRules(projectId);
+  const createMutation = useCreateAutomationRule(projectId);
+  const updateMutation = useUpdateAutomationRule(projectId);
+  const deleteMutation = useDeleteAutomationRule(projectId);
+
+  const project = projectData?.data?.project;
+  const rules = data?.data?.rules || [];
+  const members = project
+    ? [project.owner, ...project.team.map(t => t.user)]
+        .filter((member, idx, all) => member && all.findIndex(m => m._id === member._id) === idx)
+    : [];
+
+  const openForm = (rule = null) => {
+    setEditingRule(rule);
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setEditingRule(null);
+    setIsFormOpen(false);
+  };
+
+  const handleSubmit = async (values) => {
+    if (editingRule) {
+      await updateMutation.mutateAsync({ id: editingRule._id, data: values });
+    } else {
+      await createMutation.mutateAsync(values);
+    }
+    closeForm();
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete automation "${rule.name}"?`)) return;
+    await deleteMutation.mutateAsync(rule._id);
+  };
+
+  if (isLoading) {
+    return <Loading fullScreen text="Loading automations..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Automations</h1>
+            <p className="text-gray-600 mt-2">
+              {project ? `Rules that run on ${project.name}` : 'Rules that run on this project'}
+            </p>
+          </div>
+          <Button onClick={() => openForm()}>
+            <Plus size={20} />
+            New rule
+          </Button>
+        </div>
+
+        {/* Rules */}
+        {rules.length === 0 ? (
+          <Card className="text-center py-12">
+            <Zap className="mx-auto text-gray-300 mb-3" size={48} />
+            <p className="text-gray-600">No automations yet</p>
+          </Card>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {rules.map((rule) => (
+              <Card key={rule._id} className={rule.enabled ? '' : 'opacity-60'}>
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <h3 className="font-bold text-gray-900 truncate">{rule.name}</h3>
+                    <p className="text-sm text-gray-600 mt-1">
+                      When <strong>{AUTOMATION_TRIGGER_LABELS[rule.trigger.type]}</strong>
+                      {rule.conditions.length > 0 && ` and ${rule.conditions.length} condition(s) match`}
+                    </p>
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {rule.actions.map((action, idx) => (
+                        <span key={idx} className="px-2 py-1 rounded bg-primary-50 text-primary-700 text-xs font-medium">
+                          {AUTOMATION_ACTION_LABELS[action.type]}
+                        </span>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-400 mt-3">
+                      {rule.runCount > 0
+                        ? `Ran ${rule.runCount} times · last ${formatRelativeTime(rule.lastRunAt)}`
+                        : 'Never ran'}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled}
+                        onChange={() => updateMutation.mutate({
+                          id: rule._id,
+                          data: { enabled: !rule.enabled }
+                        })}
+                      />
+                      On
+                    </label>
+                    <button
+                      onClick={() => openForm(rule)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Edit"
+                    >
+                      <Pencil size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(rule)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Delete"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+              </Card>
+            ))}
+          </div>
+        )}
+
+        <AutomationLog projectId={projectId} />
+      </div>
+
+      <Modal
+        isOpen={isFormOpen}
+        onClose={closeForm}
+        title={editingRule ? 'Edit automation' : 'New automation'}
+        size="lg"
+      >
+        <AutomationRuleForm
+          key={editingRule?._id || 'new'}
+          rule={editingRule}
+          members={members}
+          onSubmit={handleSubmit}
+          onCancel={closeForm}
+          loading={createMutation.isLoading || updateMutation.isLoading}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default AutomationRules;
@@ -0,0 +1,41 @@
+// src/components/common/ConfirmModal.jsx
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import Modal from './Modal';
+import Button from './Button';
+
+// Yes/no confirmation for destructive or hard-to-undo actions
+const ConfirmModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  title,
+  message,
+  confirmLabel = 'Confirm',
+  variant = 'danger',
+  loading = false
+}) => {
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={title} size="sm">
+      <div className="flex gap-4">
+        <div className={`flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center ${
+          variant === 'danger' ? 'bg-red-100 text-red-600' : 'bg-yellow-100 text-yellow-600'
+        }`}>
+          <AlertTriangle size={20} />
+        </div>
+        <div className="text-gray-700">{message}</div>
+      </div>
+
+      <div className="flex justify-end gap-3 mt-6">
+        <Button variant="ghost" onClick={onClose} disabled={loading}>
+          Cancel
+        </Button>
+        <Button variant={variant === 'danger' ? 'danger' : 'primary'} onClick={onConfirm} loading={loading}>
+          {confirmLabel}
+        </Button>
+      </div>
+    </Modal>
+  );
+};
+
+export default ConfirmModal;
@@ -0,0 +1,165 @@
+// src/components/documents/ProjectDocuments.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, FileText, RefreshCw, Trash2, Upload } from 'lucide-react';
+import { useProject } from '../../hooks/useProjects';
+import {
+  useProjectDocuments,
+  useUploadProjectDocument,
+  useReindexProjectDocument,
+  useDeleteProjectDocument
+} from '../../hooks/useDocuments';
+import { formatFileSize, formatRelativeTime, scrollToElement } from '../../utils/helpers';
+import Button from '../common/Button';
+import Card from '../common/Card';
+import ConfirmModal from '../common/ConfirmModal';
+import Loading from '../common/Loading';
+
+const ACCEPTED_FILES = '.pdf,.docx,.md,.markdown,.html,.htm,.csv,.txt';
+
+const STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-600',
+  indexing: 'bg-blue-100 text-blue-800',
+  indexed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const ProjectDocuments = () => {
+  const { projectId } = useParams();
+  const [searchParams] = useSearchParams();
+  const fileInputRef = useRef(null);
+  const [deleting, setDeleting] = useState(null);
+
+  const { data: projectData } = useProject(projectId);
+  const { data, isLoading } = useProjectDocuments(projectId);
+  const uploadMutation = useUploadProjectDocument(projectId);
+  const reindexMutation = useReindexProjectDocument(projectId);
+  const deleteMutation = useDeleteProjectDocument(projectId);
+
+  const project = projectData?.data?.project;
+  const documents = data?.data || [];
+  // Chat citations link here with ?document=<id>
+  const selectedId = searchParams.get('document');
+
+  useEffect(() => {
+    if (selectedId && !isLoading) {
+      scrollToElement(`document-${selectedId}`, { block: 'center' });
+    }
+  }, [selectedId, isLoading]);
+
+  const handleFileSelect = (e) => {
+    const file = e.target.files?.[0];
+    if (file) uploadMutation.mutate(file);
+    e.target.value = '';
+  };
+
+  const handleDelete = async () => {
+    await deleteMutation.mutateAsync(deleting._id);
+    setDeleting(null);
+  };
+
+  if (isLoading) {
+    return <Loading fullScreen text="Loading documents..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Header */}
+        <div>
+          <Link
+            to={`/projects/${projectId}`}
+            className="inline-flex items-center gap-1 text-sm text-gray-500 hover:text-primary-600"
+          >
+            <ArrowLeft size={16} />
+            {project?.name || 'Project'}
+          </Link>
+          <div className="flex items-center justify-between mt-3">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Documents</h1>
+              <p className="text-gray-600 mt-2">Files the AI assistant can cite in its answers</p>
+            </div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={ACCEPTED_FILES}
+              onChange={handleFileSelect}
+              className="hidden"
+            />
+            <Button onClick={() => fileInputRef.current?.click()} loading={uploadMutation.isLoading}>
+              <Upload size={20} />
+              Upload document
+            </Button>
+          </div>
+        </div>
+
+        {documents.length === 0 ? (
+          <Card className="text-center py-12">
+            <FileText className="mx-auto text-gray-300 mb-3" size={48} />
+            <p className="text-gray-600">No documents yet</p>
+          </Card>
+        ) : (
+          <div className="space-y-3">
+            {documents.map((document) => (
+              <Card
+                key={document._id}
+                id={`document-${document._id}`}
+                className={document._id === selectedId ? 'ring-2 ring-primary-500' : ''}
+              >
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <FileText size={18} className="text-gray-400 flex-shrink-0" />
+                      <h3 className="font-bold text-gray-900 truncate">{document.name}</h3>
+                      <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_STYLES[document.status]}`}>
+                        {document.status}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      v{document.version} · {formatFileSize(document.size)}
+                      {document.status === 'indexed' && ` · ${document.chunkCount} chunks`}
+                      {' · '}updated {formatRelativeTime(document.updatedAt)}
+                      {document.uploadedBy && ` by ${document.uploadedBy.name}`}
+                    </p>
+                    {document.status === 'failed' && document.error && (
+                      <p className="text-xs text-red-600 mt-1">{document.error}</p>
+                    )}
+                  </div>
+
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => reindexMutation.mutate(document._id)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Re-index"
+                    >
+                      <RefreshCw size={16} />
+                    </button>
+                    <button
+                      onClick={() => setDeleting(document)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Delete"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+              </Card>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <ConfirmModal
+        isOpen={Boolean(deleting)}
+        onClose={() => setDeleting(null)}
+        onConfirm={handleDelete}
+        title="Delete document"
+        message={<>Delete <strong>{deleting?.name}</strong>? The assistant will no longer cite it.</>}
+        confirmLabel="Delete"
+        loading={deleteMutation.isLoading}
+      />
+    </div>
+  );
+};
+
+export default ProjectDocuments;
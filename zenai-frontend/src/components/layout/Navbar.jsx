@@ -1,17 +1,31 @@
 // src/components/layout/Navbar.jsx
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuthStore } from '../../hooks/useAuth';
+import { useNotifications } from '../../contexts/NotificationContext';
 import { 
-  Menu, X, Bell, Settings, LogOut, User, 
-  Layout, CheckSquare, MessageSquare 
+  Menu, X, Bell, BellOff, Settings, LogOut, User, 
+  Layout, CheckSquare, MessageSquare, Search
 } from 'lucide-react';
 import Button from '../common/Button';
+import CommandPalette from '../search/CommandPalette';
+import { formatRelativeTime } from '../../utils/helpers';
 
 const Navbar = () => {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [profileMenuOpen, setProfileMenuOpen] = useState(false);
+  const [notificationsOpen, setNotificationsOpen] = useState(false);
+  const [paletteOpen, setPaletteOpen] = useState(false);
   const { user, logout } = useAuthStore();
+  const {
+    notifications,
+    unreadCount,
+    mutedProjects,
+    markAsRead,
+    markAllAsRead,
+    muteProject,
+    unmuteProject
+  } = useNotifications();
 
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: Layout },
@@ -19,6 +33,21 @@ const Navbar = () => {
     { name: 'AI Assistant', href: '/ai', icon: MessageSquare },
   ];
 
+  // Cmd-K / Ctrl-K opens search from anywhere
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setPaletteOpen((open) => !open);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
   const handleLogout = async () => {
     await logout();
     window.location.href = '/login';
@@ -59,12 +88,114 @@ const Navbar = () => {
 
           {/* Right Side */}
           <div className="flex items-center gap-4">
-            {/* Notifications */}
-            <button className="relative p-2 text-gray-600 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition">
-              <Bell size={22} />
-              <span className="absolute top-1 right-1 w-2 h-2 bg-red-500 rounded-full"></span>
+            {/* Search */}
+            <button
+              onClick={() => setPaletteOpen(true)}
+              className="flex items-center gap-2 p-2 lg:px-3 text-gray-500 hover:text-primary-600 lg:border lg:rounded-lg hover:bg-primary-50 rounded-lg transition"
+              title="Search"
+            >
+              <Search size={20} />
+              <span className="hidden lg:inline text-sm">Search</span>
+              <kbd className="hidden lg:inline px-1.5 text-xs text-gray-400 bg-gray-100 border rounded">
+                {isMac ? '⌘K' : 'Ctrl K'}
+              </kbd>
             </button>
 
+            {/* Notifications */}
+            <div className="relative">
+              <button
+                onClick={() => setNotificationsOpen(!notificationsOpen)}
+                className="relative p-2 text-gray-600 hover:text-primary-600 hover:bg-primary-50 rounded-lg transition"
+              >
+                <Bell size={22} />
+                {unreadCount > 0 && (
+                  <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 bg-red-500 text-white text-xs font-semibold rounded-full flex items-center justify-center">
+                    {unreadCount > 99 ? '99+' : unreadCount}
+                  </span>
+                )}
+              </button>
+
+              {notificationsOpen && (
+                <>
+                  <div 
+                    className="fixed inset-0 z-10" 
+                    onClick={() => setNotificationsOpen(false)}
+                  />
+                  <div className="absolute right-0 mt-2 w-96 bg-white rounded-lg shadow-xl border z-20">
+                    <div className="flex items-center justify-between p-4 border-b">
+                      <p className="font-semibold text-gray-900">Notifications</p>
+                      {unreadCount > 0 && (
+                        <button
+                          onClick={() => markAllAsRead()}
+                          className="text-sm text-primary-600 hover:text-primary-700"
+                        >
+                          Mark all as read
+                        </button>
+                      )}
+                    </div>
+
+                    <div className="max-h-96 overflow-y-auto divide-y">
+                      {notifications.length === 0 && (
+                        <p className="p-4 text-sm text-gray-400 text-center">You're all caught up</p>
+                      )}
+
+                      {notifications.map((notification) => (
+                        <div
+                          key={notification._id}
+                          onClick={() => !notification.read && markAsRead(notification._id)}
+                          className={`group flex gap-3 p-4 cursor-pointer hover:bg-gray-50 transition ${
+                            notification.read ? '' : 'bg-primary-50'
+                          }`}
+                        >
+                          <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${
+                            notification.read ? 'bg-transparent' : 'bg-primary-600'
+                          }`} />
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                            {notification.message && (
+                              <p className="text-sm text-gray-600 truncate">{notification.message}</p>
+                            )}
+                            <p className="text-xs text-gray-400 mt-1">
+                              {notification.project?.name && `${notification.project.name} · `}
+                              {formatRelativeTime(notification.createdAt)}
+                            </p>
+                          </div>
+                          {notification.project && (
+                            <button
+                              onClick={(e) => { e.stopPropagation(); muteProject(notification.project._id); }}
+                              className="hidden group-hover:block text-gray-400 hover:text-gray-600 self-start"
+                              title={`Mute ${notification.project.name}`}
+                            >
+                              <BellOff size={16} />
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+
+                    {mutedProjects.length > 0 && (
+                      <div className="p-4 border-t">
+                        <p className="text-xs font-semibold text-gray-500 uppercase mb-2">Muted projects</p>
+                        <div className="flex flex-wrap gap-2">
+                          {mutedProjects.map((project) => (
+                            <button
+                              key={project._id}
+                              onClick={() => unmuteProject(project._id)}
+                              className="flex items-center gap-1 px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                              title="Unmute"
+                            >
+                              <BellOff size={12} />
+                              {project.name}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+
             {/* Profile Dropdown */}
             <div className="relative">
               <button
@@ -151,6 +282,8 @@ const Navbar = () => {
           </div>
         </div>
       )}
+
+      <CommandPalette isOpen={paletteOpen} onClose={() => setPaletteOpen(false)} />
     </nav>
   );
 };
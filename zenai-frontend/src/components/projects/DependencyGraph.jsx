@@ -0,0 +1,273 @@
+// src/components/projects/DependencyGraph.jsx
+import React, { useMemo } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { AlertTriangle, ArrowLeft, Clock, Flame, Lock } from 'lucide-react';
+import { useDependencyGraph, useProject } from '../../hooks/useProjects';
+import { useProjectEvents } from '../../hooks/useProjectEvents';
+import { TASK_STATUS_LABELS } from '../../utils/constants';
+import { truncateText } from '../../utils/helpers';
+import Card from '../common/Card';
+import Loading from '../common/Loading';
+import StatsCard from '../dashboard/StatsCard';
+
+const NODE_WIDTH = 200;
+const NODE_HEIGHT = 64;
+const COLUMN_GAP = 80;
+const ROW_GAP = 24;
+const PADDING = 16;
+
+const STATUS_STROKES = {
+  todo: '#9ca3af',
+  'in-progress': '#3b82f6',
+  review: '#eab308',
+  done: '#22c55e'
+};
+
+const CRITICAL_STROKE = '#dc2626';
+
+// Places each connected task in the column after its deepest dependency,
+// ordered within the column by earliest start
+const layout = (nodes, edges) => {
+  const connected = new Set(edges.flatMap((edge) => [edge.from, edge.to]));
+  const dependenciesOf = new Map();
+  edges.forEach((edge) => {
+    dependenciesOf.set(edge.to, [...(dependenciesOf.get(edge.to) || []), edge.from]);
+  });
+
+  const levels = new Map();
+  const levelOf = (id, seen = new Set()) => {
+    if (levels.has(id)) return levels.get(id);
+    // Cycles only exist in old data; break them rather than recurse forever
+    if (seen.has(id)) return 0;
+    seen.add(id);
+
+    const deps = dependenciesOf.get(id) || [];
+    const level = deps.length === 0 ? 0 : 1 + Math.max(...deps.map((dep) => levelOf(dep, seen)));
+    levels.set(id, level);
+    return level;
+  };
+
+  const columns = [];
+  nodes.filter((node) => connected.has(node._id)).forEach((node) => {
+    const level = levelOf(node._id);
+    columns[level] = [...(columns[level] || []), node];
+  });
+
+  const positions = new Map();
+  columns.forEach((column, level) => {
+    column
+      .sort((a, b) => (a.earliestStart ?? 0) - (b.earliestStart ?? 0) || a.title.localeCompare(b.title))
+      .forEach((node, row) => {
+        positions.set(node._id, {
+          x: PADDING + level * (NODE_WIDTH + COLUMN_GAP),
+          y: PADDING + row * (NODE_HEIGHT + ROW_GAP)
+        });
+      });
+  });
+
+  const rows = Math.max(0, ...columns.map((column) => column?.length || 0));
+  return {
+    positions,
+    width: PADDING * 2 + columns.length * NODE_WIDTH + Math.max(0, columns.length - 1) * COLUMN_GAP,
+    height: PADDING * 2 + rows * NODE_HEIGHT + Math.max(0, rows - 1) * ROW_GAP
+  };
+};
+
+const DependencyGraph = () => {
+  const { projectId } = useParams();
+  const navigate = useNavigate();
+
+  const { data, isLoading } = useDependencyGraph(projectId);
+  const { data: projectData } = useProject(projectId);
+  useProjectEvents(projectId);
+
+  const graph = data?.data;
+  const project = projectData?.data?.project;
+
+  const { positions, width, height } = useMemo(
+    () => (graph ? layout(graph.nodes, graph.edges) : { positions: new Map(), width: 0, height: 0 }),
+    [graph]
+  );
+
+  if (isLoading) {
+    return <Loading fullScreen text="Loading dependencies..." />;
+  }
+
+  const nodes = graph?.nodes || [];
+  const byId = new Map(nodes.map((node) => [node._id, node]));
+  const critical = new Set(graph?.criticalPath || []);
+  const blocked = nodes.filter((node) => node.isBlocked && node.status !== 'done');
+  const unconnected = nodes.length - positions.size;
+
+  const isCriticalEdge = (edge) => critical.has(edge.from) && critical.has(edge.to) &&
+    byId.get(edge.from).earliestFinish === byId.get(edge.to).earliestStart;
+
+  const openTask = (id) => navigate(`/projects/${projectId}?task=${id}`);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        <div>
+          <Link
+            to={`/projects/${projectId}`}
+            className="inline-flex items-center gap-1 text-sm text-gray-500 hover:text-primary-600"
+          >
+            <ArrowLeft size={16} />
+            {project?.name || 'Project'}
+          </Link>
+          <h1 className="text-3xl font-bold text-gray-900 mt-3">Dependencies</h1>
+          <p className="text-gray-600 mt-2">
+            What waits on what, and which tasks decide when the project finishes
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <StatsCard
+            title="Remaining on critical path"
+            value={`${graph?.totalDuration || 0}h`}
+            icon={Clock}
+            subtitle="Estimated hours of open work"
+            color="primary"
+          />
+          <StatsCard
+            title="Critical tasks"
+            value={critical.size}
+            icon={Flame}
+            subtitle="Any delay here delays the project"
+            color="red"
+          />
+          <StatsCard
+            title="Blocked tasks"
+            value={blocked.length}
+            icon={Lock}
+            subtitle="Waiting on unfinished dependencies"
+            color="blue"
+          />
+        </div>
+
+        {graph?.cycle?.length > 0 && (
+          <Card className="border border-yellow-300 bg-yellow-50">
+            <p className="flex items-center gap-2 text-yellow-800">
+              <AlertTriangle size={18} />
+              {graph.cycle.length} tasks depend on each other in a loop, so they can&apos;t be scheduled.
+              Remove one of their dependencies to fix it.
+            </p>
+          </Card>
+        )}
+
+        {critical.size > 0 && (
+          <Card>
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">Critical path</h2>
+            <ol className="flex flex-wrap items-center gap-2 text-sm">
+              {graph.criticalPath.map((id, index) => (
+                <li key={id} className="flex items-center gap-2">
+                  {index > 0 && <span className="text-gray-400">→</span>}
+                  <button
+                    onClick={() => openTask(id)}
+                    className="px-3 py-1 rounded-full bg-red-50 text-red-700 hover:bg-red-100"
+                  >
+                    {byId.get(id)?.title} · {byId.get(id)?.duration}h
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </Card>
+        )}
+
+        <Card className="overflow-auto">
+          {positions.size === 0 ? (
+            <p className="text-center text-gray-600 py-12">
+              No dependencies yet. Open a task and add the tasks it depends on.
+            </p>
+          ) : (
+            <svg width={width} height={height} className="block">
+              <defs>
+                <marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto">
+                  <path d="M0,0 L10,5 L0,10 z" fill="#9ca3af" />
+                </marker>
+                <marker id="arrow-critical" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto">
+                  <path d="M0,0 L10,5 L0,10 z" fill={CRITICAL_STROKE} />
+                </marker>
+              </defs>
+
+              {graph.edges.map((edge) => {
+                const from = positions.get(edge.from);
+                const to = positions.get(edge.to);
+                const x1 = from.x + NODE_WIDTH;
+                const y1 = from.y + NODE_HEIGHT / 2;
+                const x2 = to.x;
+                const y2 = to.y + NODE_HEIGHT / 2;
+                const bend = Math.max(COLUMN_GAP / 2, (x2 - x1) / 2);
+                const onPath = isCriticalEdge(edge);
+
+                return (
+                  <path
+                    key={`${edge.from}-${edge.to}`}
+                    d={`M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}`}
+                    fill="none"
+                    stroke={onPath ? CRITICAL_STROKE : '#d1d5db'}
+                    strokeWidth={onPath ? 2 : 1.5}
+                    markerEnd={`url(#${onPath ? 'arrow-critical' : 'arrow'})`}
+                  />
+                );
+              })}
+
+              {nodes.filter((node) => positions.has(node._id)).map((node) => {
+                const { x, y } = positions.get(node._id);
+                const details = node.status === 'done'
+                  ? TASK_STATUS_LABELS.done
+                  : `${node.duration}h · ${node.slack === null ? 'unscheduled' : `slack ${node.slack}h`}`;
+
+                return (
+                  <g
+                    key={node._id}
+                    transform={`translate(${x},${y})`}
+                    onClick={() => openTask(node._id)}
+                    className="cursor-pointer"
+                  >
+                    <title>{node.title}</title>
+                    <rect
+                      width={NODE_WIDTH}
+                      height={NODE_HEIGHT}
+                      rx="8"
+                      fill={node.status === 'done' ? '#f9fafb' : '#ffffff'}
+                      stroke={node.critical ? CRITICAL_STROKE : STATUS_STROKES[node.status]}
+                      strokeWidth={node.critical ? 2 : 1.5}
+                    />
+                    <rect width="6" height={NODE_HEIGHT} rx="3" fill={STATUS_STROKES[node.status]} />
+                    <text x="16" y="26" className="text-sm font-medium" fill="#111827">
+                      {truncateText(node.title, 24)}
+                    </text>
+                    <text x="16" y="46" className="text-xs" fill={node.isBlocked && node.status !== 'done' ? '#dc2626' : '#6b7280'}>
+                      {node.isBlocked && node.status !== 'done' ? `Blocked · ${details}` : details}
+                    </text>
+                  </g>
+                );
+              })}
+            </svg>
+          )}
+        </Card>
+
+        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+          {Object.entries(STATUS_STROKES).map(([status, color]) => (
+            <span key={status} className="flex items-center gap-2">
+              <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: color }} />
+              {TASK_STATUS_LABELS[status]}
+            </span>
+          ))}
+          <span className="flex items-center gap-2">
+            <span className="w-3 h-3 rounded-sm border-2" style={{ borderColor: CRITICAL_STROKE }} />
+            Critical
+          </span>
+          {unconnected > 0 && (
+            <span className="ml-auto text-gray-500">
+              {unconnected} task{unconnected === 1 ? '' : 's'} without dependencies not shown
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DependencyGraph;
@@ -0,0 +1,94 @@
+// src/components/projects/ProjectCard.jsx
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Calendar, CheckSquare, Flag } from 'lucide-react';
+import Card from '../common/Card';
+import {
+  PROJECT_STATUS_LABELS,
+  PROJECT_STATUS_COLORS,
+  TASK_PRIORITY_LABELS,
+  TASK_PRIORITY_COLORS
+} from '../../utils/constants';
+import { getCountdown, getInitials, stringToColor, truncateText } from '../../utils/helpers';
+
+const COUNTDOWN_COLORS = {
+  overdue: 'text-red-600',
+  soon: 'text-orange-600',
+  ok: 'text-gray-500'
+};
+
+const MAX_AVATARS = 4;
+
+const ProjectCard = ({ project }) => {
+  const countdown = project.status === 'completed' ? null : getCountdown(project.deadline);
+  const members = [project.owner, ...(project.team || []).map((member) => member.user)]
+    .filter((member) => member?.name);
+
+  return (
+    <Link to={`/projects/${project._id}`} className="block">
+      <Card hover className="h-full flex flex-col">
+        <div className="flex items-start justify-between gap-3">
+          <h3 className="text-lg font-semibold text-gray-900">{project.name}</h3>
+          <span className={`px-2 py-0.5 text-xs font-medium rounded-full flex-shrink-0 ${PROJECT_STATUS_COLORS[project.status] || ''}`}>
+            {PROJECT_STATUS_LABELS[project.status] || project.status}
+          </span>
+        </div>
+
+        <p className="text-sm text-gray-600 mt-2 flex-1">
+          {truncateText(project.description, 120) || <span className="text-gray-400">No description</span>}
+        </p>
+
+        {/* Progress */}
+        <div className="mt-4">
+          <div className="flex justify-between text-xs text-gray-500 mb-1">
+            <span className="flex items-center gap-1">
+              <CheckSquare size={12} />
+              {project.metadata?.completedTasks || 0} / {project.metadata?.totalTasks || 0} tasks
+            </span>
+            <span>{project.progress || 0}%</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-gradient-to-r from-primary-500 to-secondary-500 rounded-full"
+              style={{ width: `${project.progress || 0}%` }}
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center gap-3 mt-4 text-xs">
+          <span className={`flex items-center gap-1 ${TASK_PRIORITY_COLORS[project.priority] || ''}`}>
+            <Flag size={12} />
+            {TASK_PRIORITY_LABELS[project.priority] || project.priority}
+          </span>
+
+          {countdown && (
+            <span className={`flex items-center gap-1 ${COUNTDOWN_COLORS[countdown.tone]}`}>
+              <Calendar size={12} />
+              {countdown.label}
+            </span>
+          )}
+
+          <div className="ml-auto flex -space-x-2">
+            {members.slice(0, MAX_AVATARS).map((member) => (
+              <span
+                key={member._id}
+                title={member.name}
+                className="w-7 h-7 rounded-full border-2 border-white flex items-center justify-center text-white text-[10px] font-semibold"
+                style={{ backgroundColor: stringToColor(member.name) }}
+              >
+                {getInitials(member.name)}
+              </span>
+            ))}
+            {members.length > MAX_AVATARS && (
+              <span className="w-7 h-7 rounded-full border-2 border-white bg-gray-200 text-gray-600 flex items-center justify-center text-[10px] font-semibold">
+                +{members.length - MAX_AVATARS}
+              </span>
+            )}
+          </div>
+        </div>
+      </Card>
+    </Link>
+  );
+};
+
+export default ProjectCard;
@@ -0,0 +1,374 @@
+// src/components/projects/ProjectDetail.jsx
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import {
+  ArrowLeft, Archive, ArchiveRestore, BookOpen, Calendar, CheckCircle, Clock, FileText, Flag,
+  GitBranch, ListTodo, Pencil, Plus, Repeat, Trash2, Users, Webhook, Zap
+} from 'lucide-react';
+import { useProject, useUpdateProject, useDeleteProject } from '../../hooks/useProjects';
+import { useCreateTask } from '../../hooks/useTasks';
+import { useAuthStore } from '../../hooks/useAuth';
+import {
+  PROJECT_STATUS_LABELS,
+  PROJECT_STATUS_COLORS,
+  TASK_PRIORITY_LABELS,
+  TASK_PRIORITY_COLORS
+} from '../../utils/constants';
+import { formatDate, getCountdown, getInitials, stringToColor } from '../../utils/helpers';
+import Button from '../common/Button';
+import Card from '../common/Card';
+import Modal from '../common/Modal';
+import ConfirmModal from '../common/ConfirmModal';
+import Loading from '../common/Loading';
+import StatsCard from '../dashboard/StatsCard';
+import ProjectForm from './ProjectForm';
+import KanbanBoard from '../tasks/KanbanBoard';
+import TaskForm from '../tasks/TaskForm';
+import TaskDetail from '../tasks/TaskDetail';
+import TemplatePicker from '../templates/TemplatePicker';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  member: 'Member',
+  viewer: 'Viewer'
+};
+
+const ROLE_COLORS = {
+  owner: 'bg-primary-100 text-primary-800',
+  admin: 'bg-purple-100 text-purple-800',
+  member: 'bg-gray-100 text-gray-700',
+  viewer: 'bg-gray-50 text-gray-500'
+};
+
+const COUNTDOWN_COLORS = {
+  overdue: 'text-red-600',
+  soon: 'text-orange-600',
+  ok: 'text-gray-900'
+};
+
+const ProjectDetail = () => {
+  const { projectId } = useParams();
+  const navigate = useNavigate();
+  // ?task= opens a task, so chat citations and search results can link to it
+  const [searchParams, setSearchParams] = useSearchParams();
+  const openTaskId = searchParams.get('task');
+  const { user } = useAuthStore();
+
+  const [showEdit, setShowEdit] = useState(false);
+  const [showNewTask, setShowNewTask] = useState(false);
+  const [showFromTemplate, setShowFromTemplate] = useState(false);
+  const [confirm, setConfirm] = useState(null);
+
+  const { data, isLoading, error } = useProject(projectId);
+  const updateMutation = useUpdateProject();
+  const deleteMutation = useDeleteProject();
+  const createTaskMutation = useCreateTask();
+
+  const project = data?.data?.project;
+
+  const openTask = (taskId) => {
+    const next = new URLSearchParams(searchParams);
+    if (taskId) next.set('task', taskId);
+    else next.delete('task');
+    setSearchParams(next);
+  };
+
+  if (isLoading) {
+    return <Loading fullScreen text="Loading project..." />;
+  }
+
+  if (!project) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Card className="text-center py-12">
+          <p className="text-gray-600">
+            {error?.response?.status === 403 ? "You don't have access to this project" : 'Project not found'}
+          </p>
+          <Link to="/projects" className="text-primary-600 hover:text-primary-700 mt-4 inline-block">
+            Back to projects
+          </Link>
+        </Card>
+      </div>
+    );
+  }
+
+  const isOwner = Boolean(user?._id) && (project.owner?._id || project.owner) === user._id;
+  const archived = project.status === 'archived';
+  const countdown = project.status === 'completed' ? null : getCountdown(project.deadline);
+  const members = [
+    { user: project.owner, role: 'owner' },
+    ...(project.team || []).filter((member) => member.user?._id !== project.owner?._id)
+  ].filter((member) => member.user);
+
+  const handleEdit = async (values) => {
+    await updateMutation.mutateAsync({ id: projectId, data: values });
+    setShowEdit(false);
+  };
+
+  const handleArchive = async () => {
+    // Unarchiving puts the project back to active work
+    await updateMutation.mutateAsync({ id: projectId, data: { status: archived ? 'active' : 'archived' } });
+    setConfirm(null);
+  };
+
+  const handleDelete = async () => {
+    await deleteMutation.mutateAsync(projectId);
+    setConfirm(null);
+    navigate('/projects');
+  };
+
+  const handleCreateTask = async (values) => {
+    await createTaskMutation.mutateAsync({ ...values, project: projectId });
+    setShowNewTask(false);
+    setShowFromTemplate(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Header */}
+        <div>
+          <Link to="/projects" className="inline-flex items-center gap-1 text-sm text-gray-500 hover:text-primary-600">
+            <ArrowLeft size={16} />
+            Projects
+          </Link>
+
+          <div className="flex flex-col lg:flex-row lg:items-start justify-between gap-4 mt-3">
+            <div>
+              <div className="flex flex-wrap items-center gap-3">
+                <h1 className="text-3xl font-bold text-gray-900">{project.name}</h1>
+                <span className={`px-2.5 py-0.5 text-sm font-medium rounded-full ${PROJECT_STATUS_COLORS[project.status] || ''}`}>
+                  {PROJECT_STATUS_LABELS[project.status] || project.status}
+                </span>
+                <span className={`flex items-center gap-1 text-sm ${TASK_PRIORITY_COLORS[project.priority] || ''}`}>
+                  <Flag size={14} />
+                  {TASK_PRIORITY_LABELS[project.priority] || project.priority}
+                </span>
+              </div>
+              {project.description && (
+                <p className="text-gray-600 mt-2 max-w-3xl">{project.description}</p>
+              )}
+              {project.tags?.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {project.tags.map((tag) => (
+                    <span key={tag} className="px-2 py-0.5 text-xs bg-gray-100 text-gray-600 rounded">{tag}</span>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+              <Link to={`/projects/${projectId}/dependencies`}>
+                <Button variant="ghost" size="sm">
+                  <GitBranch size={16} />
+                  Dependencies
+                </Button>
+              </Link>
+              <Link to={`/projects/${projectId}/templates`}>
+                <Button variant="ghost" size="sm">
+                  <FileText size={16} />
+                  Templates
+                </Button>
+              </Link>
+              <Link to={`/projects/${projectId}/recurring`}>
+                <Button variant="ghost" size="sm">
+                  <Repeat size={16} />
+                  Recurring
+                </Button>
+              </Link>
+              <Link to={`/projects/${projectId}/documents`}>
+                <Button variant="ghost" size="sm">
+                  <BookOpen size={16} />
+                  Documents
+                </Button>
+              </Link>
+              <Link to={`/projects/${projectId}/automations`}>
+                <Button variant="ghost" size="sm">
+                  <Zap size={16} />
+                  Automations
+                </Button>
+              </Link>
+              <Link to={`/projects/${projectId}/webhooks`}>
+                <Button variant="ghost" size="sm">
+                  <Webhook size={16} />
+                  Webhooks
+                </Button>
+              </Link>
+              {isOwner && (
+                <>
+                  <Button variant="outline" size="sm" onClick={() => setShowEdit(true)}>
+                    <Pencil size={16} />
+                    Edit
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => setConfirm('archive')}>
+                    {archived ? <ArchiveRestore size={16} /> : <Archive size={16} />}
+                    {archived ? 'Unarchive' : 'Archive'}
+                  </Button>
+                  <Button variant="ghost" size="sm" className="text-red-600" onClick={() => setConfirm('delete')}>
+                    <Trash2 size={16} />
+                    Delete
+                  </Button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Stats */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+          <Card>
+            <p className="text-sm text-gray-600">Progress</p>
+            <p className="text-3xl font-bold text-gray-900 mt-1">{project.progress || 0}%</p>
+            <div className="h-2 bg-gray-100 rounded-full overflow-hidden mt-3">
+              <div
+                className="h-full bg-gradient-to-r from-primary-500 to-secondary-500 rounded-full"
+                style={{ width: `${project.progress || 0}%` }}
+              />
+            </div>
+          </Card>
+          <StatsCard
+            title="Tasks"
+            value={project.metadata?.totalTasks || 0}
+            icon={ListTodo}
+            color="primary"
+          />
+          <StatsCard
+            title="Completed"
+            value={project.metadata?.completedTasks || 0}
+            icon={CheckCircle}
+            color="green"
+          />
+          <Card>
+            <p className="text-sm text-gray-600 flex items-center gap-1">
+              <Calendar size={14} />
+              Deadline
+            </p>
+            {project.deadline ? (
+              <>
+                <p className={`text-2xl font-bold mt-1 ${countdown ? COUNTDOWN_COLORS[countdown.tone] : 'text-gray-900'}`}>
+                  {countdown ? countdown.label : 'Completed'}
+                </p>
+                <p className="text-sm text-gray-500 mt-1 flex items-center gap-1">
+                  <Clock size={14} />
+                  {formatDate(project.deadline)}
+                </p>
+              </>
+            ) : (
+              <p className="text-2xl font-bold text-gray-400 mt-1">No deadline</p>
+            )}
+          </Card>
+        </div>
+
+        <div className="grid grid-cols-1 xl:grid-cols-4 gap-6">
+          {/* Board */}
+          <div className="xl:col-span-3 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-xl font-semibold text-gray-900">Board</h2>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => setShowFromTemplate(true)} disabled={archived}>
+                  <FileText size={16} />
+                  From template
+                </Button>
+                <Button size="sm" onClick={() => setShowNewTask(true)} disabled={archived}>
+                  <Plus size={16} />
+                  New task
+                </Button>
+              </div>
+            </div>
+            <KanbanBoard projectId={projectId} onTaskClick={(task) => openTask(task._id)} />
+          </div>
+
+          {/* Team */}
+          <Card className="h-fit">
+            <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-4">
+              <Users size={18} />
+              Team
+              <span className="text-sm font-normal text-gray-500">({members.length})</span>
+            </h2>
+            <ul className="space-y-3">
+              {members.map(({ user: member, role }) => (
+                <li key={member._id} className="flex items-center gap-3">
+                  <span
+                    className="w-9 h-9 rounded-full flex-shrink-0 flex items-center justify-center text-white text-sm font-semibold"
+                    style={{ backgroundColor: stringToColor(member.name) }}
+                  >
+                    {getInitials(member.name)}
+                  </span>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">{member.name}</p>
+                    <p className="text-xs text-gray-500 truncate">{member.email}</p>
+                  </div>
+                  <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${ROLE_COLORS[role] || ROLE_COLORS.member}`}>
+                    {ROLE_LABELS[role] || role}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </Card>
+        </div>
+      </div>
+
+      <Modal isOpen={showEdit} onClose={() => setShowEdit(false)} title="Edit project">
+        <ProjectForm
+          project={project}
+          onSubmit={handleEdit}
+          onCancel={() => setShowEdit(false)}
+          loading={updateMutation.isLoading}
+        />
+      </Modal>
+
+      <Modal isOpen={showNewTask} onClose={() => setShowNewTask(false)} title="New task">
+        <TaskForm
+          members={members.map(({ user: member }) => member)}
+          onSubmit={handleCreateTask}
+          onCancel={() => setShowNewTask(false)}
+          loading={createTaskMutation.isLoading}
+        />
+      </Modal>
+
+      <Modal isOpen={showFromTemplate} onClose={() => setShowFromTemplate(false)} title="New task from template">
+        <TemplatePicker
+          projectId={projectId}
+          members={members.map(({ user: member }) => member)}
+          onSubmit={handleCreateTask}
+          onCancel={() => setShowFromTemplate(false)}
+          loading={createTaskMutation.isLoading}
+        />
+      </Modal>
+
+      <TaskDetail
+        taskId={openTaskId}
+        members={members.map(({ user: member }) => member)}
+        isOpen={Boolean(openTaskId)}
+        onClose={() => openTask(null)}
+        onOpenTask={openTask}
+      />
+
+      <ConfirmModal
+        isOpen={confirm === 'archive'}
+        onClose={() => setConfirm(null)}
+        onConfirm={handleArchive}
+        title={archived ? 'Unarchive project' : 'Archive project'}
+        message={archived
+          ? <>Move <strong>{project.name}</strong> back to active?</>
+          : <>Archive <strong>{project.name}</strong>? It stays readable and can be unarchived later.</>}
+        confirmLabel={archived ? 'Unarchive' : 'Archive'}
+        variant="warning"
+        loading={updateMutation.isLoading}
+      />
+
+      <ConfirmModal
+        isOpen={confirm === 'delete'}
+        onClose={() => setConfirm(null)}
+        onConfirm={handleDelete}
+        title="Delete project"
+        message={<>Delete <strong>{project.name}</strong> with all its tasks, templates, recurring tasks, documents, automations and webhooks? This cannot be undone.</>}
+        confirmLabel="Delete project"
+        loading={deleteMutation.isLoading}
+      />
+    </div>
+  );
+};
+
+export default ProjectDetail;
@@ -0,0 +1,143 @@
+// src/components/projects/ProjectForm.jsx
+import React, { useState } from 'react';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import { validateForm } from '../../utils/validators';
+import { PROJECT_STATUS_LABELS, TASK_PRIORITY_LABELS } from '../../utils/constants';
+
+const selectClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+const RULES = {
+  name: { required: true, label: 'Name', maxLength: 100 },
+  description: { label: 'Description', maxLength: 2000 },
+  deadline: {
+    type: 'date',
+    label: 'Deadline',
+    custom: (value, data) => {
+      // Only new projects must start with a future deadline
+      if (!data.isNew) return { isValid: true, message: '' };
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      return new Date(value) < today
+        ? { isValid: false, message: 'Deadline cannot be in the past' }
+        : { isValid: true, message: '' };
+    }
+  },
+  tags: {
+    label: 'Tags',
+    custom: (value) => (value.split(',').some((tag) => tag.trim().length > 30)
+      ? { isValid: false, message: 'Tags cannot exceed 30 characters each' }
+      : { isValid: true, message: '' })
+  }
+};
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+const ProjectForm = ({ project, onSubmit, onCancel, loading }) => {
+  const [form, setForm] = useState(() => ({
+    name: project?.name || '',
+    description: project?.description || '',
+    status: project?.status || 'planning',
+    priority: project?.priority || 'medium',
+    deadline: toDateInput(project?.deadline),
+    tags: (project?.tags || []).join(', ')
+  }));
+  const [errors, setErrors] = useState({});
+
+  const update = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+    if (errors[field]) setErrors({ ...errors, [field]: undefined });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const result = validateForm({ ...form, isNew: !project }, RULES);
+    setErrors(result.errors);
+    if (!result.isValid) return;
+
+    onSubmit({
+      name: form.name.trim(),
+      description: form.description.trim(),
+      priority: form.priority,
+      deadline: form.deadline || null,
+      tags: form.tags.split(',').map((tag) => tag.trim()).filter(Boolean),
+      // New projects always start in planning
+      ...(project && { status: form.status })
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5" noValidate>
+      <Input
+        label="Name"
+        value={form.name}
+        onChange={update('name')}
+        error={errors.name}
+        placeholder="Website relaunch"
+        autoFocus
+      />
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+        <textarea
+          value={form.description}
+          onChange={update('description')}
+          rows={3}
+          placeholder="What is this project about?"
+          className={`${selectClass} ${errors.description ? 'border-red-500' : ''}`}
+        />
+        {errors.description && <p className="mt-1 text-sm text-red-600">{errors.description}</p>}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {project && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+            <select value={form.status} onChange={update('status')} className={selectClass}>
+              {Object.entries(PROJECT_STATUS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Priority</label>
+          <select value={form.priority} onChange={update('priority')} className={selectClass}>
+            {Object.entries(TASK_PRIORITY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <Input
+          label="Deadline"
+          type="date"
+          value={form.deadline}
+          onChange={update('deadline')}
+          error={errors.deadline}
+        />
+      </div>
+
+      <Input
+        label="Tags"
+        value={form.tags}
+        onChange={update('tags')}
+        error={errors.tags}
+        placeholder="frontend, q3, launch"
+      />
+
+      <div className="flex justify-end gap-3 pt-2">
+        <Button type="button" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" loading={loading}>
+          {project ? 'Save changes' : 'Create project'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default ProjectForm;
@@ -0,0 +1,165 @@
+// src/components/projects/ProjectList.jsx
+import React, { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Plus, FolderOpen, ChevronLeft, ChevronRight } from 'lucide-react';
+import { useProjects, useCreateProject } from '../../hooks/useProjects';
+import { PROJECT_STATUS_LABELS, TASK_PRIORITY_LABELS } from '../../utils/constants';
+import Button from '../common/Button';
+import Card from '../common/Card';
+import Modal from '../common/Modal';
+import Loading from '../common/Loading';
+import ProjectCard from './ProjectCard';
+import ProjectForm from './ProjectForm';
+
+const PAGE_SIZE = 12;
+
+const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+const ProjectList = () => {
+  const navigate = useNavigate();
+  // Filters live in the URL so a filtered list can be shared and survives reloads
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [showForm, setShowForm] = useState(false);
+
+  const status = searchParams.get('status') || '';
+  const priority = searchParams.get('priority') || '';
+  const page = parseInt(searchParams.get('page'), 10) || 1;
+
+  const { data, isLoading, isFetching } = useProjects({
+    ...(status && { status }),
+    ...(priority && { priority }),
+    page,
+    limit: PAGE_SIZE
+  });
+  const createMutation = useCreateProject();
+
+  const projects = data?.data?.projects || [];
+  const pagination = data?.data?.pagination;
+  const filtered = Boolean(status || priority);
+
+  const setFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    if (key !== 'page') next.delete('page');
+    setSearchParams(next);
+  };
+
+  const handleCreate = async (values) => {
+    const result = await createMutation.mutateAsync(values);
+    setShowForm(false);
+    navigate(`/projects/${result.data._id}`);
+  };
+
+  if (isLoading) {
+    return <Loading fullScreen text="Loading projects..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Projects</h1>
+            <p className="text-gray-600 mt-2">
+              {pagination ? `${pagination.total} project${pagination.total === 1 ? '' : 's'}` : 'Your projects'}
+              {filtered && ' matching the filters'}
+            </p>
+          </div>
+          <Button onClick={() => setShowForm(true)}>
+            <Plus size={20} />
+            New project
+          </Button>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-3">
+          <select value={status} onChange={(e) => setFilter('status', e.target.value)} className={selectClass}>
+            <option value="">All statuses</option>
+            {Object.entries(PROJECT_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+
+          <select value={priority} onChange={(e) => setFilter('priority', e.target.value)} className={selectClass}>
+            <option value="">All priorities</option>
+            {Object.entries(TASK_PRIORITY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+
+          {filtered && (
+            <button
+              onClick={() => setSearchParams({})}
+              className="text-sm text-primary-600 hover:text-primary-700"
+            >
+              Clear filters
+            </button>
+          )}
+
+          {isFetching && <span className="text-sm text-gray-400">Updating...</span>}
+        </div>
+
+        {/* Cards */}
+        {projects.length === 0 ? (
+          <Card className="text-center py-12">
+            <FolderOpen className="mx-auto text-gray-300 mb-3" size={48} />
+            <p className="text-gray-600">
+              {filtered ? 'No projects match these filters' : 'No projects yet'}
+            </p>
+            {!filtered && (
+              <Button className="mx-auto mt-4" onClick={() => setShowForm(true)}>
+                <Plus size={18} />
+                Create your first project
+              </Button>
+            )}
+          </Card>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {projects.map((project) => (
+              <ProjectCard key={project._id} project={project} />
+            ))}
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination && pagination.pages > 1 && (
+          <div className="flex items-center justify-center gap-4">
+            <Button
+              variant="ghost"
+              size="sm"
+              disabled={page <= 1}
+              onClick={() => setFilter('page', String(page - 1))}
+            >
+              <ChevronLeft size={16} />
+              Previous
+            </Button>
+            <span className="text-sm text-gray-600">
+              Page {page} of {pagination.pages}
+            </span>
+            <Button
+              variant="ghost"
+              size="sm"
+              disabled={page >= pagination.pages}
+              onClick={() => setFilter('page', String(page + 1))}
+            >
+              Next
+              <ChevronRight size={16} />
+            </Button>
+          </div>
+        )}
+      </div>
+
+      <Modal isOpen={showForm} onClose={() => setShowForm(false)} title="New project">
+        <ProjectForm
+          onSubmit={handleCreate}
+          onCancel={() => setShowForm(false)}
+          loading={createMutation.isLoading}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default ProjectList;
@@ -0,0 +1,273 @@
+// src/components/recurring/RecurringRuleForm.jsx
+import React, { useState } from 'react';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import PlaceholderFields from '../templates/PlaceholderFields';
+import {
+  RECURRING_FREQUENCY_LABELS,
+  TASK_PRIORITY_LABELS,
+  WEEKDAY_LABELS
+} from '../../utils/constants';
+
+const fieldClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+// Matches RecurringRule.LAST_DAY on the backend
+const LAST_DAY = -1;
+
+const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const initialForm = (rule) => ({
+  name: rule?.name || '',
+  template: rule?.template?._id || rule?.template || '',
+  values: rule?.values || {},
+  title: rule?.task?.title || '',
+  description: rule?.task?.description || '',
+  priority: rule?.task?.priority || '',
+  assignee: rule?.task?.assignee?._id || rule?.task?.assignee || '',
+  checklist: (rule?.task?.checklist || []).join('\n'),
+  dueInDays: rule?.dueInDays ?? '',
+  frequency: rule?.schedule.frequency || 'weekly',
+  time: rule?.schedule.time || '09:00',
+  daysOfWeek: rule?.schedule.daysOfWeek?.length ? rule.schedule.daysOfWeek : [1],
+  dayOfMonth: rule?.schedule.dayOfMonth || 1,
+  cron: rule?.schedule.cron || '0 9 * * 1',
+  timezone: rule?.schedule.timezone || browserTimezone()
+});
+
+// `templates` and `members` are the project's; task fields left empty come
+// from the template
+const RecurringRuleForm = ({ rule, templates = [], members = [], onSubmit, onCancel, loading }) => {
+  const [form, setForm] = useState(() => initialForm(rule));
+  const [errors, setErrors] = useState({});
+
+  const template = templates.find((t) => t._id === form.template);
+
+  const set = (changes) => {
+    setForm({ ...form, ...changes });
+    setErrors({});
+  };
+  const update = (field) => (e) => set({ [field]: e.target.value });
+
+  const toggleDay = (day) => {
+    set({
+      daysOfWeek: form.daysOfWeek.includes(day)
+        ? form.daysOfWeek.filter((d) => d !== day)
+        : [...form.daysOfWeek, day].sort()
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const nextErrors = {};
+    if (!form.name.trim()) nextErrors.name = 'Name is required';
+    if (!template && !form.title.trim()) nextErrors.title = 'Pick a template or enter a title';
+    if (form.frequency === 'weekly' && form.daysOfWeek.length === 0) nextErrors.daysOfWeek = 'Pick at least one day';
+    if (form.frequency === 'cron' && !form.cron.trim()) nextErrors.cron = 'Cron expression is required';
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    const checklist = form.checklist.split('\n').map((item) => item.trim()).filter(Boolean);
+
+    onSubmit({
+      name: form.name.trim(),
+      template: template?._id || null,
+      values: template ? form.values : {},
+      task: {
+        title: form.title.trim(),
+        description: form.description.trim(),
+        assignee: form.assignee || null,
+        ...(form.priority && { priority: form.priority }),
+        ...(checklist.length > 0 && { checklist })
+      },
+      dueInDays: form.dueInDays === '' ? null : Number(form.dueInDays),
+      schedule: {
+        frequency: form.frequency,
+        timezone: form.timezone.trim() || 'UTC',
+        ...(form.frequency === 'cron' ? { cron: form.cron.trim() } : { time: form.time }),
+        ...(form.frequency === 'weekly' && { daysOfWeek: form.daysOfWeek }),
+        ...(form.frequency === 'monthly' && { dayOfMonth: Number(form.dayOfMonth) })
+      }
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6" noValidate>
+      <Input
+        label="Name"
+        value={form.name}
+        onChange={update('name')}
+        error={errors.name}
+        placeholder="Weekly report"
+        autoFocus
+      />
+
+      {/* Task */}
+      <fieldset className="space-y-4">
+        <legend className="text-sm font-semibold text-gray-900 mb-2">Task</legend>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Template</label>
+          <select value={form.template} onChange={(e) => set({ template: e.target.value, values: {} })} className={fieldClass}>
+            <option value="">No template</option>
+            {templates.map((t) => (
+              <option key={t._id} value={t._id}>{t.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {template && (
+          <PlaceholderFields
+            template={template}
+            values={form.values}
+            onChange={(values) => set({ values })}
+            skip={['date']}
+          />
+        )}
+
+        <Input
+          label={template ? 'Title (leave empty to use the template\'s)' : 'Title'}
+          value={form.title}
+          onChange={update('title')}
+          error={errors.title}
+          placeholder="Weekly report {date}"
+        />
+        <p className="-mt-2 text-xs text-gray-500">
+          <code className="px-1 bg-gray-100 rounded">{'{date}'}</code> becomes the day the task is created.
+        </p>
+
+        {!template && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <textarea value={form.description} onChange={update('description')} rows={3} className={fieldClass} />
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Priority</label>
+            <select value={form.priority} onChange={update('priority')} className={fieldClass}>
+              <option value="">{template ? 'From template' : 'Medium'}</option>
+              {Object.entries(TASK_PRIORITY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Assignee</label>
+            <select value={form.assignee} onChange={update('assignee')} className={fieldClass}>
+              <option value="">Unassigned</option>
+              {members.map((member) => (
+                <option key={member._id} value={member._id}>{member.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <Input
+            label="Due after (days)"
+            type="number"
+            min="0"
+            max="365"
+            value={form.dueInDays}
+            onChange={update('dueInDays')}
+            placeholder="No due date"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Checklist (one item per line{template ? ', empty to use the template\'s' : ''})
+          </label>
+          <textarea value={form.checklist} onChange={update('checklist')} rows={3} className={fieldClass} />
+        </div>
+      </fieldset>
+
+      {/* Schedule */}
+      <fieldset className="space-y-4">
+        <legend className="text-sm font-semibold text-gray-900 mb-2">Schedule</legend>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Repeats</label>
+            <select value={form.frequency} onChange={update('frequency')} className={fieldClass}>
+              {Object.entries(RECURRING_FREQUENCY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {form.frequency !== 'cron' && (
+            <Input label="At" type="time" value={form.time} onChange={update('time')} />
+          )}
+
+          <Input label="Timezone" value={form.timezone} onChange={update('timezone')} placeholder="Europe/Paris" />
+        </div>
+
+        {form.frequency === 'weekly' && (
+          <div>
+            <div className="flex flex-wrap gap-2">
+              {WEEKDAY_LABELS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleDay(day)}
+                  className={`px-3 py-1.5 text-sm rounded-lg border ${
+                    form.daysOfWeek.includes(day)
+                      ? 'bg-primary-600 border-primary-600 text-white'
+                      : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {errors.daysOfWeek && <p className="mt-1 text-sm text-red-600">{errors.daysOfWeek}</p>}
+          </div>
+        )}
+
+        {form.frequency === 'monthly' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">On day</label>
+            <select value={form.dayOfMonth} onChange={update('dayOfMonth')} className={fieldClass}>
+              {Array.from({ length: 31 }, (_, i) => i + 1).map((day) => (
+                <option key={day} value={day}>{day}</option>
+              ))}
+              <option value={LAST_DAY}>Last day of the month</option>
+            </select>
+            {Number(form.dayOfMonth) > 28 && (
+              <p className="mt-1 text-xs text-gray-500">Months without this day are skipped.</p>
+            )}
+          </div>
+        )}
+
+        {form.frequency === 'cron' && (
+          <div>
+            <Input
+              label="Cron expression"
+              value={form.cron}
+              onChange={update('cron')}
+              error={errors.cron}
+              className="font-mono"
+              placeholder="0 9 * * 1-5"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Minute, hour, day of month, month, day of week. At most once an hour.
+            </p>
+          </div>
+        )}
+      </fieldset>
+
+      <div className="flex justify-end gap-3 pt-2">
+        <Button type="button" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" loading={loading}>
+          {rule ? 'Save changes' : 'Schedule'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default RecurringRuleForm;
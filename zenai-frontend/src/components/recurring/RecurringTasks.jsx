@@ -0,0 +1,247 @@
+// src/components/recurring/RecurringTasks.jsx
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Pause, Pencil, Play, Plus, Repeat, SkipForward, Trash2 } from 'lucide-react';
+import { useProject } from '../../hooks/useProjects';
+import { useTaskTemplates } from '../../hooks/useTemplates';
+import {
+  useRecurringRules,
+  useCreateRecurringRule,
+  useUpdateRecurringRule,
+  useDeleteRecurringRule,
+  useRecurringRuleAction
+} from '../../hooks/useRecurring';
+import { WEEKDAY_LABELS } from '../../utils/constants';
+import { formatDateTime, formatRelativeTime } from '../../utils/helpers';
+import Button from '../common/Button';
+import Card from '../common/Card';
+import Modal from '../common/Modal';
+import ConfirmModal from '../common/ConfirmModal';
+import Loading from '../common/Loading';
+import RecurringRuleForm from './RecurringRuleForm';
+
+// "Every Mon, Thu at 09:00 (Europe/Paris)"
+const describeSchedule = ({ frequency, time, daysOfWeek = [], dayOfMonth, cron, timezone }) => {
+  const zone = timezone && timezone !== 'UTC' ? ` (${timezone})` : ' UTC';
+
+  switch (frequency) {
+    case 'daily':
+      return `Every day at ${time}${zone}`;
+    case 'weekly':
+      return `Every ${daysOfWeek.map((day) => WEEKDAY_LABELS[day]).join(', ')} at ${time}${zone}`;
+    case 'monthly':
+      return `Monthly on ${dayOfMonth === -1 ? 'the last day' : `day ${dayOfMonth}`} at ${time}${zone}`;
+    default:
+      return `Cron ${cron}${zone}`;
+  }
+};
+
+const RecurringTasks = () => {
+  const { projectId } = useParams();
+  const [editing, setEditing] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [deleting, setDeleting] = useState(null);
+
+  const { data: projectData } = useProject(projectId);
+  const { data: templateData } = useTaskTemplates(projectId);
+  const { data, isLoading } = useRecurringRules(projectId);
+  const createMutation = useCreateRecurringRule(projectId);
+  const updateMutation = useUpdateRecurringRule(projectId);
+  const deleteMutation = useDeleteRecurringRule(projectId);
+  const actionMutation = useRecurringRuleAction(projectId);
+
+  const project = projectData?.data?.project;
+  const templates = templateData?.data?.templates || [];
+  const rules = data?.data?.rules || [];
+  const members = project
+    ? [project.owner, ...project.team.map(t => t.user)]
+        .filter((member, idx, all) => member && all.findIndex(m => m._id === member._id) === idx)
+    : [];
+
+  const openForm = (rule = null) => {
+    setEditing(rule);
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setEditing(null);
+    setIsFormOpen(false);
+  };
+
+  const handleSubmit = async (values) => {
+    if (editing) {
+      await updateMutation.mutateAsync({ id: editing._id, data: values });
+    } else {
+      await createMutation.mutateAsync(values);
+    }
+    closeForm();
+  };
+
+  const handleDelete = async () => {
+    await deleteMutation.mutateAsync(deleting._id);
+    setDeleting(null);
+  };
+
+  const runAction = (rule, action) => actionMutation.mutate({ id: rule._id, action });
+
+  if (isLoading) {
+    return <Loading fullScreen text="Loading recurring tasks..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Header */}
+        <div>
+          <Link
+            to={`/projects/${projectId}`}
+            className="inline-flex items-center gap-1 text-sm text-gray-500 hover:text-primary-600"
+          >
+            <ArrowLeft size={16} />
+            {project?.name || 'Project'}
+          </Link>
+          <div className="flex items-center justify-between mt-3">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Recurring tasks</h1>
+              <p className="text-gray-600 mt-2">Tasks created on a schedule</p>
+            </div>
+            <Button onClick={() => openForm()}>
+              <Plus size={20} />
+              New recurring task
+            </Button>
+          </div>
+        </div>
+
+        {rules.length === 0 ? (
+          <Card className="text-center py-12">
+            <Repeat className="mx-auto text-gray-300 mb-3" size={48} />
+            <p className="text-gray-600">No recurring tasks yet</p>
+          </Card>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {rules.map((rule) => {
+              const active = rule.status === 'active';
+
+              return (
+                <Card key={rule._id} className={active ? '' : 'opacity-60'}>
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <h3 className="font-bold text-gray-900 truncate">{rule.name}</h3>
+                        <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+                          active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                        }`}>
+                          {active ? 'Active' : 'Paused'}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-600 mt-1">{describeSchedule(rule.schedule)}</p>
+                      {rule.template && (
+                        <p className="text-xs text-gray-500 mt-1">From template {rule.template.name}</p>
+                      )}
+
+                      {active && rule.upcoming.length > 0 && (
+                        <div className="mt-3 text-sm">
+                          <p className="text-gray-900">Next: {formatDateTime(rule.nextRunAt)}</p>
+                          {rule.upcoming.length > 1 && (
+                            <p className="text-xs text-gray-500">
+                              Then {rule.upcoming.slice(1).map((date) => formatDateTime(date)).join(', ')}
+                            </p>
+                          )}
+                        </div>
+                      )}
+
+                      <p className="text-xs text-gray-400 mt-3">
+                        {rule.runCount > 0 ? (
+                          <>
+                            Created {rule.runCount} task{rule.runCount === 1 ? '' : 's'} · last {formatRelativeTime(rule.lastRunAt)}
+                            {rule.lastTask && (
+                              <>
+                                {' · '}
+                                <Link to={`/projects/${projectId}?task=${rule.lastTask._id}`} className="text-primary-600 hover:text-primary-700">
+                                  {rule.lastTask.title}
+                                </Link>
+                              </>
+                            )}
+                          </>
+                        ) : 'No tasks created yet'}
+                        {rule.skipCount > 0 && ` · ${rule.skipCount} skipped`}
+                      </p>
+
+                      {rule.lastError && (
+                        <p className="text-xs text-red-600 mt-1">
+                          Last run failed {formatRelativeTime(rule.lastError.at)}, retrying: {rule.lastError.message}
+                        </p>
+                      )}
+                    </div>
+
+                    <div className="flex items-center gap-2 flex-shrink-0">
+                      {active && (
+                        <button
+                          onClick={() => runAction(rule, 'skip')}
+                          className="text-gray-400 hover:text-gray-600"
+                          title="Skip next run"
+                        >
+                          <SkipForward size={16} />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => runAction(rule, active ? 'pause' : 'resume')}
+                        className="text-gray-400 hover:text-gray-600"
+                        title={active ? 'Pause' : 'Resume'}
+                      >
+                        {active ? <Pause size={16} /> : <Play size={16} />}
+                      </button>
+                      <button
+                        onClick={() => openForm(rule)}
+                        className="text-gray-400 hover:text-gray-600"
+                        title="Edit"
+                      >
+                        <Pencil size={16} />
+                      </button>
+                      <button
+                        onClick={() => setDeleting(rule)}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Delete"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </div>
+                </Card>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <Modal
+        isOpen={isFormOpen}
+        onClose={closeForm}
+        title={editing ? 'Edit recurring task' : 'New recurring task'}
+        size="lg"
+      >
+        <RecurringRuleForm
+          key={editing?._id || 'new'}
+          rule={editing}
+          templates={templates}
+          members={members}
+          onSubmit={handleSubmit}
+          onCancel={closeForm}
+          loading={createMutation.isLoading || updateMutation.isLoading}
+        />
+      </Modal>
+
+      <ConfirmModal
+        isOpen={Boolean(deleting)}
+        onClose={() => setDeleting(null)}
+        onConfirm={handleDelete}
+        title="Delete recurring task"
+        message={<>Stop creating <strong>{deleting?.name}</strong>? Tasks it already created are kept.</>}
+        confirmLabel="Delete"
+        loading={deleteMutation.isLoading}
+      />
+    </div>
+  );
+};
+
+export default RecurringTasks;
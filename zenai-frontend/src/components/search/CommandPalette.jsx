@@ -0,0 +1,228 @@
+// src/components/search/CommandPalette.jsx
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  Search, Loader, Folder, CheckSquare, MessageCircle, MessageSquare,
+  FileText, Mic, Layout, Key, Plug, Webhook, CornerDownLeft
+} from 'lucide-react';
+import { useSearch, useDebouncedValue } from '../../hooks/useSearch';
+import { formatDate } from '../../utils/helpers';
+
+const TYPE_ICONS = {
+  project: Folder,
+  task: CheckSquare,
+  comment: MessageCircle,
+  message: MessageSquare,
+  document: FileText,
+  meeting: Mic,
+};
+
+const TYPE_LABELS = {
+  project: 'Project',
+  task: 'Task',
+  comment: 'Comment',
+  message: 'Chat',
+  document: 'Document',
+  meeting: 'Meeting',
+};
+
+// Shown before the user types anything
+const COMMANDS = [
+  { id: 'dashboard', title: 'Go to Dashboard', url: '/dashboard', icon: Layout },
+  { id: 'projects', title: 'Go to Projects', url: '/projects', icon: Folder },
+  { id: 'ai', title: 'Ask the AI Assistant', url: '/ai', icon: MessageSquare },
+  { id: 'api-keys', title: 'Manage API keys', url: '/settings/api-keys', icon: Key },
+  { id: 'integrations', title: 'Manage integrations', url: '/settings/integrations', icon: Plug },
+  { id: 'webhooks', title: 'Manage webhooks', url: '/settings/webhooks', icon: Webhook },
+];
+
+const OPERATOR_HINTS = ['status:todo', 'assignee:me', 'due:<7d', 'tag:backend', 'type:document'];
+
+const CommandPalette = ({ isOpen, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const navigate = useNavigate();
+
+  const debouncedQuery = useDebouncedValue(query);
+  const { data, isFetching, error } = useSearch(isOpen ? debouncedQuery : '');
+
+  const searching = query.trim().length >= 2;
+
+  const items = useMemo(() => {
+    if (!searching) {
+      return COMMANDS.map((command) => ({ ...command, type: 'command' }));
+    }
+    return (data?.data?.results || []).map((result) => ({
+      ...result,
+      id: `${result.type}:${result.id}`,
+      icon: TYPE_ICONS[result.type] || Search,
+    }));
+  }, [searching, data]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setQuery('');
+      setActiveIndex(0);
+      setTimeout(() => inputRef.current?.focus(), 0);
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [items]);
+
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-index="${activeIndex}"]`)?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const select = (item) => {
+    if (!item?.url) return;
+    onClose();
+    navigate(item.url);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((index) => Math.min(index + 1, items.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      select(items[activeIndex]);
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  };
+
+  const addOperator = (operator) => {
+    setQuery((current) => `${current.trim()} ${operator} `.trimStart());
+    inputRef.current?.focus();
+  };
+
+  const errorMessage = searching && error?.response?.data?.message;
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <>
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+            className="fixed inset-0 bg-black bg-opacity-50 z-40"
+          />
+
+          <div className="fixed inset-0 z-50 flex items-start justify-center p-4 pt-[12vh] pointer-events-none">
+            <motion.div
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.95, opacity: 0 }}
+              className="w-full max-w-2xl bg-white rounded-xl shadow-2xl overflow-hidden pointer-events-auto"
+              role="dialog"
+              aria-label="Search"
+            >
+              {/* Input */}
+              <div className="flex items-center gap-3 px-4 border-b">
+                {isFetching ? (
+                  <Loader size={20} className="text-gray-400 animate-spin" />
+                ) : (
+                  <Search size={20} className="text-gray-400" />
+                )}
+                <input
+                  ref={inputRef}
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  onKeyDown={handleKeyDown}
+                  placeholder="Search projects, tasks, comments, documents..."
+                  className="flex-1 py-4 text-gray-900 placeholder-gray-400 outline-none"
+                />
+                <kbd className="hidden sm:block px-2 py-0.5 text-xs text-gray-500 bg-gray-100 border rounded">Esc</kbd>
+              </div>
+
+              {/* Operators */}
+              <div className="flex flex-wrap items-center gap-2 px-4 py-2 border-b bg-gray-50">
+                <span className="text-xs text-gray-500">Filter:</span>
+                {OPERATOR_HINTS.map((operator) => (
+                  <button
+                    key={operator}
+                    onClick={() => addOperator(operator)}
+                    className="px-2 py-0.5 text-xs font-mono text-gray-600 bg-white border rounded hover:border-primary-400 hover:text-primary-600"
+                  >
+                    {operator}
+                  </button>
+                ))}
+              </div>
+
+              {/* Results */}
+              <div ref={listRef} className="max-h-96 overflow-y-auto py-2">
+                {errorMessage && (
+                  <p className="px-4 py-6 text-sm text-red-600 text-center">{errorMessage}</p>
+                )}
+
+                {!errorMessage && searching && !isFetching && items.length === 0 && (
+                  <p className="px-4 py-6 text-sm text-gray-400 text-center">No results for "{query.trim()}"</p>
+                )}
+
+                {!errorMessage && items.map((item, index) => {
+                  const Icon = item.icon;
+                  const active = index === activeIndex;
+
+                  return (
+                    <button
+                      key={item.id}
+                      data-index={index}
+                      onClick={() => select(item)}
+                      onMouseMove={() => setActiveIndex(index)}
+                      className={`w-full flex items-start gap-3 px-4 py-2.5 text-left transition ${
+                        active ? 'bg-primary-50' : ''
+                      }`}
+                    >
+                      <Icon size={18} className={`mt-0.5 flex-shrink-0 ${active ? 'text-primary-600' : 'text-gray-400'}`} />
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center gap-2">
+                          <span className="font-medium text-gray-900 truncate">{item.title}</span>
+                          {item.status && item.type === 'task' && (
+                            <span className="px-1.5 py-0.5 text-xs bg-gray-100 text-gray-600 rounded flex-shrink-0">
+                              {item.status}
+                            </span>
+                          )}
+                        </div>
+                        {item.snippet && (
+                          <p className="text-sm text-gray-500 truncate">{item.snippet}</p>
+                        )}
+                        {item.type !== 'command' && (
+                          <p className="text-xs text-gray-400 mt-0.5">
+                            {TYPE_LABELS[item.type]}
+                            {item.projectName && item.type !== 'project' && ` · ${item.projectName}`}
+                            {item.dueDate && ` · Due ${formatDate(item.dueDate)}`}
+                          </p>
+                        )}
+                      </div>
+                      {active && <CornerDownLeft size={16} className="mt-1 text-gray-400 flex-shrink-0" />}
+                    </button>
+                  );
+                })}
+              </div>
+
+              {/* Footer */}
+              <div className="flex items-center justify-between px-4 py-2 border-t text-xs text-gray-400">
+                <span>↑↓ to navigate · Enter to open</span>
+                {searching && data?.data && (
+                  <span>{data.data.total} result{data.data.total === 1 ? '' : 's'}</span>
+                )}
+              </div>
+            </motion.div>
+          </div>
+        </>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,185 @@
+// src/components/settings/APIKeys.jsx
+import React, { useState } from 'react';
+import { useAPIKeys, useCreateAPIKey, useRevokeAPIKey } from '../../hooks/useAPIKeys';
+import { Plus, KeyRound, Copy, Trash2 } from 'lucide-react';
+import Button from '../common/Button';
+import Card from '../common/Card';
+import Input from '../common/Input';
+import Modal from '../common/Modal';
+import Loading from '../common/Loading';
+import { copyToClipboard, formatDate, formatRelativeTime } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+
+const emptyForm = { name: '', scopes: [], expiresAt: '' };
+
+const APIKeys = () => {
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [newKey, setNewKey] = useState(null);
+
+  const { data, isLoading } = useAPIKeys();
+  const createMutation = useCreateAPIKey();
+  const revokeMutation = useRevokeAPIKey();
+
+  const apiKeys = data?.data?.apiKeys || [];
+  const availableScopes = data?.data?.scopes || [];
+
+  const toggleScope = (scope) => {
+    const scopes = form.scopes.includes(scope)
+      ? form.scopes.filter(s => s !== scope)
+      : [...form.scopes, scope];
+    setForm({ ...form, scopes });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (form.scopes.length === 0) {
+      toast.error('Select at least one scope');
+      return;
+    }
+
+    const response = await createMutation.mutateAsync({
+      name: form.name,
+      scopes: form.scopes,
+      ...(form.expiresAt && { expiresAt: new Date(form.expiresAt).toISOString() })
+    });
+
+    setIsFormOpen(false);
+    setForm(emptyForm);
+    setNewKey(response.data.key);
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Anything using it will stop working.`)) return;
+    await revokeMutation.mutateAsync(apiKey._id);
+  };
+
+  const handleCopy = async () => {
+    await copyToClipboard(newKey);
+    toast.success('API key copied');
+  };
+
+  if (isLoading) {
+    return <Loading fullScreen text="Loading API keys..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">API keys</h1>
+            <p className="text-gray-600 mt-2">
+              Let scripts and CI call the API as you, limited to the scopes you pick
+            </p>
+          </div>
+          <Button onClick={() => setIsFormOpen(true)}>
+            <Plus size={20} />
+            New API key
+          </Button>
+        </div>
+
+        {apiKeys.length === 0 ? (
+          <Card className="text-center py-12">
+            <KeyRound className="mx-auto text-gray-300 mb-3" size={48} />
+            <p className="text-gray-600">No API keys yet</p>
+          </Card>
+        ) : (
+          <Card className="divide-y">
+            {apiKeys.map((apiKey) => (
+              <div key={apiKey._id} className="flex items-start justify-between gap-4 py-4 first:pt-0 last:pb-0">
+                <div className="min-w-0">
+                  <p className="font-semibold text-gray-900">{apiKey.name}</p>
+                  <p className="font-mono text-sm text-gray-500">{apiKey.prefix}…</p>
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {apiKey.scopes.map((scope) => (
+                      <span key={scope} className="px-2 py-0.5 rounded bg-gray-100 text-gray-700 text-xs font-mono">
+                        {scope}
+                      </span>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-400 mt-2">
+                    {apiKey.lastUsed ? `Last used ${formatRelativeTime(apiKey.lastUsed)}` : 'Never used'}
+                    {apiKey.expiresAt && ` · ${apiKey.isActive ? 'Expires' : 'Expired'} ${formatDate(apiKey.expiresAt)}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRevoke(apiKey)}
+                  className="text-gray-400 hover:text-red-600 flex-shrink-0"
+                  title="Revoke"
+                >
+                  <Trash2 size={18} />
+                </button>
+              </div>
+            ))}
+          </Card>
+        )}
+      </div>
+
+      {/* Create */}
+      <Modal isOpen={isFormOpen} onClose={() => setIsFormOpen(false)} title="New API key">
+        <form onSubmit={handleCreate} className="space-y-4">
+          <Input
+            label="Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="CI bot"
+            required
+          />
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Scopes</label>
+            <div className="grid grid-cols-2 gap-2">
+              {availableScopes.map((scope) => (
+                <label key={scope} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                  />
+                  <span className="font-mono">{scope}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <Input
+            label="Expires (optional)"
+            type="date"
+            value={form.expiresAt}
+            onChange={(e) => setForm({ ...form, expiresAt: e.target.value })}
+          />
+          <div className="flex gap-3 justify-end">
+            <Button type="button" variant="ghost" onClick={() => setIsFormOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={createMutation.isLoading}>
+              Create key
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Key, shown once */}
+      <Modal isOpen={!!newKey} onClose={() => setNewKey(null)} title="Your new API key" size="sm">
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Copy this key now. It won't be shown again. Send it in the
+            <code className="mx-1">x-api-key</code> header.
+          </p>
+          <div className="flex items-center gap-2 bg-gray-100 rounded-lg p-3">
+            <code className="flex-1 text-sm break-all">{newKey}</code>
+            <button onClick={handleCopy} className="text-gray-500 hover:text-gray-700" title="Copy">
+              <Copy size={16} />
+            </button>
+          </div>
+          <div className="flex justify-end">
+            <Button onClick={() => setNewKey(null)}>Done</Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default APIKeys;
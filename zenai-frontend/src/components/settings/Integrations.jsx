@@ -0,0 +1,433 @@
+// src/components/settings/Integrations.jsx
+import React, { useEffect, useState } from 'react';
+import {
+  useIntegrations,
+  useCreateIntegration,
+  useUpdateIntegration,
+  useDeleteIntegration,
+  useTestIntegration,
+  useSyncIntegration
+} from '../../hooks/useIntegrations';
+import { useJob } from '../../hooks/useAI';
+import { useProjects } from '../../hooks/useProjects';
+import { Plus, Plug, PlugZap, RefreshCw, Pencil, Trash2, Copy } from 'lucide-react';
+import Button from '../common/Button';
+import Card from '../common/Card';
+import Input from '../common/Input';
+import Modal from '../common/Modal';
+import Loading from '../common/Loading';
+import { copyToClipboard, formatRelativeTime } from '../../utils/helpers';
+import {
+  API_BASE_URL,
+  INTEGRATION_TYPE_LABELS,
+  INTEGRATION_FIELD_LABELS,
+  INTEGRATION_STATUS_COLORS
+} from '../../utils/constants';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  type: 'slack',
+  name: '',
+  projectId: '',
+  config: {},
+  syncFrequency: 'manual',
+  autoSync: false,
+  bidirectionalSync: false
+};
+
+// Types that sync tasks with a project
+const PROJECT_TYPES = ['github'];
+
+const githubWebhookUrl = (integration) => `${API_BASE_URL}/integrations/${integration._id}/github/webhook`;
+
+const Integrations = () => {
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [syncJob, setSyncJob] = useState(null);
+
+  const { data, isLoading } = useIntegrations();
+  const createMutation = useCreateIntegration();
+  const updateMutation = useUpdateIntegration();
+  const deleteMutation = useDeleteIntegration();
+  const testMutation = useTestIntegration();
+  const syncMutation = useSyncIntegration();
+  const { data: jobData } = useJob(syncJob?.jobId);
+  const { data: projectsData } = useProjects();
+
+  const integrations = data?.data?.integrations || [];
+  const types = data?.data?.types || Object.keys(INTEGRATION_TYPE_LABELS);
+  const configFields = data?.data?.configFields || {};
+  const secretFields = data?.data?.secretFields || [];
+  const projects = projectsData?.data?.projects || [];
+
+  const job = jobData?.data;
+
+  useEffect(() => {
+    if (job?.state === 'completed') {
+      setSyncJob(null);
+      toast.success('Sync finished');
+    } else if (job?.state === 'failed') {
+      setSyncJob(null);
+      toast.error(job.error || 'Sync failed');
+    }
+  }, [job]);
+
+  const openCreate = () => {
+    setEditing(null);
+    setForm(emptyForm);
+    setIsFormOpen(true);
+  };
+
+  // Secrets come back masked, so their inputs start empty
+  const openEdit = (integration) => {
+    const config = {};
+    (configFields[integration.type] || []).forEach(field => {
+      if (!secretFields.includes(field) && integration.config?.[field] !== undefined) {
+        config[field] = integration.config[field];
+      }
+    });
+
+    setEditing(integration);
+    setForm({
+      type: integration.type,
+      name: integration.name,
+      projectId: integration.project?._id || '',
+      config,
+      syncFrequency: integration.syncFrequency,
+      autoSync: integration.settings?.autoSync || false,
+      bidirectionalSync: integration.settings?.bidirectionalSync || false
+    });
+    setIsFormOpen(true);
+  };
+
+  const setConfig = (field, value) => {
+    setForm({ ...form, config: { ...form.config, [field]: value } });
+  };
+
+  const buildConfig = () => {
+    const config = {};
+    (configFields[form.type] || []).forEach(field => {
+      const value = form.config[field];
+      if (secretFields.includes(field)) {
+        if (value) config[field] = value;
+      } else if (field === 'secure') {
+        config[field] = !!value;
+      } else if (value === '' || value === undefined) {
+        if (editing) config[field] = null;
+      } else {
+        config[field] = field === 'port' ? parseInt(value) : value;
+      }
+    });
+    return config;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      name: form.name,
+      config: buildConfig(),
+      syncFrequency: form.syncFrequency,
+      settings: { autoSync: form.autoSync, bidirectionalSync: form.bidirectionalSync }
+    };
+
+    if (PROJECT_TYPES.includes(form.type)) {
+      if (form.projectId) {
+        payload.projectId = form.projectId;
+      } else if (editing) {
+        payload.projectId = null;
+      }
+    }
+
+    if (editing) {
+      await updateMutation.mutateAsync({ id: editing._id, data: payload });
+      toast.success('Integration updated');
+    } else {
+      await createMutation.mutateAsync({ ...payload, type: form.type });
+    }
+
+    setIsFormOpen(false);
+  };
+
+  const handleDelete = async (integration) => {
+    if (!window.confirm(`Remove "${integration.name}"?`)) return;
+    await deleteMutation.mutateAsync(integration._id);
+  };
+
+  const handleCopyWebhookUrl = async (integration) => {
+    await copyToClipboard(githubWebhookUrl(integration));
+    toast.success('Webhook URL copied');
+  };
+
+  const handleSync = async (integration) => {
+    const response = await syncMutation.mutateAsync(integration._id);
+    setSyncJob({ jobId: response.data.jobId, integrationId: integration._id });
+    toast.success('Sync queued');
+  };
+
+  const renderField = (field) => {
+    const label = INTEGRATION_FIELD_LABELS[field] || field;
+    const value = form.config[field] ?? '';
+
+    if (field === 'secure') {
+      return (
+        <label key={field} className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={!!form.config.secure}
+            onChange={(e) => setConfig('secure', e.target.checked)}
+          />
+          {label}
+        </label>
+      );
+    }
+
+    if (field === 'serviceAccountKey') {
+      return (
+        <div key={field}>
+          <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+          <textarea
+            value={value}
+            onChange={(e) => setConfig(field, e.target.value)}
+            placeholder={editing ? 'Leave empty to keep the current key' : '{ "type": "service_account", ... }'}
+            rows={4}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+        </div>
+      );
+    }
+
+    const isSecret = secretFields.includes(field);
+
+    return (
+      <Input
+        key={field}
+        label={label}
+        type={isSecret ? 'password' : field === 'port' ? 'number' : 'text'}
+        value={value}
+        onChange={(e) => setConfig(field, e.target.value)}
+        placeholder={isSecret && editing ? 'Leave empty to keep the current value' : ''}
+        autoComplete="off"
+      />
+    );
+  };
+
+  if (isLoading) {
+    return <Loading fullScreen text="Loading integrations..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Integrations</h1>
+            <p className="text-gray-600 mt-2">
+              Connect the tools your team already uses. Credentials are stored encrypted.
+            </p>
+          </div>
+          <Button onClick={openCreate}>
+            <Plus size={20} />
+            Add integration
+          </Button>
+        </div>
+
+        {integrations.length === 0 ? (
+          <Card className="text-center py-12">
+            <Plug className="mx-auto text-gray-300 mb-3" size={48} />
+            <p className="text-gray-600">No integrations yet</p>
+          </Card>
+        ) : (
+          <div className="space-y-4">
+            {integrations.map((integration) => (
+              <Card key={integration._id}>
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <p className="font-semibold text-gray-900">{integration.name}</p>
+                      <span className="text-sm text-gray-500">
+                        {INTEGRATION_TYPE_LABELS[integration.type] || integration.type}
+                      </span>
+                      <span className={`px-2 py-0.5 rounded text-xs font-semibold ${INTEGRATION_STATUS_COLORS[integration.status]}`}>
+                        {integration.status}
+                      </span>
+                    </div>
+                    {integration.status === 'error' && integration.metadata?.lastError && (
+                      <p className="text-sm text-red-600 mt-1">{integration.metadata.lastError}</p>
+                    )}
+                    <p className="text-xs text-gray-400 mt-2">
+                      {integration.lastSync ? `Last synced ${formatRelativeTime(integration.lastSync)}` : 'Never synced'}
+                      {` · ${integration.metadata?.successfulSyncs || 0}/${integration.metadata?.totalSyncs || 0} syncs succeeded`}
+                      {integration.settings?.autoSync && integration.syncFrequency !== 'manual' && ` · syncs ${integration.syncFrequency}`}
+                    </p>
+                    {integration.project && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Project: {integration.project.name}
+                        {integration.type === 'github' && (
+                          integration.settings?.bidirectionalSync ? ' · issues ⇄ tasks' : ' · issues → tasks'
+                        )}
+                      </p>
+                    )}
+                    {integration.type === 'github' && integration.config?.webhookSecret && (
+                      <button
+                        onClick={() => handleCopyWebhookUrl(integration)}
+                        className="flex items-center gap-1 text-xs text-primary-600 hover:text-primary-700 mt-1"
+                      >
+                        <Copy size={12} />
+                        Copy GitHub webhook URL
+                      </button>
+                    )}
+                  </div>
+
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={integration.status !== 'inactive'}
+                        onChange={() => updateMutation.mutate({
+                          id: integration._id,
+                          data: { status: integration.status === 'inactive' ? 'active' : 'inactive' }
+                        })}
+                      />
+                      Active
+                    </label>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => testMutation.mutate(integration._id)}
+                      loading={testMutation.isLoading && testMutation.variables === integration._id}
+                    >
+                      <PlugZap size={14} />
+                      Test
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleSync(integration)}
+                      disabled={integration.status === 'inactive'}
+                      loading={syncJob?.integrationId === integration._id}
+                    >
+                      <RefreshCw size={14} />
+                      Sync
+                    </Button>
+                    <button
+                      onClick={() => openEdit(integration)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Edit"
+                    >
+                      <Pencil size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(integration)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+              </Card>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Create / edit */}
+      <Modal
+        isOpen={isFormOpen}
+        onClose={() => setIsFormOpen(false)}
+        title={editing ? `Edit ${editing.name}` : 'Add integration'}
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {!editing && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+              <select
+                value={form.type}
+                onChange={(e) => setForm({ ...form, type: e.target.value, config: {} })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                {types.map((type) => (
+                  <option key={type} value={type}>{INTEGRATION_TYPE_LABELS[type] || type}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <Input
+            label="Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Team workspace"
+            required
+          />
+
+          {PROJECT_TYPES.includes(form.type) && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Project</label>
+              <select
+                value={form.projectId}
+                onChange={(e) => setForm({ ...form, projectId: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">No project</option>
+                {projects.map((project) => (
+                  <option key={project._id} value={project._id}>{project.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {(configFields[form.type] || []).map(renderField)}
+
+          {form.type === 'github' && (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.bidirectionalSync}
+                onChange={(e) => setForm({ ...form, bidirectionalSync: e.target.checked })}
+              />
+              Also push task changes to GitHub
+            </label>
+          )}
+
+          <div className="grid grid-cols-2 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Sync frequency</label>
+              <select
+                value={form.syncFrequency}
+                onChange={(e) => setForm({ ...form, syncFrequency: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="manual">Manual</option>
+                <option value="hourly">Hourly</option>
+                <option value="daily">Daily</option>
+                <option value="realtime">Realtime</option>
+              </select>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700 pb-2">
+              <input
+                type="checkbox"
+                checked={form.autoSync}
+                onChange={(e) => setForm({ ...form, autoSync: e.target.checked })}
+              />
+              Sync automatically
+            </label>
+          </div>
+
+          <div className="flex gap-3 justify-end">
+            <Button type="button" variant="ghost" onClick={() => setIsFormOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={createMutation.isLoading || updateMutation.isLoading}>
+              {editing ? 'Save changes' : 'Add integration'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Integrations;
@@ -0,0 +1,32 @@
+// src/components/tasks/BlockedStartModal.jsx
+import React from 'react';
+import { TASK_STATUS_LABELS } from '../../utils/constants';
+import ConfirmModal from '../common/ConfirmModal';
+
+// Asks before a task moves to In Progress while `blockers` are open, or
+// right after when only the server's `warnings` named them
+const BlockedStartModal = ({ task, blockers = [], isOpen, onClose, onConfirm }) => (
+  <ConfirmModal
+    isOpen={isOpen}
+    onClose={onClose}
+    onConfirm={onConfirm}
+    title="Start a blocked task?"
+    message={
+      <>
+        <strong>{task?.title}</strong> depends on unfinished work:
+        <ul className="list-disc pl-5 mt-2">
+          {blockers.map((blocker) => (
+            <li key={blocker._id}>
+              {blocker.title}{' '}
+              <span className="text-gray-500">({TASK_STATUS_LABELS[blocker.status] || blocker.status})</span>
+            </li>
+          ))}
+        </ul>
+      </>
+    }
+    confirmLabel="Start anyway"
+    variant="warning"
+  />
+);
+
+export default BlockedStartModal;
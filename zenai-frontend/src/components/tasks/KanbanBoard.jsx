@@ -0,0 +1,289 @@
+// src/components/tasks/KanbanBoard.jsx
+import React, { useMemo, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
+import { Pencil, Check, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useBoardTasks, useReorderTasks } from '../../hooks/useTasks';
+import { useProject, useUpdateProject } from '../../hooks/useProjects';
+import { useProjectEvents } from '../../hooks/useProjectEvents';
+import { useAuthStore } from '../../hooks/useAuth';
+import { TASK_STATUS, TASK_STATUS_LABELS } from '../../utils/constants';
+import { getOpenBlockers } from '../../utils/helpers';
+import TaskCard from './TaskCard';
+import BlockedStartModal from './BlockedStartModal';
+import Loading from '../common/Loading';
+
+const COLUMNS = Object.values(TASK_STATUS);
+
+const byPosition = (a, b) => (a.position ?? 0) - (b.position ?? 0) ||
+  new Date(a.createdAt) - new Date(b.createdAt);
+
+// Header count with the column's WIP limit, editable by the project owner
+const WipLimit = ({ count, limit, canEdit, onSave }) => {
+  const [editing, setEditing] = useState(false);
+  const [value, setValue] = useState('');
+
+  const startEditing = () => {
+    setValue(limit ? String(limit) : '');
+    setEditing(true);
+  };
+
+  const save = () => {
+    const parsed = parseInt(value, 10);
+    onSave(parsed > 0 ? parsed : null);
+    setEditing(false);
+  };
+
+  if (editing) {
+    return (
+      <span className="flex items-center gap-1">
+        <input
+          type="number"
+          min="1"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') save();
+            if (e.key === 'Escape') setEditing(false);
+          }}
+          placeholder="None"
+          autoFocus
+          className="w-16 px-2 py-0.5 text-xs border rounded"
+        />
+        <button onClick={save} className="text-green-600 hover:text-green-700" title="Save limit">
+          <Check size={14} />
+        </button>
+        <button onClick={() => setEditing(false)} className="text-gray-400 hover:text-gray-600" title="Cancel">
+          <X size={14} />
+        </button>
+      </span>
+    );
+  }
+
+  const over = limit && count > limit;
+  const full = limit && count >= limit;
+
+  return (
+    <span className="flex items-center gap-1 group">
+      <span
+        className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+          over ? 'bg-red-100 text-red-700' : full ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-200 text-gray-700'
+        }`}
+        title={limit ? `WIP limit: ${limit}` : 'No WIP limit'}
+      >
+        {limit ? `${count} / ${limit}` : count}
+      </span>
+      {canEdit && (
+        <button
+          onClick={startEditing}
+          className="opacity-0 group-hover:opacity-100 text-gray-400 hover:text-gray-600 transition"
+          title="Set WIP limit"
+        >
+          <Pencil size={12} />
+        </button>
+      )}
+    </span>
+  );
+};
+
+const KanbanBoard = ({ projectId: projectIdProp, onTaskClick }) => {
+  const params = useParams();
+  const projectId = projectIdProp || params.projectId;
+  const { user } = useAuthStore();
+  // A blocked task dropped into In Progress waits here for confirmation.
+  // Blockers only the server knew about are confirmed after the move, and
+  // cancelling puts the cards back (`undo`).
+  const [pendingMove, setPendingMove] = useState(null);
+
+  const { data: tasksData, isLoading } = useBoardTasks(projectId);
+  const { data: projectData } = useProject(projectId);
+  const reorderMutation = useReorderTasks(projectId);
+  const updateProjectMutation = useUpdateProject();
+  useProjectEvents(projectId);
+
+  const project = projectData?.data?.project;
+  const wipLimits = project?.wipLimits || {};
+  const ownerId = project?.owner?._id || project?.owner;
+  const isOwner = Boolean(user?._id) && ownerId === user._id;
+
+  const columns = useMemo(() => {
+    const tasks = tasksData?.data?.tasks || [];
+    return Object.fromEntries(COLUMNS.map((status) => [
+      status,
+      tasks.filter((task) => task.status === status).sort(byPosition)
+    ]));
+  }, [tasksData]);
+
+  const saveWipLimit = (status, limit) => {
+    updateProjectMutation.mutate({
+      id: projectId,
+      data: { wipLimits: { ...wipLimits, [status]: limit } }
+    });
+  };
+
+  const handleDragEnd = ({ source, destination, draggableId }) => {
+    if (!destination) return;
+    if (source.droppableId === destination.droppableId && source.index === destination.index) return;
+
+    const from = source.droppableId;
+    const to = destination.droppableId;
+    const limit = wipLimits[to];
+
+    if (from !== to && limit && columns[to].length >= limit) {
+      toast.error(`${TASK_STATUS_LABELS[to]} is at its WIP limit of ${limit}`);
+      return;
+    }
+
+    const next = { ...columns, [from]: [...columns[from]] };
+    if (from !== to) next[to] = [...columns[to]];
+
+    const [task] = next[from].splice(source.index, 1);
+    next[to].splice(destination.index, 0, { ...task, _id: draggableId, status: to });
+
+    // Renumber every card in the columns that changed
+    const moves = [...new Set([from, to])].flatMap((status) =>
+      next[status].map((item, index) => ({ id: item._id, status, position: index }))
+    );
+
+    const undo = [...new Set([from, to])].flatMap((status) =>
+      columns[status].map((item, index) => ({ id: item._id, status, position: index }))
+    );
+
+    const blockers = getOpenBlockers(task);
+    if (from !== to && to === TASK_STATUS.IN_PROGRESS && blockers.length > 0) {
+      setPendingMove({ task, blockers, moves, undo });
+      return;
+    }
+
+    move(moves, undo);
+  };
+
+  const move = (moves, undo, { confirmed = false } = {}) => {
+    reorderMutation.mutate(moves, {
+      onSuccess: (result) => {
+        const [warning] = result?.warnings || [];
+        if (warning && !confirmed) {
+          setPendingMove({ task: { title: warning.title }, blockers: warning.blockers, undo });
+        }
+      }
+    });
+  };
+
+  const confirmMove = () => {
+    if (pendingMove.moves) {
+      move(pendingMove.moves, pendingMove.undo, { confirmed: true });
+    }
+    setPendingMove(null);
+  };
+
+  const cancelMove = () => {
+    if (!pendingMove.moves) {
+      reorderMutation.mutate(pendingMove.undo);
+    }
+    setPendingMove(null);
+  };
+
+  if (isLoading) {
+    return <Loading text="Loading board..." />;
+  }
+
+  const board = (
+    <DragDropContext onDragEnd={handleDragEnd}>
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+        {COLUMNS.map((status) => {
+          const tasks = columns[status];
+          const limit = wipLimits[status];
+          const over = limit && tasks.length > limit;
+
+          return (
+            <div key={status} className={`flex flex-col rounded-xl p-3 ${over ? 'bg-red-50' : 'bg-gray-100'}`}>
+              <div className="flex items-center justify-between mb-3 px-1">
+                <h3 className="font-semibold text-gray-800">{TASK_STATUS_LABELS[status]}</h3>
+                <WipLimit
+                  count={tasks.length}
+                  limit={limit}
+                  canEdit={isOwner}
+                  onSave={(value) => saveWipLimit(status, value)}
+                />
+              </div>
+
+              <Droppable droppableId={status}>
+                {(provided, snapshot) => (
+                  <div
+                    ref={provided.innerRef}
+                    {...provided.droppableProps}
+                    className={`flex-1 min-h-[120px] rounded-lg transition ${
+                      snapshot.isDraggingOver ? 'bg-primary-50' : ''
+                    }`}
+                  >
+                    {tasks.map((task, index) => (
+                      <Draggable key={task._id} draggableId={task._id} index={index}>
+                        {(dragProvided, dragSnapshot) => (
+                          <div
+                            ref={dragProvided.innerRef}
+                            {...dragProvided.draggableProps}
+                            {...dragProvided.dragHandleProps}
+                            className="mb-2"
+                          >
+                            <TaskCard
+                              task={task}
+                              onClick={onTaskClick}
+                              isDragging={dragSnapshot.isDragging}
+                            />
+                          </div>
+                        )}
+                      </Draggable>
+                    ))}
+                    {provided.placeholder}
+
+                    {tasks.length === 0 && !snapshot.isDraggingOver && (
+                      <p className="text-sm text-gray-400 text-center py-6">No tasks</p>
+                    )}
+                  </div>
+                )}
+              </Droppable>
+            </div>
+          );
+        })}
+      </div>
+    </DragDropContext>
+  );
+
+  const warning = (
+    <BlockedStartModal
+      task={pendingMove?.task}
+      blockers={pendingMove?.blockers}
+      isOpen={Boolean(pendingMove)}
+      onClose={cancelMove}
+      onConfirm={confirmMove}
+    />
+  );
+
+  // Embedded in a project page, the page supplies the header
+  if (projectIdProp) {
+    return (
+      <>
+        {board}
+        {warning}
+      </>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Board</h1>
+          <p className="text-gray-600 mt-2">
+            {project ? `Tasks in ${project.name}` : 'Tasks in this project'} · drag cards to change their status or order
+          </p>
+        </div>
+        {board}
+      </div>
+      {warning}
+    </div>
+  );
+};
+
+export default KanbanBoard;
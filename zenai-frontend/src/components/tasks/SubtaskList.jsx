@@ -0,0 +1,168 @@
+// src/components/tasks/SubtaskList.jsx
+import React, { useState } from 'react';
+import { ListTree, Plus, Sparkles } from 'lucide-react';
+import { useCreateTask, useCreateSubtasks } from '../../hooks/useTasks';
+import { useSuggestBreakdown } from '../../hooks/useAI';
+import { TASK_STATUS_LABELS, TASK_STATUS_COLORS } from '../../utils/constants';
+import Button from '../common/Button';
+
+// Matches Task.MAX_DEPTH on the backend
+const MAX_DEPTH = 3;
+
+// Level of a task from its populated parent chain, 1 for a top-level task
+const depthOf = (task) => 1 + (task.parentTask ? 1 : 0) + (task.parentTask?.parentTask ? 1 : 0);
+
+const SubtaskList = ({ task, onOpenTask }) => {
+  const [title, setTitle] = useState('');
+  const [suggestions, setSuggestions] = useState(null);
+  const [selected, setSelected] = useState([]);
+
+  const createMutation = useCreateTask();
+  const acceptMutation = useCreateSubtasks();
+  const breakdownMutation = useSuggestBreakdown();
+
+  const subtasks = task.subtasks || [];
+  const canNest = depthOf(task) < MAX_DEPTH;
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+
+    await createMutation.mutateAsync({
+      title: title.trim(),
+      project: task.project?._id || task.project,
+      parentTask: task._id
+    });
+    setTitle('');
+  };
+
+  const handleSuggest = async () => {
+    const result = await breakdownMutation.mutateAsync(task._id);
+    const items = Array.isArray(result.data) ? result.data : [];
+    setSuggestions(items);
+    setSelected(items.map((_, index) => index));
+  };
+
+  const toggle = (index) => {
+    setSelected(selected.includes(index)
+      ? selected.filter((i) => i !== index)
+      : [...selected, index]);
+  };
+
+  const handleAccept = async () => {
+    await acceptMutation.mutateAsync({
+      id: task._id,
+      subtasks: suggestions
+        .filter((_, index) => selected.includes(index))
+        .map(({ title: name, description, estimatedTime, priority }) => ({ title: name, description, estimatedTime, priority }))
+    });
+    setSuggestions(null);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-700 flex items-center gap-2">
+          <ListTree size={16} />
+          Subtasks
+          {subtasks.length > 0 && (
+            <span className="font-normal text-gray-500">
+              ({task.subtaskCount?.completed || 0}/{subtasks.length})
+            </span>
+          )}
+        </h3>
+        {canNest && !suggestions && (
+          <Button variant="ghost" size="sm" onClick={handleSuggest} loading={breakdownMutation.isLoading}>
+            <Sparkles size={16} />
+            Suggest breakdown
+          </Button>
+        )}
+      </div>
+
+      {subtasks.length > 0 && (
+        <ul className="space-y-1 mb-3">
+          {subtasks.map((subtask) => (
+            <li key={subtask._id}>
+              <button
+                onClick={() => onOpenTask?.(subtask._id)}
+                className="w-full flex items-center gap-3 px-2 py-1.5 rounded hover:bg-gray-50 text-left"
+              >
+                <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${TASK_STATUS_COLORS[subtask.status] || ''}`}>
+                  {TASK_STATUS_LABELS[subtask.status] || subtask.status}
+                </span>
+                <span className={`flex-1 text-sm truncate ${subtask.status === 'done' ? 'line-through text-gray-400' : 'text-gray-900'}`}>
+                  {subtask.title}
+                </span>
+                {subtask.subtaskCount?.total > 0 && (
+                  <span className="text-xs text-gray-500">
+                    {subtask.subtaskCount.completed}/{subtask.subtaskCount.total}
+                  </span>
+                )}
+                <span className="w-16 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                  <span className="block h-full bg-primary-500" style={{ width: `${subtask.progress || 0}%` }} />
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* AI suggestions are kept here until accepted, then saved together */}
+      {suggestions && (
+        <div className="border border-primary-200 bg-primary-50 rounded-lg p-3 mb-3">
+          {suggestions.length === 0 ? (
+            <p className="text-sm text-gray-600">No suggestions for this task.</p>
+          ) : (
+            <ul className="space-y-2">
+              {suggestions.map((suggestion, index) => (
+                <li key={index}>
+                  <label className="flex items-start gap-2 text-sm cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(index)}
+                      onChange={() => toggle(index)}
+                      className="mt-0.5 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span>
+                      <span className="font-medium text-gray-900">{suggestion.title}</span>
+                      {suggestion.estimatedTime && <span className="text-gray-500 ml-2">{suggestion.estimatedTime}h</span>}
+                      {suggestion.description && <span className="block text-gray-600">{suggestion.description}</span>}
+                    </span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex justify-end gap-2 mt-3">
+            <Button variant="ghost" size="sm" onClick={() => setSuggestions(null)}>
+              Discard
+            </Button>
+            {suggestions.length > 0 && (
+              <Button size="sm" onClick={handleAccept} disabled={selected.length === 0} loading={acceptMutation.isLoading}>
+                Accept {selected.length}
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {canNest ? (
+        <form onSubmit={handleAdd} className="flex gap-2">
+          <input
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Add a subtask..."
+            className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+          <Button type="submit" size="sm" variant="ghost" disabled={!title.trim()} loading={createMutation.isLoading}>
+            <Plus size={16} />
+          </Button>
+        </form>
+      ) : (
+        <p className="text-xs text-gray-500">Subtasks can be nested at most {MAX_DEPTH} levels deep.</p>
+      )}
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -0,0 +1,104 @@
+// src/components/tasks/TaskCard.jsx
+import React from 'react';
+import { Calendar, CheckSquare, CornerDownRight, ListTree, Lock, MessageCircle, Paperclip, Flag, Repeat } from 'lucide-react';
+import { TASK_PRIORITY_LABELS, TASK_PRIORITY_COLORS } from '../../utils/constants';
+import { formatDate, getInitials, getOpenBlockers } from '../../utils/helpers';
+
+const TaskCard = ({ task, onClick, isDragging = false }) => {
+  const overdue = task.dueDate && task.status !== 'done' && new Date(task.dueDate) < new Date();
+  const subtasks = task.subtaskCount?.total || 0;
+  const checklist = task.checklist || [];
+  const showProgress = subtasks > 0 || checklist.length > 0;
+  const blockers = task.status === 'done' ? [] : getOpenBlockers(task);
+
+  return (
+    <div
+      onClick={() => onClick?.(task)}
+      className={`bg-white rounded-lg border p-3 cursor-pointer transition ${
+        isDragging ? 'shadow-xl ring-2 ring-primary-400 rotate-1' : 'shadow-sm hover:shadow-md'
+      }`}
+    >
+      <p className="font-medium text-gray-900 text-sm flex items-start gap-1">
+        {task.parentTask && <CornerDownRight size={14} className="text-gray-400 flex-shrink-0 mt-0.5" />}
+        {task.title}
+        {task.recurringRule && <Repeat size={14} className="text-gray-400 flex-shrink-0 mt-0.5 ml-auto" />}
+      </p>
+
+      {blockers.length > 0 && (
+        <p className="flex items-center gap-1 mt-2 text-xs font-medium text-red-600">
+          <Lock size={12} />
+          Blocked by {blockers.length} open task{blockers.length === 1 ? '' : 's'}
+        </p>
+      )}
+
+      {task.tags?.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-2">
+          {task.tags.map((tag) => (
+            <span key={tag} className="px-2 py-0.5 text-xs bg-gray-100 text-gray-600 rounded">
+              {tag}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {showProgress && (
+        <div className="h-1 bg-gray-100 rounded-full overflow-hidden mt-3">
+          <div className="h-full bg-primary-500 rounded-full" style={{ width: `${task.progress || 0}%` }} />
+        </div>
+      )}
+
+      <div className="flex items-center gap-3 mt-3 text-xs text-gray-500">
+        <span className={`flex items-center gap-1 ${TASK_PRIORITY_COLORS[task.priority] || ''}`}>
+          <Flag size={12} />
+          {TASK_PRIORITY_LABELS[task.priority] || task.priority}
+        </span>
+
+        {task.dueDate && (
+          <span className={`flex items-center gap-1 ${overdue ? 'text-red-600 font-medium' : ''}`}>
+            <Calendar size={12} />
+            {formatDate(task.dueDate)}
+          </span>
+        )}
+
+        {subtasks > 0 && (
+          <span className="flex items-center gap-1" title="Subtasks done">
+            <ListTree size={12} />
+            {task.subtaskCount.completed}/{subtasks}
+          </span>
+        )}
+
+        {checklist.length > 0 && (
+          <span className="flex items-center gap-1" title="Checklist items done">
+            <CheckSquare size={12} />
+            {checklist.filter((item) => item.done).length}/{checklist.length}
+          </span>
+        )}
+
+        {task.comments?.length > 0 && (
+          <span className="flex items-center gap-1">
+            <MessageCircle size={12} />
+            {task.comments.length}
+          </span>
+        )}
+
+        {task.attachments?.length > 0 && (
+          <span className="flex items-center gap-1">
+            <Paperclip size={12} />
+            {task.attachments.length}
+          </span>
+        )}
+
+        {task.assignee && (
+          <span
+            className="ml-auto w-6 h-6 bg-gradient-to-br from-primary-500 to-secondary-500 rounded-full flex items-center justify-center text-white text-[10px] font-semibold"
+            title={task.assignee.name}
+          >
+            {getInitials(task.assignee.name)}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaskCard;
@@ -0,0 +1,67 @@
+// src/components/tasks/TaskChecklist.jsx
+import React, { useState } from 'react';
+import { Plus, X } from 'lucide-react';
+import { useChecklist } from '../../hooks/useTasks';
+import Button from '../common/Button';
+
+const TaskChecklist = ({ task }) => {
+  const [text, setText] = useState('');
+  const checklistMutation = useChecklist();
+
+  const items = task.checklist || [];
+  const done = items.filter((item) => item.done).length;
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    await checklistMutation.mutateAsync({ action: 'add', id: task._id, text: text.trim() });
+    setText('');
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 mb-3">
+        Checklist {items.length > 0 && <span className="font-normal text-gray-500">({done}/{items.length})</span>}
+      </h3>
+
+      <ul className="space-y-1">
+        {items.map((item) => (
+          <li key={item._id} className="group flex items-center gap-2 px-2 py-1 rounded hover:bg-gray-50">
+            <input
+              type="checkbox"
+              checked={item.done}
+              onChange={(e) => checklistMutation.mutate({ action: 'update', id: task._id, itemId: item._id, done: e.target.checked })}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <span className={`flex-1 text-sm ${item.done ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+              {item.text}
+            </span>
+            <button
+              onClick={() => checklistMutation.mutate({ action: 'delete', id: task._id, itemId: item._id })}
+              className="opacity-0 group-hover:opacity-100 text-gray-400 hover:text-red-600"
+              aria-label="Remove item"
+            >
+              <X size={14} />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleAdd} className="flex gap-2 mt-2">
+        <input
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Add an item..."
+          maxLength={500}
+          className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+        />
+        <Button type="submit" size="sm" variant="ghost" disabled={!text.trim()} loading={checklistMutation.isLoading}>
+          <Plus size={16} />
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default TaskChecklist;
@@ -0,0 +1,78 @@
+// src/components/tasks/TaskDependencies.jsx
+import React from 'react';
+import { Link2, Lock, X } from 'lucide-react';
+import { useBoardTasks, useUpdateTask } from '../../hooks/useTasks';
+import { TASK_STATUS_LABELS, TASK_STATUS_COLORS } from '../../utils/constants';
+
+// Tasks that must be done before this one. The server rejects cycles and
+// tasks from other projects.
+const TaskDependencies = ({ task, onOpenTask }) => {
+  const projectId = task.project?._id || task.project;
+  const { data } = useBoardTasks(projectId);
+  const updateMutation = useUpdateTask();
+
+  const dependencies = (task.dependencies || []).filter(Boolean);
+  const dependencyIds = dependencies.map((dependency) => dependency._id);
+  const candidates = (data?.data?.tasks || [])
+    .filter((candidate) => candidate._id !== task._id && !dependencyIds.includes(candidate._id));
+
+  const save = (ids) => {
+    updateMutation.mutate({ id: task._id, data: { dependencies: ids } });
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 mb-3 flex items-center gap-2">
+        <Link2 size={16} />
+        Depends on
+        {task.isBlocked && task.status !== 'done' && (
+          <span className="flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-700">
+            <Lock size={12} />
+            Blocked
+          </span>
+        )}
+      </h3>
+
+      {dependencies.length > 0 && (
+        <ul className="space-y-1 mb-2">
+          {dependencies.map((dependency) => (
+            <li key={dependency._id} className="group flex items-center gap-3 px-2 py-1 rounded hover:bg-gray-50">
+              <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${TASK_STATUS_COLORS[dependency.status] || ''}`}>
+                {TASK_STATUS_LABELS[dependency.status] || dependency.status}
+              </span>
+              <button
+                onClick={() => onOpenTask?.(dependency._id)}
+                className={`flex-1 text-sm text-left truncate hover:text-primary-600 ${
+                  dependency.status === 'done' ? 'line-through text-gray-400' : 'text-gray-900'
+                }`}
+              >
+                {dependency.title}
+              </button>
+              <button
+                onClick={() => save(dependencyIds.filter((id) => id !== dependency._id))}
+                className="opacity-0 group-hover:opacity-100 text-gray-400 hover:text-red-600"
+                aria-label="Remove dependency"
+              >
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <select
+        value=""
+        onChange={(e) => e.target.value && save([...dependencyIds, e.target.value])}
+        disabled={updateMutation.isLoading || candidates.length === 0}
+        className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+      >
+        <option value="">{candidates.length === 0 ? 'No other tasks' : 'Add a dependency...'}</option>
+        {candidates.map((candidate) => (
+          <option key={candidate._id} value={candidate._id}>{candidate.title}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default TaskDependencies;
@@ -0,0 +1,277 @@
+// src/components/tasks/TaskDetail.jsx
+import React, { useState } from 'react';
+import { Calendar, ChevronRight, Clock, Flag, Pencil, Send, Tag, Trash2, User } from 'lucide-react';
+import { useTask, useUpdateTask, useDeleteTask, useAddComment } from '../../hooks/useTasks';
+import {
+  TASK_STATUS_LABELS,
+  TASK_STATUS_COLORS,
+  TASK_PRIORITY_LABELS,
+  TASK_PRIORITY_COLORS
+} from '../../utils/constants';
+import { formatDate, formatRelativeTime, getInitials, getOpenBlockers, stringToColor } from '../../utils/helpers';
+import Modal from '../common/Modal';
+import ConfirmModal from '../common/ConfirmModal';
+import Button from '../common/Button';
+import Loading from '../common/Loading';
+import TaskForm from './TaskForm';
+import TaskChecklist from './TaskChecklist';
+import SubtaskList from './SubtaskList';
+import TaskDependencies from './TaskDependencies';
+import BlockedStartModal from './BlockedStartModal';
+
+const Detail = ({ icon: Icon, label, children }) => (
+  <div className="flex items-center gap-2 text-sm">
+    <Icon size={16} className="text-gray-400" />
+    <span className="text-gray-500 w-20">{label}</span>
+    <span className="text-gray-900">{children}</span>
+  </div>
+);
+
+// Task in a modal: details, status, subtasks, checklist, comments, edit and
+// delete. `onOpenTask` switches the modal to a parent or subtask.
+const TaskDetail = ({ taskId, members = [], isOpen, onClose, onOpenTask }) => {
+  const [editing, setEditing] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [comment, setComment] = useState('');
+  // Starting a blocked task asks first. Blockers only the server knew about
+  // are confirmed after the change, and cancelling restores `revertTo`.
+  const [blockedStart, setBlockedStart] = useState(null);
+
+  const { data, isLoading } = useTask(isOpen ? taskId : null);
+  const updateMutation = useUpdateTask();
+  const deleteMutation = useDeleteTask();
+  const commentMutation = useAddComment();
+
+  const task = data?.data;
+  const ancestors = [task?.parentTask?.parentTask, task?.parentTask].filter(Boolean);
+
+  const close = () => {
+    setEditing(false);
+    setComment('');
+    onClose();
+  };
+
+  const handleUpdate = async (values) => {
+    await updateMutation.mutateAsync({ id: taskId, data: values });
+    setEditing(false);
+  };
+
+  const handleDelete = async () => {
+    await deleteMutation.mutateAsync(taskId);
+    setConfirmDelete(false);
+    close();
+  };
+
+  const setStatus = (status, { confirmed = false } = {}) => {
+    const previous = task.status;
+
+    updateMutation.mutate({ id: taskId, data: { status } }, {
+      onSuccess: (result) => {
+        const [warning] = result?.warnings || [];
+        if (warning && !confirmed) {
+          setBlockedStart({ blockers: warning.blockers, revertTo: previous });
+        }
+      }
+    });
+  };
+
+  const handleStatusChange = (status) => {
+    const blockers = getOpenBlockers(task);
+    if (status === 'in-progress' && blockers.length > 0) {
+      setBlockedStart({ blockers });
+      return;
+    }
+    setStatus(status);
+  };
+
+  const confirmStart = () => {
+    if (!blockedStart.revertTo) {
+      setStatus('in-progress', { confirmed: true });
+    }
+    setBlockedStart(null);
+  };
+
+  const cancelStart = () => {
+    if (blockedStart.revertTo) {
+      setStatus(blockedStart.revertTo);
+    }
+    setBlockedStart(null);
+  };
+
+  const handleComment = async (e) => {
+    e.preventDefault();
+    if (!comment.trim()) return;
+
+    await commentMutation.mutateAsync({ id: taskId, text: comment.trim() });
+    setComment('');
+  };
+
+  return (
+    <>
+      <Modal isOpen={isOpen} onClose={close} title={editing ? 'Edit task' : task?.title || 'Task'} size="lg">
+        {isLoading || !task ? (
+          <Loading size="sm" />
+        ) : editing ? (
+          <TaskForm
+            task={task}
+            members={members}
+            onSubmit={handleUpdate}
+            onCancel={() => setEditing(false)}
+            loading={updateMutation.isLoading}
+          />
+        ) : (
+          <div className="space-y-6">
+            {ancestors.length > 0 && (
+              <nav className="flex flex-wrap items-center gap-1 text-sm text-gray-500 -mt-2">
+                {ancestors.map((ancestor) => (
+                  <React.Fragment key={ancestor._id}>
+                    <button onClick={() => onOpenTask?.(ancestor._id)} className="hover:text-primary-600 truncate max-w-[12rem]">
+                      {ancestor.title}
+                    </button>
+                    <ChevronRight size={14} />
+                  </React.Fragment>
+                ))}
+                <span className="text-gray-700 truncate max-w-[12rem]">{task.title}</span>
+              </nav>
+            )}
+
+            {/* Status and actions */}
+            <div className="flex flex-wrap items-center gap-3">
+              <select
+                value={task.status}
+                onChange={(e) => handleStatusChange(e.target.value)}
+                className={`px-3 py-1 text-sm font-medium rounded-full border-0 ${TASK_STATUS_COLORS[task.status] || ''}`}
+              >
+                {Object.entries(TASK_STATUS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+
+              <div className="ml-auto flex gap-2">
+                <Button variant="ghost" size="sm" onClick={() => setEditing(true)}>
+                  <Pencil size={16} />
+                  Edit
+                </Button>
+                <Button variant="ghost" size="sm" className="text-red-600" onClick={() => setConfirmDelete(true)}>
+                  <Trash2 size={16} />
+                  Delete
+                </Button>
+              </div>
+            </div>
+
+            {/* Details */}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              <Detail icon={Flag} label="Priority">
+                <span className={TASK_PRIORITY_COLORS[task.priority]}>
+                  {TASK_PRIORITY_LABELS[task.priority] || task.priority}
+                </span>
+              </Detail>
+              <Detail icon={User} label="Assignee">
+                {task.assignee?.name || <span className="text-gray-400">Unassigned</span>}
+              </Detail>
+              <Detail icon={Calendar} label="Due">
+                {task.dueDate ? formatDate(task.dueDate) : <span className="text-gray-400">No due date</span>}
+              </Detail>
+              <Detail icon={Clock} label="Estimate">
+                {task.estimatedTime ? `${task.estimatedTime}h` : <span className="text-gray-400">None</span>}
+              </Detail>
+              {task.tags?.length > 0 && (
+                <Detail icon={Tag} label="Tags">
+                  <span className="flex flex-wrap gap-1">
+                    {task.tags.map((tag) => (
+                      <span key={tag} className="px-2 py-0.5 text-xs bg-gray-100 text-gray-600 rounded">{tag}</span>
+                    ))}
+                  </span>
+                </Detail>
+              )}
+            </div>
+
+            {task.description && (
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">Description</h3>
+                <p className="text-gray-700 whitespace-pre-wrap">{task.description}</p>
+              </div>
+            )}
+
+            {(task.subtaskCount?.total > 0 || task.checklist?.length > 0) && (
+              <div>
+                <div className="flex justify-between text-xs text-gray-500 mb-1">
+                  <span>Progress</span>
+                  <span>{task.progress || 0}%</span>
+                </div>
+                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div className="h-full bg-primary-500 rounded-full" style={{ width: `${task.progress || 0}%` }} />
+                </div>
+              </div>
+            )}
+
+            <SubtaskList task={task} onOpenTask={onOpenTask} />
+
+            <TaskDependencies task={task} onOpenTask={onOpenTask} />
+
+            <TaskChecklist task={task} />
+
+            {/* Comments */}
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-3">
+                Comments {task.comments?.length > 0 && `(${task.comments.length})`}
+              </h3>
+
+              <div className="space-y-4">
+                {(task.comments || []).map((item) => (
+                  <div key={item._id} className="flex gap-3">
+                    <span
+                      className="w-8 h-8 rounded-full flex-shrink-0 flex items-center justify-center text-white text-xs font-semibold"
+                      style={{ backgroundColor: stringToColor(item.user?.name) }}
+                    >
+                      {getInitials(item.user?.name) || '?'}
+                    </span>
+                    <div>
+                      <p className="text-sm">
+                        <span className="font-medium text-gray-900">{item.user?.name || 'Someone'}</span>
+                        <span className="text-gray-400 ml-2">{formatRelativeTime(item.createdAt)}</span>
+                      </p>
+                      <p className="text-sm text-gray-700 whitespace-pre-wrap">{item.text}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <form onSubmit={handleComment} className="flex gap-2 mt-4">
+                <input
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  placeholder="Add a comment..."
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+                <Button type="submit" size="sm" loading={commentMutation.isLoading} disabled={!comment.trim()}>
+                  <Send size={16} />
+                </Button>
+              </form>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <BlockedStartModal
+        task={task}
+        blockers={blockedStart?.blockers}
+        isOpen={Boolean(blockedStart)}
+        onClose={cancelStart}
+        onConfirm={confirmStart}
+      />
+
+      <ConfirmModal
+        isOpen={confirmDelete}
+        onClose={() => setConfirmDelete(false)}
+        onConfirm={handleDelete}
+        title="Delete task"
+        message={<>Delete <strong>{task?.title}</strong> with its comments{task?.subtaskCount?.total > 0 && ' and subtasks'}? This cannot be undone.</>}
+        confirmLabel="Delete task"
+        loading={deleteMutation.isLoading}
+      />
+    </>
+  );
+};
+
+export default TaskDetail;
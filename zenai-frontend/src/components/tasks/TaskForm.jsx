@@ -0,0 +1,149 @@
+// src/components/tasks/TaskForm.jsx
+import React, { useState } from 'react';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import { validateForm } from '../../utils/validators';
+import { TASK_STATUS_LABELS, TASK_PRIORITY_LABELS } from '../../utils/constants';
+
+const selectClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+const RULES = {
+  title: { required: true, label: 'Title', maxLength: 200 },
+  description: { label: 'Description', maxLength: 5000 },
+  dueDate: { type: 'date', label: 'Due date' },
+  estimatedTime: { type: 'number', label: 'Estimate', min: 0, max: 1000 }
+};
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+// `members` are the project's people ({ _id, name }) a task can be assigned to
+const TaskForm = ({ task, members = [], onSubmit, onCancel, loading }) => {
+  const [form, setForm] = useState(() => ({
+    title: task?.title || '',
+    description: task?.description || '',
+    status: task?.status || 'todo',
+    priority: task?.priority || 'medium',
+    assignee: task?.assignee?._id || task?.assignee || '',
+    dueDate: toDateInput(task?.dueDate),
+    estimatedTime: task?.estimatedTime ?? '',
+    tags: (task?.tags || []).join(', ')
+  }));
+  const [errors, setErrors] = useState({});
+
+  const update = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+    if (errors[field]) setErrors({ ...errors, [field]: undefined });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const result = validateForm(form, RULES);
+    setErrors(result.errors);
+    if (!result.isValid) return;
+
+    onSubmit({
+      title: form.title.trim(),
+      description: form.description.trim(),
+      priority: form.priority,
+      assignee: form.assignee || null,
+      dueDate: form.dueDate || null,
+      estimatedTime: form.estimatedTime === '' ? undefined : Number(form.estimatedTime),
+      tags: form.tags.split(',').map((tag) => tag.trim()).filter(Boolean),
+      // New tasks start in To Do; the board moves them on
+      ...(task && { status: form.status })
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5" noValidate>
+      <Input
+        label="Title"
+        value={form.title}
+        onChange={update('title')}
+        error={errors.title}
+        placeholder="Write the release notes"
+        autoFocus
+      />
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+        <textarea
+          value={form.description}
+          onChange={update('description')}
+          rows={4}
+          className={`${selectClass} ${errors.description ? 'border-red-500' : ''}`}
+        />
+        {errors.description && <p className="mt-1 text-sm text-red-600">{errors.description}</p>}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        {task && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+            <select value={form.status} onChange={update('status')} className={selectClass}>
+              {Object.entries(TASK_STATUS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Priority</label>
+          <select value={form.priority} onChange={update('priority')} className={selectClass}>
+            {Object.entries(TASK_PRIORITY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Assignee</label>
+          <select value={form.assignee} onChange={update('assignee')} className={selectClass}>
+            <option value="">Unassigned</option>
+            {members.map((member) => (
+              <option key={member._id} value={member._id}>{member.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <Input
+          label="Due date"
+          type="date"
+          value={form.dueDate}
+          onChange={update('dueDate')}
+          error={errors.dueDate}
+        />
+
+        <Input
+          label="Estimate (hours)"
+          type="number"
+          min="0"
+          step="0.5"
+          value={form.estimatedTime}
+          onChange={update('estimatedTime')}
+          error={errors.estimatedTime}
+        />
+      </div>
+
+      <Input
+        label="Tags"
+        value={form.tags}
+        onChange={update('tags')}
+        placeholder="backend, billing"
+      />
+
+      <div className="flex justify-end gap-3 pt-2">
+        <Button type="button" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" loading={loading}>
+          {task ? 'Save changes' : 'Create task'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default TaskForm;
@@ -0,0 +1,37 @@
+// src/components/templates/PlaceholderFields.jsx
+import React from 'react';
+
+const fieldClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+const labelOf = (name) => (name.charAt(0).toUpperCase() + name.slice(1)).replace(/_/g, ' ');
+
+// One input per `{name}` of a template. Placeholders of the title get a
+// single line, the others (description, checklist) a small textarea.
+// `skip` lists names filled in elsewhere, like {date} on recurring rules.
+const PlaceholderFields = ({ template, values, onChange, skip = [] }) => {
+  const inTitle = (name) => (template.title || '').includes(`{${name}}`);
+  const names = (template.placeholders || []).filter((name) => !skip.includes(name));
+
+  if (names.length === 0) {
+    return <p className="text-sm text-gray-500">This template has no placeholders.</p>;
+  }
+
+  const update = (name) => (e) => onChange({ ...values, [name]: e.target.value });
+
+  return (
+    <div className="space-y-3">
+      {names.map((name) => (
+        <div key={name}>
+          <label className="block text-sm font-medium text-gray-700 mb-1">{labelOf(name)}</label>
+          {inTitle(name) ? (
+            <input value={values[name] || ''} onChange={update(name)} className={fieldClass} />
+          ) : (
+            <textarea value={values[name] || ''} onChange={update(name)} rows={2} className={fieldClass} />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PlaceholderFields;
@@ -0,0 +1,178 @@
+// src/components/templates/TaskTemplates.jsx
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, FileText, Pencil, Plus, Trash2 } from 'lucide-react';
+import { useProject } from '../../hooks/useProjects';
+import {
+  useTaskTemplates,
+  useCreateTaskTemplate,
+  useUpdateTaskTemplate,
+  useDeleteTaskTemplate
+} from '../../hooks/useTemplates';
+import { TASK_PRIORITY_LABELS, TASK_PRIORITY_COLORS } from '../../utils/constants';
+import { truncateText } from '../../utils/helpers';
+import Button from '../common/Button';
+import Card from '../common/Card';
+import Modal from '../common/Modal';
+import ConfirmModal from '../common/ConfirmModal';
+import Loading from '../common/Loading';
+import TemplateForm from './TemplateForm';
+
+const TaskTemplates = () => {
+  const { projectId } = useParams();
+  const [editing, setEditing] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [deleting, setDeleting] = useState(null);
+
+  const { data: projectData } = useProject(projectId);
+  const { data, isLoading } = useTaskTemplates(projectId);
+  const createMutation = useCreateTaskTemplate(projectId);
+  const updateMutation = useUpdateTaskTemplate(projectId);
+  const deleteMutation = useDeleteTaskTemplate(projectId);
+
+  const project = projectData?.data?.project;
+  const templates = data?.data?.templates || [];
+
+  const openForm = (template = null) => {
+    setEditing(template);
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setEditing(null);
+    setIsFormOpen(false);
+  };
+
+  const handleSubmit = async (values) => {
+    if (editing) {
+      await updateMutation.mutateAsync({ id: editing._id, data: values });
+    } else {
+      await createMutation.mutateAsync(values);
+    }
+    closeForm();
+  };
+
+  const handleDelete = async () => {
+    await deleteMutation.mutateAsync(deleting._id);
+    setDeleting(null);
+  };
+
+  if (isLoading) {
+    return <Loading fullScreen text="Loading templates..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Header */}
+        <div>
+          <Link
+            to={`/projects/${projectId}`}
+            className="inline-flex items-center gap-1 text-sm text-gray-500 hover:text-primary-600"
+          >
+            <ArrowLeft size={16} />
+            {project?.name || 'Project'}
+          </Link>
+          <div className="flex items-center justify-between mt-3">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">Task templates</h1>
+              <p className="text-gray-600 mt-2">
+                Reusable tasks with placeholders, filled in when you create a task from them
+              </p>
+            </div>
+            <Button onClick={() => openForm()}>
+              <Plus size={20} />
+              New template
+            </Button>
+          </div>
+        </div>
+
+        {templates.length === 0 ? (
+          <Card className="text-center py-12">
+            <FileText className="mx-auto text-gray-300 mb-3" size={48} />
+            <p className="text-gray-600">No templates yet</p>
+          </Card>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {templates.map((template) => (
+              <Card key={template._id}>
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <h3 className="font-bold text-gray-900 truncate">{template.name}</h3>
+                      {template.key && (
+                        <span className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">Built-in</span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-600 mt-1 truncate">{template.title}</p>
+                    {template.description && (
+                      <p className="text-sm text-gray-500 mt-2">{truncateText(template.description, 140)}</p>
+                    )}
+
+                    <div className="flex flex-wrap items-center gap-2 mt-3 text-xs">
+                      <span className={TASK_PRIORITY_COLORS[template.priority] || ''}>
+                        {TASK_PRIORITY_LABELS[template.priority] || template.priority}
+                      </span>
+                      {template.placeholders.map((name) => (
+                        <span key={name} className="px-2 py-0.5 rounded bg-primary-50 text-primary-700 font-mono">
+                          {`{${name}}`}
+                        </span>
+                      ))}
+                      {template.checklist.length > 0 && (
+                        <span className="text-gray-500">{template.checklist.length} checklist items</span>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <button
+                      onClick={() => openForm(template)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Edit"
+                    >
+                      <Pencil size={16} />
+                    </button>
+                    <button
+                      onClick={() => setDeleting(template)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Delete"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+              </Card>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <Modal
+        isOpen={isFormOpen}
+        onClose={closeForm}
+        title={editing ? 'Edit template' : 'New template'}
+        size="lg"
+      >
+        <TemplateForm
+          key={editing?._id || 'new'}
+          template={editing}
+          onSubmit={handleSubmit}
+          onCancel={closeForm}
+          loading={createMutation.isLoading || updateMutation.isLoading}
+        />
+      </Modal>
+
+      <ConfirmModal
+        isOpen={Boolean(deleting)}
+        onClose={() => setDeleting(null)}
+        onConfirm={handleDelete}
+        title="Delete template"
+        message={<>Delete the template <strong>{deleting?.name}</strong>? Tasks created from it are kept.</>}
+        confirmLabel="Delete template"
+        loading={deleteMutation.isLoading}
+      />
+    </div>
+  );
+};
+
+export default TaskTemplates;
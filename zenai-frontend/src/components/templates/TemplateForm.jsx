@@ -0,0 +1,137 @@
+// src/components/templates/TemplateForm.jsx
+import React, { useState } from 'react';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import { validateForm } from '../../utils/validators';
+import { TASK_PRIORITY_LABELS } from '../../utils/constants';
+
+const fieldClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+const RULES = {
+  name: { required: true, label: 'Name', maxLength: 120 },
+  title: { required: true, label: 'Task title', maxLength: 300 },
+  description: { label: 'Description', maxLength: 10000 },
+  estimatedTime: { type: 'number', label: 'Estimate', min: 0, max: 1000 }
+};
+
+const TemplateForm = ({ template, onSubmit, onCancel, loading }) => {
+  const [form, setForm] = useState(() => ({
+    name: template?.name || '',
+    title: template?.title || '',
+    description: template?.description || '',
+    priority: template?.priority || 'medium',
+    estimatedTime: template?.estimatedTime ?? '',
+    tags: (template?.tags || []).join(', '),
+    checklist: (template?.checklist || []).join('\n')
+  }));
+  const [errors, setErrors] = useState({});
+
+  const update = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+    if (errors[field]) setErrors({ ...errors, [field]: undefined });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const result = validateForm(form, RULES);
+    setErrors(result.errors);
+    if (!result.isValid) return;
+
+    onSubmit({
+      name: form.name.trim(),
+      title: form.title.trim(),
+      description: form.description.trim(),
+      priority: form.priority,
+      estimatedTime: form.estimatedTime === '' ? null : Number(form.estimatedTime),
+      tags: form.tags.split(',').map((tag) => tag.trim()).filter(Boolean),
+      checklist: form.checklist.split('\n').map((item) => item.trim()).filter(Boolean)
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5" noValidate>
+      <p className="text-sm text-gray-500">
+        Write <code className="px-1 bg-gray-100 rounded">{'{name}'}</code> where a value should be asked for when the template is used.
+      </p>
+
+      <Input
+        label="Name"
+        value={form.name}
+        onChange={update('name')}
+        error={errors.name}
+        placeholder="Release"
+        autoFocus
+      />
+
+      <Input
+        label="Task title"
+        value={form.title}
+        onChange={update('title')}
+        error={errors.title}
+        placeholder="Release {version}"
+      />
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+        <textarea
+          value={form.description}
+          onChange={update('description')}
+          rows={6}
+          className={`${fieldClass} ${errors.description ? 'border-red-500' : ''}`}
+        />
+        {errors.description && <p className="mt-1 text-sm text-red-600">{errors.description}</p>}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Priority</label>
+          <select value={form.priority} onChange={update('priority')} className={fieldClass}>
+            {Object.entries(TASK_PRIORITY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <Input
+          label="Estimate (hours)"
+          type="number"
+          min="0"
+          step="0.5"
+          value={form.estimatedTime}
+          onChange={update('estimatedTime')}
+          error={errors.estimatedTime}
+        />
+      </div>
+
+      <Input
+        label="Tags"
+        value={form.tags}
+        onChange={update('tags')}
+        placeholder="release, ops"
+      />
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Checklist (one item per line)</label>
+        <textarea
+          value={form.checklist}
+          onChange={update('checklist')}
+          rows={4}
+          className={fieldClass}
+          placeholder={'Tag {version}\nAnnounce the release'}
+        />
+      </div>
+
+      <div className="flex justify-end gap-3 pt-2">
+        <Button type="button" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" loading={loading}>
+          {template ? 'Save changes' : 'Create template'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default TemplateForm;
@@ -0,0 +1,104 @@
+// src/components/templates/TemplatePicker.jsx
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useTaskTemplates } from '../../hooks/useTemplates';
+import { fillPlaceholders } from '../../utils/helpers';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Loading from '../common/Loading';
+import PlaceholderFields from './PlaceholderFields';
+
+const selectClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+// Creates a task from one of the project's templates; the server fills in
+// the placeholders, the title preview here only mirrors it
+const TemplatePicker = ({ projectId, members = [], onSubmit, onCancel, loading }) => {
+  const { data, isLoading } = useTaskTemplates(projectId);
+  const [templateId, setTemplateId] = useState('');
+  const [values, setValues] = useState({});
+  const [assignee, setAssignee] = useState('');
+  const [dueDate, setDueDate] = useState('');
+
+  const templates = data?.data?.templates || [];
+  const template = templates.find((t) => t._id === templateId) || templates[0];
+
+  if (isLoading) {
+    return <Loading text="Loading templates..." />;
+  }
+
+  if (!template) {
+    return (
+      <div className="text-center py-6 space-y-3">
+        <p className="text-gray-600">This project has no templates yet.</p>
+        <Link to={`/projects/${projectId}/templates`} className="text-primary-600 hover:text-primary-700">
+          Create one
+        </Link>
+      </div>
+    );
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    onSubmit({
+      template: template._id,
+      values,
+      assignee: assignee || null,
+      dueDate: dueDate || null
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Template</label>
+        <select
+          value={template._id}
+          onChange={(e) => { setTemplateId(e.target.value); setValues({}); }}
+          className={selectClass}
+        >
+          {templates.map((t) => (
+            <option key={t._id} value={t._id}>{t.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <PlaceholderFields template={template} values={values} onChange={setValues} />
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Assignee</label>
+          <select value={assignee} onChange={(e) => setAssignee(e.target.value)} className={selectClass}>
+            <option value="">Unassigned</option>
+            {members.map((member) => (
+              <option key={member._id} value={member._id}>{member.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <Input
+          label="Due date"
+          type="date"
+          value={dueDate}
+          onChange={(e) => setDueDate(e.target.value)}
+        />
+      </div>
+
+      <p className="text-sm text-gray-500">
+        Creates <strong className="text-gray-900">{fillPlaceholders(template.title, values).trim() || template.name}</strong>
+        {template.checklist?.length > 0 && ` with ${template.checklist.length} checklist items`}
+      </p>
+
+      <div className="flex justify-end gap-3 pt-2">
+        <Button type="button" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" loading={loading}>
+          Create task
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default TemplatePicker;
@@ -0,0 +1,100 @@
+// src/components/webhooks/WebhookDeliveries.jsx
+import React, { useState } from 'react';
+import { useWebhookDeliveries, useRedeliver } from '../../hooks/useWebhooks';
+import { ChevronDown, ChevronRight, RotateCcw } from 'lucide-react';
+import Button from '../common/Button';
+import { formatRelativeTime } from '../../utils/helpers';
+
+const STATUS_COLORS = {
+  success: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const WebhookDeliveries = ({ webhookId }) => {
+  const [page, setPage] = useState(1);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const { data, isLoading } = useWebhookDeliveries(webhookId, { page });
+  const redeliverMutation = useRedeliver(webhookId);
+
+  const deliveries = data?.data?.deliveries || [];
+  const pagination = data?.data?.pagination;
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-400">Loading deliveries...</p>;
+  }
+
+  if (deliveries.length === 0) {
+    return <p className="text-sm text-gray-400">No deliveries yet</p>;
+  }
+
+  return (
+    <div>
+      <div className="divide-y border rounded-lg">
+        {deliveries.map((delivery) => (
+          <div key={delivery._id}>
+            <div
+              onClick={() => setExpandedId(expandedId === delivery._id ? null : delivery._id)}
+              className="flex items-center gap-3 px-4 py-3 cursor-pointer hover:bg-gray-50"
+            >
+              {expandedId === delivery._id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+              <span className={`px-2 py-0.5 rounded text-xs font-semibold ${STATUS_COLORS[delivery.status]}`}>
+                {delivery.status}
+              </span>
+              <span className="font-mono text-sm text-gray-900">{delivery.event}</span>
+              <span className="text-sm text-gray-500">
+                {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : delivery.error}
+              </span>
+              <span className="ml-auto text-xs text-gray-400">
+                {delivery.attempts} attempt(s) · {formatRelativeTime(delivery.createdAt)}
+              </span>
+            </div>
+
+            {expandedId === delivery._id && (
+              <div className="px-4 pb-4 space-y-3">
+                <div>
+                  <p className="text-xs font-semibold text-gray-500 uppercase mb-1">Payload</p>
+                  <pre className="bg-gray-900 text-gray-100 text-xs rounded-lg p-3 overflow-x-auto">
+                    {JSON.stringify(delivery.payload, null, 2)}
+                  </pre>
+                </div>
+                {delivery.responseBody && (
+                  <div>
+                    <p className="text-xs font-semibold text-gray-500 uppercase mb-1">Response</p>
+                    <pre className="bg-gray-50 text-gray-700 text-xs rounded-lg p-3 overflow-x-auto whitespace-pre-wrap">
+                      {delivery.responseBody}
+                    </pre>
+                  </div>
+                )}
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => redeliverMutation.mutate(delivery._id)}
+                  loading={redeliverMutation.isLoading}
+                >
+                  <RotateCcw size={14} />
+                  Redeliver
+                </Button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-end gap-2 mt-3">
+          <Button size="sm" variant="ghost" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            Previous
+          </Button>
+          <span className="text-sm text-gray-500">{page} / {pagination.pages}</span>
+          <Button size="sm" variant="ghost" disabled={page >= pagination.pages} onClick={() => setPage(page + 1)}>
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookDeliveries;
@@ -0,0 +1,256 @@
+// src/components/webhooks/WebhookSettings.jsx
+import React, { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  useWebhooks,
+  useCreateWebhook,
+  useUpdateWebhook,
+  useDeleteWebhook,
+  useRotateWebhookSecret,
+  useSendTestEvent
+} from '../../hooks/useWebhooks';
+import { Plus, Webhook, Send, KeyRound, Trash2, Copy } from 'lucide-react';
+import Button from '../common/Button';
+import Card from '../common/Card';
+import Input from '../common/Input';
+import Modal from '../common/Modal';
+import Loading from '../common/Loading';
+import WebhookDeliveries from './WebhookDeliveries';
+import { copyToClipboard, formatRelativeTime } from '../../utils/helpers';
+import toast from 'react-hot-toast';
+
+const WebhookSettings = () => {
+  const { projectId } = useParams();
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form, setForm] = useState({ url: '', description: '', events: [] });
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data, isLoading } = useWebhooks(projectId);
+  const createMutation = useCreateWebhook();
+  const updateMutation = useUpdateWebhook();
+  const deleteMutation = useDeleteWebhook();
+  const rotateMutation = useRotateWebhookSecret();
+  const testMutation = useSendTestEvent();
+
+  const webhooks = data?.data?.webhooks || [];
+  const availableEvents = data?.data?.events || [];
+
+  const toggleEvent = (event) => {
+    const events = form.events.includes(event)
+      ? form.events.filter(e => e !== event)
+      : [...form.events, event];
+    setForm({ ...form, events });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (form.events.length === 0) {
+      toast.error('Select at least one event');
+      return;
+    }
+
+    const response = await createMutation.mutateAsync({
+      ...form,
+      ...(projectId && { projectId })
+    });
+
+    setIsFormOpen(false);
+    setForm({ url: '', description: '', events: [] });
+    setRevealedSecret(response.data.secret);
+  };
+
+  const handleRotate = async (webhook) => {
+    if (!window.confirm('Rotate the signing secret? The old secret stops working immediately.')) return;
+
+    const response = await rotateMutation.mutateAsync(webhook._id);
+    setRevealedSecret(response.data.secret);
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete webhook to ${webhook.url}?`)) return;
+
+    await deleteMutation.mutateAsync(webhook._id);
+    if (selectedId === webhook._id) setSelectedId(null);
+  };
+
+  const handleCopySecret = async () => {
+    await copyToClipboard(revealedSecret);
+    toast.success('Secret copied');
+  };
+
+  if (isLoading) {
+    return <Loading fullScreen text="Loading webhooks..." />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Webhooks</h1>
+            <p className="text-gray-600 mt-2">
+              {projectId
+                ? 'Send this project\'s events to your own services'
+                : 'Send events from every project you own to your own services'}
+            </p>
+          </div>
+          <Button onClick={() => setIsFormOpen(true)}>
+            <Plus size={20} />
+            Add webhook
+          </Button>
+        </div>
+
+        {webhooks.length === 0 ? (
+          <Card className="text-center py-12">
+            <Webhook className="mx-auto text-gray-300 mb-3" size={48} />
+            <p className="text-gray-600">No webhooks yet</p>
+          </Card>
+        ) : (
+          <div className="space-y-4">
+            {webhooks.map((webhook) => (
+              <Card key={webhook._id} className={webhook.active ? '' : 'opacity-60'}>
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <p className="font-mono text-sm font-semibold text-gray-900 truncate">{webhook.url}</p>
+                    {webhook.description && (
+                      <p className="text-sm text-gray-600 mt-1">{webhook.description}</p>
+                    )}
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {webhook.events.map((event) => (
+                        <span key={event} className="px-2 py-1 rounded bg-gray-100 text-gray-700 text-xs font-mono">
+                          {event}
+                        </span>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-400 mt-3">
+                      {webhook.lastDeliveryAt
+                        ? `Last delivery ${webhook.lastDeliveryStatus} · ${formatRelativeTime(webhook.lastDeliveryAt)}`
+                        : 'No deliveries yet'}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={webhook.active}
+                        onChange={() => updateMutation.mutate({
+                          id: webhook._id,
+                          data: { active: !webhook.active }
+                        })}
+                      />
+                      Active
+                    </label>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => testMutation.mutate(webhook._id)}
+                      loading={testMutation.isLoading && testMutation.variables === webhook._id}
+                    >
+                      <Send size={14} />
+                      Send test event
+                    </Button>
+                    <button
+                      onClick={() => handleRotate(webhook)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Rotate secret"
+                    >
+                      <KeyRound size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(webhook)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Delete"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+
+                <button
+                  onClick={() => setSelectedId(selectedId === webhook._id ? null : webhook._id)}
+                  className="mt-4 text-sm text-primary-600 hover:text-primary-700"
+                >
+                  {selectedId === webhook._id ? 'Hide deliveries' : 'Show deliveries'}
+                </button>
+
+                {selectedId === webhook._id && (
+                  <div className="mt-4">
+                    <WebhookDeliveries webhookId={webhook._id} />
+                  </div>
+                )}
+              </Card>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Create */}
+      <Modal isOpen={isFormOpen} onClose={() => setIsFormOpen(false)} title="Add webhook">
+        <form onSubmit={handleCreate} className="space-y-4">
+          <Input
+            label="Payload URL"
+            type="url"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="https://example.com/hooks/zenai"
+            required
+          />
+          <Input
+            label="Description"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Release tracker"
+          />
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Events</label>
+            <div className="grid grid-cols-2 gap-2">
+              {availableEvents.map((event) => (
+                <label key={event} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.events.includes(event)}
+                    onChange={() => toggleEvent(event)}
+                  />
+                  <span className="font-mono">{event}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="flex gap-3 justify-end">
+            <Button type="button" variant="ghost" onClick={() => setIsFormOpen(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={createMutation.isLoading}>
+              Create webhook
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Secret, shown once */}
+      <Modal isOpen={!!revealedSecret} onClose={() => setRevealedSecret(null)} title="Signing secret" size="sm">
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Copy this secret now. It won't be shown again. Use it to verify the
+            <code className="mx-1">X-ZenAI-Signature</code> header on each delivery.
+          </p>
+          <div className="flex items-center gap-2 bg-gray-100 rounded-lg p-3">
+            <code className="flex-1 text-sm break-all">{revealedSecret}</code>
+            <button onClick={handleCopySecret} className="text-gray-500 hover:text-gray-700" title="Copy">
+              <Copy size={16} />
+            </button>
+          </div>
+          <div className="flex justify-end">
+            <Button onClick={() => setRevealedSecret(null)}>Done</Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default WebhookSettings;
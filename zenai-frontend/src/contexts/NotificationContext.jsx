@@ -0,0 +1,86 @@
+// src/contexts/NotificationContext.jsx
+import React, { createContext, useContext, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import notificationService from '../services/notification.service';
+import socketService from '../services/socket';
+import toast from 'react-hot-toast';
+
+const NotificationContext = createContext(null);
+
+const QUERY_KEY = 'notifications';
+
+export const NotificationProvider = ({ children }) => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery(
+    QUERY_KEY,
+    () => notificationService.getNotifications({ limit: 20 }),
+    {
+      staleTime: 60 * 1000,
+    }
+  );
+
+  // New notifications arrive over the socket; refetch so the badge and
+  // list stay in sync with the server
+  useEffect(() => {
+    const onNotification = (payload) => {
+      toast(payload.data.title, { icon: '🔔' });
+      queryClient.invalidateQueries(QUERY_KEY);
+    };
+
+    socketService.on('notification.created', onNotification);
+    return () => socketService.off('notification.created', onNotification);
+  }, [queryClient]);
+
+  const invalidate = () => queryClient.invalidateQueries(QUERY_KEY);
+
+  const markAsRead = useMutation(
+    (id) => notificationService.markAsRead(id),
+    { onSuccess: invalidate }
+  );
+
+  const markAllAsRead = useMutation(
+    () => notificationService.markAllAsRead(),
+    { onSuccess: invalidate }
+  );
+
+  const muteProject = useMutation(
+    (projectId) => notificationService.muteProject(projectId),
+    {
+      onSuccess: (response) => {
+        invalidate();
+        toast.success(response.message);
+      }
+    }
+  );
+
+  const unmuteProject = useMutation(
+    (projectId) => notificationService.unmuteProject(projectId),
+    { onSuccess: invalidate }
+  );
+
+  const value = {
+    notifications: data?.data?.notifications || [],
+    unreadCount: data?.data?.unreadCount || 0,
+    mutedProjects: data?.data?.mutedProjects || [],
+    isLoading,
+    markAsRead: markAsRead.mutate,
+    markAllAsRead: markAllAsRead.mutate,
+    muteProject: muteProject.mutate,
+    unmuteProject: unmuteProject.mutate,
+  };
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+    </NotificationContext.Provider>
+  );
+};
+
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+};
@@ -1,5 +1,6 @@
 // src/hooks/useAI.js
-import { useMutation, useQuery } from 'react-query';
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from 'react-query';
 import aiService from '../services/ai.service';
 import toast from 'react-hot-toast';
 
@@ -14,6 +15,42 @@ export const useAIChat = () => {
   );
 };
 
+export const useAIChatStream = () => {
+  const [isStreaming, setIsStreaming] = useState(false);
+  const controllerRef = useRef(null);
+
+  const send = useCallback(async ({ message, context, conversationId, onToken }) => {
+    controllerRef.current = new AbortController();
+    setIsStreaming(true);
+
+    try {
+      return await aiService.streamChat(message, context, {
+        conversationId,
+        onToken,
+        signal: controllerRef.current.signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return null;
+      }
+      toast.error('Failed to get AI response');
+      throw error;
+    } finally {
+      controllerRef.current = null;
+      setIsStreaming(false);
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  // Stop streaming if the chat unmounts mid-answer
+  useEffect(() => cancel, [cancel]);
+
+  return { send, cancel, isStreaming };
+};
+
 export const useAITaskCreation = () => {
   return useMutation(
     ({ description, projectId }) => aiService.createTaskWithAI(description, projectId),
@@ -36,6 +73,11 @@ export const useTaskAnalysis = (taskId) => {
   );
 };
 
+// Fetched on demand; nothing is saved until the suggestions are accepted
+export const useSuggestBreakdown = () => {
+  return useMutation((taskId) => aiService.suggestBreakdown(taskId));
+};
+
 export const useProjectAnalysis = (projectId) => {
   return useQuery(
     ['project-analysis', projectId],
@@ -52,15 +94,76 @@ export const useAudioTranscription = () => {
     ({ file, metadata }) => aiService.transcribeAudio(file, metadata),
     {
       onSuccess: () => {
-        toast.success('Audio transcribed successfully!');
+        toast.success('Transcription started');
       }
     }
   );
 };
 
+const FINISHED_JOB_STATES = ['completed', 'failed'];
+
+// Poll a background job until it completes or fails
+export const useJob = (jobId, options = {}) => {
+  return useQuery(
+    ['job', jobId],
+    () => aiService.getJob(jobId),
+    {
+      enabled: !!jobId,
+      refetchInterval: (data) =>
+        FINISHED_JOB_STATES.includes(data?.data?.state) ? false : 2000,
+      ...options
+    }
+  );
+};
+
 export const useChatHistory = (params = {}) => {
   return useQuery(
     ['chat-history', params],
     () => aiService.getChatHistory(params)
   );
-};
\ No newline at end of file
+};
+
+export const useConversations = (params = {}) => {
+  return useQuery(
+    ['conversations', params],
+    () => aiService.getConversations(params)
+  );
+};
+
+export const useConversation = (id) => {
+  return useQuery(
+    ['conversation', id],
+    () => aiService.getConversation(id),
+    {
+      enabled: !!id,
+    }
+  );
+};
+
+export const useUpdateConversation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ id, data }) => aiService.updateConversation(id, data),
+    {
+      onSuccess: (_, variables) => {
+        queryClient.invalidateQueries('conversations');
+        queryClient.invalidateQueries(['conversation', variables.id]);
+      }
+    }
+  );
+};
+
+export const useDeleteConversation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (id) => aiService.deleteConversation(id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('conversations');
+        toast.success('Conversation deleted');
+      }
+    }
+  );
+};
@@ -0,0 +1,41 @@
+// src/hooks/useAPIKeys.js
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import apiKeyService from '../services/apiKey.service';
+import toast from 'react-hot-toast';
+
+export const useAPIKeys = (params = {}) => {
+  return useQuery(
+    ['api-keys', params],
+    () => apiKeyService.getAPIKeys(params)
+  );
+};
+
+export const useCreateAPIKey = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (data) => apiKeyService.createAPIKey(data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('api-keys');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to create API key');
+      }
+    }
+  );
+};
+
+export const useRevokeAPIKey = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (id) => apiKeyService.revokeAPIKey(id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('api-keys');
+        toast.success('API key revoked');
+      }
+    }
+  );
+};
@@ -0,0 +1,72 @@
+// src/hooks/useAutomations.js
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import automationService from '../services/automation.service';
+import toast from 'react-hot-toast';
+
+export const useAutomationRules = (projectId) => {
+  return useQuery(
+    ['automations', projectId],
+    () => automationService.getRules(projectId),
+    {
+      enabled: !!projectId,
+    }
+  );
+};
+
+export const useAutomationLogs = (projectId, params = {}) => {
+  return useQuery(
+    ['automation-logs', projectId, params],
+    () => automationService.getLogs(projectId, params),
+    {
+      enabled: !!projectId,
+      keepPreviousData: true,
+    }
+  );
+};
+
+export const useCreateAutomationRule = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (data) => automationService.createRule(projectId, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['automations', projectId]);
+        toast.success('Automation created!');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to create automation');
+      }
+    }
+  );
+};
+
+export const useUpdateAutomationRule = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ id, data }) => automationService.updateRule(projectId, id, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['automations', projectId]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update automation');
+      }
+    }
+  );
+};
+
+export const useDeleteAutomationRule = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (id) => automationService.deleteRule(projectId, id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['automations', projectId]);
+        toast.success('Automation deleted');
+      }
+    }
+  );
+};
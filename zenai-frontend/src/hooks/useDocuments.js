@@ -0,0 +1,70 @@
+// src/hooks/useDocuments.js
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import aiService from '../services/ai.service';
+import toast from 'react-hot-toast';
+
+const INDEXING_STATUSES = ['pending', 'indexing'];
+
+export const useProjectDocuments = (projectId) => {
+  return useQuery(
+    ['project-documents', projectId],
+    () => aiService.getProjectDocuments(projectId),
+    {
+      enabled: !!projectId,
+      // Poll while the worker is still indexing a document
+      refetchInterval: (data) =>
+        data?.data?.some(document => INDEXING_STATUSES.includes(document.status)) ? 3000 : false,
+    }
+  );
+};
+
+export const useUploadProjectDocument = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (file) => aiService.uploadProjectDocument(projectId, file),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['project-documents', projectId]);
+        toast.success(response.message || 'Document uploaded');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to upload document');
+      }
+    }
+  );
+};
+
+export const useReindexProjectDocument = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (documentId) => aiService.reindexProjectDocument(projectId, documentId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['project-documents', projectId]);
+        toast.success('Re-indexing document');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to re-index document');
+      }
+    }
+  );
+};
+
+export const useDeleteProjectDocument = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (documentId) => aiService.deleteProjectDocument(projectId, documentId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['project-documents', projectId]);
+        toast.success('Document deleted');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete document');
+      }
+    }
+  );
+};
@@ -0,0 +1,87 @@
+// src/hooks/useIntegrations.js
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import integrationService from '../services/integration.service';
+import toast from 'react-hot-toast';
+
+export const useIntegrations = (params = {}) => {
+  return useQuery(
+    ['integrations', params],
+    () => integrationService.getIntegrations(params)
+  );
+};
+
+export const useCreateIntegration = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (data) => integrationService.createIntegration(data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('integrations');
+        toast.success('Integration added!');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to add integration');
+      }
+    }
+  );
+};
+
+export const useUpdateIntegration = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ id, data }) => integrationService.updateIntegration(id, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('integrations');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update integration');
+      }
+    }
+  );
+};
+
+export const useDeleteIntegration = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (id) => integrationService.deleteIntegration(id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('integrations');
+        toast.success('Integration removed');
+      }
+    }
+  );
+};
+
+export const useTestIntegration = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (id) => integrationService.testConnection(id),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries('integrations');
+        if (response.success) {
+          toast.success(response.message);
+        } else {
+          toast.error(response.message);
+        }
+      }
+    }
+  );
+};
+
+export const useSyncIntegration = () => {
+  return useMutation(
+    (id) => integrationService.syncIntegration(id),
+    {
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to queue sync');
+      }
+    }
+  );
+};
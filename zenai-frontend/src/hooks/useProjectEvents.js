@@ -0,0 +1,47 @@
+// src/hooks/useProjectEvents.js
+import { useEffect } from 'react';
+import { useQueryClient } from 'react-query';
+import socketService from '../services/socket';
+
+const TASK_EVENTS = ['task.created', 'task.updated', 'task.deleted', 'tasks.reordered', 'comment.added'];
+
+// Keep cached project/task queries fresh while a project is on screen
+export const useProjectEvents = (projectId) => {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!projectId) return undefined;
+
+    socketService.joinProject(projectId);
+
+    const onTaskEvent = (payload) => {
+      if (payload.projectId !== projectId) return;
+
+      queryClient.invalidateQueries(['tasks', projectId]);
+      queryClient.invalidateQueries(['project', projectId]);
+      queryClient.invalidateQueries(['dependency-graph', projectId]);
+      if (payload.data?._id) {
+        queryClient.invalidateQueries(['task', payload.data._id]);
+      }
+      if (payload.data?.taskId) {
+        queryClient.invalidateQueries(['task', payload.data.taskId]);
+      }
+    };
+
+    const onProjectEvent = (payload) => {
+      if (payload.projectId !== projectId) return;
+
+      queryClient.invalidateQueries('projects');
+      queryClient.invalidateQueries(['project', projectId]);
+    };
+
+    TASK_EVENTS.forEach(event => socketService.on(event, onTaskEvent));
+    socketService.on('project.updated', onProjectEvent);
+
+    return () => {
+      TASK_EVENTS.forEach(event => socketService.off(event, onTaskEvent));
+      socketService.off('project.updated', onProjectEvent);
+      socketService.leaveProject(projectId);
+    };
+  }, [projectId, queryClient]);
+};
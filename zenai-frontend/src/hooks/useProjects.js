@@ -23,6 +23,16 @@ export const useProject = (id) => {
   );
 };
 
+export const useDependencyGraph = (id) => {
+  return useQuery(
+    ['dependency-graph', id],
+    () => projectService.getDependencyGraph(id),
+    {
+      enabled: !!id,
+    }
+  );
+};
+
 export const useCreateProject = () => {
   const queryClient = useQueryClient();
 
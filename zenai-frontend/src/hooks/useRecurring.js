@@ -0,0 +1,84 @@
+// src/hooks/useRecurring.js
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import recurringService from '../services/recurring.service';
+import toast from 'react-hot-toast';
+
+const ACTION_MESSAGES = {
+  pause: 'Rule paused',
+  resume: 'Rule resumed',
+  skip: 'Next run skipped'
+};
+
+export const useRecurringRules = (projectId) => {
+  return useQuery(
+    ['recurring-rules', projectId],
+    () => recurringService.getRules(projectId),
+    {
+      enabled: !!projectId,
+      // Next run times move as the scheduler creates tasks
+      refetchInterval: 60 * 1000,
+    }
+  );
+};
+
+export const useCreateRecurringRule = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (data) => recurringService.createRule(projectId, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['recurring-rules', projectId]);
+        toast.success('Recurring task scheduled!');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to schedule recurring task');
+      }
+    }
+  );
+};
+
+export const useUpdateRecurringRule = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ id, data }) => recurringService.updateRule(projectId, id, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['recurring-rules', projectId]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update recurring task');
+      }
+    }
+  );
+};
+
+export const useDeleteRecurringRule = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (id) => recurringService.deleteRule(projectId, id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['recurring-rules', projectId]);
+        toast.success('Recurring task deleted');
+      }
+    }
+  );
+};
+
+// Pause, resume or skip the next run of a rule
+export const useRecurringRuleAction = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ id, action }) => recurringService.runAction(projectId, id, action),
+    {
+      onSuccess: (_, { action }) => {
+        queryClient.invalidateQueries(['recurring-rules', projectId]);
+        toast.success(ACTION_MESSAGES[action]);
+      }
+    }
+  );
+};
@@ -0,0 +1,31 @@
+// src/hooks/useSearch.js
+import { useEffect, useState } from 'react';
+import { useQuery } from 'react-query';
+import searchService from '../services/search.service';
+
+// Waits for typing to pause before the query changes
+export const useDebouncedValue = (value, wait = 250) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebounced(value), wait);
+    return () => clearTimeout(timeout);
+  }, [value, wait]);
+
+  return debounced;
+};
+
+export const useSearch = (q, params = {}) => {
+  const query = q.trim();
+
+  return useQuery(
+    ['search', query, params],
+    () => searchService.search(query, params),
+    {
+      enabled: query.length >= 2,
+      keepPreviousData: true,
+      staleTime: 30 * 1000,
+      retry: false,
+    }
+  );
+};
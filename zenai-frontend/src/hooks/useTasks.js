@@ -29,8 +29,11 @@ export const useCreateTask = () => {
   return useMutation(
     (data) => taskService.createTask(data),
     {
-      onSuccess: () => {
+      onSuccess: (_, variables) => {
         queryClient.invalidateQueries('tasks');
+        if (variables.parentTask) {
+          queryClient.invalidateQueries(['task', variables.parentTask]);
+        }
         toast.success('Task created successfully!');
       }
     }
@@ -46,6 +49,7 @@ export const useUpdateTask = () => {
       onSuccess: (_, variables) => {
         queryClient.invalidateQueries('tasks');
         queryClient.invalidateQueries(['task', variables.id]);
+        queryClient.invalidateQueries('dependency-graph');
         toast.success('Task updated successfully!');
       }
     }
@@ -64,4 +68,95 @@ export const useDeleteTask = () => {
       }
     }
   );
-};
\ No newline at end of file
+};
+// Every task of a project in board order
+export const BOARD_PARAMS = { sort: 'position', limit: 500 };
+
+export const useBoardTasks = (projectId) => useTasks(projectId, BOARD_PARAMS);
+
+// Moves cards in the cache straight away and puts them back if the server
+// refuses, e.g. when a column's WIP limit is reached. The API interceptor
+// shows the server's message.
+export const useReorderTasks = (projectId) => {
+  const queryClient = useQueryClient();
+  const queryKey = ['tasks', projectId, BOARD_PARAMS];
+
+  return useMutation(
+    (moves) => taskService.reorderTasks(projectId, moves),
+    {
+      onMutate: async (moves) => {
+        await queryClient.cancelQueries(queryKey);
+        const previous = queryClient.getQueryData(queryKey);
+        const byId = new Map(moves.map((move) => [move.id, move]));
+
+        queryClient.setQueryData(queryKey, (old) => old && {
+          ...old,
+          data: {
+            ...old.data,
+            tasks: old.data.tasks.map((task) => {
+              const move = byId.get(task._id);
+              return move ? { ...task, status: move.status, position: move.position } : task;
+            }),
+          },
+        });
+
+        return { previous };
+      },
+      onError: (_, __, context) => {
+        queryClient.setQueryData(queryKey, context?.previous);
+      },
+      onSettled: () => {
+        queryClient.invalidateQueries(['tasks', projectId]);
+        queryClient.invalidateQueries(['project', projectId]);
+      }
+    }
+  );
+};
+
+export const useAddComment = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ id, text }) => taskService.addComment(id, text),
+    {
+      onSuccess: (_, variables) => {
+        queryClient.invalidateQueries(['task', variables.id]);
+      }
+    }
+  );
+};
+
+// Turns accepted breakdown suggestions into child tasks
+export const useCreateSubtasks = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ id, subtasks }) => taskService.createSubtasks(id, subtasks),
+    {
+      onSuccess: (response, variables) => {
+        queryClient.invalidateQueries('tasks');
+        queryClient.invalidateQueries(['task', variables.id]);
+        toast.success(`${response.data.length} subtask${response.data.length === 1 ? '' : 's'} created`);
+      }
+    }
+  );
+};
+
+// Add, edit, tick or remove a checklist item: { action, id, itemId, text, done }
+export const useChecklist = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ action, id, itemId, ...data }) => {
+      if (action === 'add') return taskService.addChecklistItem(id, data.text);
+      if (action === 'delete') return taskService.deleteChecklistItem(id, itemId);
+      return taskService.updateChecklistItem(id, itemId, data);
+    },
+    {
+      onSuccess: (_, variables) => {
+        queryClient.invalidateQueries(['task', variables.id]);
+        queryClient.invalidateQueries('tasks');
+      }
+    }
+  );
+};
@@ -0,0 +1,61 @@
+// src/hooks/useTemplates.js
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import templateService from '../services/template.service';
+import toast from 'react-hot-toast';
+
+export const useTaskTemplates = (projectId) => {
+  return useQuery(
+    ['task-templates', projectId],
+    () => templateService.getTemplates(projectId),
+    {
+      enabled: !!projectId,
+    }
+  );
+};
+
+export const useCreateTaskTemplate = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (data) => templateService.createTemplate(projectId, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['task-templates', projectId]);
+        toast.success('Template saved!');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save template');
+      }
+    }
+  );
+};
+
+export const useUpdateTaskTemplate = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ id, data }) => templateService.updateTemplate(projectId, id, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['task-templates', projectId]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update template');
+      }
+    }
+  );
+};
+
+export const useDeleteTaskTemplate = (projectId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (id) => templateService.deleteTemplate(projectId, id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['task-templates', projectId]);
+        toast.success('Template deleted');
+      }
+    }
+  );
+};
@@ -0,0 +1,109 @@
+// src/hooks/useWebhooks.js
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import webhookService from '../services/webhook.service';
+import toast from 'react-hot-toast';
+
+export const useWebhooks = (projectId) => {
+  return useQuery(
+    ['webhooks', projectId || 'account'],
+    () => webhookService.getWebhooks(projectId ? { projectId } : {})
+  );
+};
+
+export const useWebhookDeliveries = (webhookId, params = {}) => {
+  return useQuery(
+    ['webhook-deliveries', webhookId, params],
+    () => webhookService.getDeliveries(webhookId, params),
+    {
+      enabled: !!webhookId,
+      keepPreviousData: true,
+      // Pending deliveries are still being retried by the queue
+      refetchInterval: (data) =>
+        data?.data?.deliveries?.some(d => d.status === 'pending') ? 5000 : false,
+    }
+  );
+};
+
+export const useCreateWebhook = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (data) => webhookService.createWebhook(data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('webhooks');
+        toast.success('Webhook created!');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to create webhook');
+      }
+    }
+  );
+};
+
+export const useUpdateWebhook = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    ({ id, data }) => webhookService.updateWebhook(id, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('webhooks');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update webhook');
+      }
+    }
+  );
+};
+
+export const useDeleteWebhook = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (id) => webhookService.deleteWebhook(id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('webhooks');
+        toast.success('Webhook deleted');
+      }
+    }
+  );
+};
+
+export const useRotateWebhookSecret = () => {
+  return useMutation((id) => webhookService.rotateSecret(id));
+};
+
+export const useSendTestEvent = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (id) => webhookService.sendTestEvent(id),
+    {
+      onSuccess: (response, id) => {
+        queryClient.invalidateQueries(['webhook-deliveries', id]);
+        queryClient.invalidateQueries('webhooks');
+        if (response.success) {
+          toast.success(response.message);
+        } else {
+          toast.error(response.message);
+        }
+      }
+    }
+  );
+};
+
+export const useRedeliver = (webhookId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation(
+    (deliveryId) => webhookService.redeliver(webhookId, deliveryId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['webhook-deliveries', webhookId]);
+        toast.success('Redelivery queued');
+      }
+    }
+  );
+};
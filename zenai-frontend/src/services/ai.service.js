@@ -1,11 +1,67 @@
 // src/services/ai.service.js
-import api from './api';
+import api, { refreshAccessToken } from './api';
 
 const aiService = {
   async chat(message, context = {}) {
     return await api.post('/ai/chat', { message, context });
   },
 
+  // Streams the answer over SSE; axios can't read a response body incrementally
+  async streamChat(message, context = {}, { conversationId, onToken, signal } = {}) {
+    const send = () => fetch(`${import.meta.env.VITE_API_URL}/ai/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${localStorage.getItem('accessToken')}`,
+      },
+      body: JSON.stringify({ message, context, conversationId, stream: true }),
+      signal,
+    });
+
+    // An expired token is refreshed and the message sent once more, as the
+    // api interceptor does for every other request
+    let response = await send();
+    if (response.status === 401) {
+      await refreshAccessToken();
+      response = await send();
+    }
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || 'Failed to get AI response');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const event of events) {
+        if (!event.startsWith('data: ')) continue;
+
+        const payload = JSON.parse(event.substring(6));
+
+        if (payload.type === 'token') {
+          onToken?.(payload.content);
+        } else if (payload.type === 'done') {
+          result = payload.data;
+        } else if (payload.type === 'error') {
+          throw new Error(payload.message);
+        }
+      }
+    }
+
+    return result;
+  },
+
   async createTaskWithAI(description, projectId) {
     return await api.post('/ai/tasks/create', { description, projectId });
   },
@@ -37,10 +93,55 @@ const aiService = {
     });
   },
 
+  async getJob(jobId) {
+    return await api.get(`/jobs/${jobId}`);
+  },
+
   async getChatHistory(params = {}) {
     return await api.get('/ai/chat/history', { params });
   },
 
+  async getConversations(params = {}) {
+    return await api.get('/ai/conversations', { params });
+  },
+
+  async getConversation(id) {
+    return await api.get(`/ai/conversations/${id}`);
+  },
+
+  async createConversation(data) {
+    return await api.post('/ai/conversations', data);
+  },
+
+  async updateConversation(id, data) {
+    return await api.put(`/ai/conversations/${id}`, data);
+  },
+
+  async deleteConversation(id) {
+    return await api.delete(`/ai/conversations/${id}`);
+  },
+
+  async getProjectDocuments(projectId) {
+    return await api.get(`/ai/projects/${projectId}/documents`);
+  },
+
+  async uploadProjectDocument(projectId, file) {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    return await api.post(`/ai/projects/${projectId}/documents`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+
+  async reindexProjectDocument(projectId, documentId) {
+    return await api.post(`/ai/projects/${projectId}/documents/${documentId}/reindex`);
+  },
+
+  async deleteProjectDocument(projectId, documentId) {
+    return await api.delete(`/ai/projects/${projectId}/documents/${documentId}`);
+  },
+
   async indexDocument(content, metadata) {
     return await api.post('/ai/documents/index', { content, metadata });
   },
@@ -24,6 +24,26 @@ api.interceptors.request.use(
   }
 );
 
+// Trades the refresh token for a new access token. When that fails the
+// session is over: storage is cleared and the user sent to the login page.
+export const refreshAccessToken = async () => {
+  try {
+    const refreshToken = localStorage.getItem('refreshToken');
+    const response = await axios.post(
+      `${import.meta.env.VITE_API_URL}/auth/refresh`,
+      { refreshToken }
+    );
+
+    const { accessToken } = response.data.data;
+    localStorage.setItem('accessToken', accessToken);
+    return accessToken;
+  } catch (refreshError) {
+    localStorage.clear();
+    window.location.href = '/login';
+    throw refreshError;
+  }
+};
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => {
@@ -36,23 +56,9 @@ api.interceptors.response.use(
     if (error.response?.status === 401 && !originalRequest._retry) {
       originalRequest._retry = true;
 
-      try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        const response = await axios.post(
-          `${import.meta.env.VITE_API_URL}/auth/refresh`,
-          { refreshToken }
-        );
-
-        const { accessToken } = response.data.data;
-        localStorage.setItem('accessToken', accessToken);
-
-        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
-        return api(originalRequest);
-      } catch (refreshError) {
-        localStorage.clear();
-        window.location.href = '/login';
-        return Promise.reject(refreshError);
-      }
+      const accessToken = await refreshAccessToken();
+      originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+      return api(originalRequest);
     }
 
     // Handle errors
@@ -0,0 +1,22 @@
+// src/services/apiKey.service.js
+import api from './api';
+
+const apiKeyService = {
+  async getAPIKeys(params = {}) {
+    return await api.get('/users/me/api-keys', { params });
+  },
+
+  async createAPIKey(data) {
+    return await api.post('/users/me/api-keys', data);
+  },
+
+  async updateAPIKey(id, data) {
+    return await api.put(`/users/me/api-keys/${id}`, data);
+  },
+
+  async revokeAPIKey(id) {
+    return await api.delete(`/users/me/api-keys/${id}`);
+  }
+};
+
+export default apiKeyService;
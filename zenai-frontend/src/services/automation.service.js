@@ -0,0 +1,26 @@
+// src/services/automation.service.js
+import api from './api';
+
+const automationService = {
+  async getRules(projectId) {
+    return await api.get(`/projects/${projectId}/automations`);
+  },
+
+  async createRule(projectId, data) {
+    return await api.post(`/projects/${projectId}/automations`, data);
+  },
+
+  async updateRule(projectId, ruleId, data) {
+    return await api.put(`/projects/${projectId}/automations/${ruleId}`, data);
+  },
+
+  async deleteRule(projectId, ruleId) {
+    return await api.delete(`/projects/${projectId}/automations/${ruleId}`);
+  },
+
+  async getLogs(projectId, params = {}) {
+    return await api.get(`/projects/${projectId}/automations/logs`, { params });
+  }
+};
+
+export default automationService;
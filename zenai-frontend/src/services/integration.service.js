@@ -0,0 +1,30 @@
+// src/services/integration.service.js
+import api from './api';
+
+const integrationService = {
+  async getIntegrations(params = {}) {
+    return await api.get('/integrations', { params });
+  },
+
+  async createIntegration(data) {
+    return await api.post('/integrations', data);
+  },
+
+  async updateIntegration(id, data) {
+    return await api.put(`/integrations/${id}`, data);
+  },
+
+  async deleteIntegration(id) {
+    return await api.delete(`/integrations/${id}`);
+  },
+
+  async testConnection(id) {
+    return await api.post(`/integrations/${id}/test`);
+  },
+
+  async syncIntegration(id) {
+    return await api.post(`/integrations/${id}/sync`);
+  }
+};
+
+export default integrationService;
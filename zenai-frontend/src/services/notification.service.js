@@ -0,0 +1,26 @@
+// src/services/notification.service.js
+import api from './api';
+
+const notificationService = {
+  async getNotifications(params = {}) {
+    return await api.get('/notifications', { params });
+  },
+
+  async markAsRead(id) {
+    return await api.put(`/notifications/${id}/read`);
+  },
+
+  async markAllAsRead() {
+    return await api.put('/notifications/read-all');
+  },
+
+  async muteProject(projectId) {
+    return await api.put(`/notifications/mutes/${projectId}`);
+  },
+
+  async unmuteProject(projectId) {
+    return await api.delete(`/notifications/mutes/${projectId}`);
+  }
+};
+
+export default notificationService;
@@ -22,6 +22,10 @@ const projectService = {
     return await api.delete(`/projects/${id}`);
   },
 
+  async getDependencyGraph(id) {
+    return await api.get(`/projects/${id}/dependency-graph`);
+  },
+
   async updateProgress(id) {
     return await api.put(`/projects/${id}/progress`);
   }
@@ -0,0 +1,27 @@
+// src/services/recurring.service.js
+import api from './api';
+
+const recurringService = {
+  async getRules(projectId) {
+    return await api.get(`/projects/${projectId}/recurring`);
+  },
+
+  async createRule(projectId, data) {
+    return await api.post(`/projects/${projectId}/recurring`, data);
+  },
+
+  async updateRule(projectId, ruleId, data) {
+    return await api.put(`/projects/${projectId}/recurring/${ruleId}`, data);
+  },
+
+  async deleteRule(projectId, ruleId) {
+    return await api.delete(`/projects/${projectId}/recurring/${ruleId}`);
+  },
+
+  // `action` is pause, resume or skip
+  async runAction(projectId, ruleId, action) {
+    return await api.post(`/projects/${projectId}/recurring/${ruleId}/${action}`);
+  }
+};
+
+export default recurringService;
@@ -0,0 +1,10 @@
+// src/services/search.service.js
+import api from './api';
+
+const searchService = {
+  async search(q, params = {}) {
+    return await api.get('/search', { params: { q, ...params } });
+  }
+};
+
+export default searchService;
@@ -0,0 +1,44 @@
+// src/services/socket.js
+import { io } from 'socket.io-client';
+
+let socket = null;
+
+const socketService = {
+  connect() {
+    if (socket) return socket;
+
+    socket = io(import.meta.env.VITE_SOCKET_URL, {
+      auth: (cb) => cb({ token: localStorage.getItem('accessToken') }),
+      transports: ['websocket'],
+    });
+
+    return socket;
+  },
+
+  disconnect() {
+    if (socket) {
+      socket.disconnect();
+      socket = null;
+    }
+  },
+
+  joinProject(projectId) {
+    return new Promise((resolve) => {
+      this.connect().emit('project:join', projectId, resolve);
+    });
+  },
+
+  leaveProject(projectId) {
+    socket?.emit('project:leave', projectId);
+  },
+
+  on(event, handler) {
+    this.connect().on(event, handler);
+  },
+
+  off(event, handler) {
+    socket?.off(event, handler);
+  }
+};
+
+export default socketService;
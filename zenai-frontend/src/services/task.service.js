@@ -0,0 +1,52 @@
+// src/services/task.service.js
+import api from './api';
+
+const taskService = {
+  async getTasks(projectId, params = {}) {
+    return await api.get('/tasks', { params: { projectId, ...params } });
+  },
+
+  async getTaskById(id) {
+    return await api.get(`/tasks/${id}`);
+  },
+
+  async createTask(data) {
+    return await api.post('/tasks', data);
+  },
+
+  async updateTask(id, data) {
+    return await api.put(`/tasks/${id}`, data);
+  },
+
+  async deleteTask(id) {
+    return await api.delete(`/tasks/${id}`);
+  },
+
+  async addComment(id, text) {
+    return await api.post(`/tasks/${id}/comments`, { text });
+  },
+
+  // Creates all of `subtasks` under the task or none of them
+  async createSubtasks(id, subtasks) {
+    return await api.post(`/tasks/${id}/subtasks`, { subtasks });
+  },
+
+  async addChecklistItem(id, text) {
+    return await api.post(`/tasks/${id}/checklist`, { text });
+  },
+
+  async updateChecklistItem(id, itemId, data) {
+    return await api.patch(`/tasks/${id}/checklist/${itemId}`, data);
+  },
+
+  async deleteChecklistItem(id, itemId) {
+    return await api.delete(`/tasks/${id}/checklist/${itemId}`);
+  },
+
+  // `tasks` is [{ id, status, position }] for every task in the changed columns
+  async reorderTasks(projectId, tasks) {
+    return await api.patch('/tasks/reorder', { projectId, tasks });
+  }
+};
+
+export default taskService;
@@ -0,0 +1,22 @@
+// src/services/template.service.js
+import api from './api';
+
+const templateService = {
+  async getTemplates(projectId) {
+    return await api.get(`/projects/${projectId}/templates`);
+  },
+
+  async createTemplate(projectId, data) {
+    return await api.post(`/projects/${projectId}/templates`, data);
+  },
+
+  async updateTemplate(projectId, templateId, data) {
+    return await api.put(`/projects/${projectId}/templates/${templateId}`, data);
+  },
+
+  async deleteTemplate(projectId, templateId) {
+    return await api.delete(`/projects/${projectId}/templates/${templateId}`);
+  }
+};
+
+export default templateService;
@@ -0,0 +1,38 @@
+// src/services/webhook.service.js
+import api from './api';
+
+const webhookService = {
+  async getWebhooks(params = {}) {
+    return await api.get('/webhooks', { params });
+  },
+
+  async createWebhook(data) {
+    return await api.post('/webhooks', data);
+  },
+
+  async updateWebhook(id, data) {
+    return await api.put(`/webhooks/${id}`, data);
+  },
+
+  async deleteWebhook(id) {
+    return await api.delete(`/webhooks/${id}`);
+  },
+
+  async rotateSecret(id) {
+    return await api.post(`/webhooks/${id}/rotate-secret`);
+  },
+
+  async sendTestEvent(id) {
+    return await api.post(`/webhooks/${id}/test`);
+  },
+
+  async getDeliveries(id, params = {}) {
+    return await api.get(`/webhooks/${id}/deliveries`, { params });
+  },
+
+  async redeliver(id, deliveryId) {
+    return await api.post(`/webhooks/${id}/deliveries/${deliveryId}/redeliver`);
+  }
+};
+
+export default webhookService;
@@ -18,29 +18,26 @@ export const ROUTES = {
   SETTINGS: '/settings',
 };
 
-// Task Status
+// Task Status (the API's Task.status enum, in board column order)
 export const TASK_STATUS = {
   TODO: 'todo',
-  IN_PROGRESS: 'in_progress',
-  IN_REVIEW: 'in_review',
+  IN_PROGRESS: 'in-progress',
+  REVIEW: 'review',
   DONE: 'done',
-  BLOCKED: 'blocked',
 };
 
 export const TASK_STATUS_LABELS = {
   [TASK_STATUS.TODO]: 'To Do',
   [TASK_STATUS.IN_PROGRESS]: 'In Progress',
-  [TASK_STATUS.IN_REVIEW]: 'In Review',
+  [TASK_STATUS.REVIEW]: 'In Review',
   [TASK_STATUS.DONE]: 'Done',
-  [TASK_STATUS.BLOCKED]: 'Blocked',
 };
 
 export const TASK_STATUS_COLORS = {
   [TASK_STATUS.TODO]: 'bg-gray-100 text-gray-800',
   [TASK_STATUS.IN_PROGRESS]: 'bg-blue-100 text-blue-800',
-  [TASK_STATUS.IN_REVIEW]: 'bg-yellow-100 text-yellow-800',
+  [TASK_STATUS.REVIEW]: 'bg-yellow-100 text-yellow-800',
   [TASK_STATUS.DONE]: 'bg-green-100 text-green-800',
-  [TASK_STATUS.BLOCKED]: 'bg-red-100 text-red-800',
 };
 
 // Task Priority
@@ -69,7 +66,7 @@ export const TASK_PRIORITY_COLORS = {
 export const PROJECT_STATUS = {
   PLANNING: 'planning',
   ACTIVE: 'active',
-  ON_HOLD: 'on_hold',
+  ON_HOLD: 'on-hold',
   COMPLETED: 'completed',
   ARCHIVED: 'archived',
 };
@@ -137,6 +134,92 @@ export const AI_CHAT_ROLES = {
   SYSTEM: 'system',
 };
 
+// Automation Rules
+export const AUTOMATION_TRIGGER_LABELS = {
+  'task.created': 'Task created',
+  'task.updated': 'Task updated',
+  'task.status_changed': 'Task status changed',
+  'task.completed': 'Task completed',
+  'task.assigned': 'Task assigned',
+  'comment.added': 'Comment added',
+  'project.updated': 'Project updated',
+};
+
+export const AUTOMATION_OPERATOR_LABELS = {
+  equals: 'equals',
+  not_equals: 'does not equal',
+  contains: 'contains',
+  greater_than: 'is greater than',
+  less_than: 'is less than',
+  is_empty: 'is empty',
+  is_not_empty: 'is not empty',
+};
+
+export const AUTOMATION_ACTION_LABELS = {
+  send_notification: 'Send notification',
+  update_status: 'Update status',
+  assign_task: 'Assign task',
+  create_subtask: 'Create subtask',
+};
+
+// Recurring Tasks
+export const RECURRING_FREQUENCY_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  cron: 'Custom (cron)',
+};
+
+// Indexed like Date.getDay() and the backend's daysOfWeek
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const AUTOMATION_LOG_STATUS_COLORS = {
+  success: 'bg-green-100 text-green-800',
+  partial: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+export const INTEGRATION_TYPE_LABELS = {
+  slack: 'Slack',
+  notion: 'Notion',
+  github: 'GitHub',
+  jira: 'Jira',
+  trello: 'Trello',
+  calendar: 'Google Calendar',
+  email: 'Email (SMTP)',
+};
+
+export const INTEGRATION_FIELD_LABELS = {
+  webhookUrl: 'Incoming webhook URL',
+  channel: 'Channel',
+  botToken: 'Bot token',
+  apiKey: 'API key',
+  databaseId: 'Database ID',
+  workspaceId: 'Workspace ID',
+  token: 'Token',
+  repository: 'Repository',
+  owner: 'Owner',
+  webhookSecret: 'Webhook secret (optional)',
+  apiToken: 'API token',
+  domain: 'Domain',
+  email: 'Account email',
+  projectKey: 'Project key',
+  boardId: 'Board ID',
+  serviceAccountKey: 'Service account key (JSON)',
+  calendarId: 'Calendar ID',
+  host: 'SMTP host',
+  port: 'Port',
+  secure: 'Use TLS',
+  username: 'Username',
+  password: 'Password',
+};
+
+export const INTEGRATION_STATUS_COLORS = {
+  active: 'bg-green-100 text-green-800',
+  inactive: 'bg-gray-100 text-gray-800',
+  error: 'bg-red-100 text-red-800',
+};
+
 // Toast Messages
 export const TOAST_MESSAGES = {
   SUCCESS: {
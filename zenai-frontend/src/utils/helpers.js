@@ -1,5 +1,5 @@
 // src/utils/helpers.js
-import { format, formatDistanceToNow, isValid, parseISO } from 'date-fns';
+import { format, formatDistanceToNow, differenceInCalendarDays, isValid, parseISO } from 'date-fns';
 import { DATE_FORMAT, DATE_TIME_FORMAT } from './constants';
 
 /**
@@ -46,6 +46,44 @@ export const formatRelativeTime = (date) => {
   }
 };
 
+/**
+ * Days left until a deadline, for countdowns
+ * @param {string|Date} date - Deadline
+ * @returns {Object|null} { days, label, tone } where tone is 'overdue', 'soon' (within a week) or 'ok'
+ */
+export const getCountdown = (date) => {
+  if (!date) return null;
+
+  const dateObj = typeof date === 'string' ? parseISO(date) : date;
+  if (!isValid(dateObj)) return null;
+
+  const days = differenceInCalendarDays(dateObj, new Date());
+  const plural = (n) => `${n} day${n === 1 ? '' : 's'}`;
+
+  if (days < 0) return { days, label: `${plural(-days)} overdue`, tone: 'overdue' };
+  if (days === 0) return { days, label: 'Due today', tone: 'soon' };
+  return { days, label: `${plural(days)} left`, tone: days <= 7 ? 'soon' : 'ok' };
+};
+
+/**
+ * Dependencies of a task that are not done yet
+ * @param {Object} task - Task with `dependencies` populated with their status
+ * @returns {Array} Open dependencies, empty when none are loaded
+ */
+export const getOpenBlockers = (task) => {
+  return (task?.dependencies || []).filter((dependency) => dependency?.status && dependency.status !== 'done');
+};
+
+/**
+ * Fill `{name}` placeholders of a task template, like the backend does
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder values by name; missing ones become empty
+ * @returns {string} Filled text
+ */
+export const fillPlaceholders = (text, values = {}) => {
+  return (text || '').replace(/\{(\w+)\}/g, (match, name) => (values[name] ?? '').toString().trim());
+};
+
 /**
  * Truncate text to specified length
  * @param {string} text - Text to truncate
@@ -355,6 +393,9 @@ export default {
   formatDate,
   formatDateTime,
   formatRelativeTime,
+  getCountdown,
+  getOpenBlockers,
+  fillPlaceholders,
   truncateText,
   capitalizeFirst,
   toTitleCase,